@@ -6,19 +6,39 @@
  *
  * Key responsibilities:
  * - Application window management
- * - Database operations (SQLite)
+ * - Database operations (JSON files or SQLite, selected in settings)
  * - Backup and restore functionality
+ * - Optional vault encryption with a lock screen
  * - Auto-updater integration
  * - Menu and system integration
  */
 
 // Core Electron modules
-const { app, BrowserWindow, ipcMain, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, dialog, powerMonitor, protocol, safeStorage } = require('electron');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 
 // Custom modules for data management
-const OptimizedDatabase = require('./modules/database');  // SQLite database wrapper
+const OptimizedDatabase = require('./modules/database');  // JSON file store (default backend)
+const MarkdownDatabase = require('./modules/markdownDatabase');  // Notes as Markdown files
 const BackupManager = require('./modules/backup');        // Backup/restore functionality
+const BackupScheduler = require('./modules/backupScheduler');  // Automatic backups
+const BackupMirror = require('./modules/backupMirror');  // Copies of backups on other drives
+const Settings = require('./modules/settings');           // Main-process settings (storage backend, ...)
+const { SchemaVersionError, runStartupMigrations } = require('./modules/migrations');  // Data schema upgrades
+const { Vault } = require('./modules/vault');             // Passphrase-based encryption at rest
+const { isNoteLocked, lockNote, unlockNote } = require('./modules/noteLock');  // Per-note passwords
+const { AttachmentStore, collectReferences } = require('./modules/attachments');  // Pasted/dropped files
+const { VaultRegistry, checkVaultFolder, getVaultArgument, samePath } = require('./modules/vaultRegistry');  // Known data folders
+const ChangeFeed = require('./modules/changeFeed');       // Note/category change events for the renderers
+const { queryNotes } = require('./modules/noteQuery');    // Filtered, sorted and paged note lists
+const VaultDoctor = require('./modules/vaultDoctor');     // Integrity check and repair of the data folder
+const { createArchive, readArchive } = require('./modules/vaultArchive');  // Whole-vault zip export and import
+const GitVersioning = require('./modules/gitVersioning');  // Automatic git commits of the vault folder
+const SyncEngine = require('./modules/syncEngine');       // Sync with a WebDAV folder shared by several machines
+const { WebDavClient } = require('./modules/webdav');
+const { writeFileAtomic } = require('./modules/safeWrite');
 
 // Auto-updater setup with error handling
 // This allows the app to work even if electron-updater is not installed
@@ -34,6 +54,46 @@ try {
 let mainWindow;      // Main application window
 let database;        // Database instance
 let backupManager;   // Backup manager instance
+let attachmentStore; // Files attached to notes
+let backupScheduler; // Automatic backup schedule
+let settings;        // Main-process settings
+let vault;           // Encryption state of the data folder
+let maintenanceTimer; // Hourly trash purge and attachment cleanup
+let vaultRegistry;   // Recently opened vaults
+let dataDir;         // Folder of the open vault
+let gitVersioning;   // Commits note changes when git versioning is on (null when off)
+let syncEngine;      // WebDAV sync of the open vault (null when off)
+
+// Every window gets the same change events, so several windows stay in step
+const changeFeed = new ChangeFeed(batch => {
+    BrowserWindow.getAllWindows().forEach(window => {
+        if (!window.isDestroyed()) {
+            window.webContents.send('data-changed', batch);
+        }
+    });
+});
+
+const STORAGE_BACKENDS = ['json', 'sqlite', 'markdown'];
+const MIN_PASSPHRASE_LENGTH = 8;
+const IDLE_CHECK_INTERVAL = 30 * 1000;
+
+// Every vault keeps its own settings.json
+const SETTINGS_DEFAULTS = {
+    storageBackend: 'json',
+    backupSchedule: BackupScheduler.DEFAULT_SCHEDULE,
+    backupRetention: BackupManager.DEFAULT_RETENTION,
+    backupDestinations: [],     // Folders every backup is also copied to (see modules/backupMirror.js)
+    backupMirrorStatus: {},     // Last copy to each destination, by destination id
+    gitVersioning: false,       // Commit note changes to a git repository in the vault folder
+    sync: { enabled: false, url: '', username: '', intervalMinutes: 5 },  // WebDAV sync (see modules/syncEngine.js)
+    syncPassword: null,         // { encrypted, value }: encrypted with the system keychain when it is available
+    vaultIdleMinutes: 10
+};
+
+// Attachments are served to the renderer as mindkeep-attachment://<id>; must be registered before ready
+protocol.registerSchemesAsPrivileged([
+    { scheme: AttachmentStore.SCHEME, privileges: { standard: true, secure: true, supportFetchAPI: true, stream: true } }
+]);
 
 /**
  * Creates the main application window with security best practices
@@ -124,98 +184,1206 @@ ipcMain.handle('get-app-version', () => {
     return app.getVersion();
 });
 
+// Register a handler for a channel that needs the data folder open.
+// While the encrypted vault is locked there is no database, so these calls are refused.
+// The changes a call made are sent before its reply, so the caller already has them applied.
+function handleData(channel, handler) {
+    ipcMain.handle(channel, async (...args) => {
+        if (!database) {
+            throw new Error('The vault is locked');
+        }
+        try {
+            return await handler(...args);
+        } finally {
+            changeFeed.flush();
+        }
+    });
+}
+
+// Count a data change toward the "after N changes" automatic backup
+function trackChange(result) {
+    if (backupScheduler) {
+        backupScheduler.recordChange();
+    }
+    return result;
+}
+
 // Optimized database handlers
-ipcMain.handle('db-get-categories', () => database.getCategories());
+handleData('db-get-categories', () => database.getCategories());
 
-ipcMain.handle('db-add-category', (_, name, color, parent) => {
-    return database.addCategory(name, color, parent);
+// Categories are addressed by id; names are still accepted from older callers
+handleData('db-add-category', (_, name, color, parent) => {
+    return trackChange(database.addCategory(name, color, parent));
 });
 
-ipcMain.handle('db-update-category', (_, oldName, newName, color, parent) => {
-    return database.updateCategory(oldName, newName, color, parent);
+handleData('db-update-category', (_, idOrName, newName, color, parent) => {
+    return trackChange(database.updateCategory(idOrName, newName, color, parent));
 });
 
-ipcMain.handle('db-delete-category', (_, name) => {
-    return database.deleteCategory(name);
+handleData('db-delete-category', (_, idOrName) => {
+    return trackChange(database.deleteCategory(idOrName));
 });
 
-ipcMain.handle('db-get-notes', () => {
+handleData('db-reorder-categories', (_, ids) => {
+    return trackChange(database.reorderCategories(ids));
+});
+
+handleData('db-get-notes', () => {
     return database.getNotes();
 });
 
-ipcMain.handle('db-save-note', (_, note) => {
-    return database.saveNote(note);
+// Notes with the change revision they include; later changes arrive as 'data-changed' events
+handleData('db-get-notes-snapshot', () => {
+    return {
+        revision: changeFeed.getRevision(),
+        notes: database.getNotes()
+    };
 });
 
-ipcMain.handle('db-delete-note', (_, id) => {
-    return database.deleteNote(id);
+handleData('db-save-note', (_, note) => {
+    return trackChange(database.saveNote(note));
 });
 
-ipcMain.handle('db-get-notes-sorted', (_, sortBy) => {
-    const notes = database.getNotes();
-    return notes.sort((a, b) => {
-        // Pinned notes always come first
-        if (a.isPinned && !b.isPinned) return -1;
-        if (!a.isPinned && b.isPinned) return 1;
+handleData('db-delete-note', (_, id) => {
+    return trackChange(database.deleteNote(id));
+});
 
-        // Then sort by the specified criteria
-        if (sortBy.includes('title')) return sortBy.includes('DESC') ? b.title.localeCompare(a.title) : a.title.localeCompare(b.title);
-        return sortBy.includes('DESC') ? new Date(b.updatedAt) - new Date(a.updatedAt) : new Date(a.updatedAt) - new Date(b.updatedAt);
-    });
+// sortBy is one of the notes list's sort options, e.g. 'title ASC' or 'created_at DESC'
+handleData('db-get-notes-sorted', (_, sortBy) => {
+    const field = sortBy.includes('title') ? 'title' : sortBy.includes('created') ? 'createdAt' : 'updatedAt';
+    const direction = sortBy.includes('DESC') ? 'desc' : 'asc';
+    // Pinned notes always come first
+    const sort = [{ field: 'pinned', direction: 'desc' }, { field, direction }];
+    return queryNotes(database.getNotes(), database.getCategories(), { sort }).notes;
 });
 
-ipcMain.handle('db-toggle-pin-note', (_, id) => {
+// Filtered, sorted and paged notes, optionally with only some fields (see modules/noteQuery.js)
+handleData('db-query-notes', (_, query) => {
+    try {
+        return { success: true, ...queryNotes(database.getNotes(), database.getCategories(), query || {}) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+handleData('db-toggle-pin-note', (_, id) => {
     const note = database.getNote(id);
     if (note) {
         note.isPinned = !note.isPinned;
-        return database.saveNote(note);
+        return trackChange(database.saveNote(note));
     }
     return false;
 });
 
 
+// Trash handlers
+handleData('db-get-trash', () => {
+    return database.getTrash();
+});
+
+handleData('db-restore-note', (_, id) => {
+    return trackChange(database.restoreFromTrash(id));
+});
+
+handleData('db-purge-note', (_, id) => {
+    return trackChange(database.purgeFromTrash(id));
+});
+
+handleData('db-empty-trash', () => {
+    return trackChange(database.emptyTrash());
+});
+
+handleData('db-get-trash-retention', () => {
+    return database.getTrashRetentionDays();
+});
+
+handleData('db-set-trash-retention', (_, days) => {
+    return database.setTrashRetentionDays(days);
+});
+
+// Note revision history
+handleData('db-get-note-history', (_, id) => {
+    return database.getNoteHistory(id);
+});
+
+handleData('db-diff-note-revisions', (_, id, fromRevisionId, toRevisionId) => {
+    return database.diffRevisions(id, fromRevisionId, toRevisionId);
+});
+
+handleData('db-restore-note-revision', (_, id, revisionId) => {
+    return trackChange(database.restoreRevision(id, revisionId));
+});
+
+// Notes changed both in the app and outside it (JSON store folder synced from elsewhere)
+handleData('db-get-note-conflicts', () => {
+    return database.getNoteConflicts();
+});
+
+handleData('db-resolve-note-conflict', (_, id, choice) => {
+    return trackChange(database.resolveNoteConflict(id, choice));
+});
+
+// Locked notes: content and description are sealed with the note's own password
+// removeGitHistory: the user agreed to rewrite the git history without the note's earlier versions
+handleData('db-lock-note', async (_, note, password, { removeGitHistory = false } = {}) => {
+    try {
+        const existing = database.getNote(note.id);
+        let git = null;
+        // Saving edits to a locked note needs the password it is already locked with
+        if (isNoteLocked(existing)) {
+            await unlockNote(existing, password);
+        } else {
+            // Clearing the revision history below cannot reach the commits, also those made
+            // before versioning was turned off
+            git = await GitVersioning.findNoteHistory(database, note.id, gitVersioning);
+            if (git && !removeGitHistory) {
+                return {
+                    success: false,
+                    gitHistory: true,
+                    error: 'Earlier versions of this note are in the vault\'s git history in plain text, and locking ' +
+                        'it would not hide them.'
+                };
+            }
+        }
+
+        const sealed = await lockNote(note, password);
+        await database.saveNote(sealed);
+        if (git) {
+            // Only once the file holds the locked note, so no commit can take the plain text again
+            await database.forceWrite();
+            await git.removeNoteHistory(note.id);
+        }
+
+        // Earlier revisions hold the plain text
+        if (!isNoteLocked(existing)) {
+            database.clearHistory(note.id);
+        }
+        return trackChange({ success: true, note: sealed });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+handleData('db-unlock-note', async (_, id, password) => {
+    try {
+        const { content, description } = await unlockNote(database.getNote(id), password);
+        return { success: true, content, description };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+handleData('db-remove-note-lock', async (_, id, password) => {
+    try {
+        const note = database.getNote(id);
+        const { content, description } = await unlockNote(note, password);
+        const { lock, ...rest } = note;
+        const unlocked = { ...rest, content, description, updatedAt: new Date().toISOString() };
+
+        await database.saveNote(unlocked);
+        return trackChange({ success: true, note: unlocked });
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Task handlers
+handleData('db-get-tasks', () => {
+    return { tasks: database.getTasks(), lists: database.getTaskLists() };
+});
+
+handleData('db-save-task', (_, task) => {
+    return trackChange(database.saveTask(task));
+});
+
+handleData('db-delete-task', (_, id) => {
+    return trackChange(database.deleteTask(id));
+});
+
+handleData('db-save-task-list', (_, list) => {
+    return trackChange(database.saveTaskList(list));
+});
+
+handleData('db-delete-task-list', (_, id) => {
+    return trackChange(database.deleteTaskList(id));
+});
+
+handleData('db-import-tasks', (_, tasks, lists) => {
+    return trackChange(database.importTasks(tasks, lists));
+});
+
+// Meal planner handlers
+handleData('db-get-meals', () => {
+    return database.getMeals();
+});
+
+handleData('db-save-meals', (_, meals) => {
+    return trackChange(database.saveMeals(meals));
+});
+
+handleData('db-get-meal-plans', () => {
+    return database.getMealPlans();
+});
+
+handleData('db-save-meal-plans', (_, plans) => {
+    return trackChange(database.saveMealPlans(plans));
+});
+
+// Attachments (pasted or dropped files, referenced from note HTML by id)
+handleData('attachment-save', (_, data, name, type) => {
+    return attachmentStore.save(data, { name, type });
+});
+
+handleData('attachment-save-as', async (_, id, name) => {
+    try {
+        const data = attachmentStore.read(id);
+        if (!data) {
+            return { success: false, error: 'Attachment not found' };
+        }
+
+        const result = await dialog.showSaveDialog({ title: 'Save Attachment', defaultPath: path.basename(name || id) });
+        if (result.canceled || !result.filePath) {
+            return { success: false, error: 'Save cancelled' };
+        }
+
+        await fs.promises.writeFile(result.filePath, data);
+        return { success: true, filePath: result.filePath };
+    } catch (error) {
+        console.error('Saving attachment failed:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Serve mindkeep-attachment://<id> to the renderer; nothing is served while the vault is locked
+function registerAttachmentProtocol() {
+    protocol.handle(AttachmentStore.SCHEME, (request) => {
+        try {
+            const id = new URL(request.url).hostname;
+            const data = attachmentStore ? attachmentStore.read(id) : null;
+            if (!data) {
+                return new Response('Attachment not found', { status: 404 });
+            }
+            return new Response(data, { headers: { 'Content-Type': AttachmentStore.getMimeType(id) } });
+        } catch (error) {
+            console.error('Serving attachment failed:', error);
+            return new Response('Attachment could not be read', { status: 500 });
+        }
+    });
+}
 
 // Database statistics
-ipcMain.handle('db-get-stats', () => {
+handleData('db-get-stats', () => {
     return database.getStats();
 });
 
-// Backup system handlers
-ipcMain.handle('backup-create', (_, slot) => {
-    return backupManager.createBackup(slot);
+// Storage backend settings (a change takes effect after a restart)
+handleData('settings-get-storage', () => {
+    return {
+        backend: settings.get('storageBackend'),
+        active: database.backend
+    };
+});
+
+handleData('settings-set-storage-backend', async (_, backend) => {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        return { success: false, error: `Unknown storage backend "${backend}"` };
+    }
+    if (backend !== 'json' && vault.isEncrypted()) {
+        return { success: false, error: 'An encrypted vault can only use the JSON storage backend' };
+    }
+    if (backend === 'sqlite' && settings.get('gitVersioning')) {
+        return { success: false, error: 'Git versioning needs the JSON files or Markdown storage backend. Turn it off first.' };
+    }
+
+    try {
+        // Make sure pending saves are on disk before the next backend imports them
+        if (backend !== database.backend) {
+            await database.forceWrite();
+        }
+        // Leaving SQLite or Markdown: write the data back to the JSON layout, which every backend imports
+        if (database.backend !== 'json' && backend !== database.backend) {
+            database.exportToJson();
+        }
+
+        settings.set('storageBackend', backend);
+        return { success: true, restartRequired: backend !== database.backend };
+    } catch (error) {
+        console.error('Changing storage backend failed:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('app-relaunch', () => {
+    app.relaunch();
+    app.quit();
+});
+
+// Files quarantined or journal entries replayed while loading the data folder
+handleData('db-get-load-report', () => {
+    return database.getLoadReport();
+});
+
+// Vault doctor: problems in notes, categories, tasks and backups; repairs take a snapshot first
+handleData('vault-check', () => {
+    return new VaultDoctor(database, backupManager, attachmentStore).check();
+});
+
+// ids: the problems to fix (all fixable ones when left out)
+handleData('vault-repair', async (_, ids) => {
+    const doctor = new VaultDoctor(database, backupManager, attachmentStore);
+    return trackChange(await doctor.repair(Array.isArray(ids) ? ids : null));
+});
+
+// Vault archives: the whole vault as one zip file (see modules/vaultArchive.js). Themes and
+// templates are kept by the renderer, which sends them along and applies them after an import.
+// Only the settings that make sense on another machine travel with the archive; the storage
+// backend and backup destinations stay as they are
+const ARCHIVE_SETTINGS = ['backupSchedule', 'backupRetention', 'vaultIdleMinutes'];
+
+function applyArchiveSettings(values) {
+    const applied = ARCHIVE_SETTINGS.filter(key => values[key] !== undefined && values[key] !== null);
+    if (applied.includes('backupSchedule')) {
+        settings.set('backupSchedule', backupScheduler.setSchedule(values.backupSchedule));
+        backupScheduler.start();
+    }
+    if (applied.includes('backupRetention')) {
+        const retention = cleanBackupRetention(values.backupRetention);
+        backupManager.setRetention(retention);
+        settings.set('backupRetention', retention);
+    }
+    if (applied.includes('vaultIdleMinutes')) {
+        settings.set('vaultIdleMinutes', cleanIdleMinutes(values.vaultIdleMinutes));
+    }
+    return applied;
+}
+
+// extras: { themes, templates }
+handleData('vault-export-archive', async (_, extras = {}) => {
+    try {
+        const result = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Vault Archive',
+            defaultPath: `mindkeep-vault-${new Date().toISOString().split('T')[0]}.zip`,
+            filters: [{ name: 'Zip Archives', extensions: ['zip'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return { success: false, canceled: true };
+        }
+
+        await database.forceWrite();
+        const archiveSettings = {};
+        for (const key of ARCHIVE_SETTINGS) {
+            archiveSettings[key] = settings.get(key);
+        }
+        const { buffer, manifest } = createArchive({
+            data: backupManager.buildBackupData(),
+            themes: extras.themes,
+            templates: extras.templates,
+            settings: archiveSettings,
+            appVersion: app.getVersion()
+        });
+        await writeFileAtomic(result.filePath, buffer);
+        return { success: true, path: result.filePath, counts: manifest.counts };
+    } catch (error) {
+        console.error('Vault archive export failed:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// The archive last picked in vault-open-archive; the renderer only confirms the import, so it
+// never names the file that is read
+let openedArchivePath = null;
+
+// Pick an archive and read it, so its contents can be shown before importing it
+handleData('vault-open-archive', async () => {
+    openedArchivePath = null;
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Vault Archive',
+        filters: [{ name: 'Zip Archives', extensions: ['zip'] }],
+        properties: ['openFile']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+    }
+
+    try {
+        const { manifest } = readArchive(await fs.promises.readFile(result.filePaths[0]));
+        openedArchivePath = result.filePaths[0];
+        return { success: true, path: openedArchivePath, manifest };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Replace the vault's data with the opened archive's (after a safety snapshot) and apply its
+// settings; returns the restore result with the archive's themes and templates for the renderer
+handleData('vault-import-archive', async () => {
+    const filePath = openedArchivePath;
+    if (!filePath) {
+        return { success: false, error: 'Open an archive first' };
+    }
+    openedArchivePath = null;
+
+    try {
+        const archive = readArchive(await fs.promises.readFile(filePath));
+        const result = await backupManager.restoreData(archive.data, `Before importing ${path.basename(filePath)}`);
+        if (!result.success) {
+            return result;
+        }
+        return {
+            ...result,
+            settingsApplied: applyArchiveSettings(archive.settings),
+            themes: archive.themes,
+            templates: archive.templates
+        };
+    } catch (error) {
+        console.error('Vault archive import failed:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Git versioning (see modules/gitVersioning.js). The handlers below answer with
+// { success: false, error } while it is off or when git fails
+handleData('vault-git-status', () => {
+    return {
+        enabled: Boolean(gitVersioning),
+        unsupportedReason: GitVersioning.getUnsupportedReason(database, vault.isEncrypted()),
+        repository: fs.existsSync(path.join(dataDir, '.git')),
+        folder: dataDir
+    };
+});
+
+// Turning it off stops the commits; the repository and its history stay in the vault folder
+handleData('vault-git-set-enabled', async (_, enabled) => {
+    if (!enabled) {
+        if (gitVersioning) {
+            await gitVersioning.commitPending().catch(error => console.error('Git commit failed:', error.message));
+            gitVersioning.stop();
+        }
+        gitVersioning = null;
+        settings.set('gitVersioning', false);
+        return { success: true };
+    }
+
+    const reason = GitVersioning.getUnsupportedReason(database, vault.isEncrypted());
+    if (reason) {
+        return { success: false, error: reason };
+    }
+    try {
+        const git = gitVersioning || new GitVersioning(database);
+        const result = await git.enable();
+        gitVersioning = git;
+        settings.set('gitVersioning', true);
+        return { success: true, ...result };
+    } catch (error) {
+        console.error('Turning on git versioning failed:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+function handleGit(channel, handler) {
+    handleData(channel, async (...args) => {
+        if (!gitVersioning) {
+            return { success: false, error: 'Git versioning is off for this vault' };
+        }
+        try {
+            return await handler(...args);
+        } catch (error) {
+            console.error(`${channel} failed:`, error);
+            return { success: false, error: error.message };
+        }
+    });
+}
+
+handleGit('vault-git-log', async (_, limit) => {
+    return { success: true, commits: await gitVersioning.getLog(parseInt(limit, 10) || undefined) };
+});
+
+handleGit('vault-git-note-log', async (_, noteId) => {
+    return { success: true, commits: await gitVersioning.getNoteLog(noteId) };
+});
+
+// fromHash and toHash: commits from the note's log, or 'current'
+handleGit('vault-git-diff-note', (_, noteId, fromHash, toHash) => {
+    return gitVersioning.diffNoteVersions(noteId, fromHash, toHash);
+});
+
+handleGit('vault-git-note-blame', (_, noteId) => {
+    return gitVersioning.getNoteBlame(noteId);
+});
+
+handleGit('vault-git-revert-note', async (_, noteId, hash) => {
+    return trackChange(await gitVersioning.revertNote(noteId, hash));
 });
 
-ipcMain.handle('backup-get-slots', () => {
-    return backupManager.getBackupSlots();
+handleGit('vault-git-revert-commit', async (_, hash) => {
+    return trackChange(await gitVersioning.revertCommit(hash));
 });
 
-ipcMain.handle('backup-restore', (_, slot) => {
-    return backupManager.restoreFromBackup(slot);
+// WebDAV sync (see modules/syncEngine.js). The password is never sent back to the renderer
+function cleanSyncSettings(values) {
+    const url = typeof values.url === 'string' ? values.url.trim() : '';
+    return {
+        enabled: Boolean(values.enabled) && url !== '',
+        url,
+        username: typeof values.username === 'string' ? values.username.trim() : '',
+        intervalMinutes: Math.min(24 * 60, Math.max(1, parseInt(values.intervalMinutes, 10) || 5))
+    };
+}
+
+handleData('sync-get-settings', () => {
+    return {
+        settings: settings.get('sync'),
+        hasPassword: Boolean(settings.get('syncPassword')),
+        unsupportedReason: vault.isEncrypted() ? 'An encrypted vault cannot be synced' : null,
+        status: syncEngine ? syncEngine.getStatus() : null
+    };
+});
+
+// values: { enabled, url, username, password (left out to keep the saved one), intervalMinutes }
+handleData('sync-set-settings', (_, values = {}) => {
+    const options = cleanSyncSettings(values);
+    if (options.enabled && vault.isEncrypted()) {
+        return { success: false, error: 'An encrypted vault cannot be synced' };
+    }
+    if (options.url) {
+        try {
+            createSyncClient({ ...options, password: '' });
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    settings.set('sync', options);
+    if (typeof values.password === 'string') {
+        settings.set('syncPassword', encodeSyncPassword(values.password));
+    }
+    if (syncEngine) {
+        syncEngine.stop();
+    }
+    syncEngine = startSync();
+    return { success: true, status: syncEngine ? syncEngine.getStatus() : null };
 });
 
-ipcMain.handle('backup-export', (_, slot) => {
-    return backupManager.exportBackup(slot);
+// Check the address and login without syncing; values as for sync-set-settings
+handleData('sync-test', async (_, values = {}) => {
+    try {
+        const options = cleanSyncSettings(values);
+        const client = createSyncClient({ ...options, password: typeof values.password === 'string' ? values.password : undefined });
+        const entries = await client.list('', 0);
+        return { success: true, exists: entries !== null };
+    } catch (error) {
+        return { success: false, error: error.message, offline: Boolean(error.offline) };
+    }
 });
 
-ipcMain.handle('backup-import', (_, filePath) => {
+handleData('sync-now', () => {
+    if (!syncEngine) {
+        return { success: false, error: 'Sync is off for this vault' };
+    }
+    return syncEngine.sync().then(status => ({ success: status.state === 'idle', error: status.lastError, status }));
+});
+
+handleData('sync-clear-conflicts', () => {
+    return syncEngine ? { success: true, status: syncEngine.clearConflicts() } : { success: false, error: 'Sync is off for this vault' };
+});
+
+// Backup system handlers (backups are identified by id, their file name without .json)
+handleData('backup-create', (_, name) => {
+    return backupManager.createBackup({ name });
+});
+
+handleData('backup-list', () => {
+    return backupManager.listBackups();
+});
+
+handleData('backup-restore', (_, id) => {
+    return backupManager.restoreFromBackup(id);
+});
+
+// What a restore would add, remove and change, with a diff of each changed note
+handleData('backup-preview-restore', (_, id) => {
+    return backupManager.previewRestore(id);
+});
+
+// selection: { noteIds, categoryIds } of the backup to restore into the current data
+handleData('backup-restore-selected', (_, id, selection) => {
+    return backupManager.restoreSelected(id, selection || {});
+});
+
+// Checks a backup against the checksums in its manifest without restoring it
+handleData('backup-verify', (_, id) => {
+    return backupManager.verifyBackup(id);
+});
+
+handleData('backup-export', (_, id) => {
+    return backupManager.exportBackup(id);
+});
+
+handleData('backup-import', (_, filePath) => {
     return backupManager.importBackup(filePath);
 });
 
-ipcMain.handle('backup-delete', (_, slot) => {
-    return backupManager.deleteBackup(slot);
+// Merging a backup file into the current notes: a preview with the conflicts, then the merge
+handleData('backup-preview-merge', (_, filePath) => {
+    return backupManager.previewMerge(filePath);
+});
+
+// options: { strategy, resolutions: { noteId: resolution } } (see modules/backupMerge.js)
+handleData('backup-merge', async (_, filePath, options) => {
+    return trackChange(await backupManager.mergeBackup(filePath, options || {}));
+});
+
+handleData('backup-delete', (_, id) => {
+    return backupManager.deleteBackup(id);
+});
+
+handleData('backup-get-schedule', () => {
+    return {
+        schedule: backupScheduler.getSchedule(),
+        retention: { ...backupManager.retention }
+    };
+});
+
+function cleanBackupRetention(retention) {
+    const cleanRetention = {};
+    for (const period of Object.keys(BackupManager.DEFAULT_RETENTION)) {
+        cleanRetention[period] = Math.max(0, parseInt(retention[period], 10) || 0);
+    }
+    return cleanRetention;
+}
+
+handleData('backup-set-schedule', (_, schedule, retention) => {
+    try {
+        settings.set('backupSchedule', backupScheduler.setSchedule(schedule));
+
+        const cleanRetention = cleanBackupRetention(retention);
+        backupManager.setRetention(cleanRetention);
+        settings.set('backupRetention', cleanRetention);
+
+        backupManager.applyRetention();
+        backupScheduler.start();
+        return { success: true };
+    } catch (error) {
+        console.error('Saving backup schedule failed:', error);
+        return { success: false, error: error.message };
+    }
+});
+
+// Extra backup destinations, each with its retention and the result of the last copy
+handleData('backup-get-destinations', () => {
+    return backupManager.mirror.getDestinations();
+});
+
+handleData('backup-set-destinations', (_, destinations) => {
+    try {
+        const saved = backupManager.mirror.setDestinations(destinations);
+        settings.set('backupDestinations', saved.map(({ id, path: folder, retention }) => ({ id, path: folder, retention })));
+        settings.set('backupMirrorStatus', { ...backupManager.mirror.status });
+        return { success: true, destinations: saved };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+handleData('backup-choose-destination', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Choose a Backup Destination',
+        properties: ['openDirectory', 'createDirectory']
+    });
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+});
+
+// Vault encryption handlers (these work while locked)
+ipcMain.handle('vault-status', () => {
+    return {
+        encrypted: vault.isEncrypted(),
+        locked: vault.isLocked(),
+        idleMinutes: settings.get('vaultIdleMinutes'),
+        backend: database ? database.backend : settings.get('storageBackend')
+    };
+});
+
+ipcMain.handle('vault-unlock', async (_, passphrase) => {
+    if (!vault.isLocked()) {
+        return { success: true };
+    }
+
+    try {
+        await vault.unlock(String(passphrase || ''));
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    const result = await openData();
+    if (!result.success) {
+        vault.lock();
+    }
+    return result;
+});
+
+ipcMain.handle('vault-lock', () => {
+    return { success: lockVault() };
+});
+
+handleData('vault-enable', async (_, passphrase) => {
+    if (vault.isEncrypted()) {
+        return { success: false, error: 'The vault is already encrypted' };
+    }
+    if (database.backend !== 'json') {
+        return { success: false, error: 'Encryption needs the JSON storage backend. Switch backends and restart first.' };
+    }
+    if (gitVersioning) {
+        return { success: false, error: 'Turn off git versioning before encrypting the vault; git would keep the unencrypted notes' };
+    }
+    if (syncEngine) {
+        return { success: false, error: 'Turn off sync before encrypting the vault; the server would keep the unencrypted notes' };
+    }
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return { success: false, error: `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+    }
+
+    try {
+        backupScheduler.stop();
+        await vault.create(passphrase);
+        await finishVaultConversion();
+        return { success: true };
+    } catch (error) {
+        console.error('Encrypting the vault failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        backupScheduler.start();
+    }
+});
+
+handleData('vault-disable', async (_, passphrase) => {
+    if (!vault.isEncrypted()) {
+        return { success: false, error: 'The vault is not encrypted' };
+    }
+
+    try {
+        await vault.verify(String(passphrase || ''));
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    try {
+        backupScheduler.stop();
+        vault.setPendingConversion('decrypt');
+        await finishVaultConversion();
+        return { success: true };
+    } catch (error) {
+        console.error('Decrypting the vault failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        backupScheduler.start();
+    }
+});
+
+function cleanIdleMinutes(minutes) {
+    return Math.min(24 * 60, Math.max(0, parseInt(minutes, 10) || 0));
+}
+
+ipcMain.handle('vault-set-idle-minutes', (_, minutes) => {
+    const idleMinutes = cleanIdleMinutes(minutes);
+    settings.set('vaultIdleMinutes', idleMinutes);
+    return { success: true, idleMinutes };
+});
+
+// Vault management: every vault is a separate data folder (these work while locked)
+ipcMain.handle('vaults-list', () => {
+    return { current: dataDir, vaults: vaultRegistry.list(dataDir) };
+});
+
+ipcMain.handle('vaults-choose-folder', async (_, mode) => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: mode === 'create' ? 'Choose an Empty Folder for the New Vault' : 'Open Vault Folder',
+        properties: ['openDirectory', 'createDirectory']
+    });
+    return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+});
+
+ipcMain.handle('vaults-open', (_, folder) => switchVault(folder, false));
+
+ipcMain.handle('vaults-create', (_, folder) => switchVault(folder, true));
+
+ipcMain.handle('vaults-forget', (_, folder) => {
+    if (samePath(folder, dataDir)) {
+        return { success: false, error: 'The open vault cannot be removed from the list' };
+    }
+    vaultRegistry.forget(folder);
+    return { success: true };
 });
 
-function initializeDatabase() {
-    database = new OptimizedDatabase();
-    backupManager = new BackupManager(database);
-    console.log('Optimized database initialized');
+// Backup destinations of the open vault. A destination list that no longer passes the checks
+// (settings.json edited by hand) is ignored rather than keeping the vault from opening
+function createBackupMirror() {
+    const options = {
+        vaultDir: dataDir,
+        vaultName: vaultRegistry.getName(dataDir),
+        status: settings.get('backupMirrorStatus'),
+        onStatusChange: status => settings.set('backupMirrorStatus', status)
+    };
+    try {
+        return new BackupMirror({ ...options, destinations: settings.get('backupDestinations') });
+    } catch (error) {
+        console.error('Ignoring the backup destinations:', error.message);
+        return new BackupMirror(options);
+    }
+}
+
+// Open the storage backend picked in settings, falling back to JSON files if SQLite cannot load
+function openDatabase(backend) {
+    if (backend === 'markdown') {
+        return new MarkdownDatabase({ dataDir });
+    }
+    if (backend === 'sqlite') {
+        try {
+            // Required lazily: node:sqlite is only present in newer Electron/Node versions
+            const SqliteDatabase = require('./modules/sqliteDatabase');
+            return new SqliteDatabase({ dataDir });
+        } catch (error) {
+            if (error instanceof SchemaVersionError) throw error;
+            console.error('SQLite backend unavailable, using JSON files:', error);
+        }
+    }
+    return new OptimizedDatabase({ dataDir });
 }
 
+// Open the database and backups (with the vault's cipher when encrypted) and start the timers.
+// Returns { success, error }; on failure nothing is left open.
+async function openData() {
+    try {
+        // Encryption is implemented by the JSON store only
+        database = vault.cipher
+            ? new OptimizedDatabase({ dataDir, cipher: vault.cipher })
+            : openDatabase(settings.get('storageBackend'));
+        attachmentStore = new AttachmentStore(database.dataDir);
+        attachmentStore.setCipher(vault.cipher);
+        backupManager = new BackupManager(database, attachmentStore);
+        backupManager.setCipher(vault.cipher);
+        backupManager.setRetention(settings.get('backupRetention'));
+        backupManager.setMirror(createBackupMirror());
+
+        await finishVaultConversion();
+
+        const migration = await runStartupMigrations(database, backupManager);
+        if (migration.migrated) {
+            console.log(`Data migrated from schema ${migration.fromVersion} to ${migration.toVersion}` +
+                (migration.snapshot ? ` (backup: ${migration.snapshot})` : ''));
+        }
+    } catch (error) {
+        console.error('Failed to open data:', error);
+        database = null;
+        backupManager = null;
+        attachmentStore = null;
+        return {
+            success: false,
+            error: error instanceof SchemaVersionError ? error.message : `Opening the data folder failed: ${error.message}`
+        };
+    }
+
+    console.log(`Database initialized (${database.backend} backend${vault.cipher ? ', encrypted' : ''})`);
 
+    // Purge expired trash and unused attachments while the app stays open for days
+    collectAttachmentGarbage();
+    maintenanceTimer = setInterval(() => {
+        database.purgeExpiredTrash();
+        collectAttachmentGarbage();
+    }, 60 * 60 * 1000);
 
-app.whenReady().then(() => {
-    initializeDatabase();
+    backupScheduler = new BackupScheduler(backupManager, settings.get('backupSchedule'));
+    backupScheduler.start();
+
+    // Changes are also committed to git when the vault is versioned, and synced when sync is on
+    gitVersioning = startGitVersioning();
+    syncEngine = startSync();
+    database.setChangeListener(change => {
+        changeFeed.push(change);
+        if (gitVersioning) {
+            gitVersioning.recordChange(change);
+        }
+        if (syncEngine) {
+            syncEngine.recordChange(change);
+        }
+    });
+
+    // The JSON and Markdown stores' folders may be synced with other machines (or edited in other
+    // apps): merge their changes as they arrive
+    if (typeof database.watchNotesFolder === 'function') {
+        database.watchNotesFolder(change => {
+            changeFeed.flush();
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('notes-changed-externally', change);
+            }
+        });
+    }
+    return { success: true };
+}
+
+// Write out pending saves and drop everything holding decrypted data
+function closeData() {
+    if (backupScheduler) {
+        backupScheduler.stop();
+        backupScheduler = null;
+    }
+    clearInterval(maintenanceTimer);
+    if (syncEngine) {
+        syncEngine.stop();
+        syncEngine = null;
+    }
+
+    if (database) {
+        try {
+            database.flushPendingWritesSync();
+            if (typeof database.close === 'function') {
+                database.close();
+            }
+        } catch (error) {
+            console.error('Error flushing data on lock:', error);
+        }
+    }
+    flushGitVersioning();
+    gitVersioning = null;
+    database = null;
+    backupManager = null;
+    attachmentStore = null;
+}
+
+// Git versioning of the open vault, when it is turned on and the vault can be versioned
+function startGitVersioning() {
+    if (!settings.get('gitVersioning')) return null;
+
+    const reason = GitVersioning.getUnsupportedReason(database, vault.isEncrypted());
+    if (reason) {
+        console.warn(`Git versioning is on but not used: ${reason}`);
+        return null;
+    }
+    const git = new GitVersioning(database);
+    // The repository was removed outside the app: start a new one
+    if (!git.isRepository()) {
+        git.enable().catch(error => console.error('Starting the git repository failed:', error.message));
+    }
+    return git;
+}
+
+// Commit what is left before the vault closes; call after the database's synchronous flush
+function flushGitVersioning() {
+    if (!gitVersioning) return;
+    try {
+        gitVersioning.flushSync();
+    } catch (error) {
+        console.error('Error committing the last changes to git:', error.message);
+    }
+}
+
+// Sync passwords are kept encrypted by the operating system's keychain where there is one
+function encodeSyncPassword(password) {
+    if (!password) return null;
+    if (safeStorage.isEncryptionAvailable()) {
+        return { encrypted: true, value: safeStorage.encryptString(password).toString('base64') };
+    }
+    console.warn('No system keychain available: the sync password is stored unencrypted');
+    return { encrypted: false, value: Buffer.from(password, 'utf8').toString('base64') };
+}
+
+function decodeSyncPassword(stored) {
+    if (!stored || !stored.value) return '';
+    try {
+        const data = Buffer.from(stored.value, 'base64');
+        return stored.encrypted ? safeStorage.decryptString(data) : data.toString('utf8');
+    } catch (error) {
+        console.error('The saved sync password cannot be read:', error.message);
+        return '';
+    }
+}
+
+function createSyncClient(options) {
+    return new WebDavClient({
+        url: options.url,
+        username: options.username,
+        password: options.password !== undefined ? options.password : decodeSyncPassword(settings.get('syncPassword'))
+    });
+}
+
+// WebDAV sync of the open vault, when it is turned on and set up. Encrypted vaults are not synced:
+// the server would get the notes unencrypted
+function startSync() {
+    const options = settings.get('sync');
+    if (!options.enabled || !options.url) return null;
+    if (vault.isEncrypted()) {
+        console.warn('Sync is on but not used: encrypted vaults cannot be synced');
+        return null;
+    }
+
+    try {
+        const engine = new SyncEngine({
+            database,
+            attachmentStore,
+            client: createSyncClient(options),
+            url: options.url,
+            deviceName: os.hostname(),
+            // The git history may still use every attachment, so none is removed while versioning is on
+            attachmentReferences: () => (settings.get('gitVersioning') ? new Set(attachmentStore.list()) : usedAttachmentIds()),
+            onStatusChange: status => {
+                if (mainWindow && !mainWindow.isDestroyed()) {
+                    mainWindow.webContents.send('sync-status', status);
+                }
+            }
+        });
+        engine.start(options.intervalMinutes);
+        return engine;
+    } catch (error) {
+        console.error('Starting sync failed:', error.message);
+        return null;
+    }
+}
+
+// Remove attachments no note, trashed note, revision or unresolved conflict refers to any more
+// (backups carry their own copies). Not while git versioning is on: older commits may still show an
+// attachment, and reverting to them only brings back the note
+// Ids of the attachments used by notes, the trash, revisions and unresolved conflicts
+function usedAttachmentIds() {
+    const notes = [...database.getNotes(), ...database.getTrash()];
+    const revisions = notes.flatMap(note => database.loadHistory(note.id));
+    const conflicts = database.getNoteConflicts().flatMap(conflict => [conflict.local, conflict.external].filter(Boolean));
+    return collectReferences([...notes, ...revisions, ...conflicts]);
+}
+
+function collectAttachmentGarbage() {
+    if (settings.get('gitVersioning')) return;
+    try {
+        const removed = attachmentStore.collectGarbage(usedAttachmentIds());
+        if (removed > 0) {
+            console.log(`Removed ${removed} unused attachment(s)`);
+        }
+    } catch (error) {
+        console.error('Attachment cleanup failed:', error);
+    }
+}
+
+// Rewrite the data folder and backups after encryption was turned on or off.
+// The pending flag stays in vault.json until this completes, so an interrupted run resumes on the next unlock.
+async function finishVaultConversion() {
+    const pending = vault.getPendingConversion();
+    if (!pending) return;
+
+    const cipher = pending === 'encrypt' ? vault.cipher : null;
+    await database.reencrypt(cipher);
+    attachmentStore.reencrypt(cipher);
+    const backups = await backupManager.reencryptBackups(cipher);
+
+    if (pending === 'encrypt') {
+        vault.setPendingConversion(null);
+    } else {
+        vault.remove();
+    }
+    console.log(`Vault ${pending}ed (${backups} backups rewritten)`);
+}
+
+function lockVault() {
+    if (!vault.isEncrypted() || vault.isLocked()) return false;
+
+    closeData();
+    vault.lock();
+    console.log('Vault locked');
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('vault-locked');
+    }
+    return true;
+}
+
+// Lock after the configured idle time and when the system sleeps or the screen locks
+function startVaultAutoLock() {
+    setInterval(() => {
+        const idleMinutes = settings.get('vaultIdleMinutes');
+        if (idleMinutes > 0 && powerMonitor.getSystemIdleTime() >= idleMinutes * 60) {
+            lockVault();
+        }
+    }, IDLE_CHECK_INTERVAL);
+
+    powerMonitor.on('suspend', lockVault);
+    powerMonitor.on('lock-screen', lockVault);
+}
+
+// Load the settings and encryption state of the vault at folder and open it.
+// An encrypted vault is opened from the lock screen once the passphrase is entered.
+async function openVault(folder) {
+    dataDir = folder;
+    settings = new Settings(path.join(folder, 'settings.json'), SETTINGS_DEFAULTS);
+    vault = new Vault(folder);
+
+    if (vault.isLocked()) {
+        console.log(`Vault ${folder} is encrypted, waiting for unlock`);
+        return { success: true };
+    }
+    return openData();
+}
+
+// Close the open vault and open (or create) another one without restarting.
+// If the new vault cannot be opened, the previous one is opened again.
+async function switchVault(folder, create) {
+    if (typeof folder !== 'string' || !folder) {
+        return { success: false, error: 'No folder selected' };
+    }
+    const target = path.resolve(folder);
+    if (samePath(target, dataDir) && !create) {
+        return { success: true };
+    }
+
+    const problem = checkVaultFolder(target, create);
+    if (problem) {
+        return { success: false, error: problem };
+    }
+
+    const previous = dataDir;
+    closeData();
+    vault.lock();
+
+    const result = await openVault(target);
+    if (!result.success) {
+        closeData();
+        await openVault(previous);
+        return result;
+    }
+
+    vaultRegistry.remember(target);
+    console.log(`Switched to vault ${target}`);
+    return { success: true };
+}
+
+// Returns false when the data cannot be opened and the app has to quit
+async function initializeDatabase() {
+    vaultRegistry = new VaultRegistry(app.getPath('userData'));
+
+    // --vault <path> opens (or creates) a vault for this run only
+    const vaultArgument = getVaultArgument(process.argv);
+    const folder = vaultArgument || vaultRegistry.getStartupPath();
+    if (vaultArgument) {
+        const problem = checkVaultFolder(folder, !fs.existsSync(folder) || fs.readdirSync(folder).length === 0);
+        if (problem) {
+            dialog.showErrorBox('MindKeep cannot open the vault', `${folder}: ${problem}`);
+            return false;
+        }
+    }
+
+    const result = await openVault(folder);
+    if (!result.success) {
+        dialog.showErrorBox('MindKeep cannot open your data', result.error);
+        return false;
+    }
+    vaultRegistry.remember(folder, { startup: !vaultArgument });
+    return true;
+}
+
+app.whenReady().then(async () => {
+    if (!(await initializeDatabase())) {
+        app.quit();
+        return;
+    }
+    registerAttachmentProtocol();
     createWindow();
+    startVaultAutoLock();
     
     // Create menu with shortcuts
     const template = [
@@ -243,6 +1411,33 @@ app.whenReady().then(() => {
                     click: () => mainWindow.webContents.send('shortcut-advanced-search')
                 },
                 { type: 'separator' },
+                {
+                    label: 'Lock Vault',
+                    accelerator: 'CmdOrCtrl+L',
+                    click: () => lockVault()
+                },
+                {
+                    label: 'Vault Encryption...',
+                    click: () => mainWindow.webContents.send('shortcut-vault-settings')
+                },
+                {
+                    label: 'Switch Vault...',
+                    accelerator: 'CmdOrCtrl+Shift+O',
+                    click: () => mainWindow.webContents.send('shortcut-vault-manager')
+                },
+                {
+                    label: 'Check Vault...',
+                    click: () => mainWindow.webContents.send('shortcut-vault-doctor')
+                },
+                {
+                    label: 'Vault History (Git)...',
+                    click: () => mainWindow.webContents.send('shortcut-vault-git')
+                },
+                {
+                    label: 'Sync...',
+                    click: () => mainWindow.webContents.send('shortcut-sync')
+                },
+                { type: 'separator' },
                 {
                     label: 'Quit',
                     accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Ctrl+Q',
@@ -260,6 +1455,29 @@ app.on('window-all-closed', () => {
     app.quit();
 });
 
+// Write out batched saves before exiting; async writes would not finish in time
+app.on('before-quit', (event) => {
+    // Hold the quit until the on-quit backup is written, then quit again
+    if (backupScheduler && backupScheduler.shouldBackupOnQuit()) {
+        event.preventDefault();
+        backupScheduler.stop();
+        backupScheduler.runBackup('quit').finally(() => {
+            backupScheduler = null;
+            app.quit();
+        });
+        return;
+    }
+
+    if (database) {
+        try {
+            database.flushPendingWritesSync();
+        } catch (error) {
+            console.error('Error flushing data on quit:', error);
+        }
+    }
+    flushGitVersioning();
+});
+
 app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
 });
@@ -0,0 +1,220 @@
+// Content-addressed store for images and files pasted or dropped into notes.
+//
+// Each file is saved once as attachments/<sha256>.<ext>; that file name is the attachment id.
+// Notes reference attachments through mindkeep-attachment://<id> URLs in their HTML, which the
+// main process serves over a custom protocol. Files no note refers to any more are removed by
+// collectGarbage(). In an encrypted vault the files are encrypted like every other data file.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, writeFileAtomicSync } = require('./safeWrite');
+const { VaultCipher } = require('./vault');
+
+const ATTACHMENT_SCHEME = 'mindkeep-attachment';
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]{1,10}$/;
+const ATTACHMENT_REF_PATTERN = /mindkeep-attachment:\/\/([a-f0-9]{64}\.[a-z0-9]{1,10})/g;
+const MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+const GC_MIN_AGE = 24 * 60 * 60 * 1000;  // Just-pasted files may not be in a saved note yet
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    zip: 'application/zip',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    mp4: 'video/mp4',
+    webm: 'video/webm'
+};
+
+// Attachment ids in a piece of note HTML, without duplicates
+function findAttachmentIds(html) {
+    return [...new Set(Array.from(String(html || '').matchAll(ATTACHMENT_REF_PATTERN), match => match[1]))];
+}
+
+// Attachment ids used by notes, trashed notes or revisions.
+// Locked notes cannot be read, so they list theirs in note.lock.attachments.
+function collectReferences(notes) {
+    const ids = new Set();
+    for (const note of notes) {
+        findAttachmentIds(`${note.content || ''} ${note.description || ''}`).forEach(id => ids.add(id));
+        (note.lock?.attachments || []).forEach(id => ids.add(id));
+    }
+    return ids;
+}
+
+class AttachmentStore {
+    constructor(dataDir) {
+        this.dir = path.join(dataDir, 'attachments');
+        this.cipher = null;
+
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    setCipher(cipher) {
+        this.cipher = cipher;
+    }
+
+    static getExtension(name, type) {
+        const ext = path.extname(String(name || '')).slice(1).toLowerCase();
+        if (/^[a-z0-9]{1,10}$/.test(ext)) return ext;
+
+        const fromType = Object.keys(MIME_TYPES).find(key => MIME_TYPES[key] === type);
+        return fromType || 'bin';
+    }
+
+    static getMimeType(id) {
+        return MIME_TYPES[path.extname(id).slice(1)] || 'application/octet-stream';
+    }
+
+    // Resolve an id to its file, refusing anything that is not a well-formed id
+    getPath(id) {
+        if (typeof id !== 'string' || !ATTACHMENT_ID_PATTERN.test(id)) {
+            return null;
+        }
+        return path.join(this.dir, id);
+    }
+
+    encode(buffer) {
+        return this.cipher ? Buffer.from(this.cipher.encrypt(buffer)) : buffer;
+    }
+
+    // Plain files pass through, so a store can be converted in place
+    decode(buffer) {
+        if (!this.cipher || !VaultCipher.isEncrypted(buffer.subarray(0, 32).toString('utf8'))) {
+            return buffer;
+        }
+        try {
+            return this.cipher.decryptBuffer(buffer.toString('utf8'));
+        } catch (error) {
+            // A plain file that happens to look like an envelope (e.g. an attached vault file)
+            return buffer;
+        }
+    }
+
+    async save(data, { name = '', type = '' } = {}) {
+        try {
+            const buffer = Buffer.from(data);
+            if (buffer.length === 0) {
+                return { success: false, error: 'The file is empty' };
+            }
+            if (buffer.length > MAX_ATTACHMENT_SIZE) {
+                return { success: false, error: `Attachments are limited to ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB` };
+            }
+
+            const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+            const id = `${hash}.${AttachmentStore.getExtension(name, type)}`;
+            const filePath = this.getPath(id);
+
+            if (fs.existsSync(filePath)) {
+                // Same content already stored; refresh its age so garbage collection leaves it alone
+                const now = new Date();
+                fs.utimesSync(filePath, now, now);
+            } else {
+                await writeFileAtomic(filePath, this.encode(buffer));
+            }
+
+            return {
+                success: true,
+                id,
+                url: `${ATTACHMENT_SCHEME}://${id}`,
+                name: path.basename(String(name || '')) || id,
+                type: AttachmentStore.getMimeType(id),
+                size: buffer.length
+            };
+        } catch (error) {
+            console.error('Saving attachment failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // File contents, or null if there is no such attachment
+    read(id) {
+        const filePath = this.getPath(id);
+        if (!filePath || !fs.existsSync(filePath)) {
+            return null;
+        }
+        return this.decode(fs.readFileSync(filePath));
+    }
+
+    list() {
+        return fs.readdirSync(this.dir).filter(file => ATTACHMENT_ID_PATTERN.test(file));
+    }
+
+    // Delete one attachment, e.g. because it was removed as unused on another synced machine
+    remove(id) {
+        const filePath = this.getPath(id);
+        if (filePath) {
+            fs.rmSync(filePath, { force: true });
+        }
+    }
+
+    // Delete attachments that are not referenced and older than a day
+    collectGarbage(referencedIds) {
+        const cutoff = Date.now() - GC_MIN_AGE;
+        let removed = 0;
+
+        for (const id of this.list()) {
+            if (referencedIds.has(id)) continue;
+
+            const filePath = this.getPath(id);
+            if (fs.statSync(filePath).mtimeMs < cutoff) {
+                fs.rmSync(filePath, { force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    // Attachments as { id, data } entries (base64) for a backup file
+    exportEntries(ids) {
+        const entries = [];
+        for (const id of ids) {
+            const data = this.read(id);
+            if (data) {
+                entries.push({ id, data: data.toString('base64') });
+            }
+        }
+        return entries;
+    }
+
+    // Write back attachments from a backup; existing ones are identical by construction
+    importEntries(entries) {
+        let imported = 0;
+        for (const entry of entries) {
+            const filePath = this.getPath(entry && entry.id);
+            if (!filePath || fs.existsSync(filePath)) continue;
+
+            writeFileAtomicSync(filePath, this.encode(Buffer.from(entry.data, 'base64')));
+            imported++;
+        }
+        return imported;
+    }
+
+    // Rewrite every attachment with a new cipher (null writes plain files) when vault encryption changes
+    reencrypt(cipher) {
+        for (const id of this.list()) {
+            const data = this.read(id);
+            const previous = this.cipher;
+            this.cipher = cipher;
+            writeFileAtomicSync(this.getPath(id), this.encode(data));
+            this.cipher = previous;
+        }
+        this.cipher = cipher;
+    }
+}
+
+AttachmentStore.SCHEME = ATTACHMENT_SCHEME;
+
+module.exports = { AttachmentStore, findAttachmentIds, collectReferences };
@@ -1,12 +1,120 @@
 const fs = require('fs');
 const path = require('path');
-const { app, dialog } = require('electron');
+const { dialog } = require('electron');
+const { writeFileAtomic } = require('./safeWrite');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateBackupData } = require('./migrations');
+const { VaultCipher, encodeText } = require('./vault');
+const { collectReferences } = require('./attachments');
+const categoryList = require('./categories');
+const { htmlToPlainText, diffNotes } = require('./diff');
+const backupMerge = require('./backupMerge');
+const backupFormat = require('./backupFormat');
+
+// Grandfather-father-son retention for automatic backups: how many hours, days, weeks
+// and months keep their newest backup. Manual backups and snapshots are never pruned.
+const DEFAULT_RETENTION = {
+    hourly: 24,
+    daily: 7,
+    weekly: 4,
+    monthly: 12
+};
+
+const BACKUP_ID_PATTERN = /^[\w.-]+$/;
+
+function getPeriodKey(period, timestamp) {
+    const date = new Date(timestamp);
+    switch (period) {
+        case 'hourly':
+            return `${date.toDateString()} ${date.getHours()}`;
+        case 'daily':
+            return date.toDateString();
+        case 'weekly': {
+            // Weeks start on Monday
+            const monday = new Date(date);
+            monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+            return monday.toDateString();
+        }
+        default:
+            return `${date.getFullYear()}-${date.getMonth()}`;
+    }
+}
+
+// Pick the automatic backups to keep: the newest one of each of the last N periods per tier
+function selectBackupsToKeep(backups, retention = DEFAULT_RETENTION) {
+    const newestFirst = [...backups].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const keep = new Set(newestFirst.slice(0, 1).map(backup => backup.id));
+
+    for (const period of Object.keys(DEFAULT_RETENTION)) {
+        const limit = retention[period] ?? DEFAULT_RETENTION[period];
+        const seen = new Set();
+
+        for (const backup of newestFirst) {
+            if (seen.size >= limit) break;
+            const key = getPeriodKey(period, backup.timestamp);
+            if (!seen.has(key)) {
+                seen.add(key);
+                keep.add(backup.id);
+            }
+        }
+    }
+
+    return keep;
+}
+
+// Restore previews: a note is listed with its title, category and the start of its text
+const PREVIEW_LENGTH = 160;
+
+function describeNote(note, status) {
+    const text = note.lock ? '' : htmlToPlainText(note.content).replace(/\s+/g, ' ');
+    return {
+        id: note.id,
+        title: note.title || 'Untitled',
+        category: note.category || '',
+        status,
+        locked: Boolean(note.lock),
+        updatedAt: note.updatedAt,
+        preview: text.length > PREVIEW_LENGTH ? text.slice(0, PREVIEW_LENGTH - 1) + '…' : text
+    };
+}
+
+// Categories the restore adds, removes or changes (name, color or parent), with their note counts in the backup
+function diffCategories(currentCategories, backupCategories, backupNotes) {
+    const currentById = new Map(currentCategories.map(cat => [cat.id, cat]));
+    const backupById = new Map(backupCategories.map(cat => [cat.id, cat]));
+    const parentName = (categories, cat) => (categories.find(other => other.id === cat.parentId) || {}).name || null;
+    const noteCount = id => backupNotes.filter(note => note.categoryId === id).length;
+
+    const entries = [];
+    for (const cat of backupCategories) {
+        const current = currentById.get(cat.id);
+        const entry = { id: cat.id, name: cat.name, color: cat.color, parent: parentName(backupCategories, cat), notesCount: noteCount(cat.id) };
+        if (!current) {
+            entries.push({ ...entry, status: 'added' });
+        } else if (current.name !== cat.name || current.color !== cat.color || (current.parentId || null) !== (cat.parentId || null)) {
+            entries.push({
+                ...entry,
+                status: 'changed',
+                current: { name: current.name, color: current.color, parent: parentName(currentCategories, current) }
+            });
+        }
+    }
+    for (const cat of currentCategories.filter(cat => !backupById.has(cat.id))) {
+        entries.push({ id: cat.id, name: cat.name, color: cat.color, parent: parentName(currentCategories, cat), notesCount: 0, status: 'removed' });
+    }
+    return entries;
+}
 
 class BackupManager {
-    constructor(database) {
+    constructor(database, attachments = null) {
         this.database = database;
-        this.backupsDir = path.join(app.getPath('userData'), 'mindkeep-data', 'backups');
-        this.MAX_SLOTS = 3;
+        this.attachments = attachments;  // AttachmentStore; files used by notes are copied into each backup
+        this.backupsDir = path.join(database.dataDir, 'backups');  // Each vault keeps its own backups
+        this.retention = { ...DEFAULT_RETENTION };
+        this.cipher = null;  // Backups are encrypted like the data folder when the vault is
+        this.mirror = null;  // BackupMirror; new backups are also copied to its destinations
+        
+        // Parsed summaries keyed by filename, reused while the file is unchanged
+        this.summaryCache = new Map();
         
         this.ensureBackupDir();
     }
@@ -17,55 +125,132 @@ class BackupManager {
         }
     }
     
-    // Create a backup in the specified slot (1, 2, or 3)
-    async createBackup(slot = null) {
+    setCipher(cipher) {
+        this.cipher = cipher;
+        this.summaryCache.clear();
+    }
+    
+    setMirror(mirror) {
+        this.mirror = mirror;
+    }
+    
+    // The backup file's text, decrypted when the vault is encrypted
+    readBackupText(filePath) {
+        const text = fs.readFileSync(filePath, 'utf8');
+        if (!VaultCipher.isEncrypted(text)) {
+            return text;
+        }
+        if (!this.cipher) {
+            throw new Error('This backup is encrypted and can only be opened by the vault that created it');
+        }
+        try {
+            return this.cipher.decrypt(text);
+        } catch (error) {
+            throw new Error('This backup was encrypted with a different passphrase');
+        }
+    }
+    
+    // The backup data, checked against its manifest (see modules/backupFormat.js).
+    // Throws BackupIntegrityError if the file is damaged or incomplete
+    readBackupFile(filePath) {
+        return backupFormat.decodeBackup(this.readBackupText(filePath));
+    }
+    
+    writeBackupFile(filePath, backupData) {
+        return writeFileAtomic(filePath, encodeText(this.cipher, backupFormat.encodeBackup(backupData)));
+    }
+    
+    // Rewrite every backup with a new cipher (null for plain JSON) when encryption is turned on or off
+    async reencryptBackups(cipher) {
+        const files = fs.readdirSync(this.backupsDir).filter(file => file.endsWith('.json'));
+        const contents = new Map();
+        for (const file of files) {
+            try {
+                contents.set(file, this.readBackupFile(path.join(this.backupsDir, file)));
+            } catch (error) {
+                console.error(`Could not read backup ${file}, leaving it as it is:`, error.message);
+            }
+        }
+        
+        this.setCipher(cipher);
+        for (const [file, backupData] of contents) {
+            await this.writeBackupFile(path.join(this.backupsDir, file), backupData);
+        }
+        return contents.size;
+    }
+    
+    setRetention(retention) {
+        this.retention = { ...DEFAULT_RETENTION, ...retention };
+    }
+    
+    // Resolve a backup id to its file, refusing anything that is not a plain file name
+    getBackupPath(id) {
+        if (typeof id !== 'string' || !BACKUP_ID_PATTERN.test(id)) {
+            return null;
+        }
+        const backupPath = path.join(this.backupsDir, `${id}.json`);
+        return fs.existsSync(backupPath) ? backupPath : null;
+    }
+    
+    getNewBackupId(prefix, timestamp) {
+        const base = `${prefix}-${timestamp.replace(/[:.]/g, '-')}`;
+        let id = base;
+        for (let i = 2; fs.existsSync(path.join(this.backupsDir, `${id}.json`)); i++) {
+            id = `${base}-${i}`;
+        }
+        return id;
+    }
+    
+    // Create a backup. Manual backups can be named and are kept until deleted;
+    // automatic ones (type 'auto') are pruned by the retention policy.
+    async createBackup({ name = '', type = 'manual', trigger = 'manual' } = {}) {
         try {
             // Force write any pending changes
             await this.database.forceWrite();
             
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupData = {
-                version: '1.0.0',
-                timestamp: new Date().toISOString(),
-                notes: this.database.getNotes(),
-                categories: this.database.getCategories(),
-                meta: this.database.metaCache
-            };
-            
-            let filename;
-            if (slot && slot >= 1 && slot <= this.MAX_SLOTS) {
-                // Use specific slot
-                filename = `backup-slot-${slot}.json`;
-            } else {
-                // Auto-assign to oldest slot or create new
-                const slots = this.getBackupSlots();
-                const oldestSlot = this.findOldestSlot(slots);
-                filename = `backup-slot-${oldestSlot}.json`;
-            }
-            
-            const backupPath = path.join(this.backupsDir, filename);
+            const backupData = this.buildBackupData();
+            const id = this.getNewBackupId(`backup-${type}`, backupData.timestamp);
             
             // Add backup metadata
-            backupData.slot = parseInt(filename.match(/slot-(\d+)/)[1]);
-            backupData.filename = filename;
+            backupData.id = id;
+            backupData.filename = `${id}.json`;
+            backupData.type = type;
+            backupData.trigger = trigger;
+            backupData.name = String(name || '').trim();
             
-            await fs.promises.writeFile(backupPath, JSON.stringify(backupData, null, 2));
+            const backupPath = path.join(this.backupsDir, backupData.filename);
+            await this.writeBackupFile(backupPath, backupData);
+            
+            // Copies on other drives; a destination that is missing or fails does not fail the backup
+            const mirrors = this.mirror ? await this.mirror.mirrorBackup(backupPath, id) : [];
             
             // Update database meta with last backup info
             this.database.metaCache.lastBackup = {
                 timestamp: backupData.timestamp,
-                slot: backupData.slot,
-                notesCount: backupData.notes.length
+                id,
+                type,
+                notesCount: backupData.notes.length,
+                trashCount: backupData.trash.length
             };
             this.database.saveMeta();
             
+            if (type === 'auto') {
+                this.applyRetention();
+            }
+            
             return {
                 success: true,
-                slot: backupData.slot,
+                id,
+                name: backupData.name,
                 timestamp: backupData.timestamp,
-                filename,
+                filename: backupData.filename,
                 notesCount: backupData.notes.length,
-                categoriesCount: backupData.categories.length
+                trashCount: backupData.trash.length,
+                taskCount: backupData.tasks.length,
+                mealCount: backupData.meals.length,
+                attachmentCount: backupData.attachments.length,
+                categoriesCount: backupData.categories.length,
+                mirrors
             };
             
         } catch (error) {
@@ -77,96 +262,340 @@ class BackupManager {
         }
     }
     
-    // Get information about all backup slots
-    getBackupSlots() {
-        const slots = [];
+    buildBackupData() {
+        const notes = this.database.getNotes();
+        const trash = this.database.getTrash();
         
-        for (let i = 1; i <= this.MAX_SLOTS; i++) {
-            const filename = `backup-slot-${i}.json`;
-            const backupPath = path.join(this.backupsDir, filename);
-            
-            if (fs.existsSync(backupPath)) {
-                try {
-                    const backupData = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
-                    slots.push({
-                        slot: i,
-                        exists: true,
-                        timestamp: backupData.timestamp,
-                        notesCount: backupData.notes?.length || 0,
-                        categoriesCount: backupData.categories?.length || 0,
-                        filename,
-                        size: fs.statSync(backupPath).size
-                    });
-                } catch (error) {
-                    slots.push({
-                        slot: i,
-                        exists: false,
-                        error: 'Corrupted backup file'
-                    });
+        return {
+            schemaVersion: CURRENT_SCHEMA_VERSION,
+            timestamp: new Date().toISOString(),
+            notes,
+            categories: this.database.getCategories(),
+            trash,
+            attachments: this.attachments ? this.attachments.exportEntries(collectReferences([...notes, ...trash])) : [],
+            tasks: this.database.getTasks(),
+            taskLists: this.database.getTaskLists(),
+            meals: this.database.getMeals(),
+            mealPlans: this.database.getMealPlans(),
+            meta: this.database.metaCache
+        };
+    }
+    
+    // Write a one-off backup that retention never touches (e.g. before a schema migration)
+    async createSnapshot(label, name = '') {
+        try {
+            await this.database.forceWrite();
+            
+            const backupData = this.buildBackupData();
+            const id = this.getNewBackupId(`snapshot-${label}`, backupData.timestamp);
+            backupData.id = id;
+            backupData.filename = `${id}.json`;
+            backupData.type = 'snapshot';
+            backupData.trigger = label;
+            backupData.name = name;
+            
+            await this.writeBackupFile(path.join(this.backupsDir, backupData.filename), backupData);
+            
+            return {
+                success: true,
+                id,
+                filename: backupData.filename,
+                notesCount: backupData.notes.length
+            };
+            
+        } catch (error) {
+            console.error('Snapshot creation failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Upgrade stored backups to the current schema so they can still be restored.
+    // Snapshots are left alone: they are the pre-migration copies.
+    async migrateBackupFiles() {
+        let migrated = 0;
+        
+        for (const file of fs.readdirSync(this.backupsDir)) {
+            if (!file.startsWith('backup-') || !file.endsWith('.json')) continue;
+            
+            const backupPath = path.join(this.backupsDir, file);
+            try {
+                const result = migrateBackupData(this.readBackupFile(backupPath));
+                if (result.migrated) {
+                    await this.writeBackupFile(backupPath, result.data);
+                    migrated++;
                 }
-            } else {
-                slots.push({
-                    slot: i,
-                    exists: false
-                });
+            } catch (error) {
+                // Unreadable or newer backups are left as they are; restore reports the problem
+                console.error(`Could not migrate backup ${file}:`, error.message);
             }
         }
         
-        return slots;
+        return migrated;
     }
     
-    // Find the oldest slot for auto-backup
-    findOldestSlot(slots) {
-        const existingSlots = slots.filter(slot => slot.exists && !slot.error);
+    // Summary of one backup file for the backup list
+    readBackupSummary(file) {
+        const backupPath = path.join(this.backupsDir, file);
+        const id = path.basename(file, '.json');
+        const stats = fs.statSync(backupPath);
         
-        if (existingSlots.length < this.MAX_SLOTS) {
-            // Find first empty slot
-            for (let i = 1; i <= this.MAX_SLOTS; i++) {
-                if (!slots.find(slot => slot.slot === i && slot.exists)) {
-                    return i;
-                }
+        const cached = this.summaryCache.get(file);
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached.summary;
+        }
+        
+        let summary;
+        try {
+            // Compressed backups are listed from their manifest without unpacking them
+            const text = this.readBackupText(backupPath);
+            const manifest = backupFormat.readManifest(text);
+            const backupData = manifest || JSON.parse(text);
+            const counts = manifest ? manifest.counts : backupFormat.countRecords(backupData);
+            
+            // Files from the fixed-slot era have no type; they are treated as manual backups
+            const slot = file.match(/^backup-slot-(\d+)\.json$/);
+            summary = {
+                id,
+                filename: file,
+                exists: true,
+                type: backupData.type || (file.startsWith('snapshot-') ? 'snapshot' : 'manual'),
+                trigger: backupData.trigger || 'manual',
+                name: backupData.name || (slot ? `Slot ${slot[1]}` : ''),
+                timestamp: backupData.timestamp || stats.mtime.toISOString(),
+                notesCount: counts.notes,
+                trashCount: counts.trash,
+                taskCount: counts.tasks,
+                mealCount: counts.meals,
+                attachmentCount: counts.attachments,
+                categoriesCount: counts.categories,
+                schemaVersion: getSchemaVersion(backupData),
+                format: manifest ? 'compressed' : 'legacy',
+                size: stats.size
+            };
+        } catch (error) {
+            summary = {
+                id,
+                filename: file,
+                exists: false,
+                type: 'manual',
+                timestamp: stats.mtime.toISOString(),
+                size: stats.size,
+                error: 'Corrupted backup file'
+            };
+        }
+        
+        this.summaryCache.set(file, { mtimeMs: stats.mtimeMs, size: stats.size, summary });
+        return summary;
+    }
+    
+    // All backups, newest first
+    listBackups() {
+        const files = fs.readdirSync(this.backupsDir)
+            .filter(file => file.endsWith('.json') && (file.startsWith('backup-') || file.startsWith('snapshot-')));
+            
+        for (const file of this.summaryCache.keys()) {
+            if (!files.includes(file)) {
+                this.summaryCache.delete(file);
             }
         }
         
-        // All slots occupied, find oldest
-        existingSlots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        return existingSlots[0].slot;
+        return files
+            .map(file => this.readBackupSummary(file))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+    
+    // Delete automatic backups that fall outside the retention policy
+    applyRetention() {
+        const autoBackups = this.listBackups().filter(backup => backup.type === 'auto' && !backup.error);
+        const keep = selectBackupsToKeep(autoBackups, this.retention);
+        
+        let removed = 0;
+        for (const backup of autoBackups) {
+            if (!keep.has(backup.id)) {
+                fs.rmSync(path.join(this.backupsDir, backup.filename), { force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+    
+    // The contents of a backup, upgraded to the current schema. Throws if it cannot be restored
+    loadBackupData(id) {
+        const backupPath = this.getBackupPath(id);
+        if (!backupPath) {
+            throw new Error(`Backup ${id} does not exist`);
+        }
+        return this.loadBackupFile(backupPath);
     }
     
-    // Restore from backup
-    async restoreFromBackup(slot) {
+    loadBackupFile(filePath) {
+        const rawData = this.readBackupFile(filePath);
+        if (!rawData.notes || !rawData.categories) {
+            throw new Error('Invalid backup file format');
+        }
+        
+        // Older backups are upgraded; backups from a newer version are refused
+        return migrateBackupData(rawData).data;
+    }
+    
+    // Check a backup against its manifest without restoring it. Returns
+    // { success, valid, format, checkedRecords, problems, error }; valid is false with the reason in
+    // error when the file is damaged or incomplete. Backups from before manifests cannot be checked
+    // beyond being readable, which format: 'legacy' tells
+    verifyBackup(id) {
+        let text = '';
         try {
-            const filename = `backup-slot-${slot}.json`;
-            const backupPath = path.join(this.backupsDir, filename);
-            
-            if (!fs.existsSync(backupPath)) {
+            const backupPath = this.getBackupPath(id);
+            if (!backupPath) {
                 return {
                     success: false,
-                    error: `Backup slot ${slot} does not exist`
+                    error: `Backup ${id} does not exist`
                 };
             }
             
-            const backupData = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+            text = this.readBackupText(backupPath);
+            const { format, data, problems, checkedRecords } = backupFormat.inspectBackup(text);
+            if (problems.length > 0) {
+                return {
+                    success: true,
+                    valid: false,
+                    format,
+                    checkedRecords,
+                    problems,
+                    error: `The backup does not match its manifest (${problems.length} damaged record${problems.length === 1 ? '' : 's'})`
+                };
+            }
+            if (!data.notes || !data.categories) {
+                return { success: true, valid: false, format, checkedRecords, problems: [], error: 'Invalid backup file format' };
+            }
+            return { success: true, valid: true, format, checkedRecords, problems: [] };
             
-            // Validate backup data
-            if (!backupData.notes || !backupData.categories) {
+        } catch (error) {
+            if (error instanceof backupFormat.BackupIntegrityError) {
+                const format = backupFormat.isEnvelope(text) ? 'compressed' : 'legacy';
+                return { success: true, valid: false, format, checkedRecords: 0, problems: [], error: error.message };
+            }
+            console.error('Verify backup failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // What restoring a backup would change: notes the restore adds, removes or changes (with a
+    // diff against the current version), and the same for categories. Unchanged notes are only counted.
+    previewRestore(id) {
+        try {
+            const backupData = this.loadBackupData(id);
+            const backupNotes = categoryList.withCategoryNames(backupData.categories, backupData.notes);
+            const currentNotes = new Map(this.database.getNotes().map(note => [note.id, note]));
+            
+            const notes = [];
+            let unchanged = 0;
+            for (const note of backupNotes) {
+                const current = currentNotes.get(note.id);
+                currentNotes.delete(note.id);
+                
+                if (!current) {
+                    notes.push(describeNote(note, 'added'));
+                } else if (backupMerge.noteFingerprint(current) !== backupMerge.noteFingerprint(note)) {
+                    notes.push({
+                        ...describeNote(note, 'changed'),
+                        currentUpdatedAt: current.updatedAt,
+                        changes: diffNotes(backupMerge.readableNote(current), backupMerge.readableNote(note))
+                    });
+                } else {
+                    unchanged++;
+                }
+            }
+            currentNotes.forEach(note => notes.push(describeNote(note, 'removed')));
+            notes.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+            
+            const categories = diffCategories(this.database.getCategories(), backupData.categories, backupData.notes);
+            const count = (list, status) => list.filter(entry => entry.status === status).length;
+            
+            return {
+                success: true,
+                backupId: id,
+                backupTimestamp: backupData.timestamp,
+                notes,
+                categories,
+                summary: {
+                    notesAdded: count(notes, 'added'),
+                    notesRemoved: count(notes, 'removed'),
+                    notesChanged: count(notes, 'changed'),
+                    notesUnchanged: unchanged,
+                    categoriesAdded: count(categories, 'added'),
+                    categoriesRemoved: count(categories, 'removed'),
+                    categoriesChanged: count(categories, 'changed')
+                }
+            };
+        
+        } catch (error) {
+            console.error('Restore preview failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Replace all notes, categories, tasks and meals with the backup's. A snapshot of the current
+    // data is taken first, so the restore itself can be undone.
+    async restoreFromBackup(id) {
+        try {
+            return await this.restoreData(this.loadBackupData(id), `Before restoring ${id}`);
+        } catch (error) {
+            console.error('Restore failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Replace the current data with backupData (shaped like a backup, at the current schema),
+    // after a safety snapshot named snapshotName. Also used to import vault archives
+    async restoreData(backupData, snapshotName) {
+        try {
+            const snapshot = await this.createSnapshot('pre-restore', snapshotName);
+            if (!snapshot.success) {
                 return {
                     success: false,
-                    error: 'Invalid backup file format'
+                    error: `The safety snapshot failed, nothing was restored: ${snapshot.error}`
                 };
             }
             
+            // Attachment files first, so restored notes never point at missing files
+            const attachmentsRestored = Array.isArray(backupData.attachments) && this.attachments
+                ? this.attachments.importEntries(backupData.attachments)
+                : 0;
+            
             // Clear current data
-            this.database.notesCache.clear();
-            this.database.categoriesCache = [];
+            this.database.clearNotes();
             
             // Restore categories
-            this.database.categoriesCache = [...backupData.categories];
-            this.database.saveCategories();
+            this.database.replaceCategories(backupData.categories);
             
             // Restore notes
-            for (const note of backupData.notes) {
-                await this.database.saveNote(note);
+            await this.database.saveNotes(backupData.notes);
+            
+            // Older backups have no trash section; leave the current trash alone for those
+            if (Array.isArray(backupData.trash)) {
+                this.database.replaceTrash(backupData.trash);
+            }
+            
+            // Same for tasks, which were kept in the renderer before they moved into the database
+            if (Array.isArray(backupData.tasks)) {
+                this.database.replaceTasks(backupData.tasks, backupData.taskLists || []);
+            }
+            if (Array.isArray(backupData.meals)) {
+                this.database.saveMeals(backupData.meals);
+                this.database.saveMealPlans(backupData.mealPlans || []);
             }
             
             // Force write all changes
@@ -175,10 +604,15 @@ class BackupManager {
             return {
                 success: true,
                 notesRestored: backupData.notes.length,
+                trashRestored: backupData.trash?.length || 0,
+                tasksRestored: backupData.tasks?.length || 0,
+                mealsRestored: backupData.meals?.length || 0,
+                attachmentsRestored,
                 categoriesRestored: backupData.categories.length,
-                backupTimestamp: backupData.timestamp
+                backupTimestamp: backupData.timestamp,
+                snapshot: snapshot.id
             };
-            
+        
         } catch (error) {
             console.error('Restore failed:', error);
             return {
@@ -188,16 +622,82 @@ class BackupManager {
         }
     }
     
+    // Restore only some notes and categories of a backup into the current data; nothing else is
+    // touched. A category brings its subcategories and all its notes in the backup; a restored note
+    // replaces the current version (which stays in its history). Missing categories are recreated.
+    async restoreSelected(id, { noteIds = [], categoryIds = [] } = {}) {
+        try {
+            const backupData = this.loadBackupData(id);
+            
+            const selectedCategoryIds = new Set(categoryIds.flatMap(ref =>
+                categoryList.getCategoryWithDescendants(backupData.categories, ref)));
+            const selectedNoteIds = new Set(noteIds);
+            const notes = backupData.notes.filter(note =>
+                selectedNoteIds.has(note.id) || selectedCategoryIds.has(note.categoryId));
+            
+            if (notes.length === 0 && selectedCategoryIds.size === 0) {
+                return {
+                    success: false,
+                    error: 'Nothing in the backup was selected'
+                };
+            }
+            
+            const snapshot = await this.createSnapshot('pre-restore', `Before restoring part of ${id}`);
+            if (!snapshot.success) {
+                return {
+                    success: false,
+                    error: `The safety snapshot failed, nothing was restored: ${snapshot.error}`
+                };
+            }
+            
+            // Selected categories take the backup's name, color and place; the categories of the
+            // restored notes are only recreated if they are missing
+            const merged = categoryList.mergeCategories(
+                this.database.getCategories(),
+                backupData.categories,
+                [...selectedCategoryIds, ...notes.map(note => note.categoryId)],
+                selectedCategoryIds
+            );
+            this.database.replaceCategories(merged.categories);
+            
+            const referenced = collectReferences(notes);
+            const attachmentsRestored = Array.isArray(backupData.attachments) && this.attachments
+                ? this.attachments.importEntries(backupData.attachments.filter(entry => referenced.has(entry.id)))
+                : 0;
+            
+            await this.database.saveNotes(notes.map(({ category, ...note }) => (
+                { ...note, categoryId: merged.idMap.get(note.categoryId) || note.categoryId }
+            )));
+            
+            await this.database.forceWrite();
+            
+            return {
+                success: true,
+                notesRestored: notes.length,
+                categoriesRestored: selectedCategoryIds.size,
+                attachmentsRestored,
+                backupTimestamp: backupData.timestamp,
+                snapshot: snapshot.id
+            };
+        
+        } catch (error) {
+            console.error('Selective restore failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
     // Export backup to external file
-    async exportBackup(slot) {
+    async exportBackup(id) {
         try {
-            const filename = `backup-slot-${slot}.json`;
-            const backupPath = path.join(this.backupsDir, filename);
+            const backupPath = this.getBackupPath(id);
             
-            if (!fs.existsSync(backupPath)) {
+            if (!backupPath) {
                 return {
                     success: false,
-                    error: `Backup slot ${slot} does not exist`
+                    error: `Backup ${id} does not exist`
                 };
             }
             
@@ -232,7 +732,7 @@ class BackupManager {
         }
     }
     
-    // Import backup from external file
+    // Import backup from external file; it is stored as a manual backup named after the file
     async importBackup(filePath) {
         try {
             if (!fs.existsSync(filePath)) {
@@ -242,34 +742,47 @@ class BackupManager {
                 };
             }
             
-            const backupData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            // Damaged or cut-off files are refused before anything is stored
+            let rawData;
+            try {
+                rawData = this.readBackupFile(filePath);
+            } catch (error) {
+                if (!(error instanceof backupFormat.BackupIntegrityError)) throw error;
+                return {
+                    success: false,
+                    error: `Cannot import this file. ${error.message}`
+                };
+            }
             
             // Validate backup data
-            if (!backupData.notes || !backupData.categories) {
+            if (!rawData.notes || !rawData.categories) {
                 return {
                     success: false,
                     error: 'Invalid backup file format'
                 };
             }
             
-            // Find available slot or use oldest
-            const slots = this.getBackupSlots();
-            const targetSlot = this.findOldestSlot(slots);
+            // Imported files go through the same migrations as the data folder
+            const { data: backupData, fromVersion } = migrateBackupData(rawData);
             
             // Update backup data for import
-            backupData.slot = targetSlot;
-            backupData.timestamp = new Date().toISOString();
-            backupData.filename = `backup-slot-${targetSlot}.json`;
+            const { slot, ...importData } = backupData;
+            importData.timestamp = new Date().toISOString();
+            importData.id = this.getNewBackupId('backup-manual', importData.timestamp);
+            importData.filename = `${importData.id}.json`;
+            importData.type = 'manual';
+            importData.trigger = 'import';
+            importData.name = backupData.name || `Imported from ${path.basename(filePath)}`;
             
-            // Save to backup slot
-            const backupPath = path.join(this.backupsDir, backupData.filename);
-            await fs.promises.writeFile(backupPath, JSON.stringify(backupData, null, 2));
+            await this.writeBackupFile(path.join(this.backupsDir, importData.filename), importData);
             
             return {
                 success: true,
-                slot: targetSlot,
-                notesCount: backupData.notes.length,
-                categoriesCount: backupData.categories.length
+                id: importData.id,
+                name: importData.name,
+                notesCount: importData.notes.length,
+                categoriesCount: importData.categories.length,
+                migratedFrom: fromVersion < CURRENT_SCHEMA_VERSION ? fromVersion : null
             };
             
         } catch (error) {
@@ -281,20 +794,158 @@ class BackupManager {
         }
     }
     
-    // Delete backup slot
-    deleteBackup(slot) {
+    // What merging a backup file into the current notes would do (see modules/backupMerge.js):
+    // counts of new, unchanged and duplicate notes, the conflicts with a diff each, and the
+    // categories that would be added
+    previewMerge(filePath) {
+        try {
+            const incoming = this.loadBackupFile(filePath);
+            const current = { notes: this.database.getNotes(), categories: this.database.getCategories() };
+            const plan = backupMerge.planMerge(current, {
+                notes: categoryList.withCategoryNames(incoming.categories, incoming.notes),
+                categories: incoming.categories
+            });
+            const count = status => plan.filter(entry => entry.status === status).length;
+            const merged = categoryList.mergeCategoriesByPath(current.categories, incoming.categories);
+            
+            return {
+                success: true,
+                backupTimestamp: incoming.timestamp,
+                summary: {
+                    new: count('new'),
+                    unchanged: count('unchanged'),
+                    duplicates: count('duplicate'),
+                    conflicts: count('conflict')
+                },
+                categoriesAdded: merged.added.map(cat => categoryList.getCategoryPath(merged.categories, cat.id)),
+                conflicts: plan.filter(entry => entry.status === 'conflict').map(entry => ({
+                    id: entry.note.id,
+                    title: entry.mine.title || 'Untitled',
+                    mine: backupMerge.describeVersion(entry.mine),
+                    theirs: backupMerge.describeVersion(entry.note),
+                    changes: entry.changes
+                }))
+            };
+            
+        } catch (error) {
+            console.error('Merge preview failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Merge the notes and categories of a backup file into the current data. Conflicts are resolved
+    // with resolutions[noteId], or strategy for the rest ('mine', 'theirs', 'both' or 'newest').
+    // A snapshot of the current data is taken first. Returns a report of what was done.
+    async mergeBackup(filePath, { strategy = 'newest', resolutions = {} } = {}) {
+        try {
+            const unknown = [strategy, ...Object.values(resolutions)]
+                .find(resolution => !backupMerge.MERGE_RESOLUTIONS.includes(resolution));
+            if (unknown !== undefined) {
+                return {
+                    success: false,
+                    error: `Unknown conflict resolution "${unknown}"`
+                };
+            }
+            
+            const incoming = this.loadBackupFile(filePath);
+            
+            const snapshot = await this.createSnapshot('pre-merge', `Before merging ${path.basename(filePath)}`);
+            if (!snapshot.success) {
+                return {
+                    success: false,
+                    error: `The safety snapshot failed, nothing was merged: ${snapshot.error}`
+                };
+            }
+            
+            const merged = categoryList.mergeCategoriesByPath(this.database.getCategories(), incoming.categories);
+            if (merged.added.length > 0) {
+                this.database.replaceCategories(merged.categories);
+            }
+            
+            const plan = backupMerge.planMerge(
+                { notes: this.database.getNotes(), categories: this.database.getCategories() },
+                { notes: categoryList.withCategoryNames(incoming.categories, incoming.notes), categories: incoming.categories }
+            );
+            const report = {
+                success: true,
+                snapshot: snapshot.id,
+                added: 0,
+                unchanged: 0,
+                duplicates: 0,
+                kept: 0,
+                replaced: 0,
+                copied: 0,
+                categoriesAdded: merged.added.map(cat => categoryList.getCategoryPath(merged.categories, cat.id)),
+                conflicts: []
+            };
+            
+            // Incoming notes go into the merged category with the same path
+            const toSave = [];
+            const prepare = ({ category, ...note }) => ({
+                ...note,
+                categoryId: merged.idMap.get(note.categoryId) || note.categoryId
+            });
+            
+            for (const entry of plan) {
+                if (entry.status === 'new') {
+                    toSave.push(prepare(entry.note));
+                    report.added++;
+                } else if (entry.status === 'unchanged') {
+                    report.unchanged++;
+                } else if (entry.status === 'duplicate') {
+                    report.duplicates++;
+                } else {
+                    const resolution = resolutions[entry.note.id] || strategy;
+                    const kept = backupMerge.chooseVersion(entry.mine, entry.note, resolution);
+                    if (kept === 'theirs') {
+                        toSave.push(prepare(entry.note));
+                        report.replaced++;
+                    } else if (kept === 'both') {
+                        toSave.push(prepare(backupMerge.createMergedCopy(entry.note)));
+                        report.copied++;
+                    } else {
+                        report.kept++;
+                    }
+                    report.conflicts.push({ id: entry.note.id, title: entry.mine.title || 'Untitled', resolution, kept });
+                }
+            }
+            
+            // Attachment files first, so merged notes never point at missing files
+            const referenced = collectReferences(toSave);
+            report.attachmentsImported = Array.isArray(incoming.attachments) && this.attachments
+                ? this.attachments.importEntries(incoming.attachments.filter(entry => referenced.has(entry.id)))
+                : 0;
+            
+            await this.database.saveNotes(toSave);
+            await this.database.forceWrite();
+            
+            return report;
+            
+        } catch (error) {
+            console.error('Merge failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    
+    // Delete a backup
+    deleteBackup(id) {
         try {
-            const filename = `backup-slot-${slot}.json`;
-            const backupPath = path.join(this.backupsDir, filename);
+            const backupPath = this.getBackupPath(id);
             
-            if (fs.existsSync(backupPath)) {
+            if (backupPath) {
                 fs.unlinkSync(backupPath);
                 return { success: true };
             }
             
             return {
                 success: false,
-                error: `Backup slot ${slot} does not exist`
+                error: `Backup ${id} does not exist`
             };
             
         } catch (error) {
@@ -307,4 +958,7 @@ class BackupManager {
     }
 }
 
+BackupManager.DEFAULT_RETENTION = DEFAULT_RETENTION;
+BackupManager.selectBackupsToKeep = selectBackupsToKeep;
+
 module.exports = BackupManager;
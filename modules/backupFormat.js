@@ -0,0 +1,165 @@
+// Backup file format: a JSON envelope with a manifest and the gzip-compressed backup data.
+//
+//   {"mindkeepBackup":2,"manifest":{...},"payload":"<base64 of the gzipped backup JSON>"}
+//
+// The manifest repeats what the backup list shows (type, name, timestamp, counts) so listing
+// backups does not decompress them, and holds checksums: one of the whole uncompressed payload
+// and one per record (every note, trashed note and attachment, and each other section), so a
+// damaged file is detected before anything is restored and the damaged records can be named.
+// Backups written before this format are plain JSON without checksums; they are still read.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const FORMAT_VERSION = 2;
+const ENVELOPE_PREFIX = `{"mindkeepBackup":${FORMAT_VERSION},`;
+
+// Sections stored as one record per item, keyed by the item's id
+const ITEM_SECTIONS = ['notes', 'trash', 'attachments'];
+const MAX_REPORTED_PROBLEMS = 20;
+
+class BackupIntegrityError extends Error {
+    constructor(reason, problems = []) {
+        super(reason);
+        this.name = 'BackupIntegrityError';
+        this.problems = problems;
+    }
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Record key -> checksum for every part of the backup data
+function computeRecordChecksums(backupData) {
+    const records = {};
+    for (const [key, value] of Object.entries(backupData)) {
+        if (ITEM_SECTIONS.includes(key) && Array.isArray(value)) {
+            value.forEach((item, index) => {
+                records[`${key}/${item && item.id !== undefined ? item.id : `#${index}`}`] = sha256(JSON.stringify(item));
+            });
+        } else {
+            records[key] = sha256(JSON.stringify(value));
+        }
+    }
+    return records;
+}
+
+function countRecords(backupData) {
+    const length = key => (Array.isArray(backupData[key]) ? backupData[key].length : 0);
+    return {
+        notes: length('notes'),
+        trash: length('trash'),
+        tasks: length('tasks'),
+        meals: length('meals'),
+        attachments: length('attachments'),
+        categories: length('categories')
+    };
+}
+
+function isEnvelope(text) {
+    return text.startsWith(ENVELOPE_PREFIX);
+}
+
+function parseJson(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new BackupIntegrityError(/end of (JSON )?input|Unterminated/i.test(error.message)
+            ? `The ${what} is incomplete: it ends too early, probably cut off while being copied`
+            : `The ${what} is damaged: ${error.message}`);
+    }
+}
+
+function encodeBackup(backupData) {
+    const json = JSON.stringify(backupData);
+    const manifest = {
+        type: backupData.type,
+        trigger: backupData.trigger,
+        name: backupData.name,
+        timestamp: backupData.timestamp,
+        schemaVersion: backupData.schemaVersion,
+        counts: countRecords(backupData),
+        payload: { sha256: sha256(json), size: Buffer.byteLength(json) },
+        records: computeRecordChecksums(backupData)
+    };
+    const payload = zlib.gzipSync(json).toString('base64');
+    return JSON.stringify({ mindkeepBackup: FORMAT_VERSION, manifest, payload });
+}
+
+function readEnvelope(text) {
+    const envelope = parseJson(text, 'backup file');
+    if (!envelope.manifest || typeof envelope.payload !== 'string') {
+        throw new BackupIntegrityError('The backup file is damaged: its manifest or data is missing');
+    }
+    return envelope;
+}
+
+// The manifest of a backup without unpacking it; null for backups from before manifests
+function readManifest(text) {
+    return isEnvelope(text) ? readEnvelope(text).manifest : null;
+}
+
+// Check the file and every record against the manifest.
+// Returns { format: 'compressed' | 'legacy', data, manifest, problems, checkedRecords };
+// problems is empty when the backup is intact. Throws BackupIntegrityError if it cannot be read at all.
+function inspectBackup(text) {
+    if (!isEnvelope(text)) {
+        return { format: 'legacy', data: parseJson(text, 'backup file'), manifest: null, problems: [], checkedRecords: 0 };
+    }
+
+    const { manifest, payload } = readEnvelope(text);
+
+    let json;
+    try {
+        json = zlib.gunzipSync(Buffer.from(payload, 'base64')).toString('utf8');
+    } catch (error) {
+        throw new BackupIntegrityError(/unexpected end/i.test(error.message)
+            ? 'The backup data is incomplete: it ends too early, probably cut off while being copied'
+            : `The backup data is damaged and cannot be unpacked (${error.message})`);
+    }
+    const data = parseJson(json, 'backup data');
+
+    const problems = [];
+    const expected = manifest.records || {};
+    const actual = computeRecordChecksums(data);
+    for (const [key, checksum] of Object.entries(expected)) {
+        if (!(key in actual)) {
+            problems.push(`${key} is missing`);
+        } else if (actual[key] !== checksum) {
+            problems.push(`${key} was changed`);
+        }
+    }
+    for (const key of Object.keys(actual)) {
+        if (!(key in expected)) {
+            problems.push(`${key} was added`);
+        }
+    }
+    // The records say which parts differ; this catches anything they do not cover
+    if (problems.length === 0 && manifest.payload && sha256(json) !== manifest.payload.sha256) {
+        problems.push('the data does not match its checksum');
+    }
+
+    return { format: 'compressed', data, manifest, problems, checkedRecords: Object.keys(expected).length };
+}
+
+// The backup data, after checking it; throws BackupIntegrityError naming what is wrong
+function decodeBackup(text) {
+    const { data, problems } = inspectBackup(text);
+    if (problems.length > 0) {
+        const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+        const more = problems.length > shown.length ? ` and ${problems.length - shown.length} more` : '';
+        throw new BackupIntegrityError(`The backup does not match its checksums: ${shown.join(', ')}${more}`, problems);
+    }
+    return data;
+}
+
+module.exports = {
+    BackupIntegrityError,
+    encodeBackup,
+    decodeBackup,
+    inspectBackup,
+    readManifest,
+    isEnvelope,
+    countRecords
+};
@@ -0,0 +1,91 @@
+// Merging the notes of a backup file (for example from a teammate's vault) into the current notes.
+//
+// Each incoming note is matched with a current note by id, or else by title and text (the same
+// note imported elsewhere under a new id):
+//   new        - no match; it is added
+//   unchanged  - matched and the same
+//   duplicate  - same title and text as a current note with another id; it is skipped
+//   conflict   - same id, different contents; resolved as one of MERGE_RESOLUTIONS:
+//                mine (keep the current note), theirs (take the incoming one, the current version
+//                stays in the note's history), both (add theirs as a copy) or newest (by updatedAt)
+// Categories are compared by path, since the two vaults have their own category ids.
+
+const categoryList = require('./categories');
+const { htmlToPlainText, diffNotes } = require('./diff');
+
+const MERGE_RESOLUTIONS = ['mine', 'theirs', 'both', 'newest'];
+
+// The fields a restore or merge would change; timestamps alone do not count.
+// categoryKey replaces the category id when comparing notes of different vaults
+function noteFingerprint(note, categoryKey = note.categoryId) {
+    return JSON.stringify([note.title, categoryKey, note.tags || [], note.description || '', note.content || '',
+        Boolean(note.isPinned), note.lock || null]);
+}
+
+// Locked notes are sealed, so only their other fields can be compared
+function readableNote(note) {
+    return note.lock ? { ...note, content: '🔒 Locked note', description: '' } : note;
+}
+
+function matchKey(note) {
+    const text = note.lock ? JSON.stringify(note.lock) : htmlToPlainText(note.content).replace(/\s+/g, ' ');
+    return `${String(note.title || '').trim().toLowerCase()}\n${text.trim()}`;
+}
+
+function describeVersion(note) {
+    return { title: note.title || 'Untitled', category: note.category || '', updatedAt: note.updatedAt };
+}
+
+// Sort the incoming notes into new, unchanged, duplicate and conflict.
+// current and incoming are { notes, categories }; notes carry their category names.
+// Returns a list of { status, note, mine, changes } (mine and changes only when there is a match)
+function planMerge(current, incoming) {
+    const byId = new Map(current.notes.map(note => [note.id, note]));
+    const byKey = new Map(current.notes.map(note => [matchKey(note), note]));
+    const path = (categories, note) => categoryList.getCategoryPath(categories, note.categoryId).toLowerCase();
+
+    return incoming.notes.map(note => {
+        const mine = byId.get(note.id);
+        if (mine) {
+            const minePath = path(current.categories, mine);
+            const theirPath = path(incoming.categories, note);
+            if (noteFingerprint(mine, minePath) === noteFingerprint(note, theirPath)) {
+                return { status: 'unchanged', note, mine };
+            }
+            // The same category may be spelled differently in the other vault
+            const theirs = minePath === theirPath ? { ...note, category: mine.category } : note;
+            return { status: 'conflict', note, mine, changes: diffNotes(readableNote(mine), readableNote(theirs)) };
+        }
+
+        const duplicate = byKey.get(matchKey(note));
+        return duplicate ? { status: 'duplicate', note, mine: duplicate } : { status: 'new', note };
+    });
+}
+
+// Which version a conflict keeps under resolution: 'mine', 'theirs' or 'both'
+function chooseVersion(mine, theirs, resolution) {
+    if (!MERGE_RESOLUTIONS.includes(resolution)) {
+        throw new Error(`Unknown conflict resolution "${resolution}"`);
+    }
+    if (resolution !== 'newest') return resolution;
+    return new Date(theirs.updatedAt).getTime() > new Date(mine.updatedAt).getTime() ? 'theirs' : 'mine';
+}
+
+// The incoming version of a conflict kept next to the current note
+function createMergedCopy(note) {
+    return {
+        ...note,
+        id: Date.now().toString() + '_' + Math.random().toString(36).substring(2, 11),
+        title: `${note.title || 'Untitled'} (imported copy)`
+    };
+}
+
+module.exports = {
+    MERGE_RESOLUTIONS,
+    noteFingerprint,
+    readableNote,
+    describeVersion,
+    planMerge,
+    chooseVersion,
+    createMergedCopy
+};
@@ -0,0 +1,162 @@
+// Extra backup destinations (a USB drive, a mounted network folder, ...) that every backup is
+// copied to, so the backups do not live only on the disk of the data they protect.
+//
+// Each destination is { id, path, retention } and gets a folder per vault, "MindKeep - <vault>",
+// so several vaults can share a destination. Automatic backups there are pruned with the
+// destination's own grandfather-father-son retention; manual backups are kept. A destination that
+// is not there (drive unplugged, share not mounted) is skipped with a warning: it never fails the
+// backup itself. The result of the last run per destination is kept for the backup window.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./safeWrite');
+const BackupManager = require('./backup');
+
+const AUTO_BACKUP_PATTERN = /^backup-auto-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(-\d+)?\.json$/;
+
+// The time an automatic backup was made, from its file name (the file may be encrypted)
+function getAutoBackupTimestamp(file) {
+    const match = file.match(AUTO_BACKUP_PATTERN);
+    return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+function isInside(folder, parent) {
+    const relative = path.relative(parent, folder);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+class BackupMirror {
+    // vaultDir and vaultName: folder and display name of the vault;
+    // status: last run per destination id, as saved by onStatusChange
+    constructor({ vaultDir, vaultName = path.basename(vaultDir), destinations = [], status = {}, onStatusChange = null }) {
+        this.vaultDir = vaultDir;
+        this.folderName = `MindKeep - ${vaultName}`;
+        this.destinations = [];
+        this.status = { ...status };
+        this.onStatusChange = onStatusChange;
+
+        this.setDestinations(destinations);
+    }
+
+    // Check and clean a list of destinations; throws on a path that cannot be used
+    setDestinations(destinations) {
+        if (!Array.isArray(destinations)) {
+            throw new Error('Backup destinations must be a list');
+        }
+
+        const cleaned = [];
+        destinations.forEach((destination, index) => {
+            const folder = typeof destination.path === 'string' ? destination.path.trim() : '';
+            if (!folder || !path.isAbsolute(folder)) {
+                throw new Error(`"${folder}" is not a full folder path`);
+            }
+            const resolved = path.resolve(folder);
+            if (isInside(resolved, this.vaultDir) || isInside(this.vaultDir, resolved)) {
+                throw new Error(`${resolved} overlaps the vault folder; choose a folder elsewhere`);
+            }
+            if (cleaned.some(other => other.path === resolved)) {
+                throw new Error(`${resolved} is listed twice`);
+            }
+
+            const retention = {};
+            for (const period of Object.keys(BackupManager.DEFAULT_RETENTION)) {
+                const value = destination.retention ? parseInt(destination.retention[period], 10) : NaN;
+                retention[period] = Number.isNaN(value) ? BackupManager.DEFAULT_RETENTION[period] : Math.max(0, value);
+            }
+
+            cleaned.push({
+                id: typeof destination.id === 'string' && destination.id ? destination.id : `dest-${Date.now().toString(36)}-${index}`,
+                path: resolved,
+                retention
+            });
+        });
+
+        this.destinations = cleaned;
+
+        // Forget the status of removed destinations
+        const ids = new Set(cleaned.map(destination => destination.id));
+        for (const id of Object.keys(this.status)) {
+            if (!ids.has(id)) delete this.status[id];
+        }
+        return this.getDestinations();
+    }
+
+    getDestinations() {
+        return this.destinations.map(destination => ({
+            ...destination,
+            retention: { ...destination.retention },
+            folder: path.join(destination.path, this.folderName),
+            lastRun: this.status[destination.id] || null
+        }));
+    }
+
+    // Copy a backup file to every destination.
+    // Returns one { id, path, result: 'copied' | 'skipped' | 'failed', message, removed } per destination
+    async mirrorBackup(filePath, backupId) {
+        const results = [];
+        for (const destination of this.destinations) {
+            results.push(await this.copyTo(destination, filePath, backupId));
+        }
+
+        if (results.length > 0) {
+            for (const result of results) {
+                this.status[result.id] = { timestamp: result.timestamp, backupId, result: result.result, message: result.message };
+            }
+            if (this.onStatusChange) {
+                this.onStatusChange({ ...this.status });
+            }
+        }
+        return results;
+    }
+
+    async copyTo(destination, filePath, backupId) {
+        const result = {
+            id: destination.id,
+            path: destination.path,
+            timestamp: new Date().toISOString(),
+            backupId,
+            result: 'copied',
+            message: '',
+            removed: 0
+        };
+
+        // A missing destination is not created: it is probably a drive that is not plugged in
+        if (!fs.existsSync(destination.path)) {
+            console.warn(`Backup destination ${destination.path} is not available, skipping it`);
+            result.result = 'skipped';
+            result.message = 'The folder is not available (is the drive connected?)';
+            return result;
+        }
+
+        try {
+            const folder = path.join(destination.path, this.folderName);
+            await fs.promises.mkdir(folder, { recursive: true });
+            await writeFileAtomic(path.join(folder, path.basename(filePath)), await fs.promises.readFile(filePath));
+            result.removed = await this.applyRetention(folder, destination.retention);
+        } catch (error) {
+            console.error(`Copying backup to ${destination.path} failed:`, error);
+            result.result = 'failed';
+            result.message = error.message;
+        }
+        return result;
+    }
+
+    // Prune the automatic backups in a destination folder; returns how many were deleted
+    async applyRetention(folder, retention) {
+        const autoBackups = (await fs.promises.readdir(folder))
+            .map(file => ({ id: file, timestamp: getAutoBackupTimestamp(file) }))
+            .filter(backup => backup.timestamp);
+        const keep = BackupManager.selectBackupsToKeep(autoBackups, retention);
+
+        let removed = 0;
+        for (const backup of autoBackups) {
+            if (!keep.has(backup.id)) {
+                await fs.promises.rm(path.join(folder, backup.id), { force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = BackupMirror;
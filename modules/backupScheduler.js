@@ -0,0 +1,108 @@
+// Automatic backups: on an hourly or daily interval, on quit, and after a number of changes.
+// The schedule lives in settings.json; pruning is left to BackupManager's retention policy.
+
+const DEFAULT_SCHEDULE = {
+    interval: 'daily',    // 'off', 'hourly' or 'daily'
+    onQuit: false,
+    afterChanges: 0       // 0 disables change-count backups
+};
+
+const INTERVALS = {
+    hourly: 60 * 60 * 1000,
+    daily: 24 * 60 * 60 * 1000
+};
+
+const CHECK_INTERVAL = 5 * 60 * 1000;
+
+class BackupScheduler {
+    constructor(backupManager, schedule = {}) {
+        this.backupManager = backupManager;
+        this.schedule = { ...DEFAULT_SCHEDULE };
+        this.timer = null;
+        this.running = null;               // Backup in progress, so triggers don't overlap
+        this.changesSinceBackup = 0;
+
+        this.setSchedule(schedule);
+    }
+
+    setSchedule(schedule) {
+        const interval = (INTERVALS[schedule.interval] || schedule.interval === 'off')
+            ? schedule.interval
+            : DEFAULT_SCHEDULE.interval;
+
+        this.schedule = {
+            interval,
+            onQuit: schedule.onQuit ?? DEFAULT_SCHEDULE.onQuit,
+            afterChanges: Math.max(0, parseInt(schedule.afterChanges, 10) || 0)
+        };
+        return this.getSchedule();
+    }
+
+    getSchedule() {
+        return { ...this.schedule };
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => this.checkInterval(), CHECK_INTERVAL);
+        this.checkInterval();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getLastAutoBackupTime() {
+        const latest = this.backupManager.listBackups().find(backup => backup.type === 'auto' && !backup.error);
+        return latest ? new Date(latest.timestamp).getTime() : 0;
+    }
+
+    checkInterval() {
+        const intervalMs = INTERVALS[this.schedule.interval];
+        if (!intervalMs) return;
+
+        if (Date.now() - this.getLastAutoBackupTime() >= intervalMs) {
+            this.runBackup(this.schedule.interval);
+        }
+    }
+
+    // Called by the IPC handlers that change user data
+    recordChange() {
+        this.changesSinceBackup++;
+        if (this.schedule.afterChanges > 0 && this.changesSinceBackup >= this.schedule.afterChanges) {
+            this.runBackup('changes');
+        }
+    }
+
+    shouldBackupOnQuit() {
+        return this.schedule.onQuit && this.changesSinceBackup > 0;
+    }
+
+    runBackup(trigger) {
+        if (this.running) return this.running;
+
+        const changesAtStart = this.changesSinceBackup;
+        this.running = this.backupManager.createBackup({ type: 'auto', trigger })
+            .then(result => {
+                if (result.success) {
+                    this.changesSinceBackup = Math.max(0, this.changesSinceBackup - changesAtStart);
+                    console.log(`Automatic backup created (${trigger}): ${result.id}`);
+                } else {
+                    console.error(`Automatic backup failed (${trigger}):`, result.error);
+                }
+                return result;
+            })
+            .finally(() => {
+                this.running = null;
+            });
+
+        return this.running;
+    }
+}
+
+BackupScheduler.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
+
+module.exports = BackupScheduler;
@@ -0,0 +1,282 @@
+// Category list operations shared by both database backends and the schema migration.
+//
+// Categories are stored as { id, name, color, parentId } in display order. Notes point at their
+// category with note.categoryId; note.category is a copy of the name for display and search,
+// refreshed whenever notes are read, so renaming a category does not rewrite any notes.
+// Callers that predate ids may still pass a category name wherever an id is accepted.
+const crypto = require('crypto');
+
+const DEFAULT_CATEGORY_ID = 'general';
+const DEFAULT_COLOR = '#4a9eff';
+
+function createCategoryId() {
+    return crypto.randomUUID();
+}
+
+function createDefaultCategories() {
+    return [{ id: DEFAULT_CATEGORY_ID, name: 'General', color: DEFAULT_COLOR, parentId: null }];
+}
+
+// Look a category up by id, or by name for callers that only know names
+function findCategory(categories, ref) {
+    if (!ref) return null;
+    return categories.find(cat => cat.id === ref) || categories.find(cat => cat.name === ref) || null;
+}
+
+// Where notes go when their category disappears
+function getFallbackCategory(categories) {
+    return categories.find(cat => cat.id === DEFAULT_CATEGORY_ID) || categories[0] || null;
+}
+
+// Point a note at an existing category: categoryId wins unless a caller that only knows names
+// changed note.category to another category's name
+function resolveNoteCategory(categories, note) {
+    let category = categories.find(cat => cat.id && cat.id === note.categoryId) || null;
+    if (note.category && (!category || category.name !== note.category)) {
+        category = categories.find(cat => cat.name === note.category) || category;
+    }
+    category = category || getFallbackCategory(categories);
+
+    if (!category || !category.id) return note;
+    if (note.categoryId === category.id && note.category === category.name) return note;
+    return { ...note, categoryId: category.id, category: category.name };
+}
+
+// Refresh the display name of each note from its categoryId
+function withCategoryNames(categories, notes) {
+    const names = new Map(categories.filter(cat => cat.id).map(cat => [cat.id, cat.name]));
+    return notes.map(note => {
+        const name = note.categoryId ? names.get(note.categoryId) : undefined;
+        return name !== undefined && name !== note.category ? { ...note, category: name } : note;
+    });
+}
+
+function isDescendant(categories, categoryId, ancestorId) {
+    const seen = new Set();
+    let current = categories.find(cat => cat.id === categoryId);
+    while (current && current.parentId && !seen.has(current.id)) {
+        if (current.parentId === ancestorId) return true;
+        seen.add(current.id);
+        current = categories.find(cat => cat.id === current.parentId);
+    }
+    return false;
+}
+
+// The id of the category named by ref followed by the ids of all its subcategories
+function getCategoryWithDescendants(categories, ref) {
+    const category = findCategory(categories, ref);
+    if (!category) return [];
+    return [category.id, ...categories
+        .filter(cat => isDescendant(categories, cat.id, category.id))
+        .map(cat => cat.id)];
+}
+
+function resolveParentId(categories, parentRef, categoryId = null) {
+    if (!parentRef) return null;
+    const parent = findCategory(categories, parentRef);
+    if (!parent) {
+        throw new Error(`Parent category "${parentRef}" not found`);
+    }
+    if (categoryId && (parent.id === categoryId || isDescendant(categories, parent.id, categoryId))) {
+        throw new Error('A category cannot be moved inside itself');
+    }
+    return parent.id;
+}
+
+// Names only have to be unique among siblings
+function assertUniqueName(categories, name, parentId, categoryId = null) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('Category name is required');
+    }
+    const clash = categories.find(cat => cat.id !== categoryId &&
+        (cat.parentId || null) === parentId &&
+        cat.name.toLowerCase() === name.trim().toLowerCase());
+    if (clash) {
+        throw new Error(`A category named "${clash.name}" already exists here`);
+    }
+}
+
+function addCategory(categories, name, color, parentRef = null) {
+    const parentId = resolveParentId(categories, parentRef);
+    assertUniqueName(categories, name, parentId);
+
+    const category = { id: createCategoryId(), name: name.trim(), color: color || DEFAULT_COLOR, parentId };
+    return { categories: [...categories, category], category };
+}
+
+function updateCategory(categories, ref, name, color, parentRef = null) {
+    const existing = findCategory(categories, ref);
+    if (!existing) {
+        throw new Error(`Category "${ref}" not found`);
+    }
+
+    const parentId = resolveParentId(categories, parentRef, existing.id);
+    assertUniqueName(categories, name, parentId, existing.id);
+
+    const category = { ...existing, name: name.trim(), color: color || existing.color, parentId };
+    return { categories: categories.map(cat => cat.id === existing.id ? category : cat), category };
+}
+
+// Subcategories of a deleted category move up to the root
+function removeCategory(categories, ref) {
+    const category = findCategory(categories, ref);
+    if (!category) {
+        throw new Error(`Category "${ref}" not found`);
+    }
+    if (category.id === DEFAULT_CATEGORY_ID) {
+        throw new Error(`The "${category.name}" category cannot be deleted`);
+    }
+
+    const remaining = categories
+        .filter(cat => cat.id !== category.id)
+        .map(cat => cat.parentId === category.id ? { ...cat, parentId: null } : cat);
+    return { categories: remaining, category };
+}
+
+// Put categories in the order of the given ids (or names); unlisted ones keep their relative order at the end
+function reorderCategories(categories, refs) {
+    const ordered = [];
+    for (const ref of refs || []) {
+        const category = findCategory(categories, ref);
+        if (category && !ordered.includes(category)) {
+            ordered.push(category);
+        }
+    }
+    return [...ordered, ...categories.filter(cat => !ordered.includes(cat))];
+}
+
+// Bring the categories with the given ids from another list (a backup or an import) into categories,
+// together with their parents. Existing categories are left alone unless their id is in overwriteIds;
+// a missing category whose name a sibling already has is merged into that sibling.
+// Returns { categories, idMap }: the new list and a Map of incoming id -> id in the new list
+function mergeCategories(categories, incoming, ids, overwriteIds = new Set()) {
+    const result = categories.map(cat => ({ ...cat }));
+    const incomingById = new Map(incoming.map(cat => [cat.id, cat]));
+    const idMap = new Map();
+    const sameName = (cat, name, parentId) => (cat.parentId || null) === (parentId || null) &&
+        cat.name.toLowerCase() === String(name).toLowerCase();
+
+    const merge = (id) => {
+        if (idMap.has(id)) return idMap.get(id);
+        const category = incomingById.get(id);
+        if (!category) {
+            return result.some(cat => cat.id === id) ? id : null;
+        }
+
+        idMap.set(id, null);    // A loop in the incoming parents stops at the top level
+        const parentId = category.parentId ? merge(category.parentId) : null;
+        const existing = result.find(cat => cat.id === id);
+        let mergedId = id;
+
+        if (existing) {
+            if (overwriteIds.has(id)) {
+                const movesInside = parentId && (parentId === id || isDescendant(result, parentId, id));
+                const newParentId = movesInside ? existing.parentId : parentId;
+                const nameTaken = result.some(cat => cat.id !== id && sameName(cat, category.name, newParentId));
+                Object.assign(existing, {
+                    name: nameTaken ? existing.name : category.name,
+                    color: category.color || existing.color,
+                    parentId: newParentId || null
+                });
+            }
+        } else {
+            const sibling = result.find(cat => sameName(cat, category.name, parentId));
+            if (sibling) {
+                mergedId = sibling.id;
+            } else {
+                result.push({ id, name: category.name, color: category.color || DEFAULT_COLOR, parentId });
+            }
+        }
+
+        idMap.set(id, mergedId);
+        return mergedId;
+    };
+
+    ids.forEach(merge);
+    return { categories: result, idMap };
+}
+
+// "Parent/Child" names of a category from the top level down
+function getCategoryPath(categories, id) {
+    const names = [];
+    const seen = new Set();
+    let current = categories.find(cat => cat.id === id);
+    while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        names.unshift(current.name);
+        current = categories.find(cat => cat.id === current.parentId);
+    }
+    return names.join('/');
+}
+
+// Merge a category list from another vault into categories by path: an incoming category whose
+// path (names from the top level down, ignoring case) exists is that category; the others are
+// added, with a new id if theirs is taken here.
+// Returns { categories, idMap, added }: idMap maps incoming ids to ids in the new list
+function mergeCategoriesByPath(categories, incoming) {
+    const result = categories.map(cat => ({ ...cat }));
+    const incomingById = new Map(incoming.map(cat => [cat.id, cat]));
+    const idMap = new Map();
+    const added = [];
+
+    const merge = (category) => {
+        if (idMap.has(category.id)) return idMap.get(category.id);
+
+        idMap.set(category.id, null);    // A loop in the incoming parents stops at the top level
+        const parent = incomingById.get(category.parentId);
+        const parentId = parent ? merge(parent) : null;
+        const existing = result.find(cat => (cat.parentId || null) === parentId &&
+            cat.name.toLowerCase() === category.name.toLowerCase());
+
+        let id = existing ? existing.id : category.id;
+        if (!existing) {
+            if (result.some(cat => cat.id === id)) {
+                id = createCategoryId();
+            }
+            const created = { id, name: category.name, color: category.color || DEFAULT_COLOR, parentId };
+            result.push(created);
+            added.push(created);
+        }
+
+        idMap.set(category.id, id);
+        return id;
+    };
+
+    incoming.forEach(merge);
+    return { categories: result, idMap, added };
+}
+
+// Give name-keyed categories ids and turn parent names into parentId (schema 3 migration)
+function assignCategoryIds(categories) {
+    const generalIndex = categories.some(cat => cat.id === DEFAULT_CATEGORY_ID)
+        ? -1
+        : categories.findIndex(cat => !cat.id && cat.name === 'General' && !cat.parent);
+    const withIds = categories.map((cat, index) => ({
+        ...cat,
+        id: cat.id || (index === generalIndex ? DEFAULT_CATEGORY_ID : createCategoryId())
+    }));
+
+    return withIds.map(({ parent, ...cat }) => {
+        const parentCategory = parent ? withIds.find(other => other.name === parent && other.id !== cat.id) : null;
+        return { ...cat, parentId: cat.parentId || (parentCategory ? parentCategory.id : null) };
+    });
+}
+
+module.exports = {
+    DEFAULT_CATEGORY_ID,
+    createCategoryId,
+    createDefaultCategories,
+    findCategory,
+    getFallbackCategory,
+    resolveNoteCategory,
+    withCategoryNames,
+    getCategoryWithDescendants,
+    addCategory,
+    updateCategory,
+    removeCategory,
+    reorderCategories,
+    mergeCategories,
+    getCategoryPath,
+    mergeCategoriesByPath,
+    assignCategoryIds
+};
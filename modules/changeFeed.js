@@ -0,0 +1,56 @@
+// Typed data change events pushed from the main process to every window.
+// Changes made while one IPC call runs are sent together as a batch with the next revision
+// number, so a window that sees a gap in the revisions knows it missed something and reloads.
+//
+// Change types:
+//   { type: 'note-created', note }       { type: 'note-updated', note }
+//   { type: 'note-deleted', id }         { type: 'categories-changed', categories }
+
+// Past this many changes in one batch (backup restore, import) a full reload is cheaper
+const MAX_BATCH_CHANGES = 500;
+
+class ChangeFeed {
+    // send(batch) delivers a batch to the renderers: { revision, changes } or { revision, reset: true }
+    constructor(send) {
+        this.send = send;
+        this.revision = 0;
+        this.pending = [];
+        this.flushScheduled = false;
+    }
+
+    push(change) {
+        this.pending.push(change);
+
+        // Changes made outside an IPC call (timers, the folder watcher) still go out
+        if (!this.flushScheduled) {
+            this.flushScheduled = true;
+            setImmediate(() => this.flush());
+        }
+    }
+
+    flush() {
+        this.flushScheduled = false;
+        if (this.pending.length === 0) return;
+
+        const changes = this.pending;
+        this.pending = [];
+        this.revision++;
+
+        const batch = changes.length > MAX_BATCH_CHANGES
+            ? { revision: this.revision, reset: true }
+            : { revision: this.revision, changes };
+        try {
+            this.send(batch);
+        } catch (error) {
+            console.error('Sending data changes failed:', error);
+        }
+    }
+
+    // The revision a snapshot of the data taken now corresponds to
+    getRevision() {
+        this.flush();
+        return this.revision;
+    }
+}
+
+module.exports = ChangeFeed;
@@ -1,35 +1,96 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { app } = require('electron');
+const { diffNotes } = require('./diff');
+const revisionUtils = require('./noteRevisions');
+const { writeFileAtomic, writeFileAtomicSync, appendLineSync, removeStaleTempFiles } = require('./safeWrite');
+const { CURRENT_SCHEMA_VERSION, assertSupportedSchemaVersion } = require('./migrations');
+const { encodeText, decodeText } = require('./vault');
+const categoryList = require('./categories');
+
+const isNote = data => data && typeof data === 'object' && typeof data.id === 'string';
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
 
 class OptimizedDatabase {
-    constructor() {
-        this.dataDir = path.join(app.getPath('userData'), 'mindkeep-data');
-        this.notesDir = path.join(this.dataDir, 'notes');
+    // options.dataDir is the vault folder (default: mindkeep-data in the user data folder).
+    // options.cipher encrypts every data file except meta.json (see modules/vault.js).
+    // options.notesFolder names the folder holding note files (used by MarkdownDatabase)
+    constructor(options = {}) {
+        this.backend = 'json';
+        this.cipher = options.cipher || null;
+        this.dataDir = options.dataDir || path.join(app.getPath('userData'), 'mindkeep-data');
+        this.notesDir = path.join(this.dataDir, options.notesFolder || 'notes');
         this.backupsDir = path.join(this.dataDir, 'backups');
+        this.historyDir = path.join(this.dataDir, 'history');
+        this.trashDir = path.join(this.dataDir, 'trash');
+        this.quarantineDir = path.join(this.dataDir, 'quarantine');
+        this.journalFile = path.join(this.dataDir, 'journal.log');
         this.metaFile = path.join(this.dataDir, 'meta.json');
         this.categoriesFile = path.join(this.dataDir, 'categories.json');
+        this.tasksFile = path.join(this.dataDir, 'tasks.json');
+        this.mealsFile = path.join(this.dataDir, 'meals.json');
+        this.mealPlansFile = path.join(this.dataDir, 'meal-plans.json');
         
         // In-memory caches for performance
         this.notesCache = new Map();
+        this.trashCache = new Map();
         this.categoriesCache = [];
+        this.tasksCache = new Map();
+        this.taskListsCache = new Map();
+        this.mealsCache = [];
+        this.mealPlansCache = [];
         this.metaCache = {
             totalNotes: 0,
-            lastBackup: null,
-            version: '1.0.0'
+            totalTrashed: 0,
+            trashRetentionDays: 30,   // 0 keeps trashed notes until the trash is emptied
+            lastBackup: null
         };
         
         // Batch write optimization
         this.pendingWrites = new Set();
         this.writeTimeout = null;
         this.BATCH_DELAY = 500; // 500ms delay for batching writes
+        this.flushChain = Promise.resolve();  // Serializes batch flushes
+        this.flushingIds = new Set();         // Notes being written by the running flush
+        
+        // Problems found while loading, reported to the renderer at startup
+        this.loadReport = {
+            quarantined: [],
+            journalReplayed: 0,
+            journalSkipped: 0,
+            tempFilesRemoved: 0
+        };
+        
+        // Note revision history (loaded lazily per note)
+        this.historyCache = new Map();
+        this.pendingHistoryWrites = new Set();
+        this.MAX_REVISIONS = revisionUtils.MAX_REVISIONS;
+        this.MAX_REVISION_AGE_DAYS = revisionUtils.MAX_REVISION_AGE_DAYS;
+        
+        // External changes to notes/ (e.g. a folder synced with other machines)
+        this.noteFileHashes = new Map();    // Note id -> hash of its file as last read or written here
+        this.noteConflicts = new Map();     // Notes changed both on disk and here, until resolved
+        this.watcher = null;
+        this.watchRecursive = false;        // Note files sit directly in notes/
+        this.watchTimeout = null;
+        this.WATCH_DELAY = 300;             // Sync tools write in bursts
+        this.changedNoteIds = new Set();
+        this.rescanNotes = false;
+        this.onExternalChange = null;
+        
+        // Receives a typed change event for every note or category change (see modules/changeFeed.js)
+        this.changeListener = null;
         
         this.ensureDirectories();
         this.loadData();
     }
     
     ensureDirectories() {
-        [this.dataDir, this.notesDir, this.backupsDir].forEach(dir => {
+        [this.dataDir, this.notesDir, this.backupsDir, this.historyDir, this.trashDir].forEach(dir => {
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true });
             }
@@ -37,57 +98,342 @@ class OptimizedDatabase {
     }
     
     loadData() {
+        // Temp files are leftovers from writes interrupted by a crash
+        this.loadReport.tempFilesRemoved = [this.dataDir, this.notesDir, this.trashDir, this.historyDir]
+            .reduce((count, dir) => count + removeStaleTempFiles(dir), 0);
+        
+        // Load meta information first: data from a newer version must not be touched
+        if (fs.existsSync(this.metaFile)) {
+            const meta = this.readJsonFile(this.metaFile);
+            if (meta) {
+                this.metaCache = { ...this.metaCache, ...meta };
+            }
+        } else if (!fs.existsSync(this.categoriesFile)) {
+            // Fresh data folder: nothing to migrate
+            this.metaCache.schemaVersion = CURRENT_SCHEMA_VERSION;
+        }
+        assertSupportedSchemaVersion(this.metaCache);
+        
         // Load categories
+        const categories = fs.existsSync(this.categoriesFile) ? this.readJsonFile(this.categoriesFile) : null;
+        if (Array.isArray(categories)) {
+            this.categoriesCache = categories;
+        } else {
+            this.categoriesCache = categoryList.createDefaultCategories();
+            this.saveCategories();
+        }
+        
+        // Load tasks and task lists
+        const taskData = fs.existsSync(this.tasksFile)
+            ? this.readJsonFile(this.tasksFile, data => Array.isArray(data.tasks) && Array.isArray(data.lists))
+            : null;
+        if (taskData) {
+            taskData.lists.forEach(list => this.taskListsCache.set(list.id, list));
+            taskData.tasks.forEach(task => this.tasksCache.set(task.id, task));
+        }
+        
+        // Load meal planner data
+        this.mealsCache = (fs.existsSync(this.mealsFile) && this.readJsonFile(this.mealsFile, Array.isArray)) || [];
+        this.mealPlansCache = (fs.existsSync(this.mealPlansFile) && this.readJsonFile(this.mealPlansFile, Array.isArray)) || [];
+        
+        // Load notes from individual files, then apply saves that never reached them
+        this.loadNotes();
+        this.loadTrash();
+        this.replayJournal();
+        this.purgeExpiredTrash();
+    }
+    
+    // Parse a JSON file; unreadable files are moved to the quarantine folder and reported
+    readJsonFile(filePath, validate = null) {
         try {
-            if (fs.existsSync(this.categoriesFile)) {
-                this.categoriesCache = JSON.parse(fs.readFileSync(this.categoriesFile, 'utf8'));
-            } else {
-                this.categoriesCache = [{name: 'General', color: '#4a9eff', parent: null}];
-                this.saveCategories();
+            const data = JSON.parse(decodeText(this.cipher, fs.readFileSync(filePath, 'utf8')));
+            if (validate && !validate(data)) {
+                throw new Error('Unexpected data shape');
             }
+            return data;
         } catch (error) {
-            console.error('Error loading categories:', error);
-            this.categoriesCache = [{name: 'General', color: '#4a9eff', parent: null}];
+            this.quarantineFile(filePath, error.message);
+            return null;
         }
-        
-        // Load meta information
+    }
+    
+    // Contents for a data file, encrypted when the vault is encrypted
+    serialize(data) {
+        return encodeText(this.cipher, JSON.stringify(data, null, 2));
+    }
+    
+    quarantineFile(filePath, reason) {
         try {
-            if (fs.existsSync(this.metaFile)) {
-                this.metaCache = { ...this.metaCache, ...JSON.parse(fs.readFileSync(this.metaFile, 'utf8')) };
+            if (!fs.existsSync(this.quarantineDir)) {
+                fs.mkdirSync(this.quarantineDir, { recursive: true });
             }
+            
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const relativeName = path.relative(this.dataDir, filePath).replace(/[\\/]/g, '_');
+            const quarantinePath = path.join(this.quarantineDir, `${timestamp}-${relativeName}`);
+            fs.renameSync(filePath, quarantinePath);
+            
+            console.warn(`Quarantined ${filePath}: ${reason}`);
+            this.loadReport.quarantined.push({
+                file: path.relative(this.dataDir, filePath),
+                reason,
+                quarantinePath
+            });
         } catch (error) {
-            console.error('Error loading meta:', error);
+            console.error(`Could not quarantine ${filePath}:`, error);
+        }
+    }
+    
+    getLoadReport() {
+        return {
+            ...this.loadReport,
+            quarantineDir: this.quarantineDir
+        };
+    }
+    
+    // A note file and the hash of its contents. Damaged files are quarantined at load; while
+    // watching, pass quarantine = false: the file may be half-synced and is read again once it changes.
+    readNoteFile(filePath, quarantine = true) {
+        try {
+            const text = fs.readFileSync(filePath, 'utf8');
+            const note = this.parseNoteText(text, filePath);
+            if (!isNote(note)) {
+                throw new Error('Unexpected data shape');
+            }
+            return { note, hash: hashText(text), filePath };
+        } catch (error) {
+            if (quarantine) {
+                this.quarantineFile(filePath, error.message);
+            }
+            return null;
+        }
+    }
+    
+    // The file format of a note; subclasses storing notes differently override these.
+    // options.readOnly: parsing must not change the vault (see MarkdownDatabase)
+    parseNoteText(text, filePath, options = {}) {
+        return JSON.parse(decodeText(this.cipher, text));
+    }
+    
+    serializeNote(note, filePath) {
+        return this.serialize(note);
+    }
+    
+    // Note files in notes/
+    listNoteFiles() {
+        if (!fs.existsSync(this.notesDir)) return [];
+        return fs.readdirSync(this.notesDir)
+            .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+            .map(file => path.join(this.notesDir, file));
+    }
+    
+    // Where a note's file is now (null if it has none)
+    getNoteFile(id) {
+        return path.join(this.notesDir, `${id}.json`);
+    }
+    
+    // Where a note is written next
+    getNoteTargetFile(note) {
+        return this.getNoteFile(note.id);
+    }
+    
+    // Called once a note's file is written to filePath
+    noteFileWritten(id, filePath) {}
+    
+    // All writes to notes/ go through these, so the watcher can tell them from external changes
+    writeNoteFileSync(note) {
+        const filePath = this.getNoteTargetFile(note);
+        const text = this.serializeNote(note, filePath);
+        const previousHash = this.noteFileHashes.get(note.id);
+        this.noteFileHashes.set(note.id, hashText(text));
+        try {
+            writeFileAtomicSync(filePath, text);
+        } catch (error) {
+            this.restoreNoteFileHash(note.id, previousHash);
+            throw error;
+        }
+        this.noteFileWritten(note.id, filePath);
+    }
+    
+    async writeNoteFile(note) {
+        const filePath = this.getNoteTargetFile(note);
+        const text = this.serializeNote(note, filePath);
+        const previousHash = this.noteFileHashes.get(note.id);
+        this.noteFileHashes.set(note.id, hashText(text));
+        try {
+            await writeFileAtomic(filePath, text);
+        } catch (error) {
+            this.restoreNoteFileHash(note.id, previousHash);
+            throw error;
+        }
+        this.noteFileWritten(note.id, filePath);
+    }
+    
+    removeNoteFile(id) {
+        const filePath = this.getNoteFile(id);
+        this.noteFileHashes.delete(id);
+        if (filePath) {
+            fs.rmSync(filePath, { force: true });
+        }
+    }
+    
+    restoreNoteFileHash(id, hash) {
+        if (hash) {
+            this.noteFileHashes.set(id, hash);
+        } else {
+            this.noteFileHashes.delete(id);
         }
-        
-        // Load notes from individual files
-        this.loadNotes();
     }
     
     loadNotes() {
         this.notesCache.clear();
+        this.noteFileHashes.clear();
+        
+        for (const filePath of this.listNoteFiles()) {
+            const noteFile = this.readNoteFile(filePath);
+            if (noteFile) {
+                this.notesCache.set(noteFile.note.id, noteFile.note);
+                this.noteFileHashes.set(noteFile.note.id, noteFile.hash);
+            }
+        }
+        
+        this.metaCache.totalNotes = this.notesCache.size;
+    }
+    
+    loadTrash() {
+        this.trashCache.clear();
         
-        if (!fs.existsSync(this.notesDir)) return;
+        if (!fs.existsSync(this.trashDir)) return;
         
-        const noteFiles = fs.readdirSync(this.notesDir).filter(file => file.endsWith('.json'));
+        const trashFiles = fs.readdirSync(this.trashDir).filter(file => file.endsWith('.json'));
         
-        for (const file of noteFiles) {
+        for (const file of trashFiles) {
+            const noteData = this.readJsonFile(path.join(this.trashDir, file), isNote);
+            if (noteData) {
+                this.trashCache.set(noteData.id, noteData);
+            }
+        }
+        
+        this.metaCache.totalTrashed = this.trashCache.size;
+    }
+    
+    // Write-ahead journal: every save is appended (and fsynced) before the batched write,
+    // so edits still waiting for BATCH_DELAY survive a crash and are replayed at startup.
+    // Several entries are appended with one fsync
+    appendJournal(...entries) {
+        if (entries.length === 0) return;
+        try {
+            appendLineSync(this.journalFile, entries.map(entry => encodeText(this.cipher, JSON.stringify(entry))).join('\n'));
+        } catch (error) {
+            console.error('Error writing journal:', error);
+        }
+    }
+    
+    replayJournal() {
+        if (!fs.existsSync(this.journalFile)) return;
+        
+        const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n').filter(line => line.trim());
+        const conflicts = new Map();
+        
+        for (const line of lines) {
+            let entry;
             try {
-                const noteData = JSON.parse(fs.readFileSync(path.join(this.notesDir, file), 'utf8'));
-                this.notesCache.set(noteData.id, noteData);
+                entry = JSON.parse(decodeText(this.cipher, line));
             } catch (error) {
-                console.error(`Error loading note ${file}:`, error);
+                // A torn last line means the crash happened mid-append; that save never returned
+                this.loadReport.journalSkipped++;
+                continue;
             }
+            
+            if (entry.op === 'save' && entry.note && typeof entry.note.id === 'string') {
+                this.notesCache.set(entry.note.id, entry.note);
+                this.writeNoteFileSync(entry.note);
+                this.loadReport.journalReplayed++;
+            } else if (entry.op === 'conflict' && entry.note && typeof entry.note.id === 'string') {
+                conflicts.set(entry.note.id, entry.note);
+            } else if (entry.op === 'delete' && this.notesCache.has(entry.id)) {
+                this.notesCache.delete(entry.id);
+                this.removeNoteFile(entry.id);
+            }
+        }
+        
+        // Conflicts left unresolved: the file keeps the other version, the latest save here becomes a copy
+        for (const note of conflicts.values()) {
+            this.saveConflictedCopySync(note);
+            this.loadReport.journalReplayed++;
+        }
+        
+        if (this.loadReport.journalReplayed > 0) {
+            console.log(`Replayed ${this.loadReport.journalReplayed} journaled note save(s)`);
         }
         
+        fs.rmSync(this.journalFile, { force: true });
         this.metaCache.totalNotes = this.notesCache.size;
     }
     
+    // Rewrite the journal so it only holds saves that are not on disk yet
+    compactJournal() {
+        const pending = Array.from(new Set([...this.pendingWrites, ...this.flushingIds]))
+            .filter(noteId => !this.noteConflicts.has(noteId))
+            .map(noteId => this.notesCache.get(noteId))
+            .filter(Boolean);
+        const conflicts = Array.from(this.noteConflicts.values()).filter(conflict => conflict.local);
+        
+        if (pending.length === 0 && conflicts.length === 0) {
+            fs.rmSync(this.journalFile, { force: true });
+            return;
+        }
+        
+        const entries = [
+            ...pending.map(note => ({ op: 'save', note })),
+            ...conflicts.map(conflict => ({ op: 'conflict', note: conflict.local }))
+        ];
+        const lines = entries.map(entry => encodeText(this.cipher, JSON.stringify(entry)));
+        writeFileAtomicSync(this.journalFile, lines.join('\n') + '\n');
+    }
+    
+    setChangeListener(listener) {
+        this.changeListener = listener;
+    }
+    
+    emitChange(change) {
+        if (this.changeListener) {
+            this.changeListener(change);
+        }
+    }
+    
+    emitNoteChange(id, existed) {
+        this.emitChange({ type: existed ? 'note-updated' : 'note-created', note: this.getNote(id) });
+    }
+    
     // Optimized note operations
     async saveNote(note) {
+        this.appendJournal(this.stageNote(note));
+        this.scheduleWrite();
+        return true;
+    }
+    
+    // Bulk saves (restore, merge, migrations, sync): the notes share one journal append and fsync
+    async saveNotes(notes) {
+        this.appendJournal(...notes.map(note => this.stageNote(note)));
+        this.scheduleWrite();
+        return notes.length;
+    }
+    
+    // Take a note into the cache for the next batched write; returns its journal entry
+    stageNote(note) {
+        note = categoryList.resolveNoteCategory(this.categoriesCache, note);
+        this.recordRevision(note);
+        const existed = this.notesCache.has(note.id);
         this.notesCache.set(note.id, { ...note });
+        this.emitNoteChange(note.id, existed);
         this.pendingWrites.add(note.id);
-        
-        // Batch writes for performance
+        // A note in conflict must not overwrite the other version if the journal is replayed
+        return { op: this.noteConflicts.has(note.id) ? 'conflict' : 'save', note };
+    }
+    
+    // Batch writes for performance
+    scheduleWrite() {
         if (this.writeTimeout) {
             clearTimeout(this.writeTimeout);
         }
@@ -95,58 +441,351 @@ class OptimizedDatabase {
         this.writeTimeout = setTimeout(() => {
             this.flushPendingWrites();
         }, this.BATCH_DELAY);
-        
-        return true;
     }
     
     flushPendingWrites() {
+        this.writeTimeout = null;
+        this.flushChain = this.flushChain.then(() => this.writePendingNotes());
+        return this.flushChain;
+    }
+    
+    async writePendingNotes() {
         const writes = Array.from(this.pendingWrites);
         this.pendingWrites.clear();
+        this.flushingIds = new Set(writes);
         
-        // Write notes in parallel
-        const writePromises = writes.map(noteId => {
-            const note = this.notesCache.get(noteId);
-            if (note) {
-                const filePath = path.join(this.notesDir, `${noteId}.json`);
-                return fs.promises.writeFile(filePath, JSON.stringify(note, null, 2));
+        try {
+            // A note changed on disk since it was read is not overwritten but reported as a conflict
+            const conflicts = writes.filter(noteId => this.notesCache.has(noteId) && this.detectConflict(noteId));
+            
+            // Write notes in parallel
+            await Promise.all(writes.map(noteId => {
+                const note = this.notesCache.get(noteId);
+                if (note && !this.noteConflicts.has(noteId)) {
+                    return this.writeNoteFile(note);
+                }
+            }));
+            
+            this.flushingIds.clear();
+            if (conflicts.length > 0) {
+                this.reportExternalChanges({ changed: [], removed: [], conflicts });
             }
-        });
-        
-        Promise.all(writePromises).catch(error => {
+            this.compactJournal();
+        } catch (error) {
+            // The journal still holds these saves; retry them with the next batch
             console.error('Error in batch write:', error);
-        });
+            writes.forEach(noteId => {
+                if (this.notesCache.has(noteId)) this.pendingWrites.add(noteId);
+            });
+            this.flushingIds.clear();
+        }
+        
+        await this.flushHistoryWrites();
         
         // Update meta
         this.metaCache.totalNotes = this.notesCache.size;
         this.saveMeta();
     }
     
+    // Synchronous flush for app shutdown, where async work may never finish
+    flushPendingWritesSync() {
+        if (this.writeTimeout) {
+            clearTimeout(this.writeTimeout);
+            this.writeTimeout = null;
+        }
+        
+        const writes = Array.from(new Set([...this.pendingWrites, ...this.flushingIds]));
+        this.pendingWrites.clear();
+        this.stopWatching();
+        
+        for (const noteId of writes) {
+            const note = this.notesCache.get(noteId);
+            if (note && !this.detectConflict(noteId)) {
+                this.writeNoteFileSync(note);
+            }
+        }
+        
+        // Nobody is left to choose: the file keeps the other version, ours is saved as a copy
+        for (const noteId of Array.from(this.noteConflicts.keys())) {
+            this.resolveNoteConflictSync(noteId, 'both');
+        }
+        
+        for (const noteId of this.pendingHistoryWrites) {
+            const revisions = this.historyCache.get(noteId);
+            if (revisions) {
+                writeFileAtomicSync(this.getHistoryFile(noteId), this.serialize(revisions));
+            }
+        }
+        this.pendingHistoryWrites.clear();
+        
+        fs.rmSync(this.journalFile, { force: true });
+        this.metaCache.totalNotes = this.notesCache.size;
+        this.saveMeta();
+    }
+    
+    // Soft delete: the note moves to the trash with its category and tags intact
     deleteNote(id) {
         if (this.notesCache.has(id)) {
-            this.notesCache.delete(id);
-            const filePath = path.join(this.notesDir, `${id}.json`);
+            const trashedNote = { ...this.notesCache.get(id), deletedAt: new Date().toISOString() };
             
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
+            writeFileAtomicSync(path.join(this.trashDir, `${id}.json`), this.serialize(trashedNote));
+            this.trashCache.set(id, trashedNote);
+            
+            this.notesCache.delete(id);
+            this.pendingWrites.delete(id);
+            this.noteConflicts.delete(id);
+            this.appendJournal({ op: 'delete', id });
+            this.removeNoteFile(id);
+            this.emitChange({ type: 'note-deleted', id });
             
             this.metaCache.totalNotes = this.notesCache.size;
+            this.metaCache.totalTrashed = this.trashCache.size;
             this.saveMeta();
             return true;
         }
         return false;
     }
     
+    // Trash operations
+    getTrash() {
+        const trash = Array.from(this.trashCache.values()).sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+        return categoryList.withCategoryNames(this.categoriesCache, trash);
+    }
+    
+    async restoreFromTrash(id) {
+        const trashedNote = this.trashCache.get(id);
+        if (!trashedNote) return false;
+        
+        const { deletedAt, ...note } = trashedNote;
+        
+        // The original category may have been deleted while the note was in the trash
+        if (!this.categoriesCache.some(cat => cat.id === note.categoryId)) {
+            const fallback = categoryList.getFallbackCategory(this.categoriesCache);
+            note.categoryId = fallback.id;
+            note.category = fallback.name;
+        }
+        
+        this.removeTrashFile(id);
+        await this.saveNote(note);
+        await this.forceWrite();
+        return true;
+    }
+    
+    // Permanently delete a trashed note together with its revision history
+    purgeFromTrash(id) {
+        if (!this.trashCache.has(id)) return false;
+        
+        this.removeTrashFile(id);
+        this.clearHistory(id);
+        
+        this.saveMeta();
+        return true;
+    }
+    
+    emptyTrash() {
+        const ids = Array.from(this.trashCache.keys());
+        ids.forEach(id => this.purgeFromTrash(id));
+        return ids.length;
+    }
+    
+    purgeExpiredTrash() {
+        const retentionDays = this.metaCache.trashRetentionDays;
+        if (!retentionDays) return 0;
+        
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.getTrash().filter(note => new Date(note.deletedAt).getTime() < cutoff);
+        expired.forEach(note => this.purgeFromTrash(note.id));
+        
+        if (expired.length > 0) {
+            console.log(`Purged ${expired.length} note(s) from trash`);
+        }
+        return expired.length;
+    }
+    
+    getTrashRetentionDays() {
+        return this.metaCache.trashRetentionDays;
+    }
+    
+    setTrashRetentionDays(days) {
+        this.metaCache.trashRetentionDays = Math.max(0, parseInt(days, 10) || 0);
+        this.saveMeta();
+        this.purgeExpiredTrash();
+        return true;
+    }
+    
+    // Replace the whole trash (used by backup restore)
+    replaceTrash(trashedNotes) {
+        Array.from(this.trashCache.keys()).forEach(id => this.removeTrashFile(id));
+        
+        for (const note of trashedNotes) {
+            writeFileAtomicSync(path.join(this.trashDir, `${note.id}.json`), this.serialize(note));
+            this.trashCache.set(note.id, note);
+        }
+        
+        this.metaCache.totalTrashed = this.trashCache.size;
+        this.saveMeta();
+    }
+    
+    removeTrashFile(id) {
+        this.trashCache.delete(id);
+        const trashFile = path.join(this.trashDir, `${id}.json`);
+        
+        if (fs.existsSync(trashFile)) {
+            fs.unlinkSync(trashFile);
+        }
+        
+        this.metaCache.totalTrashed = this.trashCache.size;
+    }
+    
+    // Remove every live note (used by backup restore before the backup's notes are saved)
+    clearNotes() {
+        const ids = Array.from(this.notesCache.keys());
+        this.appendJournal(...ids.map(id => ({ op: 'delete', id })));
+        for (const id of ids) {
+            this.pendingWrites.delete(id);
+            this.removeNoteFile(id);
+            this.emitChange({ type: 'note-deleted', id });
+        }
+        this.notesCache.clear();
+        this.noteConflicts.clear();
+        this.metaCache.totalNotes = 0;
+    }
+    
     getNotes() {
-        return Array.from(this.notesCache.values()).sort((a, b) => {
+        const notes = Array.from(this.notesCache.values()).sort((a, b) => {
             if (a.isPinned && !b.isPinned) return -1;
             if (!a.isPinned && b.isPinned) return 1;
             return new Date(b.updatedAt) - new Date(a.updatedAt);
         });
+        return categoryList.withCategoryNames(this.categoriesCache, notes);
     }
     
     getNote(id) {
-        return this.notesCache.get(id);
+        const note = this.notesCache.get(id);
+        return note && categoryList.withCategoryNames(this.categoriesCache, [note])[0];
+    }
+    
+    // Note revision history
+    getHistoryFile(noteId) {
+        return path.join(this.historyDir, `${noteId}.json`);
+    }
+    
+    loadHistory(noteId) {
+        if (this.historyCache.has(noteId)) {
+            return this.historyCache.get(noteId);
+        }
+        
+        let revisions = [];
+        const historyFile = this.getHistoryFile(noteId);
+        try {
+            if (fs.existsSync(historyFile)) {
+                revisions = JSON.parse(decodeText(this.cipher, fs.readFileSync(historyFile, 'utf8')));
+            }
+        } catch (error) {
+            console.error(`Error loading history for note ${noteId}:`, error);
+        }
+        
+        this.historyCache.set(noteId, revisions);
+        return revisions;
+    }
+    
+    recordRevision(note) {
+        if (!note || !note.id) return;
+        
+        const revisions = this.loadHistory(note.id);
+        
+        // Notes saved before history existed get their current version recorded first
+        const previous = this.notesCache.get(note.id);
+        if (revisions.length === 0 && previous) {
+            revisions.push(revisionUtils.createRevision(previous, previous.updatedAt || new Date().toISOString()));
+        }
+        
+        const latest = revisions[revisions.length - 1];
+        if (latest && revisionUtils.isSameRevision(latest, note)) {
+            return;
+        }
+        
+        revisions.push(revisionUtils.createRevision(note));
+        revisionUtils.pruneRevisions(revisions, this.MAX_REVISIONS, this.MAX_REVISION_AGE_DAYS);
+        this.pendingHistoryWrites.add(note.id);
+    }
+    
+    flushHistoryWrites() {
+        const noteIds = Array.from(this.pendingHistoryWrites);
+        this.pendingHistoryWrites.clear();
+        
+        const writePromises = noteIds.map(noteId => {
+            const revisions = this.historyCache.get(noteId);
+            if (revisions) {
+                return writeFileAtomic(this.getHistoryFile(noteId), this.serialize(revisions));
+            }
+        });
+        
+        return Promise.all(writePromises).catch(error => {
+            console.error('Error writing note history:', error);
+        });
+    }
+    
+    // Drop every stored revision of a note
+    clearHistory(noteId) {
+        this.historyCache.delete(noteId);
+        this.pendingHistoryWrites.delete(noteId);
+        const historyFile = this.getHistoryFile(noteId);
+        if (fs.existsSync(historyFile)) {
+            fs.unlinkSync(historyFile);
+        }
+    }
+    
+    // Revision list for a note, newest first, without the full content
+    getNoteHistory(noteId) {
+        return this.loadHistory(noteId).map(revisionUtils.summarizeRevision).reverse();
+    }
+    
+    getRevision(noteId, revisionId) {
+        return this.loadHistory(noteId).find(revision => revision.revisionId === revisionId) || null;
+    }
+    
+    // Word-level diff between two revisions (use 'current' for the live note)
+    diffRevisions(noteId, fromRevisionId, toRevisionId) {
+        const resolve = (revisionId) => revisionId === 'current'
+            ? this.notesCache.get(noteId)
+            : this.getRevision(noteId, revisionId);
+        
+        const from = resolve(fromRevisionId);
+        const to = resolve(toRevisionId);
+        
+        if (!from || !to) {
+            return {
+                success: false,
+                error: 'Revision not found'
+            };
+        }
+        
+        return {
+            success: true,
+            fromTimestamp: from.timestamp || from.updatedAt,
+            toTimestamp: to.timestamp || to.updatedAt,
+            changes: diffNotes(from, to)
+        };
+    }
+    
+    // Restoring saves the old version as a new revision, so a restore can itself be undone
+    async restoreRevision(noteId, revisionId) {
+        const revision = this.getRevision(noteId, revisionId);
+        if (!revision) {
+            return {
+                success: false,
+                error: 'Revision not found'
+            };
+        }
+        
+        const restored = revisionUtils.buildRestoredNote(noteId, this.notesCache.get(noteId), revision);
+        await this.saveNote(restored);
+        
+        return {
+            success: true,
+            note: restored
+        };
     }
     
     // Category operations
@@ -154,82 +793,450 @@ class OptimizedDatabase {
         return [...this.categoriesCache];
     }
     
+    // Category methods accept an id or, for older callers, a name
     addCategory(name, color, parent = null) {
-        this.categoriesCache.push({ name, color, parent });
+        const result = categoryList.addCategory(this.categoriesCache, name, color, parent);
+        this.categoriesCache = result.categories;
         this.saveCategories();
-        return true;
+        return result.category;
     }
 
-    updateCategory(oldName, newName, color, parent = null) {
-        // Find the category to update
-        const categoryIndex = this.categoriesCache.findIndex(cat => cat.name === oldName);
-        if (categoryIndex === -1) {
-            throw new Error(`Category "${oldName}" not found`);
-        }
-
-        // Update the category
-        this.categoriesCache[categoryIndex] = { name: newName, color, parent };
+    // Renaming only touches the category: note names are refreshed when notes are read
+    updateCategory(ref, newName, color, parent = null) {
+        const result = categoryList.updateCategory(this.categoriesCache, ref, newName, color, parent);
+        this.categoriesCache = result.categories;
+        this.saveCategories();
+        return result.category;
+    }
 
-        // If the name changed, update all notes that use this category
-        if (oldName !== newName) {
-            for (const note of this.notesCache.values()) {
-                if (note.category === oldName) {
-                    note.category = newName;
-                    this.saveNote(note);
-                }
-            }
+    deleteCategory(ref) {
+        const { categories, category } = categoryList.removeCategory(this.categoriesCache, ref);
+        this.categoriesCache = categories;
+        this.saveCategories();
 
-            // Update any child categories that have this as parent
-            for (const category of this.categoriesCache) {
-                if (category.parent === oldName) {
-                    category.parent = newName;
-                }
+        // Move notes to the fallback (General) category
+        for (const note of this.notesCache.values()) {
+            if (note.categoryId === category.id) {
+                this.saveNote({ ...note, categoryId: null, category: null });
             }
         }
-
+        return true;
+    }
+    
+    // Persist the sidebar order set by drag and drop
+    reorderCategories(ids) {
+        this.categoriesCache = categoryList.reorderCategories(this.categoriesCache, ids);
         this.saveCategories();
         return true;
     }
-
-    deleteCategory(name) {
-        // Move notes to General category
-        for (const note of this.notesCache.values()) {
-            if (note.category === name) {
-                note.category = 'General';
-                this.saveNote(note);
+    
+    saveCategories() {
+        writeFileAtomicSync(this.categoriesFile, this.serialize(this.categoriesCache));
+        this.emitChange({ type: 'categories-changed', categories: this.getCategories() });
+    }
+    
+    // Replace the whole category list (used by backup restore)
+    replaceCategories(categories) {
+        this.categoriesCache = [...categories];
+        this.saveCategories();
+    }
+    
+    // Task operations
+    getTasks() {
+        return Array.from(this.tasksCache.values());
+    }
+    
+    getTaskLists() {
+        return Array.from(this.taskListsCache.values());
+    }
+    
+    saveTask(task) {
+        this.tasksCache.set(task.id, task);
+        this.saveTasks();
+        return true;
+    }
+    
+    deleteTask(id) {
+        if (!this.tasksCache.delete(id)) return false;
+        this.saveTasks();
+        return true;
+    }
+    
+    saveTaskList(list) {
+        this.taskListsCache.set(list.id, list);
+        this.saveTasks();
+        return true;
+    }
+    
+    // Deleting a list deletes the tasks in it
+    deleteTaskList(id) {
+        if (!this.taskListsCache.delete(id)) return false;
+        for (const task of this.tasksCache.values()) {
+            if (task.listId === id) {
+                this.tasksCache.delete(task.id);
             }
         }
-
-        this.categoriesCache = this.categoriesCache.filter(cat => cat.name !== name);
-        this.saveCategories();
+        this.saveTasks();
         return true;
     }
     
-    saveCategories() {
-        fs.writeFileSync(this.categoriesFile, JSON.stringify(this.categoriesCache, null, 2));
+    // Add tasks and lists that are not stored yet (used to take over the renderer's localStorage data)
+    importTasks(tasks, lists) {
+        let imported = 0;
+        lists.filter(list => !this.taskListsCache.has(list.id)).forEach(list => this.taskListsCache.set(list.id, list));
+        for (const task of tasks) {
+            if (!this.tasksCache.has(task.id)) {
+                this.tasksCache.set(task.id, task);
+                imported++;
+            }
+        }
+        this.saveTasks();
+        return imported;
+    }
+    
+    // Replace all tasks and lists (used by backup restore)
+    replaceTasks(tasks, lists) {
+        this.tasksCache = new Map(tasks.map(task => [task.id, task]));
+        this.taskListsCache = new Map(lists.map(list => [list.id, list]));
+        this.saveTasks();
+    }
+    
+    saveTasks() {
+        writeFileAtomicSync(this.tasksFile, this.serialize({
+            lists: this.getTaskLists(),
+            tasks: this.getTasks()
+        }));
+    }
+    
+    // Meal planner operations (the renderer saves the whole collection each time)
+    getMeals() {
+        return [...this.mealsCache];
+    }
+    
+    saveMeals(meals) {
+        this.mealsCache = [...meals];
+        writeFileAtomicSync(this.mealsFile, this.serialize(this.mealsCache));
+        return true;
+    }
+    
+    getMealPlans() {
+        return [...this.mealPlansCache];
     }
     
+    saveMealPlans(plans) {
+        this.mealPlansCache = [...plans];
+        writeFileAtomicSync(this.mealPlansFile, this.serialize(this.mealPlansCache));
+        return true;
+    }
+    
+    // Meta holds counts and settings only, so it stays readable in an encrypted vault
     saveMeta() {
-        fs.writeFileSync(this.metaFile, JSON.stringify(this.metaCache, null, 2));
+        writeFileAtomicSync(this.metaFile, JSON.stringify(this.metaCache, null, 2));
     }
     
     // Performance statistics
     getStats() {
         return {
             totalNotes: this.notesCache.size,
+            totalTrashed: this.trashCache.size,
             totalCategories: this.categoriesCache.length,
+            totalTasks: this.tasksCache.size,
             memoryUsage: process.memoryUsage(),
-            cacheSize: this.notesCache.size
+            cacheSize: this.notesCache.size,
+            backend: this.backend
         };
     }
     
+    // Watch notes/ for notes added, changed or deleted outside the app (e.g. by a sync tool).
+    // onChange gets the note ids { changed, removed, conflicts } once they are merged.
+    watchNotesFolder(onChange) {
+        this.stopWatching();
+        this.onExternalChange = onChange;
+        
+        try {
+            this.watcher = fs.watch(this.notesDir, { recursive: this.watchRecursive }, (eventType, fileName) => {
+                if (fileName) {
+                    if (!this.queueNoteFileChange(fileName.toString())) return;
+                } else {
+                    this.rescanNotes = true;
+                }
+                
+                clearTimeout(this.watchTimeout);
+                this.watchTimeout = setTimeout(() => this.syncExternalChanges(), this.WATCH_DELAY);
+            });
+            this.watcher.on('error', error => {
+                console.error('Notes folder watcher failed:', error);
+                this.stopWatching();
+            });
+            return true;
+        } catch (error) {
+            console.error('Cannot watch the notes folder:', error);
+            this.watcher = null;
+            return false;
+        }
+    }
+    
+    // Note which note a changed file belongs to; false for files that are no notes
+    queueNoteFileChange(fileName) {
+        const name = path.basename(fileName);
+        // Temp files of atomic writes and of sync tools
+        if (name.startsWith('.') || !name.endsWith('.json')) return false;
+        this.changedNoteIds.add(path.basename(name, '.json'));
+        return true;
+    }
+    
+    stopWatching() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearTimeout(this.watchTimeout);
+        this.watchTimeout = null;
+        this.changedNoteIds.clear();
+        this.rescanNotes = false;
+    }
+    
+    close() {
+        this.stopWatching();
+    }
+    
+    // Runs on the flush chain so merging never interleaves with a batch write
+    syncExternalChanges() {
+        this.watchTimeout = null;
+        this.flushChain = this.flushChain.then(() => {
+            if (!this.watcher) return;
+            
+            const ids = this.rescanNotes ? null : Array.from(this.changedNoteIds);
+            this.changedNoteIds.clear();
+            this.rescanNotes = false;
+            
+            const result = { changed: [], removed: [], conflicts: [] };
+            for (const [id, noteFile] of this.readNoteFilesForSync(ids)) {
+                const outcome = this.syncNoteFile(id, noteFile);
+                if (outcome) {
+                    result[outcome].push(id);
+                }
+            }
+            this.reportExternalChanges(result);
+        }).catch(error => {
+            console.error('Error merging external note changes:', error);
+        });
+        return this.flushChain;
+    }
+    
+    // The current files of the given notes (all notes when ids is null), as a Map of
+    // note id -> noteFile, or null when the file is gone. Files that cannot be read yet
+    // (half-synced, read again on their next change) are left out.
+    readNoteFilesForSync(ids) {
+        if (!ids) {
+            ids = new Set(this.notesCache.keys());
+            this.listNoteFiles().forEach(filePath => ids.add(path.basename(filePath, '.json')));
+        }
+        
+        const noteFiles = new Map();
+        for (const id of ids) {
+            const filePath = this.getNoteFile(id);
+            if (!fs.existsSync(filePath)) {
+                noteFiles.set(id, null);
+                continue;
+            }
+            const noteFile = this.readNoteFile(filePath, false);
+            // Skip files that are not named after their note
+            if (noteFile && noteFile.note.id === id) {
+                noteFiles.set(id, noteFile);
+            }
+        }
+        return noteFiles;
+    }
+    
+    // True when noteFile is the file as this store last read or wrote it
+    isKnownNoteFile(id, noteFile) {
+        return noteFile.hash === this.noteFileHashes.get(id);
+    }
+    
+    // Merge one note file; returns the result list it belongs in, or null if nothing changed
+    syncNoteFile(id, noteFile) {
+        // Unchanged since this store read or wrote it
+        if (noteFile ? this.isKnownNoteFile(id, noteFile) : !this.noteFileHashes.has(id)) return null;
+        if (!noteFile && !this.notesCache.has(id)) return null;
+        
+        if (this.pendingWrites.has(id) || this.noteConflicts.has(id)) {
+            this.recordConflict(id, noteFile);
+            return 'conflicts';
+        }
+        
+        this.acceptExternalNote(id, noteFile);
+        return noteFile ? 'changed' : 'removed';
+    }
+    
+    reportExternalChanges(result) {
+        const count = result.changed.length + result.removed.length + result.conflicts.length;
+        if (count === 0) return;
+        
+        console.log(`Notes changed outside the app: ${result.changed.length} changed, ` +
+            `${result.removed.length} removed, ${result.conflicts.length} in conflict`);
+        this.metaCache.totalNotes = this.notesCache.size;
+        if (this.onExternalChange) {
+            this.onExternalChange(result);
+        }
+    }
+    
+    // Take the disk version of a note; noteFile is null when it was deleted outside the app
+    acceptExternalNote(id, noteFile) {
+        this.pendingWrites.delete(id);
+        
+        if (noteFile) {
+            const existed = this.notesCache.has(id);
+            this.notesCache.set(id, noteFile.note);
+            this.noteFileHashes.set(id, noteFile.hash);
+            this.emitNoteChange(id, existed);
+        } else {
+            if (this.notesCache.delete(id)) {
+                this.emitChange({ type: 'note-deleted', id });
+            }
+            this.noteFileHashes.delete(id);
+            
+            // Deleting moved it to the trash there, and trash/ is synced too
+            const trashFile = path.join(this.trashDir, `${id}.json`);
+            const trashed = !this.trashCache.has(id) && fs.existsSync(trashFile) && this.readNoteFile(trashFile, false);
+            if (trashed) {
+                this.trashCache.set(id, trashed.note);
+                this.metaCache.totalTrashed = this.trashCache.size;
+            }
+        }
+        this.metaCache.totalNotes = this.notesCache.size;
+    }
+    
+    // True when the note's file changed since this store last read or wrote it; the write
+    // waiting for it is then held back as a conflict instead of overwriting the other version
+    detectConflict(noteId) {
+        if (this.noteConflicts.has(noteId)) {
+            this.recordConflict(noteId, this.noteConflicts.get(noteId).externalFile);
+            return true;
+        }
+        
+        // A file that cannot be read is no version worth keeping
+        const noteFile = this.readNoteFilesForSync([noteId]).get(noteId);
+        if (noteFile === undefined) return false;
+        if (noteFile === null) {
+            if (!this.noteFileHashes.has(noteId)) return false;  // A new note
+            this.recordConflict(noteId, null);
+            return true;
+        }
+        if (this.isKnownNoteFile(noteId, noteFile)) return false;
+        
+        this.recordConflict(noteId, noteFile);
+        return true;
+    }
+    
+    recordConflict(noteId, noteFile) {
+        this.noteConflicts.set(noteId, {
+            id: noteId,
+            local: this.notesCache.get(noteId) || null,
+            external: noteFile ? noteFile.note : null,   // null: deleted outside the app
+            externalFile: noteFile,
+            detectedAt: new Date().toISOString()
+        });
+        this.pendingWrites.delete(noteId);
+        this.compactJournal();
+        console.warn(`Note ${noteId} changed both on disk and in the app`);
+    }
+    
+    getNoteConflicts() {
+        return Array.from(this.noteConflicts.values()).map(({ externalFile, ...conflict }) => conflict);
+    }
+    
+    // choice: 'local' keeps the app's version, 'external' the one on disk, and 'both' keeps
+    // the disk version and saves the app's version as a new "(conflicted copy)" note
+    async resolveNoteConflict(id, choice) {
+        const result = this.resolveNoteConflictSync(id, choice);
+        if (result.success) {
+            await this.forceWrite();
+        }
+        return result;
+    }
+    
+    resolveNoteConflictSync(id, choice) {
+        const conflict = this.noteConflicts.get(id);
+        if (!conflict) {
+            return { success: false, error: 'This note has no conflict' };
+        }
+        if (!['local', 'external', 'both'].includes(choice)) {
+            return { success: false, error: `Unknown conflict resolution "${choice}"` };
+        }
+        
+        const local = this.notesCache.get(id) || conflict.local;
+        this.noteConflicts.delete(id);
+        
+        if (choice === 'local') {
+            // Overwriting the disk version is now intended
+            this.restoreNoteFileHash(id, conflict.externalFile ? conflict.externalFile.hash : null);
+            const existed = this.notesCache.has(id);
+            this.notesCache.set(id, local);
+            this.emitNoteChange(id, existed);
+            this.appendJournal({ op: 'save', note: local });
+            this.pendingWrites.add(id);
+        } else {
+            this.acceptExternalNote(id, conflict.externalFile);
+            if (choice === 'both' && local) {
+                this.saveConflictedCopySync(local);
+            }
+        }
+        
+        this.compactJournal();
+        return { success: true };
+    }
+    
+    saveConflictedCopySync(note) {
+        const copy = {
+            ...note,
+            id: Date.now().toString() + '_' + Math.random().toString(36).substring(2, 11),
+            title: `${note.title || 'Untitled'} (conflicted copy)`,
+            updatedAt: new Date().toISOString()
+        };
+        this.notesCache.set(copy.id, copy);
+        this.emitNoteChange(copy.id, false);
+        this.writeNoteFileSync(copy);
+        this.metaCache.totalNotes = this.notesCache.size;
+        return copy;
+    }
+    
     // Force immediate write (for critical operations)
     async forceWrite() {
         if (this.writeTimeout) {
             clearTimeout(this.writeTimeout);
             this.writeTimeout = null;
         }
-        this.flushPendingWrites();
+        await this.flushPendingWrites();
+    }
+    
+    // Rewrite every data file with a new cipher (null writes plain JSON) when encryption is
+    // turned on or off. Files are read with the current cipher before any are rewritten.
+    async reencrypt(cipher) {
+        await this.forceWrite();
+        
+        const historyIds = fs.readdirSync(this.historyDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'));
+        historyIds.forEach(noteId => this.loadHistory(noteId));
+        
+        this.cipher = cipher;
+        
+        for (const note of this.notesCache.values()) {
+            this.writeNoteFileSync(note);
+        }
+        for (const note of this.trashCache.values()) {
+            writeFileAtomicSync(path.join(this.trashDir, `${note.id}.json`), this.serialize(note));
+        }
+        for (const noteId of historyIds) {
+            writeFileAtomicSync(this.getHistoryFile(noteId), this.serialize(this.historyCache.get(noteId)));
+        }
+        
+        this.saveCategories();
+        this.saveTasks();
+        this.saveMeals(this.mealsCache);
+        this.saveMealPlans(this.mealPlansCache);
+        this.compactJournal();
     }
 
 
@@ -0,0 +1,138 @@
+// Word-level diff utilities used by the main process (note history, restore previews)
+
+// Above this many LCS cells the changed middle section is reported as one replace
+const MAX_LCS_CELLS = 4000000;
+
+// Reduce note HTML to readable text so diffs are not cluttered with markup
+function htmlToPlainText(html) {
+    if (!html) return '';
+
+    return String(html)
+        .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/blockquote|\/pre)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Split text into words while keeping the whitespace as separate tokens
+function tokenize(text) {
+    return String(text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Append a token to the result, merging it with the previous part of the same type
+function pushPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+}
+
+// Diff two strings word by word.
+// Returns an array of { type: 'equal' | 'added' | 'removed', text } parts.
+function diffWords(oldText, newText) {
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+    const parts = [];
+
+    // Trim the common prefix and suffix so the LCS table only covers the changed middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    if (start > 0) {
+        pushPart(parts, 'equal', a.slice(0, start).join(''));
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        if (midA.length) pushPart(parts, 'removed', midA.join(''));
+        if (midB.length) pushPart(parts, 'added', midB.join(''));
+    } else {
+        // Classic LCS table, filled from the end so we can walk it forwards
+        const rows = midA.length + 1;
+        const cols = midB.length + 1;
+        const table = new Array(rows);
+        for (let i = 0; i < rows; i++) {
+            table[i] = new Uint32Array(cols);
+        }
+
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i][j] = midA[i] === midB[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                pushPart(parts, 'equal', midA[i]);
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                pushPart(parts, 'removed', midA[i]);
+                i++;
+            } else {
+                pushPart(parts, 'added', midB[j]);
+                j++;
+            }
+        }
+        while (i < midA.length) pushPart(parts, 'removed', midA[i++]);
+        while (j < midB.length) pushPart(parts, 'added', midB[j++]);
+    }
+
+    if (endA < a.length) {
+        pushPart(parts, 'equal', a.slice(endA).join(''));
+    }
+
+    return parts;
+}
+
+// Compare two note snapshots field by field.
+// Only fields that actually changed are returned.
+function diffNotes(oldNote, newNote) {
+    const before = oldNote || {};
+    const after = newNote || {};
+    const fields = [
+        { field: 'title', oldText: before.title || '', newText: after.title || '' },
+        { field: 'category', oldText: before.category || '', newText: after.category || '' },
+        { field: 'tags', oldText: (before.tags || []).join(' '), newText: (after.tags || []).join(' ') },
+        { field: 'description', oldText: before.description || '', newText: after.description || '' },
+        { field: 'content', oldText: htmlToPlainText(before.content), newText: htmlToPlainText(after.content) }
+    ];
+
+    return fields
+        .filter(entry => entry.oldText !== entry.newText)
+        .map(entry => {
+            const parts = diffWords(entry.oldText, entry.newText);
+            return {
+                field: entry.field,
+                parts,
+                added: parts.filter(part => part.type === 'added').length,
+                removed: parts.filter(part => part.type === 'removed').length
+            };
+        });
+}
+
+module.exports = { htmlToPlainText, diffWords, diffNotes };
@@ -0,0 +1,587 @@
+// Optional git versioning of the vault folder. The folder becomes a git repository and every
+// change to the notes is committed automatically, batched a couple of seconds after the last
+// change, with a message saying what happened ("Edit note: Shopping list"). The log, the history
+// and blame of a note and reverting a note or a whole commit all read the local repository; nothing
+// is ever fetched or pushed.
+//
+// Uses the git program installed on the machine. Only the JSON and Markdown stores are versioned:
+// SQLite keeps everything in one binary file and an encrypted vault would only show ciphertext.
+// Backups, the app's own revision history and machine-specific files are left out by .gitignore.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+const categoryList = require('./categories');
+const { diffNotes } = require('./diff');
+
+const COMMIT_DELAY = 2000;
+const GIT_TIMEOUT = 60 * 1000;
+const MAX_OUTPUT = 64 * 1024 * 1024;
+const DEFAULT_LOG_LIMIT = 200;
+const HASH_PATTERN = /^[0-9a-f]{4,40}$/;
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+const LOG_FORMAT = `${RECORD}%H${FIELD}%h${FIELD}%an${FIELD}%aI${FIELD}%s`;
+
+// Options every command runs with: no signing prompts, file names as they are
+const GIT_OPTIONS = ['-c', 'core.quotepath=false', '-c', 'commit.gpgsign=false'];
+
+const IGNORED = [
+    '# Written by MindKeep: files that are not versioned',
+    'backups/',
+    'history/',
+    'quarantine/',
+    'journal.log',
+    'meta.json',
+    'settings.json',
+    'sync/',
+    'vault.json',
+    '.*.tmp-*'
+];
+
+// Repositories without a configured identity commit as MindKeep
+const DEFAULT_IDENTITY = { name: 'MindKeep', email: 'mindkeep@localhost' };
+
+const ACTION_LABELS = { add: 'Add', edit: 'Edit', delete: 'Delete' };
+
+function gitEnv() {
+    return { ...process.env, GIT_TERMINAL_PROMPT: '0', LC_ALL: 'C' };
+}
+
+function toGitError(error, args) {
+    if (error.code === 'ENOENT') {
+        return new Error('Git is not installed (or not on the PATH). Install git to version the vault.');
+    }
+    const message = String(error.stderr || '').trim() || error.message;
+    return new Error(`git ${args[0]} failed: ${message}`);
+}
+
+function parseLog(output) {
+    return output.split(RECORD).filter(Boolean).map(record => {
+        const [header, ...files] = record.split('\n');
+        const [hash, shortHash, author, date, subject] = header.split(FIELD);
+        return { hash, shortHash, author, date, subject, files: files.filter(Boolean) };
+    });
+}
+
+// git blame --line-porcelain, grouped into runs of lines from the same commit
+function parseBlame(output) {
+    const commits = new Map();
+    const blocks = [];
+    let current = null;
+    let commit = null;
+
+    for (const line of output.split('\n')) {
+        if (/^[0-9a-f]{40} \d+ \d+/.test(line)) {
+            const hash = line.slice(0, 40);
+            commit = commits.get(hash) || { hash, shortHash: hash.slice(0, 7) };
+            commits.set(hash, commit);
+        } else if (line.startsWith('\t') && commit) {
+            if (!current || current.hash !== commit.hash) {
+                current = { ...commit, lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(line.slice(1));
+        } else if (commit && line.startsWith('author ')) {
+            commit.author = line.slice('author '.length);
+        } else if (commit && line.startsWith('author-time ')) {
+            commit.date = new Date(Number(line.slice('author-time '.length)) * 1000).toISOString();
+        } else if (commit && line.startsWith('summary ')) {
+            commit.subject = line.slice('summary '.length);
+        }
+    }
+    // Lines not committed yet
+    for (const block of blocks) {
+        if (/^0+$/.test(block.hash)) {
+            block.shortHash = '';
+            block.subject = 'Not committed yet';
+        }
+    }
+    return blocks;
+}
+
+class GitVersioning {
+    constructor(database) {
+        this.database = database;
+        this.dir = database.dataDir;
+        this.pendingChanges = new Map();    // note id -> { action, title }
+        this.categoriesChanged = false;
+        this.commitTimeout = null;
+        this.queue = Promise.resolve();
+        this.titles = new Map(database.getNotes().map(note => [note.id, note.title]));
+        this.noteExtension = database.backend === 'markdown' ? '.md' : '.json';
+        this.notesFolder = path.relative(this.dir, database.notesDir).split(path.sep).join('/');
+    }
+
+    // Why the open vault cannot be versioned, or null
+    static getUnsupportedReason(database, encrypted) {
+        if (encrypted) return 'An encrypted vault cannot be versioned with git';
+        if (database.backend === 'sqlite') return 'Git versioning needs the JSON files or Markdown storage backend';
+        return null;
+    }
+
+    // The repository in a vault folder whether versioning is on or not (turning it off keeps the
+    // commits), or null if there is none
+    static open(database) {
+        if (GitVersioning.getUnsupportedReason(database, false) || !fs.existsSync(path.join(database.dataDir, '.git'))) {
+            return null;
+        }
+        return new GitVersioning(database);
+    }
+
+    // The repository holding earlier versions of a note, which locking the note would not hide,
+    // or null. running is the instance in use while versioning is on
+    static async findNoteHistory(database, noteId, running = null) {
+        const git = running || GitVersioning.open(database);
+        return git && await git.hasNoteHistory(noteId) ? git : null;
+    }
+
+    isRepository() {
+        return fs.existsSync(path.join(this.dir, '.git'));
+    }
+
+    run(args, env = {}) {
+        return new Promise((resolve, reject) => {
+            execFile('git', [...GIT_OPTIONS, ...args], {
+                cwd: this.dir,
+                env: { ...gitEnv(), ...env },
+                timeout: GIT_TIMEOUT,
+                maxBuffer: MAX_OUTPUT,
+                encoding: 'utf8'
+            }, (error, stdout) => {
+                if (error) {
+                    reject(toGitError(error, args));
+                } else {
+                    resolve(stdout);
+                }
+            });
+        });
+    }
+
+    runSync(args) {
+        try {
+            return execFileSync('git', [...GIT_OPTIONS, ...args], {
+                cwd: this.dir,
+                env: gitEnv(),
+                timeout: GIT_TIMEOUT,
+                maxBuffer: MAX_OUTPUT,
+                encoding: 'utf8',
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+        } catch (error) {
+            throw toGitError(error, args);
+        }
+    }
+
+    // Git operations run one at a time
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // Turn the vault folder into a repository (an existing one is kept) and commit what is there
+    enable() {
+        return this.enqueue(async () => {
+            await this.run(['--version']);
+            if (!this.isRepository()) {
+                await this.run(['init', '--quiet']);
+            }
+
+            const ignoreFile = path.join(this.dir, '.gitignore');
+            if (!fs.existsSync(ignoreFile)) {
+                await fs.promises.writeFile(ignoreFile, IGNORED.join('\n') + '\n', 'utf8');
+            }
+
+            try {
+                await this.run(['config', 'user.name']);
+            } catch (error) {
+                await this.run(['config', 'user.name', DEFAULT_IDENTITY.name]);
+                await this.run(['config', 'user.email', DEFAULT_IDENTITY.email]);
+            }
+
+            await this.database.forceWrite();
+            const committed = await this.commitAll('Start versioning the vault with MindKeep');
+            return { initialCommit: committed };
+        });
+    }
+
+    // Called with every database change event
+    recordChange(change) {
+        if (change.type === 'categories-changed') {
+            this.categoriesChanged = true;
+        } else if (change.type === 'note-created' || change.type === 'note-updated') {
+            const previous = this.pendingChanges.get(change.note.id);
+            this.pendingChanges.set(change.note.id, {
+                // A note added in this batch is still new
+                action: previous && previous.action === 'add' || change.type === 'note-created' ? 'add' : 'edit',
+                title: change.note.title
+            });
+            this.titles.set(change.note.id, change.note.title);
+        } else if (change.type === 'note-deleted') {
+            this.pendingChanges.set(change.id, { action: 'delete', title: this.titles.get(change.id) || 'Untitled' });
+            this.titles.delete(change.id);
+        } else {
+            return;
+        }
+
+        if (this.commitTimeout) {
+            clearTimeout(this.commitTimeout);
+        }
+        this.commitTimeout = setTimeout(() => {
+            this.commitTimeout = null;
+            this.commitPending().catch(error => console.error('Git commit failed:', error.message));
+        }, COMMIT_DELAY);
+    }
+
+    // The message for the changes collected so far; subject is used instead of the generated one
+    takeMessage(subject = null) {
+        const lines = Array.from(this.pendingChanges.values())
+            .map(change => `${ACTION_LABELS[change.action]} note: ${change.title}`);
+        if (this.categoriesChanged) {
+            lines.push('Update categories');
+        }
+        const actions = new Set(Array.from(this.pendingChanges.values()).map(change => change.action));
+        const count = this.pendingChanges.size;
+        this.pendingChanges.clear();
+        this.categoriesChanged = false;
+
+        if (subject) {
+            return lines.length > 0 ? `${subject}\n\n${lines.join('\n')}` : subject;
+        }
+        if (lines.length === 0) {
+            return 'Update vault data';
+        }
+        if (lines.length === 1) {
+            return lines[0];
+        }
+        const verb = actions.size === 1 ? ACTION_LABELS[Array.from(actions)[0]] : 'Change';
+        return `${verb} ${count} note${count === 1 ? '' : 's'}\n\n${lines.join('\n')}`;
+    }
+
+    // Commit the changes recorded since the last commit, once the database has written them
+    commitPending(subject = null) {
+        if (this.commitTimeout) {
+            clearTimeout(this.commitTimeout);
+            this.commitTimeout = null;
+        }
+        return this.enqueue(async () => {
+            await this.database.forceWrite();
+            return this.commitAll(this.takeMessage(subject));
+        });
+    }
+
+    // Stage everything and commit; returns the short hash, or null when nothing changed
+    async commitAll(message) {
+        await this.run(['add', '--all']);
+        if (!(await this.run(['status', '--porcelain'])).trim()) {
+            return null;
+        }
+        await this.run(['commit', '--quiet', '--no-verify', '-m', message]);
+        return (await this.run(['rev-parse', '--short', 'HEAD'])).trim();
+    }
+
+    // On quit and when the vault closes: commit what is left, synchronously (call after the
+    // database's own synchronous flush)
+    flushSync() {
+        if (this.commitTimeout) {
+            clearTimeout(this.commitTimeout);
+            this.commitTimeout = null;
+        }
+        if (this.pendingChanges.size === 0 && !this.categoriesChanged) return;
+
+        const message = this.takeMessage();
+        this.runSync(['add', '--all']);
+        if (this.runSync(['status', '--porcelain']).trim()) {
+            this.runSync(['commit', '--quiet', '--no-verify', '-m', message]);
+        }
+    }
+
+    stop() {
+        if (this.commitTimeout) {
+            clearTimeout(this.commitTimeout);
+            this.commitTimeout = null;
+        }
+    }
+
+    async hasCommits() {
+        try {
+            await this.run(['rev-parse', '--verify', '--quiet', 'HEAD']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Newest commits first: [{ hash, shortHash, author, date, subject, files }]
+    getLog(limit = DEFAULT_LOG_LIMIT) {
+        return this.enqueue(async () => {
+            if (!(await this.hasCommits())) return [];
+            const output = await this.run(['log', `--max-count=${limit}`, `--format=${LOG_FORMAT}`, '--name-only']);
+            return parseLog(output);
+        });
+    }
+
+    // Path of a note's file relative to the vault folder (with / separators), or null
+    getNotePath(noteId) {
+        const filePath = this.database.getNoteFile(noteId);
+        return filePath ? path.relative(this.dir, filePath).split(path.sep).join('/') : null;
+    }
+
+    isNotePath(relativePath) {
+        return relativePath.startsWith(`${this.notesFolder}/`) && relativePath.endsWith(this.noteExtension);
+    }
+
+    // Commits that changed a note, newest first, following renames; files[0] is the note's path
+    // in that commit
+    async readNoteLog(noteId, limit = DEFAULT_LOG_LIMIT) {
+        const notePath = this.getNotePath(noteId);
+        if (!notePath || !(await this.hasCommits())) return [];
+        const output = await this.run(['log', `--max-count=${limit}`, '--follow', `--format=${LOG_FORMAT}`,
+            '--name-only', '--', notePath]);
+        return parseLog(output).map(({ files, ...commit }) => ({ ...commit, path: files[0] || notePath }));
+    }
+
+    getNoteLog(noteId, limit = DEFAULT_LOG_LIMIT) {
+        return this.enqueue(() => this.readNoteLog(noteId, limit));
+    }
+
+    // Whether a note is in a commit already: its content there stays readable whatever happens to
+    // the note later (locking it, for one)
+    hasNoteHistory(noteId) {
+        return this.enqueue(async () => (await this.readNoteLog(noteId, 1)).length > 0);
+    }
+
+    // Rewrite the history without any version of a note, so locking it leaves no plain text
+    // behind. Every commit since the note was added gets a new hash, and the old commits are
+    // removed from the repository right away. Returns the number of rewritten commits
+    removeNoteHistory(noteId) {
+        return this.enqueue(async () => {
+            // Following renames can also pick up files of similar notes, so only the versions that
+            // are this note are removed, found by their blob hash
+            const blobs = new Set();
+            const paths = new Set();
+            for (const commit of await this.readNoteLog(noteId, -1)) {
+                let version;
+                try {
+                    version = await this.readNoteAt(commit.hash, commit.path);
+                } catch (error) {
+                    continue;
+                }
+                if (!version || version.id !== noteId) continue;
+                blobs.add((await this.run(['rev-parse', `${commit.hash}:${commit.path}`])).trim());
+                paths.add(commit.path);
+            }
+            if (blobs.size === 0) return 0;
+
+            const refs = (await this.run(['for-each-ref', '--format=%(objecttype) %(objectname) %(refname)']))
+                .split('\n').filter(Boolean).map(line => line.split(' '));
+            const tag = refs.find(([type]) => type !== 'commit');
+            if (tag) {
+                throw new Error(`The history cannot be rewritten while ${tag[2]} points to a ${tag[0]}`);
+            }
+            let detachedHead = null;
+            try {
+                await this.run(['symbolic-ref', '--quiet', 'HEAD']);
+            } catch (error) {
+                detachedHead = (await this.run(['rev-parse', 'HEAD'])).trim();
+            }
+
+            const gitDir = path.join(this.dir, '.git');
+            const indexFile = path.join(gitDir, 'mindkeep-rewrite-index');
+            const commitFile = path.join(gitDir, 'mindkeep-rewrite-commit');
+            const tips = [...refs.map(([, hash]) => hash), ...(detachedHead ? [detachedHead] : [])];
+            const rewritten = new Map();
+            try {
+                const commits = (await this.run(['rev-list', '--reverse', '--topo-order', '--parents', ...tips]))
+                    .split('\n').filter(Boolean);
+                for (const line of commits) {
+                    const [hash, ...parents] = line.split(' ');
+                    // Entries of ls-tree: "<mode> blob <hash>\t<path>"
+                    const removed = (await this.run(['ls-tree', '-z', hash, '--', ...paths])).split('\0')
+                        .filter(entry => blobs.has(entry.split(/\s/)[2]))
+                        .map(entry => entry.slice(entry.indexOf('\t') + 1));
+                    const newParents = parents.map(parent => rewritten.get(parent) || parent);
+                    if (removed.length === 0 && newParents.every((parent, index) => parent === parents[index])) continue;
+
+                    const raw = await this.run(['cat-file', 'commit', hash]);
+                    const headerEnd = raw.indexOf('\n\n');
+                    const header = raw.slice(0, headerEnd).split('\n');
+                    let tree = header[0].slice('tree '.length);
+                    if (removed.length > 0) {
+                        const env = { GIT_INDEX_FILE: indexFile };
+                        await this.run(['read-tree', tree], env);
+                        await this.run(['update-index', '--force-remove', '--', ...removed], env);
+                        tree = (await this.run(['write-tree'], env)).trim();
+                    }
+
+                    // Signatures no longer match the new commit, so they are dropped with it
+                    let dropping = false;
+                    const kept = header.filter(headerLine => {
+                        if (!headerLine.startsWith(' ')) {
+                            dropping = /^(tree|parent|gpgsig|gpgsig-sha256) /.test(headerLine);
+                        }
+                        return !dropping;
+                    });
+                    const commit = [`tree ${tree}`, ...newParents.map(parent => `parent ${parent}`), ...kept].join('\n');
+                    await fs.promises.writeFile(commitFile, commit + raw.slice(headerEnd), 'utf8');
+                    rewritten.set(hash, (await this.run(['hash-object', '-t', 'commit', '-w', '--', commitFile])).trim());
+                }
+
+                for (const [, hash, ref] of refs) {
+                    if (rewritten.has(hash)) await this.run(['update-ref', ref, rewritten.get(hash), hash]);
+                }
+                if (detachedHead && rewritten.has(detachedHead)) {
+                    await this.run(['update-ref', '--no-deref', 'HEAD', rewritten.get(detachedHead)]);
+                }
+            } finally {
+                await fs.promises.rm(indexFile, { force: true });
+                await fs.promises.rm(commitFile, { force: true });
+            }
+
+            // The staged copy and the reflogs would keep the old versions around until git prunes them
+            const staged = (await this.run(['ls-files', '--stage', '-z', '--', ...paths])).split('\0')
+                .filter(entry => blobs.has(entry.split(/\s/)[1]))
+                .map(entry => entry.slice(entry.indexOf('\t') + 1));
+            if (staged.length > 0) {
+                await this.run(['update-index', '--force-remove', '--', ...staged]);
+            }
+            await this.run(['reflog', 'expire', '--expire=now', '--expire-unreachable=now', '--all']);
+            await this.run(['gc', '--prune=now', '--quiet']);
+            return rewritten.size;
+        });
+    }
+
+    // A note as stored in a commit, or null if the file was not there
+    async readNoteAt(hash, relativePath) {
+        let text;
+        try {
+            text = await this.run(['show', `${hash}:${relativePath}`]);
+        } catch (error) {
+            return null;
+        }
+        const note = this.database.parseNoteText(text, path.join(this.dir, ...relativePath.split('/')), { readOnly: true });
+        return categoryList.withCategoryNames(this.database.getCategories(), [note])[0];
+    }
+
+    // The note at a commit of its history ('current' for the live note)
+    async resolveNoteVersion(noteId, log, hash) {
+        if (hash === 'current') {
+            return this.database.getNote(noteId);
+        }
+        const commit = log.find(entry => entry.hash === hash || entry.shortHash === hash);
+        return commit ? this.readNoteAt(commit.hash, commit.path) : null;
+    }
+
+    // Word-level diff between two versions of a note, like the revision history
+    diffNoteVersions(noteId, fromHash, toHash) {
+        return this.enqueue(async () => {
+            const log = await this.readNoteLog(noteId);
+            const from = await this.resolveNoteVersion(noteId, log, fromHash);
+            const to = await this.resolveNoteVersion(noteId, log, toHash);
+            if (!from || !to) {
+                return { success: false, error: 'This version of the note was not found' };
+            }
+            return { success: true, changes: diffNotes(from, to) };
+        });
+    }
+
+    // Who last changed each line of the note's file: [{ hash, shortHash, author, date, subject, lines }]
+    getNoteBlame(noteId) {
+        return this.enqueue(async () => {
+            const notePath = this.getNotePath(noteId);
+            if (!notePath || !fs.existsSync(path.join(this.dir, notePath))) {
+                return { success: false, error: 'The note has no file in the vault folder' };
+            }
+            if (!(await this.hasCommits())) {
+                return { success: false, error: 'Nothing has been committed yet' };
+            }
+            await this.database.forceWrite();
+            const output = await this.run(['blame', '--line-porcelain', '--', notePath]);
+            return { success: true, path: notePath, blocks: parseBlame(output) };
+        });
+    }
+
+    // Save an older version of a note over the current one and commit that
+    async revertNote(noteId, hash) {
+        const { note, commit } = await this.enqueue(async () => {
+            const log = await this.readNoteLog(noteId);
+            const entry = log.find(item => item.hash === hash || item.shortHash === hash);
+            return { commit: entry, note: entry ? await this.readNoteAt(entry.hash, entry.path) : null };
+        });
+        if (!note) {
+            return { success: false, error: 'This version of the note was not found' };
+        }
+
+        const restored = this.buildRestoredNote(noteId, note);
+        await this.database.saveNote(restored);
+        const committed = await this.commitPending(`Revert note: ${restored.title} to ${commit.shortHash}`);
+        return { success: true, note: this.database.getNote(noteId), commit: committed };
+    }
+
+    buildRestoredNote(noteId, version) {
+        const current = this.database.getNote(noteId);
+        return { ...(current || {}), ...version, id: noteId, updatedAt: new Date().toISOString() };
+    }
+
+    // Undo the note changes of one commit: notes it added go to the trash, notes it changed or
+    // deleted get their version from before it back. Other files (categories, tasks) are left alone.
+    async revertCommit(hash) {
+        if (!HASH_PATTERN.test(String(hash))) {
+            return { success: false, error: 'Not a commit of this vault' };
+        }
+        const { commit, changes } = await this.enqueue(async () => {
+            const [entry] = parseLog(await this.run(['log', '--max-count=1', `--format=${LOG_FORMAT}`, hash, '--']));
+            let parent = `${entry.hash}^`;
+            try {
+                await this.run(['rev-parse', '--verify', '--quiet', parent]);
+            } catch (error) {
+                parent = null;
+            }
+            const output = await this.run(['diff-tree', '--no-commit-id', '--name-status', '-r', '-M',
+                ...(parent ? [] : ['--root']), entry.hash]);
+
+            const notes = [];
+            const skipped = [];
+            for (const line of output.split('\n').filter(Boolean)) {
+                const [status, ...paths] = line.split('\t');
+                const oldPath = paths[0];
+                const newPath = paths[paths.length - 1];
+                if (!this.isNotePath(oldPath) && !this.isNotePath(newPath)) {
+                    // Trash files follow the notes they belong to
+                    if (!newPath.startsWith('trash/')) skipped.push(newPath);
+                } else if (status === 'A') {
+                    notes.push({ action: 'remove', note: await this.readNoteAt(entry.hash, newPath) });
+                } else {
+                    notes.push({ action: 'restore', note: parent ? await this.readNoteAt(parent, oldPath) : null });
+                }
+            }
+            return { commit: entry, changes: { notes, skipped } };
+        });
+
+        let reverted = 0;
+        for (const change of changes.notes) {
+            if (!change.note) continue;
+            const id = change.note.id;
+            if (change.action === 'remove') {
+                if (this.database.deleteNote(id)) reverted++;
+            } else {
+                if (this.database.getTrash().some(note => note.id === id)) {
+                    await this.database.restoreFromTrash(id);
+                }
+                await this.database.saveNote(this.buildRestoredNote(id, change.note));
+                reverted++;
+            }
+        }
+
+        const committed = reverted > 0
+            ? await this.commitPending(`Revert ${commit.shortHash}: ${commit.subject}`)
+            : null;
+        return { success: true, reverted, skipped: changes.skipped, commit: committed };
+    }
+}
+
+GitVersioning.COMMIT_DELAY = COMMIT_DELAY;
+GitVersioning.IGNORED = IGNORED;
+
+module.exports = GitVersioning;
@@ -0,0 +1,627 @@
+// Conversion between the HTML notes are edited in (see TextEditor) and Markdown files with
+// YAML front matter, used by the Markdown vault layout (modules/markdownDatabase.js).
+//
+// Covers what the editor produces: paragraphs, line breaks, headings, bold, italic,
+// strikethrough, inline code, code blocks, lists, quotes, rules, links and images. Anything
+// else (underline, highlight colors, pasted tables) is kept as inline HTML, which Markdown allows.
+// Line breaks inside a paragraph are kept as single newlines, as most note apps do.
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr', 'col', 'source']);
+const BLOCK_TAGS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote',
+    'pre', 'hr', 'table', 'thead', 'tbody', 'tr', 'td', 'th', 'figure', 'details', 'section', 'article']);
+const RAW_BLOCK_PATTERN = /^<\/?(div|p|table|thead|tbody|tr|td|th|ul|ol|li|pre|blockquote|h[1-6]|hr|figure|details|section|article)[\s/>]/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded === undefined ? match : decoded;
+    });
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// HTML -> Markdown
+// ============================================================================
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+        attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+}
+
+// A forgiving HTML parser: unknown closing tags are ignored and open ones close at the end
+function parseHtml(html) {
+    const root = { tag: null, attrs: {}, children: [] };
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+|<)/g;
+
+    for (const match of String(html || '').matchAll(tokens)) {
+        const [, closing, rawTag, attrSource, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (text !== undefined) {
+            parent.children.push({ text: decodeEntities(text) });
+        } else if (rawTag && closing) {
+            const tag = rawTag.toLowerCase();
+            const index = stack.map(node => node.tag).lastIndexOf(tag);
+            if (index > 0) {
+                stack.length = index;
+            }
+        } else if (rawTag) {
+            const tag = rawTag.toLowerCase();
+            // <p> and <li> close an open element of the same kind
+            if ((tag === 'p' || tag === 'li') && parent.tag === tag) {
+                stack.pop();
+            }
+            const node = { tag, attrs: parseAttributes(attrSource), children: [] };
+            stack[stack.length - 1].children.push(node);
+            if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSource)) {
+                stack.push(node);
+            }
+        }
+    }
+    return root;
+}
+
+function serializeHtml(node) {
+    if (node.text !== undefined) {
+        return escapeHtml(node.text);
+    }
+    const attrs = Object.entries(node.attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+    if (VOID_TAGS.has(node.tag)) {
+        return `<${node.tag}${attrs}>`;
+    }
+    return `<${node.tag}${attrs}>${node.children.map(serializeHtml).join('')}</${node.tag}>`;
+}
+
+function textContent(node) {
+    return node.text !== undefined ? node.text : node.children.map(textContent).join('');
+}
+
+function isBlank(text) {
+    return !text.trim();
+}
+
+function escapeMarkdownText(text) {
+    return text
+        .replace(/[\\`*_[\]]/g, '\\$&')
+        .replace(/~~/g, '\\~\\~')
+        .replace(/<(?=[a-zA-Z/!])/g, '\\<')
+        .replace(/&(?=#?\w+;)/g, '\\&');
+}
+
+// Characters that would start a block at the beginning of a line
+function escapeLineStarts(text) {
+    return text.split('\n').map(line => line
+        .replace(/^(\s*)(#{1,6}(?=\s|$)|>|[-+](?=\s))/, '$1\\$2')
+        .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')).join('\n');
+}
+
+function hasOnlyAttributes(node, allowed) {
+    return Object.keys(node.attrs).every(name => allowed.includes(name));
+}
+
+// Wrap text in a Markdown marker, keeping surrounding spaces outside of it
+function wrapInline(text, marker) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+}
+
+function codeSpan(code) {
+    const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+function linkDestination(url) {
+    return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+function convertInline(nodes, options) {
+    return nodes.map(node => inlineToMarkdown(node, options)).join('');
+}
+
+function inlineToMarkdown(node, options) {
+    if (node.text !== undefined) {
+        return escapeMarkdownText(node.text.replace(/\s*\n\s*/g, ' '));
+    }
+
+    const children = () => convertInline(node.children, options);
+    switch (node.tag) {
+        case 'br':
+            return '\n';
+        case 'strong':
+        case 'b':
+            return wrapInline(children(), '**');
+        case 'em':
+        case 'i':
+            return wrapInline(children(), '*');
+        case 's':
+        case 'strike':
+        case 'del':
+            return wrapInline(children(), '~~');
+        case 'code':
+            return codeSpan(textContent(node));
+        case 'a': {
+            const attachmentId = node.attrs['data-attachment-id'];
+            if (attachmentId && options.attachmentUrl) {
+                return `[${children()}](${linkDestination(options.attachmentUrl(attachmentId))})`;
+            }
+            if (node.attrs.href && hasOnlyAttributes(node, ['href', 'title'])) {
+                const title = node.attrs.title ? ` "${node.attrs.title.replace(/"/g, '\\"')}"` : '';
+                return `[${children()}](${linkDestination(node.attrs.href)}${title})`;
+            }
+            break;
+        }
+        case 'img': {
+            const attachmentId = node.attrs['data-attachment-id'];
+            const alt = escapeMarkdownText(node.attrs.alt || '');
+            if (attachmentId && options.attachmentUrl && hasOnlyAttributes(node, ['src', 'alt', 'data-attachment-id'])) {
+                return `![${alt}](${linkDestination(options.attachmentUrl(attachmentId))})`;
+            }
+            if (node.attrs.src && hasOnlyAttributes(node, ['src', 'alt'])) {
+                return `![${alt}](${linkDestination(node.attrs.src)})`;
+            }
+            return serializeHtml(node);
+        }
+    }
+
+    if (BLOCK_TAGS.has(node.tag)) {
+        // A block inside inline content (e.g. a <div> in a <span>) becomes its own line
+        return `\n${children()}\n`;
+    }
+
+    // Underline, highlight and other formatting without Markdown syntax stay HTML
+    if (VOID_TAGS.has(node.tag)) {
+        return serializeHtml(node);
+    }
+    const open = serializeHtml({ ...node, children: [] }).replace(new RegExp(`</${node.tag}>$`), '');
+    return `${open}${children()}</${node.tag}>`;
+}
+
+function prefixLines(text, first, rest) {
+    return text.split('\n').map((line, index) => (index === 0 ? first : (line ? rest : '')) + line).join('\n');
+}
+
+function listToMarkdown(node, options) {
+    const ordered = node.tag === 'ol';
+    let number = parseInt(node.attrs.start, 10) || 1;
+
+    const items = node.children.filter(child => child.tag === 'li' || (child.text === undefined || !isBlank(child.text)));
+    return items.map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const content = item.tag === 'li'
+            ? blocksToMarkdown(item.children, options, true)
+            : blocksToMarkdown([item], options, true);
+        return prefixLines(content || '', marker, ' '.repeat(marker.length));
+    }).join('\n');
+}
+
+function blockToMarkdown(node, options) {
+    switch (node.tag) {
+        case 'p':
+            return escapeLineStarts(convertInline(node.children, options).trim());
+        case 'div':
+        case 'section':
+        case 'article':
+            return blocksToMarkdown(node.children, options);
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const text = convertInline(node.children, options).replace(/\n+/g, ' ').trim();
+            return text ? `${'#'.repeat(Number(node.tag[1]))} ${text}` : '';
+        }
+        case 'hr':
+            return '---';
+        case 'pre': {
+            const code = node.children.length === 1 && node.children[0].tag === 'code' ? node.children[0] : node;
+            const language = ((code.attrs.class || '').match(/language-([\w+-]+)/) || [])[1] || '';
+            const text = textContent(code).replace(/\n$/, '');
+            const longest = Math.max(0, ...(text.match(/^`{3,}/gm) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longest + 1));
+            return `${fence}${language}\n${text}\n${fence}`;
+        }
+        case 'blockquote': {
+            const inner = blocksToMarkdown(node.children, options);
+            return inner ? inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : '';
+        }
+        case 'ul':
+        case 'ol':
+            return listToMarkdown(node, options);
+        default:
+            // Tables and other blocks without a Markdown form are kept as HTML
+            return serializeHtml(node);
+    }
+}
+
+// Block-level Markdown for a list of nodes; inline runs between blocks become paragraphs.
+// Inside a list item (tight) a nested list follows its text without a blank line.
+function blocksToMarkdown(nodes, options, tight = false) {
+    const blocks = [];
+    let inlineRun = [];
+
+    const flushInline = () => {
+        const text = convertInline(inlineRun, options).replace(/^\n+|\n+$/g, '');
+        if (!isBlank(text)) {
+            blocks.push({ text: escapeLineStarts(text.trim()), list: false });
+        }
+        inlineRun = [];
+    };
+
+    for (const node of nodes) {
+        if (node.tag && BLOCK_TAGS.has(node.tag) && node.tag !== 'li') {
+            flushInline();
+            const block = blockToMarkdown(node, options);
+            if (!isBlank(block)) {
+                blocks.push({ text: block, list: node.tag === 'ul' || node.tag === 'ol' });
+            }
+        } else {
+            inlineRun.push(node);
+        }
+    }
+    flushInline();
+
+    return blocks.map((block, index) => {
+        const previous = blocks[index - 1];
+        const separator = !previous ? '' : (tight && (previous.list || block.list) ? '\n' : '\n\n');
+        return separator + block.text;
+    }).join('');
+}
+
+// options.attachmentUrl(id) gives the link written for an attachment (mindkeep-attachment://<id> otherwise)
+function htmlToMarkdown(html, options = {}) {
+    return blocksToMarkdown(parseHtml(html).children, options);
+}
+
+// ============================================================================
+// Markdown -> HTML
+// ============================================================================
+
+const LIST_ITEM_PATTERN = /^( {0,3})([-+*]|\d{1,9}[.)])( +|$)/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+
+function startsBlock(line) {
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) ||
+        /^ {0,3}>/.test(line) || LIST_ITEM_PATTERN.test(line) || RAW_BLOCK_PATTERN.test(line.trim());
+}
+
+function convertInlineMarkdown(text, options) {
+    const placeholders = [];
+    const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    // Code spans, escapes, links, images and raw HTML are resolved before emphasis
+    let result = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)|\\([!-/:-@[-`{-~])|(!?)\[((?:\\.|[^\]\\])*)\]\(\s*(<[^>]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+"((?:\\"|[^"])*)")?\s*\)|<(https?:\/\/[^\s>]+)>|<\/?[a-zA-Z][\w-]*(?:\s(?:"[^"]*"|'[^']*'|[^'">])*)?\/?>/g,
+        (match, ticks, code, escaped, bang, label, destination, title, autolink) => {
+            if (ticks) {
+                const trimmed = /^ .* $/.test(code) ? code.slice(1, -1) : code;
+                return hold(`<code>${escapeHtml(trimmed)}</code>`);
+            }
+            if (escaped) {
+                return hold(escapeHtml(escaped));
+            }
+            if (autolink) {
+                return hold(`<a href="${escapeHtml(autolink)}">${escapeHtml(autolink)}</a>`);
+            }
+            if (destination !== undefined) {
+                const url = decodeURI(destination.replace(/^<|>$/g, ''));
+                const titleAttr = title ? ` title="${escapeHtml(title.replace(/\\"/g, '"'))}"` : '';
+                const attachmentId = options.attachmentId ? options.attachmentId(url) : null;
+
+                if (bang) {
+                    const alt = escapeHtml(label.replace(/\\(.)/g, '$1'));
+                    return hold(attachmentId
+                        ? `<img src="mindkeep-attachment://${attachmentId}" alt="${alt}" data-attachment-id="${attachmentId}">`
+                        : `<img src="${escapeHtml(url)}" alt="${alt}"${titleAttr}>`);
+                }
+                const inner = convertInlineMarkdown(label, options);
+                if (attachmentId) {
+                    const name = escapeHtml(label.replace(/\\(.)/g, '$1').replace(/^📎\s*/, ''));
+                    return hold(`<a href="mindkeep-attachment://${attachmentId}" class="attachment-link" ` +
+                        `data-attachment-id="${attachmentId}" data-attachment-name="${name}">${inner}</a>`);
+                }
+                return hold(`<a href="${escapeHtml(url)}"${titleAttr}>${inner}</a>`);
+            }
+            // Inline HTML is passed through
+            return hold(match);
+        });
+
+    result = escapeHtml(result).replace(/&amp;(#?\w+;)/g, '&$1')
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>');
+
+    // Placeholders may contain other placeholders (link text)
+    while (/\u0000\d+\u0000/.test(result)) {
+        result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+    }
+    return result;
+}
+
+function dedent(lines, width) {
+    return lines.map(line => line.replace(new RegExp(`^ {0,${width}}`), ''));
+}
+
+// One list starting at lines[start]; returns { html, end }
+function parseList(lines, start, options) {
+    const first = lines[start].match(LIST_ITEM_PATTERN);
+    const ordered = /\d/.test(first[2]);
+    const baseIndent = first[1].length;
+    const items = [];
+    let index = start;
+
+    while (index < lines.length) {
+        const match = lines[index].match(LIST_ITEM_PATTERN);
+        if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        const width = match[0].length || match[1].length + match[2].length + 1;
+        const itemLines = [lines[index].slice(match[0].length)];
+        index++;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (!line.trim()) {
+                // A blank line continues the item only if indented content follows
+                const next = lines.slice(index + 1).find(candidate => candidate.trim());
+                if (next === undefined || next.search(/\S/) < width) break;
+                itemLines.push('');
+            } else if (line.search(/\S/) >= width) {
+                itemLines.push(line);
+            } else if (LIST_ITEM_PATTERN.test(line) || startsBlock(line) || !itemLines[itemLines.length - 1].trim()) {
+                break;
+            } else {
+                itemLines.push(line);  // Lazy continuation of the item's text
+            }
+            index++;
+        }
+        items.push(dedent(itemLines, width));
+
+        // Blank lines between items of the same list
+        let next = index;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const nextMatch = next < lines.length && lines[next].match(LIST_ITEM_PATTERN);
+        if (next > index && nextMatch && nextMatch[1].length === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+            index = next;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const html = items.map(itemLines => {
+        const blocks = parseBlocks(itemLines, options);
+        // A single paragraph is written without <p>, as the editor does
+        const tight = blocks.match(/^<p>([\s\S]*)<\/p>$/);
+        return `<li>${tight && !tight[1].includes('<p>') ? tight[1] : blocks.replace(/^<p>([\s\S]*?)<\/p>(?=<[uo]l)/, '$1')}</li>`;
+    }).join('');
+    return { html: `<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${html}</${tag}>`, end: index };
+}
+
+function parseBlocks(lines, options) {
+    const html = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            index++;
+            continue;
+        }
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            const code = [];
+            index++;
+            while (index < lines.length && !closing.test(lines[index])) {
+                code.push(lines[index++]);
+            }
+            index++;
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            html.push(`<h${heading[1].length}>${convertInlineMarkdown(heading[2] || '', options)}</h${heading[1].length}>`);
+            index++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            html.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (/^ {0,3}>/.test(line)) {
+            const quoted = [];
+            while (index < lines.length && /^ {0,3}>/.test(lines[index])) {
+                quoted.push(lines[index++].replace(/^ {0,3}> ?/, ''));
+            }
+            html.push(`<blockquote>${parseBlocks(quoted, options)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = parseList(lines, index, options);
+            html.push(list.html);
+            index = list.end;
+            continue;
+        }
+
+        if (RAW_BLOCK_PATTERN.test(trimmed)) {
+            const raw = [];
+            while (index < lines.length && lines[index].trim()) {
+                raw.push(lines[index++]);
+            }
+            html.push(raw.join('\n'));
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && (paragraph.length === 0 || !startsBlock(lines[index]))) {
+            paragraph.push(lines[index++].trim().replace(/(\\| {2,})$/, ''));
+        }
+        html.push(`<p>${convertInlineMarkdown(paragraph.join('\n'), options)}</p>`);
+    }
+
+    return html.join('');
+}
+
+// options.attachmentId(url) returns the attachment id a link or image points at, or null
+function markdownToHtml(markdown, options = {}) {
+    return parseBlocks(String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), options);
+}
+
+// ============================================================================
+// Front matter (the YAML subset notes use)
+// ============================================================================
+
+const YAML_KEYWORDS = /^(true|false|yes|no|on|off|null|~)$/i;
+
+function isPlainYamlString(value) {
+    return /^[A-Za-z0-9][\w .:/@+-]*$/.test(value) && !/: | #|\s$/.test(value) &&
+        !YAML_KEYWORDS.test(value) && Number.isNaN(Number(value));
+}
+
+function formatYamlValue(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        return String(value);
+    }
+    if (typeof value === 'string') {
+        return isPlainYamlString(value) ? value : JSON.stringify(value);
+    }
+    if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+        return `[${value.map(item => (isPlainYamlString(item) ? item : JSON.stringify(item))).join(', ')}]`;
+    }
+    // JSON is valid YAML flow syntax
+    return JSON.stringify(value);
+}
+
+function parseYamlScalar(raw) {
+    const value = raw.trim();
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.replace(/^"|"$/g, '');
+        }
+    }
+    if (value.startsWith("'")) {
+        return value.replace(/^'|'$/g, '').replace(/''/g, "'");
+    }
+    if (value.startsWith('[') || value.startsWith('{')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            if (value.startsWith('[') && value.endsWith(']')) {
+                const items = value.slice(1, -1).match(/\s*"(?:\\.|[^"\\])*"|\s*'(?:''|[^'])*'|[^,]+/g) || [];
+                return items.filter(item => item.trim()).map(item => parseYamlScalar(item));
+            }
+            return value;
+        }
+    }
+
+    const plain = value.replace(/\s+#.*$/, '');
+    if (/^(true|yes|on)$/i.test(plain)) return true;
+    if (/^(false|no|off)$/i.test(plain)) return false;
+    if (/^(null|~|)$/i.test(plain)) return null;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+}
+
+function stringifyFrontMatter(fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${formatYamlValue(value)}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// Split a Markdown file into its front matter fields and body
+function parseFrontMatter(text) {
+    const source = String(text || '').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+    const match = source.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)(?:\n|$)/);
+    if (!match) {
+        return { fields: {}, body: source };
+    }
+
+    const fields = {};
+    const lines = match[1].split('\n');
+    for (let index = 0; index < lines.length; index++) {
+        const entry = lines[index].match(/^([\w-]+):(?:\s+(.*))?$/);
+        if (!entry) continue;
+
+        const [, key, value = ''] = entry;
+        const nested = [];
+        while (index + 1 < lines.length && /^\s+\S|^-\s/.test(lines[index + 1])) {
+            nested.push(lines[++index]);
+        }
+
+        if (/^[|>][+-]?$/.test(value.trim())) {
+            // Block scalar
+            const indent = Math.min(...nested.filter(line => line.trim()).map(line => line.search(/\S/)));
+            const joined = nested.map(line => line.slice(indent)).join(value.trim()[0] === '|' ? '\n' : ' ');
+            fields[key] = value.trim().endsWith('-') ? joined.replace(/\n+$/, '') : joined;
+        } else if (!value.trim() && nested.length > 0 && nested.every(line => /^\s*-\s/.test(line) || !line.trim())) {
+            // Block sequence
+            fields[key] = nested.filter(line => line.trim()).map(line => parseYamlScalar(line.replace(/^\s*-\s/, '')));
+        } else {
+            fields[key] = parseYamlScalar(value);
+        }
+    }
+
+    return { fields, body: source.slice(match[0].length) };
+}
+
+// ============================================================================
+// Plain text
+// ============================================================================
+
+// The readable text of a note's HTML, one line per block (used for note summaries)
+function htmlToText(html) {
+    const walk = node => {
+        if (node.text !== undefined) return node.text;
+        if (node.tag === 'script' || node.tag === 'style') return '';
+        if (node.tag === 'br') return '\n';
+        const text = node.children.map(walk).join('');
+        return BLOCK_TAGS.has(node.tag) ? `\n${text}\n` : text;
+    };
+    return walk(parseHtml(html))
+        .split('\n')
+        .map(line => line.replace(/[\s\u00a0]+/g, ' ').trim())
+        .filter(line => line)
+        .join('\n');
+}
+
+module.exports = {
+    htmlToMarkdown,
+    htmlToText,
+    markdownToHtml,
+    stringifyFrontMatter,
+    parseFrontMatter
+};
@@ -0,0 +1,529 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const OptimizedDatabase = require('./database');
+const { writeFileAtomicSync } = require('./safeWrite');
+const categoryList = require('./categories');
+const markdown = require('./markdown');
+
+// Markdown layout: every note is markdown/<category>/<subcategory>/<title>.md with YAML front
+// matter, so a vault can be read and edited without MindKeep. Notes in General sit at the top.
+// Everything else (categories, tasks, trash, history) is stored as in the JSON layout.
+const NOTES_FOLDER = 'markdown';
+const JSON_NOTES_FOLDER = 'notes';
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]{1,10}$/;
+const RESERVED_FILE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+const MAX_FILE_NAME_LENGTH = 100;
+
+// Note fields and their front matter keys; other fields (e.g. a note lock) keep their names
+const FRONT_MATTER_KEYS = {
+    id: 'id',
+    title: 'title',
+    tags: 'tags',
+    description: 'description',
+    isPinned: 'pinned',
+    createdAt: 'created',
+    updatedAt: 'updated'
+};
+// Not written to front matter: the body is the content and the folder is the category
+const DERIVED_FIELDS = ['content', 'category', 'categoryId'];
+
+// Paths differing only in case are the same file on Windows and macOS
+function pathKey(filePath) {
+    return process.platform === 'win32' || process.platform === 'darwin' ? filePath.toLowerCase() : filePath;
+}
+
+// A file or folder name that works on every platform
+function toFileName(name) {
+    let fileName = String(name || '')
+        .replace(/[\\/:*?"<>|\x00-\x1f]/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+/, '')
+        .slice(0, MAX_FILE_NAME_LENGTH)
+        .replace(/[\s.]+$/, '');
+    if (!fileName) fileName = 'Untitled';
+    return RESERVED_FILE_NAMES.test(fileName) ? `${fileName}_` : fileName;
+}
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function toIsoDate(value, fallback) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : fallback;
+}
+
+class MarkdownDatabase extends OptimizedDatabase {
+    // Not encrypted: the point of this layout is files other apps can read
+    constructor(options = {}) {
+        super({ dataDir: options.dataDir, notesFolder: NOTES_FOLDER });
+        this.backend = 'markdown';
+        this.watchRecursive = true;
+    }
+
+    // Front matter and Markdown body <-> note. options.readOnly parses an old version of a note (from
+    // git history): its file may be gone and a folder that no longer exists does not become a category
+    parseNoteText(text, filePath, { readOnly = false } = {}) {
+        const { fields, body } = markdown.parseFrontMatter(text);
+        const relativePath = path.relative(this.notesDir, filePath);
+        const note = {};
+
+        const frontMatterKeys = Object.values(FRONT_MATTER_KEYS);
+        for (const [key, value] of Object.entries(fields)) {
+            if (!frontMatterKeys.includes(key) && !DERIVED_FIELDS.includes(key)) {
+                note[key] = value;
+            }
+        }
+
+        // Files written by hand may have no front matter at all
+        const stats = readOnly || (fields.created && fields.updated) ? null : fs.statSync(filePath);
+        const category = this.getFolderCategory(path.dirname(relativePath), !readOnly);
+        const tags = Array.isArray(fields.tags) ? fields.tags : String(fields.tags || '').split(',');
+
+        return {
+            ...note,
+            id: fields.id !== undefined && fields.id !== null && fields.id !== '' ? String(fields.id) : this.getPathNoteId(filePath),
+            title: fields.title !== undefined && fields.title !== null ? String(fields.title) : path.basename(filePath, '.md'),
+            content: markdown.markdownToHtml(body, { attachmentId: url => this.getAttachmentId(url, filePath) }),
+            categoryId: category.id,
+            category: category.name,
+            tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+            description: fields.description ? String(fields.description) : '',
+            isPinned: fields.pinned === true,
+            createdAt: toIsoDate(fields.created, stats && stats.birthtime.toISOString()),
+            updatedAt: toIsoDate(fields.updated, stats && stats.mtime.toISOString())
+        };
+    }
+
+    serializeNote(note, filePath) {
+        const fields = {};
+        for (const [field, key] of Object.entries(FRONT_MATTER_KEYS)) {
+            fields[key] = note[field];
+        }
+        fields.tags = Array.isArray(note.tags) ? note.tags : [];
+        fields.description = note.description || '';
+        fields.pinned = Boolean(note.isPinned);
+
+        for (const [key, value] of Object.entries(note)) {
+            if (!(key in FRONT_MATTER_KEYS) && !DERIVED_FIELDS.includes(key)) {
+                fields[key] = value;
+            }
+        }
+
+        const body = markdown.htmlToMarkdown(note.content || '', {
+            attachmentUrl: id => path.relative(path.dirname(filePath), path.join(this.dataDir, 'attachments', id)).split(path.sep).join('/')
+        });
+        return `${markdown.stringifyFrontMatter(fields)}\n${body}\n`;
+    }
+
+    // Links to attachments are written relative to the note, so other Markdown apps show them
+    getAttachmentId(url, filePath) {
+        if (/^[a-z][\w+.-]*:/i.test(url)) return null;
+
+        const target = path.resolve(path.dirname(filePath), url);
+        const id = path.basename(target);
+        const inAttachments = pathKey(path.dirname(target)) === pathKey(path.join(this.dataDir, 'attachments'));
+        return inAttachments && ATTACHMENT_ID_PATTERN.test(id) ? id : null;
+    }
+
+    // Files without an id in their front matter get one from their path
+    getPathNoteId(filePath) {
+        const relativePath = path.relative(this.notesDir, filePath).split(path.sep).join('/');
+        return 'md-' + crypto.createHash('sha256').update(relativePath).digest('hex').substring(0, 16);
+    }
+
+    // Category folders
+    getCategoryFolders(categoryId) {
+        const folders = [];
+        const seen = new Set();
+        let category = this.categoriesCache.find(cat => cat.id === categoryId);
+
+        while (category && !seen.has(category.id)) {
+            seen.add(category.id);
+            folders.unshift(toFileName(category.name));
+            category = category.parentId ? this.categoriesCache.find(cat => cat.id === category.parentId) : null;
+        }
+
+        // General's own notes sit at the top of the folder
+        if (folders.length === 1 && categoryId === categoryList.DEFAULT_CATEGORY_ID) {
+            return [];
+        }
+        return folders;
+    }
+
+    // The category a folder stands for; folders created outside the app become new categories
+    // (with create false, the fallback category is returned for them instead)
+    getFolderCategory(relativeDir, create = true) {
+        const fallback = categoryList.getFallbackCategory(this.categoriesCache);
+        const folders = relativeDir.split(path.sep).filter(folder => folder && folder !== '.');
+        let category = null;
+
+        for (const folder of folders) {
+            const parentId = category ? category.id : null;
+            // Category names are unique among siblings regardless of case
+            const existing = this.categoriesCache.find(cat => (cat.parentId || null) === parentId &&
+                toFileName(cat.name).toLowerCase() === folder.toLowerCase());
+
+            if (existing) {
+                category = existing;
+            } else if (!create) {
+                return fallback;
+            } else {
+                const result = categoryList.addCategory(this.categoriesCache, folder, null, parentId);
+                this.categoriesCache = result.categories;
+                category = result.category;
+                // Not this.saveCategories(): nothing needs to move while notes are being read
+                super.saveCategories();
+                console.log(`Added category "${folder}" for a folder in ${NOTES_FOLDER}/`);
+            }
+        }
+        return category || fallback;
+    }
+
+    // Note files
+    listNoteFiles(dir = this.notesDir) {
+        if (!fs.existsSync(dir)) return [];
+
+        const files = [];
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => !entry.name.startsWith('.'))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this.listNoteFiles(entryPath));
+            } else if (entry.name.endsWith('.md')) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    getNoteFile(id) {
+        return this.noteFilePaths.get(id) || null;
+    }
+
+    // A free file name from the note's title in its category folder. A note keeps its current
+    // name while it still fits, so notes sharing a title do not swap "Title.md" and "Title (2).md".
+    getNoteTargetFile(note) {
+        const folder = path.join(this.notesDir, ...this.getCategoryFolders(note.categoryId));
+        const baseName = toFileName(note.title);
+        const currentFile = this.noteFilePaths.get(note.id);
+        const currentName = currentFile ? path.basename(currentFile, '.md') : null;
+        const keepsName = currentName === baseName ||
+            (currentName && currentName.startsWith(`${baseName} (`) && /^ \(\d+\)$/.test(currentName.slice(baseName.length)));
+
+        fs.mkdirSync(folder, { recursive: true });
+        for (let number = keepsName ? 0 : 1; ; number++) {
+            const fileName = number === 0 ? currentName : (number === 1 ? baseName : `${baseName} (${number})`);
+            const filePath = path.join(folder, `${fileName}.md`);
+            const key = pathKey(filePath);
+            const owner = this.noteFileOwners.get(key) || this.reservedNoteFiles.get(key);
+
+            if (owner === note.id) return filePath;
+            if (owner === undefined && !fs.existsSync(filePath)) {
+                // Notes written in parallel must not pick the same name
+                this.reservedNoteFiles.set(key, note.id);
+                return filePath;
+            }
+        }
+    }
+
+    writeNoteFileSync(note) {
+        try {
+            super.writeNoteFileSync(note);
+        } finally {
+            this.releaseNoteFile(note.id);
+        }
+    }
+
+    async writeNoteFile(note) {
+        try {
+            await super.writeNoteFile(note);
+        } finally {
+            this.releaseNoteFile(note.id);
+        }
+    }
+
+    releaseNoteFile(id) {
+        for (const [key, owner] of this.reservedNoteFiles) {
+            if (owner === id) this.reservedNoteFiles.delete(key);
+        }
+    }
+
+    // A renamed or moved note leaves its old file behind
+    noteFileWritten(id, filePath) {
+        const previousFile = this.noteFilePaths.get(id);
+        this.setNoteFilePath(id, filePath);
+
+        if (previousFile && pathKey(previousFile) !== pathKey(filePath)) {
+            fs.rmSync(previousFile, { force: true });
+            this.removeEmptyFolders(path.dirname(previousFile));
+        }
+    }
+
+    setNoteFilePath(id, filePath) {
+        this.clearNoteFilePath(id);
+        this.noteFilePaths.set(id, filePath);
+        this.noteFileOwners.set(pathKey(filePath), id);
+    }
+
+    clearNoteFilePath(id) {
+        const filePath = this.noteFilePaths.get(id);
+        if (filePath && this.noteFileOwners.get(pathKey(filePath)) === id) {
+            this.noteFileOwners.delete(pathKey(filePath));
+        }
+        this.noteFilePaths.delete(id);
+    }
+
+    removeNoteFile(id) {
+        const filePath = this.noteFilePaths.get(id);
+        super.removeNoteFile(id);
+        this.clearNoteFilePath(id);
+        if (filePath) {
+            this.removeEmptyFolders(path.dirname(filePath));
+        }
+    }
+
+    // Remove category folders left empty, up to (not including) markdown/
+    removeEmptyFolders(dir) {
+        while (pathKey(dir) !== pathKey(this.notesDir) && pathKey(dir).startsWith(pathKey(this.notesDir + path.sep))) {
+            try {
+                if (fs.readdirSync(dir).length > 0) return;
+                fs.rmdirSync(dir);
+            } catch (error) {
+                return;
+            }
+            dir = path.dirname(dir);
+        }
+    }
+
+    // The file read as the note with the given id; idChanged marks files whose front matter says otherwise
+    withNoteId(noteFile, id) {
+        return noteFile.note.id === id ? noteFile : { ...noteFile, note: { ...noteFile.note, id }, idChanged: true };
+    }
+
+    // Read every note file. Files found where this store wrote them belong to that note; of
+    // other files with the same id (a copied file), the one with the shortest name keeps it
+    // and the rest get their own.
+    // Returns { noteFiles: Map of note id -> noteFile, unreadable: ids whose file could not be read }
+    scanNoteFiles(quarantine) {
+        const noteFiles = new Map();
+        const unreadable = new Set();
+        const unowned = [];
+
+        for (const filePath of this.listNoteFiles()) {
+            const owner = this.noteFileOwners.get(pathKey(filePath));
+            const noteFile = this.readNoteFile(filePath, quarantine);
+
+            if (!noteFile) {
+                if (owner) unreadable.add(owner);
+            } else if (owner) {
+                noteFiles.set(owner, this.withNoteId(noteFile, owner));
+            } else {
+                unowned.push(noteFile);
+            }
+        }
+
+        unowned.sort((a, b) => path.basename(a.filePath).length - path.basename(b.filePath).length);
+        for (const noteFile of unowned) {
+            const id = noteFiles.has(noteFile.note.id) ? this.getPathNoteId(noteFile.filePath) : noteFile.note.id;
+            noteFiles.set(id, this.withNoteId(noteFile, id));
+        }
+        return { noteFiles, unreadable };
+    }
+
+    loadNotes() {
+        this.noteFilePaths = new Map();     // Note id -> its .md file
+        this.noteFileOwners = new Map();    // Path key -> id of the note written there
+        this.reservedNoteFiles = new Map(); // Path key -> id of a note being written there
+        this.notesCache.clear();
+        this.noteFileHashes.clear();
+
+        // Switched from the JSON layout (or an earlier import was interrupted)
+        const jsonNotesDir = path.join(this.dataDir, JSON_NOTES_FOLDER);
+        if (fs.existsSync(jsonNotesDir)) {
+            this.importJsonNotes(jsonNotesDir);
+            return;
+        }
+
+        for (const [id, noteFile] of this.scanNoteFiles(true).noteFiles) {
+            this.notesCache.set(id, noteFile.note);
+            this.noteFileHashes.set(id, noteFile.hash);
+            this.setNoteFilePath(id, noteFile.filePath);
+            this.saveNoteId(noteFile);
+        }
+
+        this.metaCache.totalNotes = this.notesCache.size;
+    }
+
+    // Convert notes/*.json to Markdown files. notes/ is removed only once every note is written,
+    // so an import cut short starts over at the next start.
+    importJsonNotes(jsonNotesDir) {
+        fs.rmSync(this.notesDir, { recursive: true, force: true });
+        fs.mkdirSync(this.notesDir, { recursive: true });
+
+        const noteFiles = fs.readdirSync(jsonNotesDir).filter(file => file.endsWith('.json'));
+        for (const file of noteFiles) {
+            const note = this.readJsonFile(path.join(jsonNotesDir, file), data => data && typeof data.id === 'string');
+            if (note) {
+                const resolved = categoryList.resolveNoteCategory(this.categoriesCache, note);
+                this.notesCache.set(resolved.id, resolved);
+                this.writeNoteFileSync(resolved);
+            }
+        }
+
+        fs.rmSync(jsonNotesDir, { recursive: true, force: true });
+        this.loadReport.migratedNotes = this.notesCache.size;
+        this.metaCache.totalNotes = this.notesCache.size;
+        console.log(`Converted ${this.notesCache.size} notes from the JSON layout to Markdown files`);
+    }
+
+    // Write the notes back to the JSON layout (used when switching to another storage format)
+    exportToJson() {
+        this.stopWatching();
+
+        const jsonNotesDir = path.join(this.dataDir, JSON_NOTES_FOLDER);
+        fs.mkdirSync(jsonNotesDir, { recursive: true });
+        for (const note of this.notesCache.values()) {
+            writeFileAtomicSync(path.join(jsonNotesDir, `${note.id}.json`), JSON.stringify(note, null, 2));
+        }
+
+        fs.rmSync(this.notesDir, { recursive: true, force: true });
+        this.noteFilePaths.clear();
+        this.noteFileOwners.clear();
+        this.noteFileHashes.clear();
+        console.log(`Converted ${this.notesCache.size} notes from Markdown files to the JSON layout`);
+    }
+
+    // Renamed or moved categories move their folders' notes
+    saveCategories() {
+        super.saveCategories();
+        if (this.noteFilePaths) {
+            this.relocateNoteFiles();
+        }
+    }
+
+    relocateNoteFiles() {
+        for (const [id, filePath] of Array.from(this.noteFilePaths)) {
+            const note = this.notesCache.get(id);
+            if (!note || this.noteConflicts.has(id)) continue;
+
+            const targetFile = this.getNoteTargetFile(note);
+            this.releaseNoteFile(id);
+            // Rewritten rather than renamed: links to attachments are relative to the file.
+            // A file changed outside the app stays until that change is merged.
+            if (pathKey(targetFile) !== pathKey(filePath) && this.isNoteFileUnchanged(id, filePath)) {
+                this.writeNoteFileSync(note);
+            }
+        }
+    }
+
+    // Compares the file's text only: reading it as a note would take its folder for a category
+    isNoteFileUnchanged(id, filePath) {
+        try {
+            return hashText(fs.readFileSync(filePath, 'utf8')) === this.noteFileHashes.get(id);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // External changes: file names say nothing about note ids, so unknown files mean a rescan
+    queueNoteFileChange(fileName) {
+        const name = path.basename(fileName);
+        if (name.startsWith('.')) return false;
+
+        const filePath = path.join(this.notesDir, fileName);
+        const owner = this.noteFileOwners.get(pathKey(filePath));
+        if (owner) {
+            this.changedNoteIds.add(owner);
+            return true;
+        }
+
+        // Files this store moved away, or not a note
+        try {
+            if (!name.endsWith('.md') && !fs.statSync(filePath).isDirectory()) return false;
+        } catch (error) {
+            return false;
+        }
+        this.rescanNotes = true;
+        return true;
+    }
+
+    readNoteFilesForSync(ids) {
+        const noteFiles = new Map();
+
+        if (ids) {
+            let moved = false;
+            for (const id of ids) {
+                const filePath = this.noteFilePaths.get(id);
+                if (!filePath) {
+                    noteFiles.set(id, null);
+                } else if (fs.existsSync(filePath)) {
+                    const noteFile = this.readNoteFile(filePath, false);
+                    if (noteFile) {
+                        noteFiles.set(id, this.withNoteId(noteFile, id));
+                    }
+                } else {
+                    moved = true;
+                }
+            }
+            if (!moved) return noteFiles;
+        }
+
+        // A file gone from where it was may have been moved or renamed
+        const scan = this.scanNoteFiles(false);
+        const scanIds = ids || new Set([...this.notesCache.keys(), ...scan.noteFiles.keys()]);
+        for (const id of scanIds) {
+            if (!noteFiles.has(id) && !scan.unreadable.has(id)) {
+                noteFiles.set(id, scan.noteFiles.get(id) || null);
+            }
+        }
+        return noteFiles;
+    }
+
+    isKnownNoteFile(id, noteFile) {
+        const filePath = this.noteFilePaths.get(id);
+        return super.isKnownNoteFile(id, noteFile) && Boolean(filePath) && pathKey(filePath) === pathKey(noteFile.filePath);
+    }
+
+    acceptExternalNote(id, noteFile) {
+        super.acceptExternalNote(id, noteFile);
+        if (noteFile) {
+            this.setNoteFilePath(id, noteFile.filePath);
+            this.saveNoteId(noteFile);
+        } else {
+            this.clearNoteFilePath(id);
+        }
+    }
+
+    // A copied note keeps the id it was given here, whichever file is read first next time.
+    // Written in place: the file keeps the name it was given outside the app.
+    saveNoteId(noteFile) {
+        if (!noteFile.idChanged) return;
+        try {
+            const text = this.serializeNote(noteFile.note, noteFile.filePath);
+            writeFileAtomicSync(noteFile.filePath, text);
+            this.noteFileHashes.set(noteFile.note.id, hashText(text));
+        } catch (error) {
+            console.error(`Cannot update the id in ${noteFile.filePath}:`, error);
+        }
+    }
+
+    resolveNoteConflictSync(id, choice) {
+        const conflict = this.noteConflicts.get(id);
+        const result = super.resolveNoteConflictSync(id, choice);
+
+        // Keeping the app's version overwrites the other one where it is now
+        if (result.success && choice === 'local' && conflict.externalFile) {
+            this.setNoteFilePath(id, conflict.externalFile.filePath);
+        }
+        return result;
+    }
+}
+
+// Also used for the Markdown copies of notes in vault archives
+MarkdownDatabase.toFileName = toFileName;
+
+module.exports = MarkdownDatabase;
@@ -18,16 +18,19 @@ class MealPlanner {
         this.initializeMealPlanner();
     }
 
-    initializeMealPlanner() {
+    async initializeMealPlanner() {
         try {
-            this.loadMealData();
+            await this.loadMealData();
             this.setupDefaultMeals();
+            this.refreshMealPlannerView();
         } catch (error) {
             console.warn('MealPlanner initialization error:', error);
         }
     }
 
     async loadMealData() {
+        this.meals.clear();
+        this.weeklyPlan.clear();
         try {
             // Load from JSON files via electron API
             const savedMeals = await window.electronAPI.getMeals();
@@ -42,6 +45,10 @@ class MealPlanner {
                     this.weeklyPlan.set(plan.date, plan.meals);
                 });
             }
+
+            if (this.meals.size === 0 && this.weeklyPlan.size === 0) {
+                await this.migrateLocalStorageData();
+            }
         } catch (error) {
             console.warn('Error loading meal data:', error);
             // Fallback to localStorage if electron API not available
@@ -70,6 +77,21 @@ class MealPlanner {
         }
     }
 
+    // Earlier versions could only keep meals in localStorage; move them into the data folder once
+    async migrateLocalStorageData() {
+        if (!localStorage.getItem('mindkeep_meals') && !localStorage.getItem('mindkeep_meal_plans')) return;
+
+        this.loadFromLocalStorage();
+        await window.electronAPI.saveMeals(Array.from(this.meals.values()));
+        await window.electronAPI.saveMealPlans(Array.from(this.weeklyPlan.entries()).map(([date, meals]) => ({
+            date,
+            meals
+        })));
+
+        localStorage.removeItem('mindkeep_meals');
+        localStorage.removeItem('mindkeep_meal_plans');
+    }
+
     async saveMealData() {
         try {
             const mealsArray = Array.from(this.meals.values());
@@ -0,0 +1,205 @@
+// Schema versioning and ordered upgrade steps for notes, categories, meta and backup files.
+//
+// Every step upgrades data from (version - 1) to version. Data without a schemaVersion
+// predates versioning and is treated as version 1. To change the stored shape, add a step
+// to MIGRATIONS and bump CURRENT_SCHEMA_VERSION.
+
+const { assignCategoryIds, resolveNoteCategory } = require('./categories');
+
+const CURRENT_SCHEMA_VERSION = 3;
+
+class SchemaVersionError extends Error {
+    constructor(foundVersion) {
+        super(`This data was written by a newer version of MindKeep (schema ${foundVersion}, ` +
+            `this version supports up to ${CURRENT_SCHEMA_VERSION}). Please update MindKeep.`);
+        this.name = 'SchemaVersionError';
+        this.foundVersion = foundVersion;
+    }
+}
+
+// Tags have been stored as arrays, "a, b" strings and "#a #b" strings
+function normalizeTags(tags) {
+    let list = [];
+    if (Array.isArray(tags)) {
+        list = tags;
+    } else if (typeof tags === 'string') {
+        list = tags.includes('#') ? tags.split(/[,\s]+/) : tags.split(',');
+    }
+
+    const seen = new Set();
+    return list
+        .map(tag => String(tag).replace(/^#+/, '').trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Normalize tags to arrays, isPinned to a boolean and fill missing note fields',
+        note(note) {
+            const now = new Date().toISOString();
+            return {
+                ...note,
+                title: typeof note.title === 'string' && note.title ? note.title : 'Untitled',
+                content: typeof note.content === 'string' ? note.content : '',
+                description: note.description == null ? '' : String(note.description),
+                category: note.category || 'General',
+                tags: normalizeTags(note.tags),
+                isPinned: note.isPinned === true || note.isPinned === 'true' || note.isPinned === 1,
+                createdAt: note.createdAt || note.updatedAt || now,
+                updatedAt: note.updatedAt || note.createdAt || now
+            };
+        },
+        category(category) {
+            return {
+                ...category,
+                color: category.color || '#4a9eff',
+                parent: category.parent || null
+            };
+        },
+        meta(meta) {
+            const { version, ...rest } = meta;
+            return rest;
+        }
+    },
+    {
+        version: 3,
+        description: 'Give categories stable ids and point notes at them with categoryId',
+        categories(categories) {
+            return assignCategoryIds(categories);
+        },
+        note(note, { categories }) {
+            return resolveNoteCategory(categories, note);
+        }
+    }
+];
+
+function getSchemaVersion(data) {
+    return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 1;
+}
+
+function assertSupportedSchemaVersion(data) {
+    const version = getSchemaVersion(data);
+    if (version > CURRENT_SCHEMA_VERSION) {
+        throw new SchemaVersionError(version);
+    }
+    return version;
+}
+
+function getPendingSteps(fromVersion) {
+    return MIGRATIONS.filter(step => step.version > fromVersion && step.version <= CURRENT_SCHEMA_VERSION);
+}
+
+// Run every pending step of the given kind ('note', 'category' or 'meta') over one record.
+// Note steps also get the already migrated category list as context.
+function migrateRecord(kind, record, fromVersion, context = {}) {
+    return getPendingSteps(fromVersion).reduce((current, step) => step[kind] ? step[kind](current, context) : current, record);
+}
+
+// Categories migrate per record ('category') and then as a whole list ('categories')
+function migrateCategories(categories, fromVersion) {
+    return getPendingSteps(fromVersion).reduce((current, step) => {
+        const migrated = step.category ? current.map(category => step.category(category)) : current;
+        return step.categories ? step.categories(migrated) : migrated;
+    }, categories);
+}
+
+// Return an upgraded copy of a backup file's contents. Throws SchemaVersionError for newer files.
+function migrateBackupData(backupData) {
+    const fromVersion = assertSupportedSchemaVersion(backupData);
+    if (fromVersion === CURRENT_SCHEMA_VERSION) {
+        return { data: backupData, fromVersion, migrated: false };
+    }
+
+    const { version, ...rest } = backupData;
+    const categories = migrateCategories(backupData.categories || [], fromVersion);
+    const data = {
+        ...rest,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        notes: (backupData.notes || []).map(note => migrateRecord('note', note, fromVersion, { categories })),
+        categories
+    };
+
+    if (Array.isArray(backupData.trash)) {
+        data.trash = backupData.trash.map(note => migrateRecord('note', note, fromVersion, { categories }));
+    }
+    if (backupData.meta) {
+        data.meta = migrateRecord('meta', backupData.meta, fromVersion);
+    }
+
+    return { data, fromVersion, migrated: true };
+}
+
+// Upgrade the open database to the current schema, taking a backup snapshot first
+async function runStartupMigrations(database, backupManager) {
+    const fromVersion = assertSupportedSchemaVersion(database.metaCache);
+    if (fromVersion === CURRENT_SCHEMA_VERSION) {
+        return { migrated: false, fromVersion, toVersion: CURRENT_SCHEMA_VERSION };
+    }
+
+    const steps = getPendingSteps(fromVersion);
+    console.log(`Migrating data from schema ${fromVersion} to ${CURRENT_SCHEMA_VERSION}:`,
+        steps.map(step => step.description).join('; '));
+
+    const notes = database.getNotes();
+    const trash = database.getTrash();
+    let snapshot = null;
+
+    if (notes.length > 0 || trash.length > 0) {
+        snapshot = await backupManager.createSnapshot(`pre-migration-v${fromVersion}`,
+            `Before upgrading from data schema ${fromVersion}`);
+        if (!snapshot.success) {
+            throw new Error(`Could not back up data before migrating: ${snapshot.error}`);
+        }
+    }
+
+    const categories = migrateCategories(database.getCategories(), fromVersion);
+    database.replaceCategories(categories);
+
+    const changed = [];
+    for (const note of notes) {
+        const migrated = migrateRecord('note', note, fromVersion, { categories });
+        if (JSON.stringify(migrated) !== JSON.stringify(note)) {
+            changed.push(migrated);
+        }
+    }
+    await database.saveNotes(changed);
+
+    database.replaceTrash(trash.map(note => migrateRecord('note', note, fromVersion, { categories })));
+
+    const backupsMigrated = await backupManager.migrateBackupFiles();
+
+    database.metaCache = {
+        ...migrateRecord('meta', database.metaCache, fromVersion),
+        schemaVersion: CURRENT_SCHEMA_VERSION
+    };
+    await database.forceWrite();
+    database.saveMeta();
+
+    return {
+        migrated: true,
+        fromVersion,
+        toVersion: CURRENT_SCHEMA_VERSION,
+        notesMigrated: notes.length,
+        backupsMigrated,
+        snapshot: snapshot ? snapshot.filename : null
+    };
+}
+
+module.exports = {
+    CURRENT_SCHEMA_VERSION,
+    SchemaVersionError,
+    MIGRATIONS,
+    normalizeTags,
+    getSchemaVersion,
+    assertSupportedSchemaVersion,
+    migrateRecord,
+    migrateCategories,
+    migrateBackupData,
+    runStartupMigrations
+};
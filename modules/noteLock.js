@@ -0,0 +1,54 @@
+// Per-note encryption for individual sensitive notes, independent of vault encryption.
+//
+// A locked note keeps its title, tags and category readable; content and description are
+// sealed with the note's own password into note.lock and blanked on the note itself.
+const crypto = require('crypto');
+const { VaultCipher, deriveKey, KDF_PARAMS } = require('./vault');
+const { findAttachmentIds } = require('./attachments');
+
+const MIN_PASSWORD_LENGTH = 4;
+
+function isNoteLocked(note) {
+    return !!(note && note.lock);
+}
+
+// Returns a copy of the note with content and description sealed
+async function lockNote(note, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`The password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const salt = crypto.randomBytes(16);
+    const cipher = new VaultCipher(await deriveKey(password, salt, KDF_PARAMS));
+    const sealed = { content: note.content || '', description: note.description || '' };
+
+    return {
+        ...note,
+        content: '',
+        description: '',
+        lock: {
+            kdf: 'scrypt',
+            params: KDF_PARAMS,
+            salt: salt.toString('base64'),
+            data: cipher.encrypt(JSON.stringify(sealed)),
+            // Kept readable so attachment garbage collection does not remove files the note uses
+            attachments: findAttachmentIds(`${sealed.content} ${sealed.description}`)
+        }
+    };
+}
+
+// Returns { content, description }; throws 'Wrong password' if the password does not match
+async function unlockNote(note, password) {
+    if (!isNoteLocked(note)) {
+        throw new Error('This note is not locked');
+    }
+
+    const key = await deriveKey(String(password || ''), Buffer.from(note.lock.salt, 'base64'), note.lock.params);
+    try {
+        return JSON.parse(new VaultCipher(key).decrypt(note.lock.data));
+    } catch (error) {
+        throw new Error('Wrong password');
+    }
+}
+
+module.exports = { isNoteLocked, lockNote, unlockNote, MIN_PASSWORD_LENGTH };
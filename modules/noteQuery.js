@@ -0,0 +1,248 @@
+// Filtering, sorting, pagination and field projection of notes for the db-query-notes channel.
+// Works on the notes a store returns (with category names), so every backend answers alike.
+//
+// query = {
+//   categoryIds: [id],          notes in any of these categories or their subcategories
+//   tags: [tag],                notes having every one of these tags (case-insensitive)
+//   pinned, hasTasks, hasLinks: true or false; left out, they do not filter
+//   createdFrom, createdTo, updatedFrom, updatedTo: ISO dates; a bare date as an upper bound
+//                               includes that whole day
+//   search: the search box of the notes list: '#tag', 'category:work', 'date:2024-05',
+//                               'a AND b', 'a OR b', or words that each appear in the note (a
+//                               slightly misspelt word still matches)
+//   sort: [{ field, direction }]  field: 'pinned', 'title', 'createdAt' or 'updatedAt'
+//   limit, cursor:              page size, and the nextCursor of the previous page
+//   fields: ['id', 'title', 'summary', ...]  only these fields of each note ('id' is always included);
+//                               'summary' and 'locked' are worked out from the note
+// }
+
+const categoryList = require('./categories');
+const { htmlToText } = require('./markdown');
+const { SearchIndex } = require('./performance');
+
+const SORT_FIELDS = ['pinned', 'title', 'createdAt', 'updatedAt'];
+const DEFAULT_SORT = [{ field: 'pinned', direction: 'desc' }, { field: 'updatedAt', direction: 'desc' }];
+const MAX_LIMIT = 1000;
+const SUMMARY_LENGTH = 200;
+
+// Same markers the renderer's task and note link features use
+function hasTasks(note) {
+    return Boolean(note.content) && (note.content.includes('☐') || note.content.includes('☑'));
+}
+
+function hasLinks(note) {
+    return Boolean(note.content) && /@[A-Za-z0-9\-_]/.test(note.content);
+}
+
+// The description, or the start of the note's text. Locked notes have both sealed
+function getSummary(note) {
+    if (note.lock) return '';
+    const text = note.description || htmlToText(note.content).replace(/\n/g, ' ');
+    return text.length > SUMMARY_LENGTH ? text.slice(0, SUMMARY_LENGTH - 1) + '…' : text;
+}
+
+// What the search box looks in. Locked notes only show their title and tags
+function getSearchText(note) {
+    const text = note.lock
+        ? `${note.title || ''} ${(note.tags || []).join(' ')}`
+        : `${note.title || ''} ${htmlToText(note.content)} ${note.description || ''} ${(note.tags || []).join(' ')}`;
+    return text.toLowerCase();
+}
+
+function buildSearchFilter(search) {
+    const term = String(search).trim();
+    const lower = term.toLowerCase();
+    if (lower.startsWith('#')) {
+        const tag = lower.slice(1);
+        return note => (note.tags || []).some(noteTag => noteTag.toLowerCase().includes(tag));
+    }
+    if (lower.startsWith('category:')) {
+        const name = lower.slice('category:'.length);
+        return note => (note.category || '').toLowerCase().includes(name);
+    }
+    if (lower.startsWith('date:')) {
+        const date = lower.slice('date:'.length);
+        return note => {
+            const time = new Date(note.updatedAt);
+            return !Number.isNaN(time.getTime()) && time.toISOString().slice(0, 10).includes(date);
+        };
+    }
+    if (term.includes(' AND ') || term.includes(' OR ')) {
+        const all = term.includes(' AND ');
+        const parts = term.split(all ? ' AND ' : ' OR ').map(part => part.trim().toLowerCase()).filter(Boolean);
+        return note => {
+            const text = getSearchText(note);
+            return all ? parts.every(part => text.includes(part)) : parts.some(part => text.includes(part));
+        };
+    }
+
+    const words = lower.split(/\s+/).filter(Boolean);
+    const fuzzy = new SearchIndex();
+    return note => {
+        const text = getSearchText(note);
+        return words.every(word => text.includes(word) || fuzzy.findFuzzyMatches(text, word) > 0);
+    };
+}
+
+function parseDate(value, name, endOfDay = false) {
+    const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} is not a valid date`);
+    }
+    return date.getTime();
+}
+
+function buildFilters(categories, query) {
+    const filters = [];
+
+    if (Array.isArray(query.categoryIds) && query.categoryIds.length > 0) {
+        const ids = new Set(query.categoryIds.flatMap(ref => categoryList.getCategoryWithDescendants(categories, ref)));
+        filters.push(note => ids.has(note.categoryId));
+    }
+    if (Array.isArray(query.tags) && query.tags.length > 0) {
+        const wanted = query.tags.map(tag => String(tag).toLowerCase());
+        filters.push(note => {
+            const tags = (note.tags || []).map(tag => tag.toLowerCase());
+            return wanted.every(tag => tags.includes(tag));
+        });
+    }
+    if (typeof query.search === 'string' && query.search.trim()) {
+        filters.push(buildSearchFilter(query.search));
+    }
+    if (typeof query.pinned === 'boolean') {
+        filters.push(note => Boolean(note.isPinned) === query.pinned);
+    }
+    if (typeof query.hasTasks === 'boolean') {
+        filters.push(note => hasTasks(note) === query.hasTasks);
+    }
+    if (typeof query.hasLinks === 'boolean') {
+        filters.push(note => hasLinks(note) === query.hasLinks);
+    }
+
+    for (const field of ['created', 'updated']) {
+        const from = query[`${field}From`];
+        const to = query[`${field}To`];
+        if (from) {
+            const time = parseDate(from, `${field}From`);
+            filters.push(note => new Date(note[`${field}At`]).getTime() >= time);
+        }
+        if (to) {
+            const time = parseDate(to, `${field}To`, true);
+            filters.push(note => new Date(note[`${field}At`]).getTime() <= time);
+        }
+    }
+    return filters;
+}
+
+function buildSort(sort) {
+    const keys = sort === undefined ? DEFAULT_SORT : sort;
+    if (!Array.isArray(keys)) {
+        throw new Error('sort must be a list of { field, direction }');
+    }
+    return keys.map(key => {
+        if (!SORT_FIELDS.includes(key.field)) {
+            throw new Error(`Unknown sort field "${key.field}"`);
+        }
+        const direction = key.direction || (key.field === 'title' ? 'asc' : 'desc');
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Unknown sort direction "${key.direction}"`);
+        }
+        return { field: key.field, direction };
+    });
+}
+
+function sortValue(note, field) {
+    if (field === 'pinned') return note.isPinned ? 1 : 0;
+    if (field === 'title') return note.title || '';
+    return new Date(note[field]).getTime() || 0;
+}
+
+// The sort values of a note followed by its id, which keeps the order (and cursors) stable
+function sortKey(note, sort) {
+    return [...sort.map(key => sortValue(note, key.field)), note.id];
+}
+
+function compareKeys(a, b, sort) {
+    for (let i = 0; i < a.length; i++) {
+        const order = typeof a[i] === 'string' ? a[i].localeCompare(b[i]) : a[i] - b[i];
+        if (order !== 0) {
+            return i < sort.length && sort[i].direction === 'desc' ? -order : order;
+        }
+    }
+    return 0;
+}
+
+// A cursor is the sort key of the last note of a page: the next page starts after it even when
+// notes were added or removed in between
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (Array.isArray(key) && key.length === sort.length + 1) return key;
+    } catch (error) {
+        // Reported below
+    }
+    throw new Error('The cursor does not belong to this query');
+}
+
+function project(note, fields) {
+    if (!fields) return note;
+    const result = { id: note.id };
+    for (const field of fields) {
+        if (field === 'summary') {
+            result.summary = getSummary(note);
+        } else if (field === 'locked') {
+            result.locked = Boolean(note.lock);
+        } else if (field in note) {
+            result[field] = note[field];
+        }
+    }
+    return result;
+}
+
+// Returns { notes, total, nextCursor }: total counts every match, nextCursor is null on the last page
+function queryNotes(notes, categories, query = {}) {
+    const filters = buildFilters(categories, query);
+    const sort = buildSort(query.sort);
+
+    let limit = null;
+    if (query.limit !== undefined && query.limit !== null) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('limit must be a positive whole number');
+        }
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+    if (query.fields !== undefined && !Array.isArray(query.fields)) {
+        throw new Error('fields must be a list of field names');
+    }
+
+    let matches = notes
+        .filter(note => filters.every(filter => filter(note)))
+        .map(note => ({ note, key: sortKey(note, sort) }))
+        .sort((a, b) => compareKeys(a.key, b.key, sort));
+    const total = matches.length;
+
+    if (query.cursor) {
+        const after = decodeCursor(query.cursor, sort);
+        matches = matches.filter(match => compareKeys(match.key, after, sort) > 0);
+    }
+
+    const page = limit === null ? matches : matches.slice(0, limit);
+    const hasMore = page.length < matches.length;
+    return {
+        notes: page.map(match => project(match.note, query.fields)),
+        total,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null
+    };
+}
+
+module.exports = {
+    queryNotes,
+    hasTasks,
+    hasLinks,
+    getSummary
+};
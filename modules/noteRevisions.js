@@ -0,0 +1,75 @@
+// Revision snapshot helpers shared by the storage backends
+
+const MAX_REVISIONS = 50;          // Revisions kept per note
+const MAX_REVISION_AGE_DAYS = 90;  // Older revisions are pruned (the newest is always kept)
+
+// Build a revision snapshot from the fields a user can edit
+function createRevision(note, timestamp = new Date().toISOString()) {
+    return {
+        revisionId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp,
+        title: note.title || '',
+        content: note.content || '',
+        description: note.description || '',
+        category: note.category || '',
+        tags: Array.isArray(note.tags) ? [...note.tags] : [],
+        isPinned: !!note.isPinned
+    };
+}
+
+function isSameRevision(revision, note) {
+    return revision.title === (note.title || '') &&
+        revision.content === (note.content || '') &&
+        revision.description === (note.description || '') &&
+        revision.category === (note.category || '') &&
+        JSON.stringify(revision.tags) === JSON.stringify(Array.isArray(note.tags) ? note.tags : []);
+}
+
+// Drop revisions past the age limit, then past the count limit (oldest first, in place)
+function pruneRevisions(revisions, maxCount = MAX_REVISIONS, maxAgeDays = MAX_REVISION_AGE_DAYS) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+    while (revisions.length > 1 && new Date(revisions[0].timestamp).getTime() < cutoff) {
+        revisions.shift();
+    }
+
+    if (revisions.length > maxCount) {
+        revisions.splice(0, revisions.length - maxCount);
+    }
+
+    return revisions;
+}
+
+// List entry for the history panel, without the full content
+function summarizeRevision(revision) {
+    return {
+        revisionId: revision.revisionId,
+        timestamp: revision.timestamp,
+        title: revision.title,
+        category: revision.category,
+        size: revision.content.length
+    };
+}
+
+// The note as it looks after restoring a revision over the current version
+function buildRestoredNote(noteId, current, revision) {
+    return {
+        ...(current || { id: noteId, createdAt: revision.timestamp }),
+        title: revision.title,
+        content: revision.content,
+        description: revision.description,
+        category: revision.category,
+        tags: [...revision.tags],
+        updatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    MAX_REVISIONS,
+    MAX_REVISION_AGE_DAYS,
+    createRevision,
+    isSameRevision,
+    pruneRevisions,
+    summarizeRevision,
+    buildRestoredNote
+};
@@ -181,6 +181,24 @@ class SearchIndex {
         });
     }
 
+    // Searchable text of a note. Locked notes only expose their title and tags.
+    static getNoteText(note) {
+        if (note.lock) {
+            return `${note.title} ${(note.tags || []).join(' ')}`;
+        }
+        return `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
+    }
+
+    // Add or replace a note
+    addNote(note) {
+        this.removeDocument(note.id);
+        this.addDocument(note.id, SearchIndex.getNoteText(note), {
+            title: note.title,
+            category: note.category,
+            updatedAt: note.updatedAt
+        });
+    }
+
     // Remove document from index
     removeDocument(id) {
         const doc = this.documents.get(id);
@@ -0,0 +1,90 @@
+// Crash-safe file writes: data goes to a temp file, is fsynced, then renamed over the target.
+// A rename within one directory is atomic, so readers see either the old or the new file, never half of one.
+const fs = require('fs');
+const path = require('path');
+
+const TEMP_PATTERN = /\.tmp-\d+-\d+$/;
+let tempCounter = 0;
+
+function getTempPath(filePath) {
+    tempCounter = (tempCounter + 1) % 1000000;
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.tmp-${process.pid}-${tempCounter}`);
+}
+
+// Persist the rename itself; not supported on Windows, where it is safe to skip
+function syncDirectory(dirPath) {
+    if (process.platform === 'win32') return;
+    try {
+        const fd = fs.openSync(dirPath, 'r');
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (error) {
+        // Some file systems (network shares) refuse to fsync directories
+    }
+}
+
+function writeFileAtomicSync(filePath, data) {
+    const tempPath = getTempPath(filePath);
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+    syncDirectory(path.dirname(filePath));
+}
+
+async function writeFileAtomic(filePath, data) {
+    const tempPath = getTempPath(filePath);
+    try {
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+    syncDirectory(path.dirname(filePath));
+}
+
+// Append one line and fsync it before returning (used for the write-ahead journal)
+function appendLineSync(filePath, line) {
+    const fd = fs.openSync(filePath, 'a');
+    try {
+        fs.writeSync(fd, line + '\n');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Remove temp files left behind by a crash in the middle of a write
+function removeStaleTempFiles(dirPath) {
+    if (!fs.existsSync(dirPath)) return 0;
+
+    let removed = 0;
+    for (const file of fs.readdirSync(dirPath)) {
+        if (TEMP_PATTERN.test(file)) {
+            fs.rmSync(path.join(dirPath, file), { force: true });
+            removed++;
+        }
+    }
+    return removed;
+}
+
+module.exports = { writeFileAtomic, writeFileAtomicSync, appendLineSync, removeStaleTempFiles };
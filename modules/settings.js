@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./safeWrite');
+
+// Main-process settings stored as JSON next to the data they configure.
+// These are read before the database opens, so they cannot live in the database itself.
+class Settings {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.values = { ...defaults };
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.values = { ...this.defaults, ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.values = { ...this.defaults };
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+        return true;
+    }
+
+    save() {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        writeFileAtomicSync(this.filePath, JSON.stringify(this.values, null, 2));
+    }
+}
+
+module.exports = Settings;
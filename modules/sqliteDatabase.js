@@ -0,0 +1,751 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { DatabaseSync } = require('node:sqlite');
+const { diffNotes } = require('./diff');
+const revisionUtils = require('./noteRevisions');
+const { writeFileAtomicSync } = require('./safeWrite');
+const { CURRENT_SCHEMA_VERSION, assertSupportedSchemaVersion } = require('./migrations');
+const categoryList = require('./categories');
+
+// SQLite-backed store with the same interface as OptimizedDatabase.
+// Notes are not cached between calls, but getNotes() still parses every row, so lists and
+// queries use as much memory while they run as with the JSON store. Every write is an
+// immediate WAL transaction, so there is no batching, journal or flush to wait for.
+class SqliteDatabase {
+    // options.dataDir is the vault folder (default: mindkeep-data in the user data folder)
+    constructor(options = {}) {
+        this.backend = 'sqlite';
+        this.dataDir = options.dataDir || path.join(app.getPath('userData'), 'mindkeep-data');
+        this.backupsDir = path.join(this.dataDir, 'backups');
+        this.dbFile = path.join(this.dataDir, 'mindkeep.db');
+
+        this.categoriesCache = [];
+        this.changeListener = null;   // Receives typed change events (see modules/changeFeed.js)
+        this.metaCache = {
+            totalNotes: 0,
+            totalTrashed: 0,
+            trashRetentionDays: 30,   // 0 keeps trashed notes until the trash is emptied
+            lastBackup: null
+        };
+
+        this.MAX_REVISIONS = revisionUtils.MAX_REVISIONS;
+        this.MAX_REVISION_AGE_DAYS = revisionUtils.MAX_REVISION_AGE_DAYS;
+
+        this.loadReport = {
+            quarantined: [],
+            journalReplayed: 0,
+            journalSkipped: 0,
+            tempFilesRemoved: 0,
+            migratedNotes: 0
+        };
+
+        this.ensureDirectories();
+
+        this.db = new DatabaseSync(this.dbFile);
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec('PRAGMA synchronous = NORMAL');
+        this.createSchema();
+        this.loadData();
+    }
+
+    ensureDirectories() {
+        [this.dataDir, this.backupsDir].forEach(dir => {
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+        });
+    }
+
+    createSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS notes (
+                id TEXT PRIMARY KEY,
+                category TEXT,
+                is_pinned INTEGER NOT NULL DEFAULT 0,
+                updated_at TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_notes_category ON notes(category);
+
+            CREATE TABLE IF NOT EXISTS trash (
+                id TEXT PRIMARY KEY,
+                category TEXT,
+                deleted_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS revisions (
+                revision_id TEXT PRIMARY KEY,
+                note_id TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_revisions_note ON revisions(note_id, seq);
+
+            CREATE TABLE IF NOT EXISTS categories (
+                position INTEGER PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS task_lists (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS tasks (
+                id TEXT PRIMARY KEY,
+                list_id TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_tasks_list ON tasks(list_id);
+
+            CREATE TABLE IF NOT EXISTS meals (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS meal_plans (
+                date TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+    }
+
+    // Run fn inside a transaction, rolling back if it throws
+    transaction(fn) {
+        this.db.exec('BEGIN');
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    loadData() {
+        const meta = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('meta');
+        if (meta) {
+            this.metaCache = { ...this.metaCache, ...JSON.parse(meta.value) };
+        }
+
+        // Data from a newer version must not be touched
+        try {
+            assertSupportedSchemaVersion(this.metaCache);
+        } catch (error) {
+            this.db.close();
+            throw error;
+        }
+
+        if (!this.metaCache.migratedFromJson) {
+            this.migrateFromJson();
+        }
+
+        this.categoriesCache = this.db.prepare('SELECT data FROM categories ORDER BY position').all()
+            .map(row => JSON.parse(row.data));
+        if (this.categoriesCache.length === 0) {
+            this.categoriesCache = categoryList.createDefaultCategories();
+            this.saveCategories();
+        }
+
+        this.updateCounts();
+        this.purgeExpiredTrash();
+    }
+
+    // One-time import of the JSON folder layout (notes/, trash/, history/, categories.json, meta.json).
+    // The JSON files are left in place untouched.
+    migrateFromJson() {
+        const hasJsonData = fs.existsSync(path.join(this.dataDir, 'notes')) ||
+            fs.existsSync(path.join(this.dataDir, 'categories.json'));
+
+        if (hasJsonData) {
+            // The JSON store replays its journal and quarantines damaged files while loading
+            const OptimizedDatabase = require('./database');
+            const jsonDb = new OptimizedDatabase({ dataDir: this.dataDir });
+            const notes = jsonDb.getNotes();
+            const trash = jsonDb.getTrash();
+
+            this.transaction(() => {
+                this.db.exec('DELETE FROM notes; DELETE FROM trash; DELETE FROM revisions; DELETE FROM categories; ' +
+                    'DELETE FROM tasks; DELETE FROM task_lists; DELETE FROM meals; DELETE FROM meal_plans;');
+
+                notes.forEach(note => this.writeNoteRow(note));
+                trash.forEach(note => this.writeTrashRow(note));
+
+                for (const note of [...notes, ...trash]) {
+                    jsonDb.loadHistory(note.id).forEach(revision => this.insertRevisionRow(note.id, revision));
+                }
+
+                this.categoriesCache = jsonDb.getCategories();
+                this.writeCategoryRows();
+
+                jsonDb.getTaskLists().forEach(list => this.writeTaskListRow(list));
+                jsonDb.getTasks().forEach(task => this.writeTaskRow(task));
+
+                this.writeMealRows(jsonDb.getMeals());
+                this.writeMealPlanRows(jsonDb.getMealPlans());
+            });
+
+            const { totalNotes, totalTrashed, ...jsonMeta } = jsonDb.metaCache;
+            this.metaCache = { ...this.metaCache, ...jsonMeta };
+            this.loadReport.quarantined.push(...jsonDb.loadReport.quarantined);
+            this.loadReport.journalReplayed = jsonDb.loadReport.journalReplayed;
+            this.loadReport.migratedNotes = notes.length;
+            console.log(`Migrated ${notes.length} notes from the JSON store to SQLite`);
+        } else {
+            // Fresh data folder: nothing to migrate
+            this.metaCache.schemaVersion = CURRENT_SCHEMA_VERSION;
+        }
+
+        this.metaCache.migratedFromJson = new Date().toISOString();
+        this.saveMeta();
+    }
+
+    // Write the current contents back to the JSON folder layout (used when switching backends)
+    exportToJson() {
+        const notesDir = path.join(this.dataDir, 'notes');
+        const trashDir = path.join(this.dataDir, 'trash');
+        const historyDir = path.join(this.dataDir, 'history');
+
+        [notesDir, trashDir, historyDir].forEach(dir => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            fs.mkdirSync(dir, { recursive: true });
+        });
+
+        this.getNotes().forEach(note => {
+            writeFileAtomicSync(path.join(notesDir, `${note.id}.json`), JSON.stringify(note, null, 2));
+        });
+        this.getTrash().forEach(note => {
+            writeFileAtomicSync(path.join(trashDir, `${note.id}.json`), JSON.stringify(note, null, 2));
+        });
+
+        const noteIds = this.db.prepare('SELECT DISTINCT note_id FROM revisions').all().map(row => row.note_id);
+        noteIds.forEach(noteId => {
+            writeFileAtomicSync(path.join(historyDir, `${noteId}.json`), JSON.stringify(this.loadHistory(noteId), null, 2));
+        });
+
+        writeFileAtomicSync(path.join(this.dataDir, 'categories.json'), JSON.stringify(this.categoriesCache, null, 2));
+        writeFileAtomicSync(path.join(this.dataDir, 'tasks.json'), JSON.stringify({
+            lists: this.getTaskLists(),
+            tasks: this.getTasks()
+        }, null, 2));
+        writeFileAtomicSync(path.join(this.dataDir, 'meals.json'), JSON.stringify(this.getMeals(), null, 2));
+        writeFileAtomicSync(path.join(this.dataDir, 'meal-plans.json'), JSON.stringify(this.getMealPlans(), null, 2));
+
+        const { migratedFromJson, ...meta } = this.metaCache;
+        writeFileAtomicSync(path.join(this.dataDir, 'meta.json'), JSON.stringify(meta, null, 2));
+
+        // Switching back to SQLite later imports the JSON files again
+        this.metaCache = meta;
+        this.saveMeta();
+    }
+
+    getLoadReport() {
+        return {
+            ...this.loadReport,
+            quarantineDir: path.join(this.dataDir, 'quarantine')
+        };
+    }
+
+    updateCounts() {
+        this.metaCache.totalNotes = this.db.prepare('SELECT COUNT(*) AS count FROM notes').get().count;
+        this.metaCache.totalTrashed = this.db.prepare('SELECT COUNT(*) AS count FROM trash').get().count;
+    }
+
+    // The category column holds the category id (the name for data not yet migrated to ids)
+    writeNoteRow(note) {
+        this.db.prepare(`
+            INSERT INTO notes (id, category, is_pinned, updated_at, data) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET category = excluded.category, is_pinned = excluded.is_pinned,
+                updated_at = excluded.updated_at, data = excluded.data
+        `).run(note.id, note.categoryId || note.category || null, note.isPinned ? 1 : 0, note.updatedAt || null, JSON.stringify(note));
+    }
+
+    writeTrashRow(note) {
+        this.db.prepare(`
+            INSERT INTO trash (id, category, deleted_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET category = excluded.category, deleted_at = excluded.deleted_at, data = excluded.data
+        `).run(note.id, note.categoryId || note.category || null, note.deletedAt, JSON.stringify(note));
+    }
+
+    setChangeListener(listener) {
+        this.changeListener = listener;
+    }
+
+    emitChange(change) {
+        if (this.changeListener) {
+            this.changeListener(change);
+        }
+    }
+
+    hasNote(id) {
+        return Boolean(this.db.prepare('SELECT 1 FROM notes WHERE id = ?').get(id));
+    }
+
+    // Optimized note operations
+    async saveNote(note) {
+        await this.saveNotes([note]);
+        return true;
+    }
+
+    // Bulk saves (restore, merge, migrations, sync) in one transaction
+    async saveNotes(notes) {
+        const saves = notes.map(note => {
+            note = categoryList.resolveNoteCategory(this.categoriesCache, note);
+            return { note, existed: this.hasNote(note.id) };
+        });
+        this.transaction(() => {
+            for (const { note } of saves) {
+                this.recordRevision(note);
+                this.writeNoteRow(note);
+            }
+        });
+
+        this.updateCounts();
+        saves.forEach(({ note, existed }) => {
+            this.emitChange({ type: existed ? 'note-updated' : 'note-created', note: this.getNote(note.id) });
+        });
+        return notes.length;
+    }
+
+    // Soft delete: the note moves to the trash with its category and tags intact
+    deleteNote(id) {
+        const note = this.getNote(id);
+        if (!note) return false;
+
+        this.transaction(() => {
+            this.writeTrashRow({ ...note, deletedAt: new Date().toISOString() });
+            this.db.prepare('DELETE FROM notes WHERE id = ?').run(id);
+        });
+
+        this.updateCounts();
+        this.saveMeta();
+        this.emitChange({ type: 'note-deleted', id });
+        return true;
+    }
+
+    // Remove every live note (used by backup restore before the backup's notes are saved)
+    clearNotes() {
+        const ids = this.db.prepare('SELECT id FROM notes').all().map(row => row.id);
+        this.db.exec('DELETE FROM notes');
+        this.updateCounts();
+        ids.forEach(id => this.emitChange({ type: 'note-deleted', id }));
+    }
+
+    getNotes() {
+        const notes = this.db.prepare('SELECT data FROM notes ORDER BY is_pinned DESC, updated_at DESC').all()
+            .map(row => JSON.parse(row.data));
+        return categoryList.withCategoryNames(this.categoriesCache, notes);
+    }
+
+    getNote(id) {
+        const row = this.db.prepare('SELECT data FROM notes WHERE id = ?').get(id);
+        return row ? categoryList.withCategoryNames(this.categoriesCache, [JSON.parse(row.data)])[0] : undefined;
+    }
+
+    // Trash operations
+    getTrash() {
+        const trash = this.db.prepare('SELECT data FROM trash ORDER BY deleted_at DESC').all()
+            .map(row => JSON.parse(row.data));
+        return categoryList.withCategoryNames(this.categoriesCache, trash);
+    }
+
+    async restoreFromTrash(id) {
+        const row = this.db.prepare('SELECT data FROM trash WHERE id = ?').get(id);
+        if (!row) return false;
+
+        const { deletedAt, ...trashed } = JSON.parse(row.data);
+
+        // The original category may have been deleted while the note was in the trash
+        if (!this.categoriesCache.some(cat => cat.id === trashed.categoryId)) {
+            const fallback = categoryList.getFallbackCategory(this.categoriesCache);
+            trashed.categoryId = fallback.id;
+            trashed.category = fallback.name;
+        }
+        const note = categoryList.resolveNoteCategory(this.categoriesCache, trashed);
+
+        this.transaction(() => {
+            this.db.prepare('DELETE FROM trash WHERE id = ?').run(id);
+            this.recordRevision(note);
+            this.writeNoteRow(note);
+        });
+
+        this.updateCounts();
+        this.emitChange({ type: 'note-created', note: this.getNote(id) });
+        return true;
+    }
+
+    // Permanently delete a trashed note together with its revision history
+    purgeFromTrash(id) {
+        const result = this.transaction(() => {
+            this.db.prepare('DELETE FROM revisions WHERE note_id = ?').run(id);
+            return this.db.prepare('DELETE FROM trash WHERE id = ?').run(id);
+        });
+
+        this.updateCounts();
+        this.saveMeta();
+        return result.changes > 0;
+    }
+
+    emptyTrash() {
+        const count = this.transaction(() => {
+            this.db.exec('DELETE FROM revisions WHERE note_id IN (SELECT id FROM trash)');
+            return this.db.prepare('DELETE FROM trash').run().changes;
+        });
+
+        this.updateCounts();
+        this.saveMeta();
+        return count;
+    }
+
+    purgeExpiredTrash() {
+        const retentionDays = this.metaCache.trashRetentionDays;
+        if (!retentionDays) return 0;
+
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const expired = this.db.prepare('SELECT id FROM trash WHERE deleted_at < ?').all(cutoff);
+        expired.forEach(row => this.purgeFromTrash(row.id));
+
+        if (expired.length > 0) {
+            console.log(`Purged ${expired.length} note(s) from trash`);
+        }
+        return expired.length;
+    }
+
+    getTrashRetentionDays() {
+        return this.metaCache.trashRetentionDays;
+    }
+
+    setTrashRetentionDays(days) {
+        this.metaCache.trashRetentionDays = Math.max(0, parseInt(days, 10) || 0);
+        this.saveMeta();
+        this.purgeExpiredTrash();
+        return true;
+    }
+
+    // Replace the whole trash (used by backup restore)
+    replaceTrash(trashedNotes) {
+        this.transaction(() => {
+            this.db.exec('DELETE FROM trash');
+            trashedNotes.forEach(note => this.writeTrashRow(note));
+        });
+
+        this.updateCounts();
+        this.saveMeta();
+    }
+
+    // Note revision history
+    loadHistory(noteId) {
+        return this.db.prepare('SELECT data FROM revisions WHERE note_id = ? ORDER BY seq').all(noteId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    insertRevisionRow(noteId, revision) {
+        const next = this.db.prepare('SELECT COALESCE(MAX(seq), 0) + 1 AS seq FROM revisions WHERE note_id = ?').get(noteId);
+        this.db.prepare('INSERT OR REPLACE INTO revisions (revision_id, note_id, seq, data) VALUES (?, ?, ?, ?)')
+            .run(revision.revisionId, noteId, next.seq, JSON.stringify(revision));
+    }
+
+    // Must run inside the caller's transaction
+    recordRevision(note) {
+        if (!note || !note.id) return;
+
+        const revisions = this.loadHistory(note.id);
+
+        // Notes saved before history existed get their current version recorded first
+        const previous = this.getNote(note.id);
+        if (revisions.length === 0 && previous) {
+            const revision = revisionUtils.createRevision(previous, previous.updatedAt || new Date().toISOString());
+            this.insertRevisionRow(note.id, revision);
+            revisions.push(revision);
+        }
+
+        const latest = revisions[revisions.length - 1];
+        if (latest && revisionUtils.isSameRevision(latest, note)) {
+            return;
+        }
+
+        const revision = revisionUtils.createRevision(note);
+        this.insertRevisionRow(note.id, revision);
+        revisions.push(revision);
+
+        const kept = new Set(revisionUtils.pruneRevisions([...revisions], this.MAX_REVISIONS, this.MAX_REVISION_AGE_DAYS)
+            .map(entry => entry.revisionId));
+        const deleteRevision = this.db.prepare('DELETE FROM revisions WHERE revision_id = ?');
+        revisions.filter(entry => !kept.has(entry.revisionId)).forEach(entry => deleteRevision.run(entry.revisionId));
+    }
+
+    // Drop every stored revision of a note
+    clearHistory(noteId) {
+        this.db.prepare('DELETE FROM revisions WHERE note_id = ?').run(noteId);
+    }
+
+    getNoteHistory(noteId) {
+        return this.loadHistory(noteId).map(revisionUtils.summarizeRevision).reverse();
+    }
+
+    getRevision(noteId, revisionId) {
+        const row = this.db.prepare('SELECT data FROM revisions WHERE note_id = ? AND revision_id = ?').get(noteId, revisionId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    // Word-level diff between two revisions (use 'current' for the live note)
+    diffRevisions(noteId, fromRevisionId, toRevisionId) {
+        const resolve = (revisionId) => revisionId === 'current'
+            ? this.getNote(noteId)
+            : this.getRevision(noteId, revisionId);
+
+        const from = resolve(fromRevisionId);
+        const to = resolve(toRevisionId);
+
+        if (!from || !to) {
+            return {
+                success: false,
+                error: 'Revision not found'
+            };
+        }
+
+        return {
+            success: true,
+            fromTimestamp: from.timestamp || from.updatedAt,
+            toTimestamp: to.timestamp || to.updatedAt,
+            changes: diffNotes(from, to)
+        };
+    }
+
+    // Restoring saves the old version as a new revision, so a restore can itself be undone
+    async restoreRevision(noteId, revisionId) {
+        const revision = this.getRevision(noteId, revisionId);
+        if (!revision) {
+            return {
+                success: false,
+                error: 'Revision not found'
+            };
+        }
+
+        const restored = revisionUtils.buildRestoredNote(noteId, this.getNote(noteId), revision);
+        await this.saveNote(restored);
+
+        return {
+            success: true,
+            note: restored
+        };
+    }
+
+    // Category operations
+    getCategories() {
+        return [...this.categoriesCache];
+    }
+
+    // Category methods accept an id or, for older callers, a name
+    addCategory(name, color, parent = null) {
+        const result = categoryList.addCategory(this.categoriesCache, name, color, parent);
+        this.categoriesCache = result.categories;
+        this.saveCategories();
+        return result.category;
+    }
+
+    // Renaming only touches the category: note names are refreshed when notes are read
+    updateCategory(ref, newName, color, parent = null) {
+        const result = categoryList.updateCategory(this.categoriesCache, ref, newName, color, parent);
+        this.categoriesCache = result.categories;
+        this.saveCategories();
+        return result.category;
+    }
+
+    deleteCategory(ref) {
+        const { categories, category } = categoryList.removeCategory(this.categoriesCache, ref);
+        const fallback = categoryList.getFallbackCategory(categories);
+
+        const movedIds = this.transaction(() => {
+            this.categoriesCache = categories;
+
+            // Move notes to the fallback (General) category
+            const notes = this.db.prepare('SELECT data FROM notes WHERE category = ?').all(category.id)
+                .map(row => JSON.parse(row.data));
+            for (const note of notes) {
+                const moved = { ...note, categoryId: fallback.id, category: fallback.name };
+                this.recordRevision(moved);
+                this.writeNoteRow(moved);
+            }
+
+            this.writeCategoryRows();
+            return notes.map(note => note.id);
+        });
+
+        this.emitChange({ type: 'categories-changed', categories: this.getCategories() });
+        movedIds.forEach(id => this.emitChange({ type: 'note-updated', note: this.getNote(id) }));
+        return true;
+    }
+
+    // Persist the sidebar order set by drag and drop
+    reorderCategories(ids) {
+        this.categoriesCache = categoryList.reorderCategories(this.categoriesCache, ids);
+        this.saveCategories();
+        return true;
+    }
+
+    writeCategoryRows() {
+        this.db.exec('DELETE FROM categories');
+        const insert = this.db.prepare('INSERT INTO categories (position, data) VALUES (?, ?)');
+        this.categoriesCache.forEach((category, index) => insert.run(index, JSON.stringify(category)));
+    }
+
+    saveCategories() {
+        this.transaction(() => this.writeCategoryRows());
+        this.emitChange({ type: 'categories-changed', categories: this.getCategories() });
+    }
+
+    // Replace the whole category list (used by backup restore)
+    replaceCategories(categories) {
+        this.categoriesCache = [...categories];
+        this.saveCategories();
+    }
+
+    // Task operations
+    getTasks() {
+        return this.db.prepare('SELECT data FROM tasks ORDER BY rowid').all().map(row => JSON.parse(row.data));
+    }
+
+    getTaskLists() {
+        return this.db.prepare('SELECT data FROM task_lists ORDER BY rowid').all().map(row => JSON.parse(row.data));
+    }
+
+    // Upserts keep the rowid, so tasks and lists stay in creation order
+    writeTaskRow(task) {
+        this.db.prepare('INSERT INTO tasks (id, list_id, data) VALUES (?, ?, ?) ' +
+            'ON CONFLICT(id) DO UPDATE SET list_id = excluded.list_id, data = excluded.data')
+            .run(task.id, task.listId || null, JSON.stringify(task));
+    }
+
+    writeTaskListRow(list) {
+        this.db.prepare('INSERT INTO task_lists (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data')
+            .run(list.id, JSON.stringify(list));
+    }
+
+    saveTask(task) {
+        this.writeTaskRow(task);
+        return true;
+    }
+
+    deleteTask(id) {
+        return this.db.prepare('DELETE FROM tasks WHERE id = ?').run(id).changes > 0;
+    }
+
+    saveTaskList(list) {
+        this.writeTaskListRow(list);
+        return true;
+    }
+
+    // Deleting a list deletes the tasks in it
+    deleteTaskList(id) {
+        return this.transaction(() => {
+            this.db.prepare('DELETE FROM tasks WHERE list_id = ?').run(id);
+            return this.db.prepare('DELETE FROM task_lists WHERE id = ?').run(id).changes > 0;
+        });
+    }
+
+    // Add tasks and lists that are not stored yet (used to take over the renderer's localStorage data)
+    importTasks(tasks, lists) {
+        return this.transaction(() => {
+            const insertList = this.db.prepare('INSERT OR IGNORE INTO task_lists (id, data) VALUES (?, ?)');
+            lists.forEach(list => insertList.run(list.id, JSON.stringify(list)));
+
+            const insertTask = this.db.prepare('INSERT OR IGNORE INTO tasks (id, list_id, data) VALUES (?, ?, ?)');
+            return tasks.reduce((count, task) =>
+                count + insertTask.run(task.id, task.listId || null, JSON.stringify(task)).changes, 0);
+        });
+    }
+
+    // Replace all tasks and lists (used by backup restore)
+    replaceTasks(tasks, lists) {
+        this.transaction(() => {
+            this.db.exec('DELETE FROM tasks; DELETE FROM task_lists;');
+            lists.forEach(list => this.writeTaskListRow(list));
+            tasks.forEach(task => this.writeTaskRow(task));
+        });
+    }
+
+    // Meal planner operations (the renderer saves the whole collection each time)
+    getMeals() {
+        return this.db.prepare('SELECT data FROM meals ORDER BY rowid').all().map(row => JSON.parse(row.data));
+    }
+
+    writeMealRows(meals) {
+        this.db.exec('DELETE FROM meals');
+        const insert = this.db.prepare('INSERT OR REPLACE INTO meals (id, data) VALUES (?, ?)');
+        meals.forEach(meal => insert.run(meal.id, JSON.stringify(meal)));
+    }
+
+    saveMeals(meals) {
+        this.transaction(() => this.writeMealRows(meals));
+        return true;
+    }
+
+    getMealPlans() {
+        return this.db.prepare('SELECT date, data FROM meal_plans ORDER BY date').all()
+            .map(row => ({ date: row.date, meals: JSON.parse(row.data) }));
+    }
+
+    writeMealPlanRows(plans) {
+        this.db.exec('DELETE FROM meal_plans');
+        const insert = this.db.prepare('INSERT OR REPLACE INTO meal_plans (date, data) VALUES (?, ?)');
+        plans.forEach(plan => insert.run(plan.date, JSON.stringify(plan.meals)));
+    }
+
+    saveMealPlans(plans) {
+        this.transaction(() => this.writeMealPlanRows(plans));
+        return true;
+    }
+
+    saveMeta() {
+        this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+            .run('meta', JSON.stringify(this.metaCache));
+    }
+
+    // Performance statistics
+    getStats() {
+        this.updateCounts();
+        return {
+            totalNotes: this.metaCache.totalNotes,
+            totalTrashed: this.metaCache.totalTrashed,
+            totalCategories: this.categoriesCache.length,
+            totalTasks: this.db.prepare('SELECT COUNT(*) AS count FROM tasks').get().count,
+            memoryUsage: process.memoryUsage(),
+            cacheSize: 0,
+            backend: this.backend
+        };
+    }
+
+    // Writes are already committed; kept for interface parity with OptimizedDatabase
+    async forceWrite() {
+        return true;
+    }
+
+    // Notes are rows of one database file, so nothing is merged from outside and nothing conflicts
+    getNoteConflicts() {
+        return [];
+    }
+
+    async resolveNoteConflict() {
+        return { success: false, error: 'This note has no conflict' };
+    }
+
+    // Fold the WAL back into the main database file before the app exits
+    flushPendingWritesSync() {
+        this.db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+module.exports = SqliteDatabase;
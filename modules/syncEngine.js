@@ -0,0 +1,570 @@
+// Sync of the vault with a folder on a WebDAV server, so several machines can share one vault.
+//
+// Layout of the folder on the server:
+//   mindkeep-sync.json      format marker
+//   notes/<id>.json         one file per note
+//   categories.json         the category list
+//   tasks.json              { tasks, taskLists }
+//   attachments/<id>        attachment files (their ids are content hashes, so they never change;
+//                           one removed as unused on one machine is removed everywhere)
+//
+// Each sync lists the server, pulls what changed there since the last sync, pushes what changed
+// here and merges what changed on both sides (modules/syncMerge.js). The version of every file at
+// the last sync is kept in sync/ in the vault folder: local changes are found by comparing with it,
+// so changes made while the server cannot be reached stay queued, also across restarts, and go out
+// with the next sync that gets through. Writes use the server's ETags, so a file changed by another
+// machine in the meantime is merged again instead of overwritten.
+//
+// When both sides changed the same field of a note, the server's version wins and the local one is
+// kept as a "(conflicted copy)" note, which then syncs like any other note. Conflicting fields of
+// categories and tasks take the server's value.
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./safeWrite');
+const { syncedNote, hashRecord, mergeRecord, mergeCollection } = require('./syncMerge');
+const { collectReferences } = require('./attachments');
+
+const SYNC_FORMAT = 'mindkeep-sync';
+const SYNC_FORMAT_VERSION = 1;
+const MARKER_FILE = 'mindkeep-sync.json';
+const SYNC_DELAY = 5000;                // After the last local change
+const MAX_CONFLICTS = 50;               // Conflict records kept for the sync window
+const MAX_ROUNDS = 3;                   // Syncs in a row while the server keeps changing under us
+const UNKNOWN_VERSION = '?';            // Written, but the server sent no ETag
+const NOTE_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+function versionOf(entry) {
+    return entry.etag || `${entry.lastModified}|${entry.size}`;
+}
+
+class SyncEngine {
+    // client: a WebDavClient for the vault's folder on the server; url identifies it, so pointing
+    // the vault at another folder starts over; deviceName is used in conflict copy titles;
+    // attachmentReferences() returns the ids of the attachments the vault still uses
+    constructor({ database, attachmentStore, client, url, deviceName = 'another device', onStatusChange = null,
+        attachmentReferences = null }) {
+        this.database = database;
+        this.attachmentStore = attachmentStore;
+        this.attachmentReferences = attachmentReferences ||
+            (() => collectReferences([...database.getNotes(), ...database.getTrash()]));
+        this.client = client;
+        this.deviceName = deviceName;
+        this.onStatusChange = onStatusChange;
+        this.stateDir = path.join(database.dataDir, 'sync');
+        this.stateFile = path.join(this.stateDir, 'state.json');
+        this.baseDir = path.join(this.stateDir, 'base');
+
+        this.status = { state: 'idle', lastError: null, lastResult: null };
+        this.running = null;
+        this.again = false;
+        this.applying = false;
+        this.changeTimeout = null;
+        this.interval = null;
+
+        this.state = this.loadState(url);
+    }
+
+    loadState(url) {
+        const empty = { url, lastSync: null, hashes: {}, remote: {}, attachments: [], conflicts: [] };
+        try {
+            const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            if (state.url === url) {
+                return { ...empty, ...state };
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Sync state is unreadable, starting over:', error.message);
+            }
+        }
+        // A new server folder: nothing is known about it
+        fs.rmSync(this.baseDir, { recursive: true, force: true });
+        return empty;
+    }
+
+    saveState() {
+        fs.mkdirSync(this.stateDir, { recursive: true });
+        writeFileAtomicSync(this.stateFile, JSON.stringify(this.state, null, 2));
+    }
+
+    // The version of a file at the last sync
+    readBase(remotePath) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.baseDir, ...remotePath.split('/')), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    recordBase(remotePath, value, remoteVersion) {
+        const filePath = path.join(this.baseDir, ...remotePath.split('/'));
+        if (value === null) {
+            fs.rmSync(filePath, { force: true });
+            delete this.state.hashes[remotePath];
+            delete this.state.remote[remotePath];
+            return;
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        writeFileAtomicSync(filePath, JSON.stringify(value));
+        this.state.hashes[remotePath] = hashRecord(value);
+        this.state.remote[remotePath] = remoteVersion;
+    }
+
+    localNotes() {
+        return new Map(this.database.getNotes().map(note => [note.id, syncedNote(note)]));
+    }
+
+    localCategories() {
+        return this.database.getCategories();
+    }
+
+    localTasks() {
+        return { tasks: this.database.getTasks(), taskLists: this.database.getTaskLists() };
+    }
+
+    // Local changes not on the server yet: [{ type: 'note' | 'categories' | 'tasks' | 'attachment', action, title }]
+    getPendingChanges() {
+        const pending = [];
+        const notes = this.localNotes();
+        for (const [id, note] of notes) {
+            const known = this.state.hashes[`notes/${id}.json`];
+            if (hashRecord(note) !== known) {
+                pending.push({ type: 'note', id, action: known ? 'edit' : 'add', title: note.title || 'Untitled' });
+            }
+        }
+        for (const remotePath of Object.keys(this.state.hashes)) {
+            const match = remotePath.match(/^notes\/(.+)\.json$/);
+            if (match && !notes.has(match[1])) {
+                const base = this.readBase(remotePath);
+                pending.push({ type: 'note', id: match[1], action: 'delete', title: base && base.title || 'Untitled' });
+            }
+        }
+        if (hashRecord(this.localCategories()) !== this.state.hashes['categories.json']) {
+            pending.push({ type: 'categories', action: 'edit', title: 'Categories' });
+        }
+        if (hashRecord(this.localTasks()) !== this.state.hashes['tasks.json']) {
+            pending.push({ type: 'tasks', action: 'edit', title: 'Tasks' });
+        }
+        const uploaded = new Set(this.state.attachments);
+        const stored = new Set(this.attachmentStore.list());
+        for (const id of stored) {
+            if (!uploaded.has(id)) pending.push({ type: 'attachment', id, action: 'add', title: id });
+        }
+        for (const id of uploaded) {
+            if (!stored.has(id)) pending.push({ type: 'attachment', id, action: 'delete', title: id });
+        }
+        return pending;
+    }
+
+    getStatus() {
+        const pending = this.getPendingChanges();
+        return {
+            ...this.status,
+            lastSync: this.state.lastSync,
+            pending: pending.length,
+            pendingChanges: pending.slice(0, 20),
+            conflicts: [...this.state.conflicts]
+        };
+    }
+
+    emitStatus() {
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getStatus());
+        }
+    }
+
+    // Sync every intervalMinutes, and soon after local changes
+    start(intervalMinutes) {
+        this.stop();
+        this.interval = setInterval(() => this.sync(), Math.max(1, intervalMinutes) * 60 * 1000);
+        this.scheduleSync(1000);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        clearTimeout(this.changeTimeout);
+        this.interval = null;
+        this.changeTimeout = null;
+    }
+
+    scheduleSync(delay = SYNC_DELAY) {
+        clearTimeout(this.changeTimeout);
+        this.changeTimeout = setTimeout(() => {
+            this.changeTimeout = null;
+            this.sync();
+        }, delay);
+    }
+
+    // Called with every database change event; changes made by the sync itself are skipped
+    recordChange() {
+        if (this.applying || !this.interval) return;
+        this.scheduleSync();
+    }
+
+    clearConflicts() {
+        this.state.conflicts = [];
+        this.saveState();
+        return this.getStatus();
+    }
+
+    // Run a sync (or join the one running). Never rejects; returns the status afterwards
+    sync() {
+        if (this.running) {
+            this.again = true;
+            return this.running;
+        }
+        this.running = this.runRounds().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    async runRounds() {
+        let rounds = 0;
+        do {
+            this.again = false;
+            await this.runSync();
+            rounds++;
+        } while (this.again && this.status.state === 'idle' && rounds < MAX_ROUNDS);
+        return this.getStatus();
+    }
+
+    async runSync() {
+        this.status = { ...this.status, state: 'syncing' };
+        this.emitStatus();
+
+        const result = { pulled: 0, pushed: 0, conflicts: 0, startedAt: new Date().toISOString() };
+        try {
+            await this.database.forceWrite();
+            const listing = await this.listRemote();
+            await this.syncAttachments(listing, result);
+            await this.syncCategories(listing, result);
+            await this.syncTasks(listing, result);
+            await this.syncNotes(listing, result);
+            await this.syncAttachmentRemovals(listing, result);
+
+            this.state.lastSync = new Date().toISOString();
+            this.status = { state: 'idle', lastError: null, lastResult: result };
+        } catch (error) {
+            if (error.offline) {
+                console.warn('Sync server not reachable, changes stay queued:', error.message);
+            } else {
+                console.error('Sync failed:', error);
+            }
+            this.status = { state: error.offline ? 'offline' : 'error', lastError: error.message, lastResult: result };
+        } finally {
+            this.applying = false;
+        }
+
+        this.saveState();
+        this.emitStatus();
+    }
+
+    // The files on the server by path; creates the folder layout on first use
+    async listRemote() {
+        let root = await this.client.list('');
+        if (root === null) {
+            await this.client.createFolder('');
+            root = [];
+        }
+
+        const marker = root.find(entry => entry.name === MARKER_FILE);
+        if (!marker) {
+            await this.client.put(MARKER_FILE, JSON.stringify({ format: SYNC_FORMAT, version: SYNC_FORMAT_VERSION }),
+                { contentType: 'application/json' });
+        } else if (!this.state.lastSync) {
+            const { value } = await this.fetchJson(MARKER_FILE);
+            if (!value || value.format !== SYNC_FORMAT) {
+                throw new Error('The sync folder on the server is not a MindKeep sync folder');
+            }
+            if (value.version > SYNC_FORMAT_VERSION) {
+                throw new Error('The sync folder was set up by a newer version of MindKeep. Please update MindKeep.');
+            }
+        }
+
+        const listing = new Map();
+        for (const folder of ['notes', 'attachments']) {
+            if (!root.some(entry => entry.name === folder && entry.isFolder)) {
+                await this.client.createFolder(folder);
+                continue;
+            }
+            for (const entry of await this.client.list(folder) || []) {
+                if (!entry.isFolder) listing.set(entry.path, entry);
+            }
+        }
+        for (const entry of root) {
+            if (!entry.isFolder) listing.set(entry.path, entry);
+        }
+        return listing;
+    }
+
+    async fetchJson(remotePath) {
+        const file = await this.client.get(remotePath);
+        if (!file) return { value: null, etag: null };
+        try {
+            return { value: JSON.parse(file.data.toString('utf8')), etag: file.etag };
+        } catch (error) {
+            throw new Error(`${remotePath} on the server is damaged: ${error.message}`);
+        }
+    }
+
+    remoteAttachments(listing) {
+        const onServer = new Set();
+        for (const remotePath of listing.keys()) {
+            if (remotePath.startsWith('attachments/')) onServer.add(remotePath.slice('attachments/'.length));
+        }
+        return onServer;
+    }
+
+    // Attachments never change: each side gets the new ones it is missing, before the notes using
+    // them. Ones known at the last sync and missing on one side now were removed there; those are
+    // handled by syncAttachmentRemovals once the notes are synced
+    async syncAttachments(listing, result) {
+        const local = new Set(this.attachmentStore.list());
+        const onServer = this.remoteAttachments(listing);
+        const known = new Set(this.state.attachments);
+
+        for (const id of local) {
+            if (onServer.has(id) || known.has(id)) continue;
+            const data = this.attachmentStore.read(id);
+            if (!data) continue;
+            await this.client.put(`attachments/${id}`, data, { ifNoneMatch: true });
+            onServer.add(id);
+            result.pushed++;
+        }
+        for (const id of onServer) {
+            if (local.has(id) || known.has(id)) continue;
+            await this.downloadAttachment(id, result);
+        }
+    }
+
+    // Removed on one side and not used by any note now: remove it on the other side as well. One
+    // still in use (by a note changed meanwhile) is brought back instead
+    async syncAttachmentRemovals(listing, result) {
+        const local = new Set(this.attachmentStore.list());
+        const onServer = this.remoteAttachments(listing);
+        const referenced = this.attachmentReferences();
+        const synced = [];
+
+        for (const id of new Set([...this.state.attachments, ...local, ...onServer])) {
+            const here = local.has(id);
+            const there = onServer.has(id);
+            if (here && there) {
+                synced.push(id);
+            } else if (here && referenced.has(id)) {
+                const data = this.attachmentStore.read(id);
+                if (!data) continue;
+                await this.client.put(`attachments/${id}`, data, { ifNoneMatch: true });
+                synced.push(id);
+                result.pushed++;
+            } else if (here) {
+                this.attachmentStore.remove(id);
+                result.pulled++;
+            } else if (referenced.has(id)) {
+                if (await this.downloadAttachment(id, result)) synced.push(id);
+            } else {
+                await this.client.delete(`attachments/${id}`);
+                result.pushed++;
+            }
+        }
+        this.state.attachments = synced;
+    }
+
+    async downloadAttachment(id, result) {
+        if (!this.attachmentStore.getPath(id)) return false;
+        const file = await this.client.get(`attachments/${id}`);
+        if (!file) return false;
+        this.attachmentStore.importEntries([{ id, data: file.data.toString('base64') }]);
+        result.pulled++;
+        return true;
+    }
+
+    syncCategories(listing, result) {
+        return this.syncFile('categories.json', listing.get('categories.json'), result, {
+            local: this.localCategories(),
+            merge: (base, local, remote) => {
+                const merged = mergeCollection(base, local, remote);
+                this.reportFieldConflicts('category', merged.conflicts);
+                return { value: merged.items };
+            },
+            apply: categories => this.database.replaceCategories(categories)
+        });
+    }
+
+    syncTasks(listing, result) {
+        return this.syncFile('tasks.json', listing.get('tasks.json'), result, {
+            local: this.localTasks(),
+            merge: (base, local, remote) => {
+                const tasks = mergeCollection(base && base.tasks, local.tasks, remote.tasks || []);
+                const taskLists = mergeCollection(base && base.taskLists, local.taskLists, remote.taskLists || []);
+                this.reportFieldConflicts('task', [...tasks.conflicts, ...taskLists.conflicts]);
+                return { value: { tasks: tasks.items, taskLists: taskLists.items } };
+            },
+            apply: ({ tasks, taskLists }) => this.database.replaceTasks(tasks || [], taskLists || [])
+        });
+    }
+
+    reportFieldConflicts(type, conflicts) {
+        for (const conflict of conflicts) {
+            console.warn(`Sync: ${type} ${conflict.id} changed on both sides (${conflict.fields.join(', ')}); kept the server's version`);
+        }
+    }
+
+    async syncNotes(listing, result) {
+        const notes = this.localNotes();
+        const ids = new Set(notes.keys());
+        for (const remotePath of [...listing.keys(), ...Object.keys(this.state.hashes)]) {
+            const match = remotePath.match(/^notes\/(.+)\.json$/);
+            if (match && NOTE_ID_PATTERN.test(match[1])) ids.add(match[1]);
+        }
+
+        // Pulled notes are saved together at the end. Until the sync state is saved after that, a
+        // sync cut short compares with the previous state and simply pulls them again
+        const saves = [];
+        const copies = [];
+        try {
+            for (const id of ids) {
+                try {
+                    await this.syncNote(id, notes.get(id) || null, listing, result, copies, saves);
+                } catch (error) {
+                    if (error.offline || error.status) throw error;
+                    console.error(`Sync of note ${id} failed:`, error.message);
+                }
+            }
+            // Conflict copies are new notes: send them along now
+            for (const copy of copies) {
+                await this.syncNote(copy.id, syncedNote(copy), listing, result, [], saves);
+            }
+        } finally {
+            this.applying = true;
+            await this.database.saveNotes(saves);
+            this.applying = false;
+            await this.database.forceWrite();
+        }
+    }
+
+    syncNote(id, local, listing, result, copies, saves) {
+        const remotePath = `notes/${id}.json`;
+        return this.syncFile(remotePath, listing.get(remotePath), result, {
+            local,
+            canDelete: true,
+            // A locked note holds its text in the lock only; plain text next to it is never taken
+            read: note => (note.lock ? { ...note, id, content: '', description: '' } : { ...note, id }),
+            merge: async (base, localNote, remote) => {
+                const { merged, conflicts } = mergeRecord(base, localNote, remote);
+                if (conflicts.length > 0) {
+                    copies.push(await this.saveConflictCopy(localNote, conflicts));
+                    result.conflicts++;
+                }
+                return { value: merged };
+            },
+            apply: async note => {
+                if (note === null) {
+                    this.database.deleteNote(id);
+                } else {
+                    saves.push(note);
+                }
+            }
+        });
+    }
+
+    // Keep the local version of a note that lost a conflict as a new note
+    async saveConflictCopy(note, fields) {
+        const copy = {
+            ...note,
+            id: Date.now().toString() + '_' + Math.random().toString(36).substring(2, 11),
+            title: `${note.title || 'Untitled'} (conflicted copy from ${this.deviceName})`,
+            updatedAt: new Date().toISOString()
+        };
+        this.applying = true;
+        await this.database.saveNote(copy);
+        this.applying = false;
+
+        this.state.conflicts = [{
+            id: note.id,
+            copyId: copy.id,
+            title: note.title || 'Untitled',
+            fields,
+            detectedAt: copy.updatedAt
+        }, ...this.state.conflicts].slice(0, MAX_CONFLICTS);
+        console.warn(`Sync: note "${note.title}" changed on both sides; the local version was saved as a copy`);
+        return copy;
+    }
+
+    // Three-way sync of one file. handlers: { local (null: deleted here), merge(base, local, remote)
+    // -> { value }, apply(value), read(value) to clean what the server sent, canDelete }
+    async syncFile(remotePath, entry, result, handlers) {
+        const local = handlers.local;
+        const baseHash = this.state.hashes[remotePath] || null;
+        const knownVersion = this.state.remote[remotePath] || null;
+        const remoteVersion = entry ? versionOf(entry) : null;
+
+        let localChanged = hashRecord(local) !== baseHash;
+        let remoteChanged = remoteVersion !== knownVersion;
+        if (!localChanged && !remoteChanged) return;
+
+        let base = baseHash ? this.readBase(remotePath) : null;
+        if (baseHash && !base) {
+            // The copy of the last sync is gone: merge without it
+            localChanged = remoteChanged = true;
+        }
+
+        let remote = base;
+        let etag = entry ? entry.etag : null;
+        if (remoteChanged) {
+            const fetched = entry ? await this.fetchJson(remotePath) : { value: null, etag: null };
+            remote = fetched.value !== null && handlers.read ? handlers.read(fetched.value) : fetched.value;
+            etag = fetched.etag || etag;
+            if (base && hashRecord(remote) === baseHash) {
+                // Only the version number moved (rewritten with the same contents)
+                remoteChanged = false;
+                this.state.remote[remotePath] = remoteVersion;
+                if (!localChanged) return;
+            }
+        }
+
+        let target;
+        if (!remoteChanged) {
+            target = local;
+        } else if (!localChanged) {
+            target = remote;
+        } else if (hashRecord(local) === hashRecord(remote) || remote === null) {
+            target = local;
+        } else if (local === null) {
+            target = remote;
+        } else {
+            target = (await handlers.merge(base, local, remote)).value;
+        }
+        // Categories and tasks files are never deleted
+        if (target === null && !handlers.canDelete) {
+            target = local;
+        }
+
+        if (hashRecord(target) !== hashRecord(local)) {
+            this.applying = true;
+            await handlers.apply(target);
+            this.applying = false;
+            result.pulled++;
+        }
+
+        let version = remoteVersion;
+        if (hashRecord(target) !== hashRecord(remote)) {
+            const precondition = entry ? { ifMatch: etag } : { ifNoneMatch: true };
+            const response = target === null
+                ? await this.client.delete(remotePath, precondition)
+                : await this.client.put(remotePath, JSON.stringify(target, null, 2), { ...precondition, contentType: 'application/json' });
+            if (response.conflict) {
+                // Changed on the server meanwhile: merge again in the next round
+                this.again = true;
+                return;
+            }
+            version = target === null ? null : response.etag || UNKNOWN_VERSION;
+            result.pushed++;
+        }
+        this.recordBase(remotePath, target, version);
+    }
+}
+
+SyncEngine.SYNC_DELAY = SYNC_DELAY;
+
+module.exports = SyncEngine;
@@ -0,0 +1,160 @@
+// Three-way merge for vault sync. Each record (a note, category, task or task list) is merged
+// from the version of the last sync (base), the local version and the one on the server:
+//   - a field changed on one side only takes that side's value
+//   - tags changed on both sides are merged as sets (additions and removals from both)
+//   - any other field changed differently on both sides is a conflict
+// A record deleted on one side and changed on the other is kept with the change.
+// Timestamps never conflict: updatedAt is the later of the two, createdAt the earlier.
+// A locked note's lock, content and description merge as one: a locked note never gets plain text
+// from the other side, and changes to them on both sides with either side locked are a conflict.
+
+const crypto = require('crypto');
+
+// Fields that are derived from others or merged separately
+const SKIPPED_FIELDS = ['id', 'category', 'updatedAt', 'createdAt'];
+// Sealed together by a note lock (see modules/noteLock.js)
+const LOCK_FIELDS = ['lock', 'content', 'description'];
+
+// JSON with sorted object keys, so equal records compare (and hash) equal on every machine
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// The note as synced: the category name is looked up from categoryId on each machine
+function syncedNote(note) {
+    if (!note) return null;
+    const { category, ...rest } = note;
+    return rest;
+}
+
+function hashRecord(record) {
+    return record === null || record === undefined
+        ? null
+        : crypto.createHash('sha256').update(stableStringify(record)).digest('hex');
+}
+
+function same(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+function mergeTags(base, local, remote) {
+    const before = new Set(base || []);
+    const removed = new Set([...before].filter(tag => !(local || []).includes(tag) || !(remote || []).includes(tag)));
+    const merged = [];
+    for (const tag of [...(local || []), ...(remote || [])]) {
+        if (!merged.includes(tag) && !removed.has(tag)) merged.push(tag);
+    }
+    return merged;
+}
+
+function lockUnit(record) {
+    return record ? LOCK_FIELDS.map(key => record[key]) : LOCK_FIELDS.map(() => undefined);
+}
+
+function laterDate(a, b) {
+    if (!a || !b) return a || b;
+    return new Date(a) >= new Date(b) ? a : b;
+}
+
+function earlierDate(a, b) {
+    if (!a || !b) return a || b;
+    return new Date(a) <= new Date(b) ? a : b;
+}
+
+// Merge two versions of a record with a common base (null when there is none).
+// Returns { merged, conflicts }: conflicting fields take the remote value and are listed in conflicts
+function mergeRecord(base, local, remote) {
+    const merged = { ...remote };
+    const conflicts = [];
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base || {})]);
+
+    // With a lock on either side, lock, content and description come from one side only
+    const locked = Boolean(local.lock || remote.lock || (base && base.lock));
+    if (locked) {
+        const [baseUnit, localUnit, remoteUnit] = [lockUnit(base), lockUnit(local), lockUnit(remote)];
+        const localChanged = !same(localUnit, baseUnit);
+        const remoteChanged = !same(remoteUnit, baseUnit);
+        const source = localChanged && !remoteChanged ? local : remote;
+        if (localChanged && remoteChanged && !same(localUnit, remoteUnit)) {
+            conflicts.push(...LOCK_FIELDS.filter((key, index) => !same(localUnit[index], remoteUnit[index])));
+        }
+        for (const key of LOCK_FIELDS) {
+            if (source[key] === undefined) {
+                delete merged[key];
+            } else {
+                merged[key] = source[key];
+            }
+        }
+    }
+
+    for (const key of keys) {
+        if (SKIPPED_FIELDS.includes(key) || (locked && LOCK_FIELDS.includes(key))) continue;
+        const baseValue = base ? base[key] : undefined;
+        const localValue = local[key];
+        const remoteValue = remote[key];
+
+        if (same(localValue, remoteValue) || same(localValue, baseValue)) {
+            merged[key] = remoteValue;
+        } else if (same(remoteValue, baseValue)) {
+            merged[key] = localValue;
+        } else if (key === 'tags' && Array.isArray(localValue) && Array.isArray(remoteValue)) {
+            merged[key] = mergeTags(baseValue, localValue, remoteValue);
+        } else {
+            merged[key] = remoteValue;
+            conflicts.push(key);
+        }
+        if (merged[key] === undefined) delete merged[key];
+    }
+
+    merged.id = remote.id;
+    if (local.updatedAt || remote.updatedAt) merged.updatedAt = laterDate(local.updatedAt, remote.updatedAt);
+    if (local.createdAt || remote.createdAt) merged.createdAt = earlierDate(local.createdAt, remote.createdAt);
+    return { merged, conflicts };
+}
+
+// Merge a list of records by id (categories, tasks, task lists). Conflicting fields take the
+// remote value. Order follows the remote list, with records only known here at the end.
+// Returns { items, conflicts } with conflicts as [{ id, fields }]
+function mergeCollection(baseList, localList, remoteList) {
+    const byId = list => new Map((list || []).filter(item => item && item.id !== undefined).map(item => [item.id, item]));
+    const base = byId(baseList);
+    const local = byId(localList);
+    const remote = byId(remoteList);
+    const items = [];
+    const conflicts = [];
+
+    const ids = [...remote.keys(), ...[...local.keys()].filter(id => !remote.has(id))];
+    for (const id of ids) {
+        const baseItem = base.get(id) || null;
+        const localItem = local.get(id);
+        const remoteItem = remote.get(id);
+
+        if (localItem && remoteItem) {
+            const result = mergeRecord(baseItem, localItem, remoteItem);
+            items.push(result.merged);
+            if (result.conflicts.length > 0) conflicts.push({ id, fields: result.conflicts });
+        } else if (localItem) {
+            // Deleted on the server: gone, unless it was changed here since
+            if (!baseItem || !same(localItem, baseItem)) items.push(localItem);
+        } else if (!baseItem || !same(remoteItem, baseItem)) {
+            items.push(remoteItem);
+        }
+    }
+    return { items, conflicts };
+}
+
+module.exports = {
+    stableStringify,
+    syncedNote,
+    hashRecord,
+    mergeRecord,
+    mergeCollection
+};
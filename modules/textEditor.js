@@ -28,6 +28,50 @@ class TextEditor {
         selection.addRange(range);
     }
 
+    restoreSelection(range) {
+        if (!range) return;
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Insert a stored attachment: images inline, other files as a link
+    insertAttachment(attachment) {
+        const name = attachment.name.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        if (attachment.type.startsWith('image/')) {
+            this.insertHTML(`<img src="${attachment.url}" alt="${name}" data-attachment-id="${attachment.id}">`);
+        } else {
+            this.insertHTML(`<a href="${attachment.url}" class="attachment-link" data-attachment-id="${attachment.id}" data-attachment-name="${name}">📎 ${name}</a>&nbsp;`);
+        }
+    }
+
+    // Hand pasted or dropped files to onFiles(files, range) instead of letting the browser inline them.
+    // range is where the files should be inserted.
+    handleFiles(onFiles) {
+        this.element.addEventListener('paste', (event) => {
+            const files = Array.from(event.clipboardData?.files || []);
+            if (files.length === 0) return;
+
+            event.preventDefault();
+            onFiles(files, this.getSelection());
+        });
+
+        this.element.addEventListener('dragover', (event) => {
+            if (event.dataTransfer?.types.includes('Files')) {
+                event.preventDefault();
+            }
+        });
+
+        this.element.addEventListener('drop', (event) => {
+            const files = Array.from(event.dataTransfer?.files || []);
+            if (files.length === 0) return;
+
+            event.preventDefault();
+            onFiles(files, document.caretRangeFromPoint(event.clientX, event.clientY) || this.getSelection());
+        });
+    }
+
     // Wrap selection with tags
     wrapSelection(startTag, endTag = null) {
         const selection = window.getSelection();
@@ -460,6 +460,7 @@ class ThemeManager {
                 }
             }
         };
+        this.builtInThemes = Object.keys(this.themes);
         
         this.loadSavedTheme();
     }
@@ -608,6 +609,17 @@ class ThemeManager {
         return false;
     }
 
+    // Themes added with addCustomTheme or importTheme, by name
+    getCustomThemes() {
+        const custom = {};
+        for (const [name, theme] of Object.entries(this.themes)) {
+            if (!this.builtInThemes.includes(name)) {
+                custom[name] = { name: theme.name, icon: theme.icon, colors: theme.colors };
+            }
+        }
+        return custom;
+    }
+
     // Export current theme
     exportTheme() {
         const theme = this.getCurrentTheme();
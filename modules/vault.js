@@ -0,0 +1,156 @@
+// Optional at-rest encryption for the data folder.
+//
+// The key is derived from the passphrase with scrypt and never stored. vault.json holds the salt,
+// the KDF parameters and a check value used to verify the passphrase. Every encrypted file is an
+// AES-256-GCM envelope: {"mindkeepVault":1,"iv":...,"tag":...,"data":...} (base64 fields).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomicSync } = require('./safeWrite');
+
+const ENVELOPE_PREFIX = '{"mindkeepVault":1,';
+const CHECK_TEXT = 'mindkeep-vault-check';
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KDF_MAXMEM = 64 * 1024 * 1024;
+
+class VaultCipher {
+    constructor(key) {
+        this.key = key;
+    }
+
+    static isEncrypted(text) {
+        return text.startsWith(ENVELOPE_PREFIX);
+    }
+
+    // Accepts text or a Buffer (attachments)
+    encrypt(data) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const encrypted = Buffer.concat([
+            Buffer.isBuffer(data) ? cipher.update(data) : cipher.update(data, 'utf8'),
+            cipher.final()
+        ]);
+
+        return JSON.stringify({
+            mindkeepVault: 1,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: encrypted.toString('base64')
+        });
+    }
+
+    // Throws if the key is wrong or the file was modified
+    decrypt(text) {
+        return this.decryptBuffer(text).toString('utf8');
+    }
+
+    decryptBuffer(text) {
+        const envelope = JSON.parse(text);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(envelope.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    }
+}
+
+// Encode/decode file contents for a store that may or may not be encrypted.
+// Plain files are read as-is so a vault can be converted in place.
+function encodeText(cipher, text) {
+    return cipher ? cipher.encrypt(text) : text;
+}
+
+function decodeText(cipher, text) {
+    if (!VaultCipher.isEncrypted(text)) return text;
+    if (!cipher) {
+        throw new Error('File is encrypted and the vault is locked');
+    }
+    return cipher.decrypt(text);
+}
+
+function deriveKey(passphrase, salt, params) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase.normalize('NFC'), salt, 32, { ...params, maxmem: KDF_MAXMEM }, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+class Vault {
+    constructor(dataDir) {
+        this.configFile = path.join(dataDir, 'vault.json');
+        this.cipher = null;
+    }
+
+    isEncrypted() {
+        return fs.existsSync(this.configFile);
+    }
+
+    isLocked() {
+        return this.isEncrypted() && !this.cipher;
+    }
+
+    readConfig() {
+        return JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+    }
+
+    writeConfig(config) {
+        writeFileAtomicSync(this.configFile, JSON.stringify(config, null, 2));
+    }
+
+    // 'encrypt' or 'decrypt' while a conversion of the data folder has not finished
+    getPendingConversion() {
+        return this.isEncrypted() ? this.readConfig().pending || null : null;
+    }
+
+    setPendingConversion(pending) {
+        this.writeConfig({ ...this.readConfig(), pending });
+    }
+
+    async verify(passphrase) {
+        const config = this.readConfig();
+        const key = await deriveKey(passphrase, Buffer.from(config.salt, 'base64'), config.params);
+        const cipher = new VaultCipher(key);
+
+        try {
+            if (cipher.decrypt(config.check) !== CHECK_TEXT) throw new Error();
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+        return cipher;
+    }
+
+    async unlock(passphrase) {
+        this.cipher = await this.verify(passphrase);
+        return this.cipher;
+    }
+
+    lock() {
+        this.cipher = null;
+    }
+
+    // Start encrypting: the data folder still has to be rewritten (pending 'encrypt')
+    async create(passphrase) {
+        const salt = crypto.randomBytes(16);
+        const cipher = new VaultCipher(await deriveKey(passphrase, salt, KDF_PARAMS));
+
+        this.writeConfig({
+            version: 1,
+            kdf: 'scrypt',
+            params: KDF_PARAMS,
+            salt: salt.toString('base64'),
+            check: cipher.encrypt(CHECK_TEXT),
+            pending: 'encrypt',
+            createdAt: new Date().toISOString()
+        });
+
+        this.cipher = cipher;
+        return cipher;
+    }
+
+    remove() {
+        fs.rmSync(this.configFile, { force: true });
+        this.cipher = null;
+    }
+}
+
+module.exports = { Vault, VaultCipher, encodeText, decodeText, deriveKey, KDF_PARAMS };
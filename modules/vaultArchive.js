@@ -0,0 +1,186 @@
+// Vault archives: everything in a vault as one zip file, to keep outside MindKeep or to rebuild
+// the vault on another machine.
+//
+//   manifest.json                     format, version, schema version, app version, time and counts
+//   notes/<category>/<title>.md       every note as Markdown with front matter, for reading anywhere
+//   data/notes.json                   the notes as stored; this is what an import reads
+//   data/categories.json              the category tree
+//   data/trash.json, data/tasks.json ({ tasks, taskLists }), data/meals.json ({ meals, mealPlans })
+//   attachments/<id>                  the files the notes use
+//   themes.json, templates.json       custom themes and note templates (kept by the renderer)
+//   settings.json                     the vault settings that make sense on another machine
+//
+// The archive is not encrypted, even when the vault is.
+
+const path = require('path');
+const { createZip, readZip } = require('./zip');
+const markdown = require('./markdown');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateBackupData } = require('./migrations');
+const { toFileName } = require('./markdownDatabase');
+
+const ARCHIVE_FORMAT = 'mindkeep-vault-archive';
+const ARCHIVE_VERSION = 1;
+const ATTACHMENT_ID_PATTERN = /^[a-f0-9]{64}\.[a-z0-9]{1,10}$/;
+
+function toJson(value) {
+    return JSON.stringify(value, null, 2);
+}
+
+// Folder names of a category and its parents, top level first
+function getCategoryFolders(categories, categoryId) {
+    const folders = [];
+    const seen = new Set();
+    let category = categories.find(cat => cat.id === categoryId);
+    while (category && !seen.has(category.id)) {
+        seen.add(category.id);
+        folders.unshift(toFileName(category.name));
+        category = category.parentId ? categories.find(cat => cat.id === category.parentId) : null;
+    }
+    return folders;
+}
+
+function noteToMarkdown(note, notePath) {
+    const fields = {
+        id: note.id,
+        title: note.title,
+        tags: Array.isArray(note.tags) ? note.tags : [],
+        description: note.description || '',
+        pinned: Boolean(note.isPinned),
+        created: note.createdAt,
+        updated: note.updatedAt
+    };
+    // Locked notes are sealed; their content only exists in data/notes.json
+    const body = note.lock ? '*This note is locked.*' : markdown.htmlToMarkdown(note.content || '', {
+        attachmentUrl: id => path.posix.relative(path.posix.dirname(notePath), `attachments/${id}`)
+    });
+    return `${markdown.stringifyFrontMatter(fields)}\n${body}\n`;
+}
+
+// Markdown file paths for the notes, unique within their folder
+function getNotePaths(notes, categories) {
+    const used = new Set();
+    return notes.map(note => {
+        const folder = ['notes', ...getCategoryFolders(categories, note.categoryId)].join('/');
+        const baseName = toFileName(note.title);
+        for (let number = 1; ; number++) {
+            const notePath = `${folder}/${number === 1 ? baseName : `${baseName} (${number})`}.md`;
+            if (!used.has(notePath.toLowerCase())) {
+                used.add(notePath.toLowerCase());
+                return notePath;
+            }
+        }
+    });
+}
+
+// data: the vault as BackupManager.buildBackupData returns it (attachments as base64 entries).
+// Returns { buffer, manifest }
+function createArchive({ data, themes = {}, templates = {}, settings = {}, appVersion = '' }) {
+    const createdAt = new Date();
+    const attachments = data.attachments || [];
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        schemaVersion: getSchemaVersion(data),
+        appVersion,
+        createdAt: createdAt.toISOString(),
+        counts: {
+            notes: data.notes.length,
+            categories: data.categories.length,
+            trash: (data.trash || []).length,
+            tasks: (data.tasks || []).length,
+            meals: (data.meals || []).length,
+            attachments: attachments.length,
+            themes: Object.keys(themes.custom || {}).length,
+            templates: Object.keys(templates).length
+        }
+    };
+
+    const notePaths = getNotePaths(data.notes, data.categories);
+    const entries = [
+        { name: 'manifest.json', data: toJson(manifest) },
+        ...data.notes.map((note, index) => ({
+            name: notePaths[index],
+            data: noteToMarkdown(note, notePaths[index]),
+            date: new Date(note.updatedAt || createdAt)
+        })),
+        { name: 'data/notes.json', data: toJson(data.notes) },
+        { name: 'data/categories.json', data: toJson(data.categories) },
+        { name: 'data/trash.json', data: toJson(data.trash || []) },
+        { name: 'data/tasks.json', data: toJson({ tasks: data.tasks || [], taskLists: data.taskLists || [] }) },
+        { name: 'data/meals.json', data: toJson({ meals: data.meals || [], mealPlans: data.mealPlans || [] }) },
+        ...attachments.map(entry => ({ name: `attachments/${entry.id}`, data: Buffer.from(entry.data, 'base64') })),
+        { name: 'themes.json', data: toJson(themes) },
+        { name: 'templates.json', data: toJson(templates) },
+        { name: 'settings.json', data: toJson(settings) }
+    ].map(entry => ({ date: createdAt, ...entry }));
+
+    return { buffer: createZip(entries), manifest };
+}
+
+function readJsonEntry(entries, name, fallback) {
+    const data = entries.get(name);
+    if (!data) {
+        if (fallback !== undefined) return fallback;
+        throw new Error(`The archive has no ${name}`);
+    }
+    try {
+        return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw new Error(`${name} in the archive is damaged: ${error.message}`);
+    }
+}
+
+// Read a vault archive. Returns { manifest, data, themes, templates, settings }, with data shaped
+// like a backup (and upgraded to the current schema) so it can be restored like one
+function readArchive(buffer) {
+    const entries = readZip(buffer);
+    const manifest = readJsonEntry(entries, 'manifest.json');
+    if (manifest.format !== ARCHIVE_FORMAT) {
+        throw new Error('This zip file is not a MindKeep vault archive');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+        throw new Error('This archive was made by a newer version of MindKeep. Please update MindKeep.');
+    }
+
+    const notes = readJsonEntry(entries, 'data/notes.json');
+    const categories = readJsonEntry(entries, 'data/categories.json');
+    if (!Array.isArray(notes) || !Array.isArray(categories)) {
+        throw new Error('The notes or categories in the archive are damaged');
+    }
+    const { tasks = [], taskLists = [] } = readJsonEntry(entries, 'data/tasks.json', {});
+    const { meals = [], mealPlans = [] } = readJsonEntry(entries, 'data/meals.json', {});
+
+    const attachments = [];
+    for (const [name, data] of entries) {
+        const id = name.startsWith('attachments/') ? name.slice('attachments/'.length) : null;
+        if (id && ATTACHMENT_ID_PATTERN.test(id)) {
+            attachments.push({ id, data: data.toString('base64') });
+        }
+    }
+
+    const { data } = migrateBackupData({
+        schemaVersion: Number.isInteger(manifest.schemaVersion) ? manifest.schemaVersion : CURRENT_SCHEMA_VERSION,
+        timestamp: manifest.createdAt,
+        notes,
+        categories,
+        trash: readJsonEntry(entries, 'data/trash.json', []),
+        attachments,
+        tasks,
+        taskLists,
+        meals,
+        mealPlans
+    });
+
+    return {
+        manifest,
+        data,
+        themes: readJsonEntry(entries, 'themes.json', {}),
+        templates: readJsonEntry(entries, 'templates.json', {}),
+        settings: readJsonEntry(entries, 'settings.json', {})
+    };
+}
+
+module.exports = {
+    createArchive,
+    readArchive
+};
@@ -0,0 +1,446 @@
+// Vault doctor: finds the inconsistencies that build up in a vault over time (sync tools,
+// crashes, older versions) and fixes the ones that can be fixed without guessing.
+//
+// Every problem has a stable id (type and subject), a severity and a message:
+//   error   - data is hidden, or may be lost or overwritten
+//   warning - something points at something that is gone
+//   info    - worth a look, nothing breaks
+// Repairs take a snapshot backup first and run again from a fresh check, so stale ids are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const categoryList = require('./categories');
+const { collectReferences } = require('./attachments');
+const { htmlToText } = require('./markdown');
+const { CURRENT_SCHEMA_VERSION } = require('./migrations');
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+function createNoteId() {
+    return Date.now().toString() + '_' + Math.random().toString(36).substring(2, 11);
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+}
+
+// Whether following the parents of category leads back to it
+function isInCategoryCycle(categories, category) {
+    const byId = new Map(categories.map(cat => [cat.id, cat]));
+    const seen = new Set();
+    let current = category;
+    while (current && current.parentId && !seen.has(current.id)) {
+        seen.add(current.id);
+        current = byId.get(current.parentId);
+        if (current === category) return true;
+    }
+    return false;
+}
+
+// @links are plain text: "@" and a note title, followed by the rest of the sentence. A link is
+// broken when no title starts right after the "@" (an "@" inside a word, as in an address, is not a link)
+function findBrokenLinks(text, titles) {
+    const broken = new Map();
+    for (const line of text.split('\n')) {
+        for (const match of line.matchAll(/(?<![\w@])@([A-Za-z0-9\-_][A-Za-z0-9\s\-_]*)/g)) {
+            const rest = match[1].toLowerCase();
+            const linked = titles.some(title => rest.startsWith(title) && !/^[\w-]/.test(rest.slice(title.length)));
+            if (!linked) {
+                const name = match[1].match(/^[\w-]+/)[0];
+                broken.set(name.toLowerCase(), name);
+            }
+        }
+    }
+    return [...broken.values()];
+}
+
+class VaultDoctor {
+    constructor(database, backupManager, attachments = null) {
+        this.database = database;
+        this.backupManager = backupManager;
+        this.attachments = attachments;  // AttachmentStore, to find missing attachment files
+    }
+
+    // { checkedAt, scanned, problems, summary } with problems sorted by severity
+    check() {
+        const { problems, scanned } = this.findProblems();
+        const list = problems.map(({ fix, ...problem }) => ({ ...problem, fixable: Boolean(fix) }));
+
+        const summary = { error: 0, warning: 0, info: 0, fixable: 0 };
+        for (const problem of list) {
+            summary[problem.severity]++;
+            if (problem.fixable) summary.fixable++;
+        }
+
+        return { checkedAt: new Date().toISOString(), scanned, problems: list, summary };
+    }
+
+    // Fix the fixable problems with the given ids (all of them when ids is null)
+    async repair(ids = null) {
+        const problems = this.findProblems().problems
+            .filter(problem => problem.fix && (!ids || ids.includes(problem.id)));
+        if (problems.length === 0) {
+            return { success: true, fixed: 0, failed: [], snapshot: null };
+        }
+
+        const snapshot = await this.backupManager.createSnapshot('pre-repair', 'Before vault repair');
+        if (!snapshot.success) {
+            return { success: false, error: `The backup before repairing failed, nothing was changed: ${snapshot.error}` };
+        }
+
+        let fixed = 0;
+        const failed = [];
+        for (const problem of problems) {
+            try {
+                await problem.fix();
+                fixed++;
+            } catch (error) {
+                console.error(`Vault repair of ${problem.id} failed:`, error);
+                failed.push({ id: problem.id, error: error.message });
+            }
+        }
+        await this.database.forceWrite();
+
+        return {
+            success: failed.length === 0,
+            fixed,
+            failed,
+            snapshot: snapshot.id,
+            error: failed.length > 0 ? `${failed.length} problem(s) could not be fixed` : undefined
+        };
+    }
+
+    findProblems() {
+        const problems = [];
+        const add = problem => problems.push(problem);
+
+        const categories = this.database.getCategories();
+        const notes = this.database.getNotes();
+        const trash = this.database.getTrash();
+        const tasks = this.database.getTasks();
+        const taskLists = this.database.getTaskLists();
+        const backups = this.backupManager.listBackups();
+
+        this.checkCategories(categories, add);
+        this.checkNotes(notes, categories, add);
+        this.checkNoteFiles(add);
+        this.checkTrash(trash, notes, add);
+        this.checkTasks(tasks, taskLists, add);
+        this.checkBackups(backups, add);
+
+        problems.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+        return {
+            problems,
+            scanned: {
+                notes: notes.length,
+                trash: trash.length,
+                categories: categories.length,
+                tasks: tasks.length,
+                backups: backups.length
+            }
+        };
+    }
+
+    // Apply change to the current category list and save it
+    updateCategories(change) {
+        this.database.replaceCategories(change(this.database.getCategories()));
+    }
+
+    checkCategories(categories, add) {
+        if (!categories.some(cat => cat.id === categoryList.DEFAULT_CATEGORY_ID)) {
+            add({
+                id: 'missing-general-category',
+                type: 'missing-general-category',
+                severity: 'error',
+                message: 'The General category is missing; notes whose category is deleted have nowhere to go',
+                fix: () => this.updateCategories(current => current.some(cat => cat.id === categoryList.DEFAULT_CATEGORY_ID)
+                    ? current
+                    : [...categoryList.createDefaultCategories(), ...current])
+            });
+        }
+
+        const seenIds = new Set();
+        categories.forEach((category, index) => {
+            if (seenIds.has(category.id)) {
+                add({
+                    id: `duplicate-category-id:${category.id}:${index}`,
+                    type: 'duplicate-category-id',
+                    severity: 'error',
+                    categoryId: category.id,
+                    message: `Categories "${categories.find(cat => cat.id === category.id).name}" and "${category.name}" share the id ${category.id}; ` +
+                        `the second one gets a new id (notes stay with the first)`,
+                    fix: () => this.updateCategories(current => current.map((cat, i) =>
+                        i === index && cat.id === category.id ? { ...cat, id: categoryList.createCategoryId() } : cat))
+                });
+            }
+            seenIds.add(category.id);
+        });
+
+        const ids = new Set(categories.map(cat => cat.id));
+        for (const category of categories) {
+            if (category.parentId && !ids.has(category.parentId)) {
+                add({
+                    id: `missing-parent-category:${category.id}`,
+                    type: 'missing-parent-category',
+                    severity: 'warning',
+                    categoryId: category.id,
+                    message: `Category "${category.name}" is inside a category that no longer exists; it moves to the top level`,
+                    fix: () => this.updateCategories(current => current.map(cat =>
+                        cat.id === category.id && !current.some(other => other.id === cat.parentId) ? { ...cat, parentId: null } : cat))
+                });
+            } else if (isInCategoryCycle(categories, category)) {
+                add({
+                    id: `category-cycle:${category.id}`,
+                    type: 'category-cycle',
+                    severity: 'error',
+                    categoryId: category.id,
+                    message: `Category "${category.name}" is inside itself (through its parents) and cannot be shown; it moves to the top level`,
+                    // Breaking the loop at one category fixes the others in it
+                    fix: () => this.updateCategories(current => current.map(cat =>
+                        cat.id === category.id && isInCategoryCycle(current, cat) ? { ...cat, parentId: null } : cat))
+                });
+            }
+        }
+
+        const siblings = new Map();
+        for (const category of categories) {
+            const key = `${category.parentId || ''}\n${category.name.toLowerCase()}`;
+            if (!siblings.has(key)) {
+                siblings.set(key, category);
+                continue;
+            }
+            add({
+                id: `duplicate-category-name:${category.id}`,
+                type: 'duplicate-category-name',
+                severity: 'info',
+                categoryId: category.id,
+                message: `There are two categories named "${category.name}" in the same place; the second one is renamed`,
+                fix: () => this.updateCategories(current => {
+                    const taken = new Set(current
+                        .filter(cat => cat.id !== category.id && (cat.parentId || null) === (category.parentId || null))
+                        .map(cat => cat.name.toLowerCase()));
+                    let name = category.name;
+                    for (let i = 2; taken.has(name.toLowerCase()); i++) {
+                        name = `${category.name} (${i})`;
+                    }
+                    return current.map(cat => cat.id === category.id ? { ...cat, name } : cat);
+                })
+            });
+        }
+    }
+
+    checkNotes(notes, categories, add) {
+        const ids = new Set(categories.map(cat => cat.id));
+        const titles = notes.map(note => String(note.title || '').toLowerCase().trim()).filter(title => title);
+        const attachmentFiles = this.attachments ? new Set(this.attachments.list()) : null;
+
+        for (const note of notes) {
+            const title = note.title || 'Untitled';
+
+            if (!note.categoryId || !ids.has(note.categoryId)) {
+                // Saving points the note at the category its name matches, or General
+                const target = categoryList.resolveNoteCategory(categories, note);
+                add({
+                    id: `missing-note-category:${note.id}`,
+                    type: 'missing-note-category',
+                    severity: 'error',
+                    noteId: note.id,
+                    message: `Note "${title}" belongs to a category that no longer exists; it moves to "${target.category || 'General'}"`,
+                    fix: () => {
+                        const current = this.database.getNote(note.id);
+                        if (current) return this.database.saveNote(current);
+                    }
+                });
+            }
+
+            const badFields = [];
+            if (typeof note.title !== 'string') badFields.push('title');
+            if (!Array.isArray(note.tags) || note.tags.some(tag => typeof tag !== 'string')) badFields.push('tags');
+            if (!isValidDate(note.createdAt)) badFields.push('created date');
+            if (!isValidDate(note.updatedAt)) badFields.push('updated date');
+            if (badFields.length > 0) {
+                add({
+                    id: `invalid-note-fields:${note.id}`,
+                    type: 'invalid-note-fields',
+                    severity: 'warning',
+                    noteId: note.id,
+                    message: `Note "${title}" has an invalid ${badFields.join(', ')}`,
+                    fix: () => {
+                        const current = this.database.getNote(note.id);
+                        if (!current) return;
+                        const now = new Date().toISOString();
+                        const updatedAt = isValidDate(current.updatedAt) ? current.updatedAt : (isValidDate(current.createdAt) ? current.createdAt : now);
+                        return this.database.saveNote({
+                            ...current,
+                            title: typeof current.title === 'string' ? current.title : String(current.title ?? ''),
+                            tags: Array.isArray(current.tags) ? current.tags.filter(tag => typeof tag === 'string') : [],
+                            createdAt: isValidDate(current.createdAt) ? current.createdAt : updatedAt,
+                            updatedAt
+                        });
+                    }
+                });
+            }
+
+            if (attachmentFiles) {
+                for (const id of collectReferences([note])) {
+                    if (!attachmentFiles.has(id)) {
+                        add({
+                            id: `missing-attachment:${note.id}:${id}`,
+                            type: 'missing-attachment',
+                            severity: 'warning',
+                            noteId: note.id,
+                            message: `Note "${title}" shows an attachment whose file is missing (${id}); a backup may still have it`
+                        });
+                    }
+                }
+            }
+
+            // Locked notes cannot be read
+            if (note.lock) continue;
+
+            const text = htmlToText(`${note.content || ''}<p>${note.description || ''}</p>`);
+            for (const name of findBrokenLinks(text, titles)) {
+                add({
+                    id: `broken-note-link:${note.id}:${name.toLowerCase()}`,
+                    type: 'broken-note-link',
+                    severity: 'warning',
+                    noteId: note.id,
+                    message: `Note "${title}" links to @${name}, but no note has that title`
+                });
+            }
+        }
+    }
+
+    // JSON store only: every note is notes/<id>.json. A file under another name, or a second file
+    // with the same id, is read again at the next start and may replace the current version.
+    checkNoteFiles(add) {
+        if (this.database.backend !== 'json') return;
+
+        const filesById = new Map();
+        for (const filePath of this.database.listNoteFiles()) {
+            const noteFile = this.database.readNoteFile(filePath, false);
+            if (!noteFile) continue;
+            const files = filesById.get(noteFile.note.id) || [];
+            files.push(noteFile);
+            filesById.set(noteFile.note.id, files);
+        }
+
+        for (const [id, files] of filesById) {
+            const expected = this.database.getNoteFile(id);
+            const loadedHash = this.database.noteFileHashes.get(id);
+            // The file the note was loaded from keeps the id; it only needs the right name
+            const keeper = files.find(file => file.filePath === expected) ||
+                files.find(file => file.hash === loadedHash) || files[0];
+
+            if (keeper.filePath !== expected) {
+                add({
+                    id: `note-file-name:${path.basename(keeper.filePath)}`,
+                    type: 'note-file-name',
+                    severity: 'warning',
+                    noteId: id,
+                    message: `The file of note "${keeper.note.title || 'Untitled'}" is named ${path.basename(keeper.filePath)} instead of ${path.basename(expected)}`,
+                    fix: () => {
+                        if (fs.existsSync(keeper.filePath) && !fs.existsSync(expected)) {
+                            fs.renameSync(keeper.filePath, expected);
+                        }
+                    }
+                });
+            }
+
+            for (const file of files.filter(other => other !== keeper)) {
+                const identical = file.hash === keeper.hash;
+                add({
+                    id: `duplicate-note-id:${path.basename(file.filePath)}`,
+                    type: 'duplicate-note-id',
+                    severity: 'error',
+                    noteId: id,
+                    message: `${path.basename(file.filePath)} is a second note with the id of "${keeper.note.title || 'Untitled'}"; ` +
+                        (identical ? 'it is an identical copy and is removed' : 'it is kept as a separate note with a new id'),
+                    fix: async () => {
+                        if (!fs.existsSync(file.filePath)) return;
+                        if (!identical) {
+                            await this.database.saveNote({ ...file.note, id: createNoteId() });
+                            await this.database.forceWrite();
+                        }
+                        fs.rmSync(file.filePath, { force: true });
+                    }
+                });
+            }
+        }
+    }
+
+    checkTrash(trash, notes, add) {
+        const liveIds = new Set(notes.map(note => note.id));
+        for (const note of trash.filter(trashed => liveIds.has(trashed.id))) {
+            add({
+                id: `duplicate-trash-id:${note.id}`,
+                type: 'duplicate-trash-id',
+                severity: 'error',
+                noteId: note.id,
+                message: `A note in the trash ("${note.title || 'Untitled'}") has the id of a live note; deleting that note would overwrite it, so it gets a new id`,
+                fix: () => {
+                    const current = this.database.getTrash();
+                    if (!this.database.getNote(note.id) || !current.some(trashed => trashed.id === note.id)) return;
+                    this.database.replaceTrash(current.map(trashed => trashed.id === note.id ? { ...trashed, id: createNoteId() } : trashed));
+                }
+            });
+        }
+    }
+
+    // Tasks outside any list are shown in no list; the renderer's built-in list is 'default'
+    checkTasks(tasks, taskLists, add) {
+        const listIds = new Set(['default', ...taskLists.map(list => list.id)]);
+        for (const task of tasks) {
+            if (task.listId && !listIds.has(task.listId)) {
+                add({
+                    id: `missing-task-list:${task.id}`,
+                    type: 'missing-task-list',
+                    severity: 'warning',
+                    taskId: task.id,
+                    message: `Task "${task.title || 'Untitled'}" is in a task list that no longer exists; it moves to General Tasks`,
+                    fix: () => {
+                        const current = this.database.getTasks().find(other => other.id === task.id);
+                        if (current) this.database.saveTask({ ...current, listId: 'default' });
+                    }
+                });
+            }
+        }
+    }
+
+    // Backups are only reported: deleting one is left to the user
+    checkBackups(backups, add) {
+        for (const backup of backups) {
+            if (backup.error) {
+                add({
+                    id: `unreadable-backup:${backup.id}`,
+                    type: 'unreadable-backup',
+                    severity: 'error',
+                    backupId: backup.id,
+                    message: `Backup ${backup.filename} cannot be read (damaged, or encrypted with another passphrase) and cannot be restored`
+                });
+                continue;
+            }
+
+            const verified = this.backupManager.verifyBackup(backup.id);
+            if (verified.success && !verified.valid) {
+                add({
+                    id: `damaged-backup:${backup.id}`,
+                    type: 'damaged-backup',
+                    severity: 'error',
+                    backupId: backup.id,
+                    message: `Backup ${backup.filename} is damaged and cannot be restored: ${verified.error}`
+                });
+            } else if (backup.schemaVersion > CURRENT_SCHEMA_VERSION) {
+                add({
+                    id: `newer-backup:${backup.id}`,
+                    type: 'newer-backup',
+                    severity: 'info',
+                    backupId: backup.id,
+                    message: `Backup ${backup.filename} was written by a newer version of MindKeep and can only be restored there`
+                });
+            }
+        }
+    }
+}
+
+module.exports = VaultDoctor;
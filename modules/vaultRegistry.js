@@ -0,0 +1,139 @@
+// The vaults (data folders) this installation knows about.
+//
+// A vault is a folder holding everything MindKeep stores: notes, backups, tasks, meals, attachments
+// and its own settings.json. vaults.json in the user data folder remembers the recently opened
+// vaults and which one to open on the next start. The default vault is mindkeep-data next to it.
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./safeWrite');
+
+const MAX_RECENT_VAULTS = 10;
+
+// Entries only a MindKeep data folder has
+const VAULT_MARKERS = ['meta.json', 'categories.json', 'mindkeep.db', 'vault.json', 'notes'];
+
+function samePath(a, b) {
+    const normalize = dir => path.resolve(dir).replace(/[\\/]+$/, '');
+    return process.platform === 'win32' || process.platform === 'darwin'
+        ? normalize(a).toLowerCase() === normalize(b).toLowerCase()
+        : normalize(a) === normalize(b);
+}
+
+function isVaultFolder(dir) {
+    return VAULT_MARKERS.some(name => fs.existsSync(path.join(dir, name)));
+}
+
+// Returns why the folder cannot be opened (or created as a new vault), or null if it can
+function checkVaultFolder(dir, create = false) {
+    const exists = fs.existsSync(dir);
+    if (exists && !fs.statSync(dir).isDirectory()) {
+        return 'The path is not a folder';
+    }
+
+    if (create) {
+        if (exists && isVaultFolder(dir)) {
+            return 'This folder already contains a vault. Open it instead.';
+        }
+        if (exists && fs.readdirSync(dir).length > 0) {
+            return 'Choose an empty folder for the new vault';
+        }
+        return null;
+    }
+
+    if (!exists) {
+        return 'The vault folder does not exist';
+    }
+    if (!isVaultFolder(dir)) {
+        return 'This folder is not a MindKeep vault';
+    }
+    return null;
+}
+
+// --vault <path> or --vault=<path>; relative paths are resolved against the working directory
+function getVaultArgument(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--vault' && argv[i + 1]) {
+            return path.resolve(argv[i + 1]);
+        }
+        if (argv[i].startsWith('--vault=')) {
+            return path.resolve(argv[i].slice('--vault='.length));
+        }
+    }
+    return null;
+}
+
+class VaultRegistry {
+    constructor(userDataDir) {
+        this.file = path.join(userDataDir, 'vaults.json');
+        this.defaultPath = path.join(userDataDir, 'mindkeep-data');
+        this.data = { lastOpened: null, recent: [] };
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+                this.data = {
+                    lastOpened: typeof data.lastOpened === 'string' ? data.lastOpened : null,
+                    recent: Array.isArray(data.recent) ? data.recent.filter(entry => entry && typeof entry.path === 'string') : []
+                };
+            }
+        } catch (error) {
+            console.error('Error loading vault list:', error);
+        }
+    }
+
+    save() {
+        writeFileAtomicSync(this.file, JSON.stringify(this.data, null, 2));
+    }
+
+    // The last opened vault if it is still there, otherwise the default vault
+    getStartupPath() {
+        const last = this.data.lastOpened;
+        return last && fs.existsSync(last) ? last : this.defaultPath;
+    }
+
+    getName(dir) {
+        return samePath(dir, this.defaultPath) ? 'Default vault' : path.basename(dir);
+    }
+
+    // Most recently opened first; the default vault is always listed
+    list(currentPath = null) {
+        const entries = [...this.data.recent];
+        if (!entries.some(entry => samePath(entry.path, this.defaultPath))) {
+            entries.push({ path: this.defaultPath, openedAt: null });
+        }
+
+        return entries.map(entry => ({
+            path: entry.path,
+            name: this.getName(entry.path),
+            openedAt: entry.openedAt || null,
+            isDefault: samePath(entry.path, this.defaultPath),
+            isCurrent: !!currentPath && samePath(entry.path, currentPath),
+            available: fs.existsSync(entry.path)
+        }));
+    }
+
+    // Vaults opened with --vault are listed but do not become the startup vault
+    remember(dir, { startup = true } = {}) {
+        const entry = { path: dir, openedAt: new Date().toISOString() };
+        this.data.recent = [entry, ...this.data.recent.filter(other => !samePath(other.path, dir))]
+            .slice(0, MAX_RECENT_VAULTS);
+        if (startup) {
+            this.data.lastOpened = dir;
+        }
+        this.save();
+    }
+
+    forget(dir) {
+        this.data.recent = this.data.recent.filter(entry => !samePath(entry.path, dir));
+        if (this.data.lastOpened && samePath(this.data.lastOpened, dir)) {
+            this.data.lastOpened = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = { VaultRegistry, checkVaultFolder, isVaultFolder, getVaultArgument, samePath };
@@ -0,0 +1,167 @@
+// Minimal WebDAV client for vault sync: PROPFIND (depth 0 or 1), GET, PUT, DELETE and MKCOL
+// against one folder on the server, with basic authentication and ETag preconditions.
+// Paths are relative to the folder and use / separators.
+
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT = 30 * 1000;
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH',
+    'ENETUNREACH', 'EPIPE'];
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+    '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getetag/><d:getlastmodified/>' +
+    '<d:getcontentlength/></d:prop></d:propfind>';
+
+// offline: the server could not be reached (the request can be tried again later);
+// status: the HTTP status of a failed request
+class WebDavError extends Error {
+    constructor(message, { status = null, offline = false } = {}) {
+        super(message);
+        this.name = 'WebDavError';
+        this.status = status;
+        this.offline = offline;
+    }
+}
+
+function describeStatus(status) {
+    if (status === 401 || status === 403) return 'the server refused the user name or password';
+    if (status === 404) return 'the folder was not found on the server';
+    if (status === 507) return 'the server is out of space';
+    return `the server answered ${status}`;
+}
+
+// The text of the first element called name (any namespace prefix) in xml, or null
+function readElement(xml, name) {
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+    return match ? decodeXml(match[1].trim()) : null;
+}
+
+function decodeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+class WebDavClient {
+    // url: the folder on the server (http or https)
+    constructor({ url, username = '', password = '' }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new WebDavError(`"${url}" is not a valid address`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new WebDavError('The sync address must start with http:// or https://');
+        }
+        this.base = new URL(parsed.href.endsWith('/') ? parsed.href : `${parsed.href}/`);
+        this.auth = username ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` : null;
+    }
+
+    resolve(relativePath) {
+        const encoded = relativePath.split('/').map(part => encodeURIComponent(part)).join('/');
+        return new URL(encoded, this.base);
+    }
+
+    // Returns { status, headers, body (Buffer) }; only network failures reject
+    request(method, relativePath, { body = null, headers = {} } = {}) {
+        const url = this.resolve(relativePath);
+        const transport = url.protocol === 'https:' ? https : http;
+        const requestHeaders = { ...headers };
+        if (this.auth) requestHeaders.Authorization = this.auth;
+        if (body !== null) requestHeaders['Content-Length'] = Buffer.byteLength(body);
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, { method, headers: requestHeaders, timeout: REQUEST_TIMEOUT }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+                res.on('error', reject);
+            });
+            req.on('timeout', () => req.destroy(Object.assign(new Error('The server did not answer in time'), { code: 'ETIMEDOUT' })));
+            req.on('error', error => {
+                const offline = NETWORK_ERRORS.includes(error.code);
+                reject(new WebDavError(offline ? `The sync server cannot be reached (${error.code})` : error.message, { offline }));
+            });
+            req.end(body === null ? undefined : body);
+        });
+    }
+
+    fail(method, relativePath, status) {
+        return new WebDavError(`${method} ${relativePath || '/'} failed: ${describeStatus(status)}`, { status });
+    }
+
+    // The entries of a folder (depth 1, without the folder itself) or of one entry (depth 0):
+    // [{ path, name, isFolder, etag, lastModified, size }]. Returns null if the path does not exist
+    async list(relativePath = '', depth = 1) {
+        const response = await this.request('PROPFIND', relativePath, {
+            body: PROPFIND_BODY,
+            headers: { Depth: String(depth), 'Content-Type': 'application/xml; charset=utf-8' }
+        });
+        if (response.status === 404) return null;
+        if (response.status !== 207) throw this.fail('PROPFIND', relativePath, response.status);
+
+        const folderPath = this.resolve(relativePath).pathname.replace(/\/$/, '');
+        const entries = [];
+        const responses = response.body.toString('utf8').match(/<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/g) || [];
+        for (const xml of responses) {
+            const href = readElement(xml, 'href');
+            if (!href) continue;
+            const entryPath = decodeURIComponent(new URL(href, this.base).pathname).replace(/\/$/, '');
+            if (depth > 0 && entryPath === decodeURIComponent(folderPath)) continue;
+
+            const name = entryPath.slice(entryPath.lastIndexOf('/') + 1);
+            const size = readElement(xml, 'getcontentlength');
+            entries.push({
+                path: relativePath ? `${relativePath.replace(/\/$/, '')}/${name}` : name,
+                name,
+                isFolder: /<(?:[\w-]+:)?collection\s*\/?>/.test(xml),
+                etag: readElement(xml, 'getetag'),
+                lastModified: readElement(xml, 'getlastmodified'),
+                size: size === null ? null : Number(size)
+            });
+        }
+        return entries;
+    }
+
+    // File contents as { data, etag }, or null if there is no such file
+    async get(relativePath) {
+        const response = await this.request('GET', relativePath);
+        if (response.status === 404) return null;
+        if (response.status !== 200) throw this.fail('GET', relativePath, response.status);
+        return { data: response.body, etag: response.headers.etag || null };
+    }
+
+    // Write a file. ifMatch: only replace this version; ifNoneMatch: only create a new file.
+    // Returns { etag } (null when the server does not send one), or { conflict: true } when the
+    // file on the server is not the expected version
+    async put(relativePath, data, { ifMatch = null, ifNoneMatch = false, contentType = 'application/octet-stream' } = {}) {
+        const headers = { 'Content-Type': contentType };
+        if (ifMatch) headers['If-Match'] = ifMatch;
+        if (ifNoneMatch) headers['If-None-Match'] = '*';
+
+        const response = await this.request('PUT', relativePath, { body: data, headers });
+        if (response.status === 412) return { conflict: true };
+        if (response.status < 200 || response.status > 299) throw this.fail('PUT', relativePath, response.status);
+        return { etag: response.headers.etag || null };
+    }
+
+    // Returns { conflict: true } when the file changed on the server; a missing file is not an error
+    async delete(relativePath, { ifMatch = null } = {}) {
+        const response = await this.request('DELETE', relativePath, { headers: ifMatch ? { 'If-Match': ifMatch } : {} });
+        if (response.status === 412) return { conflict: true };
+        if (response.status !== 404 && (response.status < 200 || response.status > 299)) {
+            throw this.fail('DELETE', relativePath, response.status);
+        }
+        return {};
+    }
+
+    // Create a folder ('' for the sync folder itself); one that already exists is fine
+    async createFolder(relativePath) {
+        const response = await this.request('MKCOL', relativePath ? relativePath.replace(/\/?$/, '/') : '');
+        if (response.status === 405 || (response.status >= 200 && response.status <= 299)) return;
+        throw this.fail('MKCOL', relativePath, response.status);
+    }
+}
+
+module.exports = { WebDavClient, WebDavError };
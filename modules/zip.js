@@ -0,0 +1,175 @@
+// Minimal ZIP reading and writing for vault archives: stored and deflated entries, UTF-8 names,
+// no ZIP64 (archives and entries up to 4 GB, up to 65535 entries), no encryption. Entries are checked against their CRC-32.
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+const MAX_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+const MAX_COMMENT_LENGTH = 0xffff;
+// Limits on what reading unpacks, so a small crafted archive cannot fill the memory
+const MAX_ENTRY_SIZE = 512 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 2 * 1024 * 1024 * 1024;
+
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// entries: [{ name, data (Buffer or string), date }]; returns the archive as a Buffer
+function createZip(entries) {
+    if (entries.length > MAX_ENTRIES) {
+        throw new Error(`An archive can hold at most ${MAX_ENTRIES} files; this one would have ${entries.length}`);
+    }
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const method = deflated.length < data.length ? DEFLATED : STORED;
+        const stored = method === DEFLATED ? deflated : data;
+        if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+            throw new Error('The archive is too large');
+        }
+        const crc = zlib.crc32(data);
+        const { time, date } = toDosDateTime(entry.date || new Date());
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, stored);
+        centralParts.push(central, name);
+        offset += local.length + name.length + stored.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function findEndOfCentralDirectory(buffer) {
+    const earliest = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+    for (let position = buffer.length - 22; position >= earliest; position--) {
+        if (buffer.readUInt32LE(position) === END_OF_CENTRAL_DIRECTORY) {
+            return position;
+        }
+    }
+    throw new Error('This is not a zip file, or it is incomplete');
+}
+
+// The entries of an archive as a Map of name -> Buffer. Throws if the archive is damaged, or if
+// an entry unpacks to more than maxEntrySize bytes or all of them to more than maxTotalSize
+function readZip(buffer, { maxEntrySize = MAX_ENTRY_SIZE, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+    if (buffer.length < 22) {
+        throw new Error('This is not a zip file, or it is incomplete');
+    }
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+
+    const entries = new Map();
+    let totalSize = 0;
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+            throw new Error('The zip file is damaged: its directory is unreadable');
+        }
+        const flags = buffer.readUInt16LE(position + 8);
+        const method = buffer.readUInt16LE(position + 10);
+        const crc = buffer.readUInt32LE(position + 16);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const size = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength);
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & 0x1) {
+            throw new Error(`${name} is encrypted, which is not supported`);
+        }
+        if (name.endsWith('/')) continue;
+
+        totalSize += size;
+        if (size > maxEntrySize) {
+            throw new Error(`The zip file is too large to open: ${name} unpacks to ${size} bytes`);
+        }
+        if (totalSize > maxTotalSize) {
+            throw new Error(`The zip file is too large to open: its files unpack to more than ${maxTotalSize} bytes`);
+        }
+
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+            throw new Error(`The zip file is damaged: ${name} cannot be found`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        if (dataStart + compressedSize > buffer.length) {
+            throw new Error(`The zip file is incomplete: ${name} is cut off`);
+        }
+        const stored = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        let data;
+        if (method === STORED) {
+            data = Buffer.from(stored);
+        } else if (method === DEFLATED) {
+            try {
+                // Unpacking stops at the size the directory gives; more than that is an error
+                data = zlib.inflateRawSync(stored, { maxOutputLength: Math.max(1, size) });
+            } catch (error) {
+                throw new Error(`The zip file is damaged: ${name} cannot be unpacked`);
+            }
+        } else {
+            throw new Error(`${name} uses a compression method that is not supported`);
+        }
+        if (data.length !== size || zlib.crc32(data) !== crc) {
+            throw new Error(`The zip file is damaged: ${name} does not match its checksum`);
+        }
+        entries.set(name, data);
+    }
+    return entries;
+}
+
+module.exports = {
+    createZip,
+    readZip
+};
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
@@ -6,15 +6,111 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Database operations
   getCategories: () => ipcRenderer.invoke('db-get-categories'),
   addCategory: (name, color, parent) => ipcRenderer.invoke('db-add-category', name, color, parent),
-  updateCategory: (oldName, newName, color, parent) => ipcRenderer.invoke('db-update-category', oldName, newName, color, parent),
-  deleteCategory: (name) => ipcRenderer.invoke('db-delete-category', name),
+  updateCategory: (idOrName, newName, color, parent) => ipcRenderer.invoke('db-update-category', idOrName, newName, color, parent),
+  deleteCategory: (idOrName) => ipcRenderer.invoke('db-delete-category', idOrName),
+  reorderCategories: (ids) => ipcRenderer.invoke('db-reorder-categories', ids),
   
   getNotes: () => ipcRenderer.invoke('db-get-notes'),
+  getNotesSnapshot: () => ipcRenderer.invoke('db-get-notes-snapshot'),
+  onDataChanged: (callback) => ipcRenderer.on('data-changed', callback),
   saveNote: (note) => ipcRenderer.invoke('db-save-note', note),
   deleteNote: (id) => ipcRenderer.invoke('db-delete-note', id),
   getNotesSorted: (sortBy) => ipcRenderer.invoke('db-get-notes-sorted', sortBy),
+  queryNotes: (query) => ipcRenderer.invoke('db-query-notes', query),
   togglePinNote: (id) => ipcRenderer.invoke('db-toggle-pin-note', id),
   
+  // Trash
+  getTrash: () => ipcRenderer.invoke('db-get-trash'),
+  restoreNote: (id) => ipcRenderer.invoke('db-restore-note', id),
+  purgeNote: (id) => ipcRenderer.invoke('db-purge-note', id),
+  emptyTrash: () => ipcRenderer.invoke('db-empty-trash'),
+  getTrashRetention: () => ipcRenderer.invoke('db-get-trash-retention'),
+  setTrashRetention: (days) => ipcRenderer.invoke('db-set-trash-retention', days),
+  
+  // Note revision history
+  getNoteHistory: (id) => ipcRenderer.invoke('db-get-note-history', id),
+  diffNoteRevisions: (id, fromRevisionId, toRevisionId) => ipcRenderer.invoke('db-diff-note-revisions', id, fromRevisionId, toRevisionId),
+  restoreNoteRevision: (id, revisionId) => ipcRenderer.invoke('db-restore-note-revision', id, revisionId),
+  
+  // Locked notes
+  lockNote: (note, password, options) => ipcRenderer.invoke('db-lock-note', note, password, options),
+  unlockNote: (id, password) => ipcRenderer.invoke('db-unlock-note', id, password),
+  removeNoteLock: (id, password) => ipcRenderer.invoke('db-remove-note-lock', id, password),
+  
+  // Notes changed outside the app
+  getNoteConflicts: () => ipcRenderer.invoke('db-get-note-conflicts'),
+  resolveNoteConflict: (id, choice) => ipcRenderer.invoke('db-resolve-note-conflict', id, choice),
+  onNotesChangedExternally: (callback) => ipcRenderer.on('notes-changed-externally', callback),
+  
+  // Tasks
+  getTasks: () => ipcRenderer.invoke('db-get-tasks'),
+  saveTask: (task) => ipcRenderer.invoke('db-save-task', task),
+  deleteTask: (id) => ipcRenderer.invoke('db-delete-task', id),
+  saveTaskList: (list) => ipcRenderer.invoke('db-save-task-list', list),
+  deleteTaskList: (id) => ipcRenderer.invoke('db-delete-task-list', id),
+  importTasks: (tasks, lists) => ipcRenderer.invoke('db-import-tasks', tasks, lists),
+  
+  // Meal planner
+  getMeals: () => ipcRenderer.invoke('db-get-meals'),
+  saveMeals: (meals) => ipcRenderer.invoke('db-save-meals', meals),
+  getMealPlans: () => ipcRenderer.invoke('db-get-meal-plans'),
+  saveMealPlans: (plans) => ipcRenderer.invoke('db-save-meal-plans', plans),
+  
+  // Attachments
+  saveAttachment: (data, name, type) => ipcRenderer.invoke('attachment-save', data, name, type),
+  saveAttachmentAs: (id, name) => ipcRenderer.invoke('attachment-save-as', id, name),
+  
+  // Data integrity
+  getLoadReport: () => ipcRenderer.invoke('db-get-load-report'),
+  
+  // Settings
+  getStorageSettings: () => ipcRenderer.invoke('settings-get-storage'),
+  setStorageBackend: (backend) => ipcRenderer.invoke('settings-set-storage-backend', backend),
+  relaunchApp: () => ipcRenderer.invoke('app-relaunch'),
+  
+  // Vault encryption
+  getVaultStatus: () => ipcRenderer.invoke('vault-status'),
+  unlockVault: (passphrase) => ipcRenderer.invoke('vault-unlock', passphrase),
+  lockVault: () => ipcRenderer.invoke('vault-lock'),
+  enableVaultEncryption: (passphrase) => ipcRenderer.invoke('vault-enable', passphrase),
+  disableVaultEncryption: (passphrase) => ipcRenderer.invoke('vault-disable', passphrase),
+  setVaultIdleMinutes: (minutes) => ipcRenderer.invoke('vault-set-idle-minutes', minutes),
+  onVaultLocked: (callback) => ipcRenderer.on('vault-locked', callback),
+  
+  // Vaults (separate data folders)
+  listVaults: () => ipcRenderer.invoke('vaults-list'),
+  chooseVaultFolder: (mode) => ipcRenderer.invoke('vaults-choose-folder', mode),
+  openVault: (folder) => ipcRenderer.invoke('vaults-open', folder),
+  createVault: (folder) => ipcRenderer.invoke('vaults-create', folder),
+  forgetVault: (folder) => ipcRenderer.invoke('vaults-forget', folder),
+  
+  // Vault doctor (integrity check and repair)
+  checkVault: () => ipcRenderer.invoke('vault-check'),
+  repairVault: (problemIds) => ipcRenderer.invoke('vault-repair', problemIds),
+  
+  // Vault archives (the whole vault as one zip file)
+  exportVaultArchive: (extras) => ipcRenderer.invoke('vault-export-archive', extras),
+  openVaultArchive: () => ipcRenderer.invoke('vault-open-archive'),
+  importVaultArchive: () => ipcRenderer.invoke('vault-import-archive'),
+  
+  // Git versioning of the vault folder
+  getGitStatus: () => ipcRenderer.invoke('vault-git-status'),
+  setGitVersioning: (enabled) => ipcRenderer.invoke('vault-git-set-enabled', enabled),
+  getGitLog: (limit) => ipcRenderer.invoke('vault-git-log', limit),
+  getNoteGitLog: (id) => ipcRenderer.invoke('vault-git-note-log', id),
+  diffNoteGitVersions: (id, fromHash, toHash) => ipcRenderer.invoke('vault-git-diff-note', id, fromHash, toHash),
+  getNoteGitBlame: (id) => ipcRenderer.invoke('vault-git-note-blame', id),
+  revertNoteToCommit: (id, hash) => ipcRenderer.invoke('vault-git-revert-note', id, hash),
+  revertGitCommit: (hash) => ipcRenderer.invoke('vault-git-revert-commit', hash),
+  
+  // WebDAV sync
+  getSyncSettings: () => ipcRenderer.invoke('sync-get-settings'),
+  setSyncSettings: (values) => ipcRenderer.invoke('sync-set-settings', values),
+  testSyncConnection: (values) => ipcRenderer.invoke('sync-test', values),
+  syncNow: () => ipcRenderer.invoke('sync-now'),
+  clearSyncConflicts: () => ipcRenderer.invoke('sync-clear-conflicts'),
+  onSyncStatus: (callback) => ipcRenderer.on('sync-status', callback),
+  
   // Update functionality
   checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
   installUpdate: () => ipcRenderer.invoke('install-update'),
@@ -34,14 +130,35 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onShortcutQuickCapture: (callback) => ipcRenderer.on('shortcut-quick-capture', callback),
   onShortcutFocusSearch: (callback) => ipcRenderer.on('shortcut-focus-search', callback),
   onShortcutAdvancedSearch: (callback) => ipcRenderer.on('shortcut-advanced-search', callback),
+  onShortcutVaultSettings: (callback) => ipcRenderer.on('shortcut-vault-settings', callback),
+  onShortcutVaultManager: (callback) => ipcRenderer.on('shortcut-vault-manager', callback),
+  onShortcutVaultDoctor: (callback) => ipcRenderer.on('shortcut-vault-doctor', callback),
+  onShortcutVaultGit: (callback) => ipcRenderer.on('shortcut-vault-git', callback),
+  onShortcutSync: (callback) => ipcRenderer.on('shortcut-sync', callback),
 
   // Generic IPC invoke method
   invoke: (channel, ...args) => {
     const validChannels = [
-      'db-get-notes', 'db-save-note', 'db-delete-note', 'db-get-categories',
-      'db-add-category', 'db-delete-category', 'db-get-notes-sorted', 'db-toggle-pin-note',
-      'db-get-stats', 'backup-create', 'backup-get-slots', 'backup-restore',
-      'backup-export', 'backup-import', 'backup-delete'
+      'db-get-notes', 'db-get-notes-snapshot', 'db-save-note', 'db-delete-note', 'db-get-categories',
+      'db-add-category', 'db-update-category', 'db-delete-category', 'db-reorder-categories', 'db-get-notes-sorted', 'db-query-notes', 'db-toggle-pin-note',
+      'db-get-stats', 'backup-create', 'backup-list', 'backup-restore',
+      'backup-preview-restore', 'backup-restore-selected', 'backup-preview-merge', 'backup-merge',
+      'backup-verify', 'backup-get-destinations', 'backup-set-destinations', 'backup-choose-destination',
+      'backup-export', 'backup-import', 'backup-delete', 'backup-get-schedule', 'backup-set-schedule',
+      'db-get-note-history', 'db-diff-note-revisions', 'db-restore-note-revision',
+      'db-get-trash', 'db-restore-note', 'db-purge-note', 'db-empty-trash',
+      'db-get-trash-retention', 'db-set-trash-retention', 'db-get-load-report',
+      'settings-get-storage', 'settings-set-storage-backend',
+      'db-get-tasks', 'db-save-task', 'db-delete-task', 'db-save-task-list',
+      'db-delete-task-list', 'db-import-tasks', 'db-get-meals', 'db-save-meals',
+      'db-get-meal-plans', 'db-save-meal-plans', 'vault-status', 'vault-lock',
+      'db-lock-note', 'db-unlock-note', 'db-remove-note-lock', 'attachment-save', 'attachment-save-as',
+      'vaults-list', 'vaults-open', 'vaults-create', 'vaults-forget', 'vault-check', 'vault-repair',
+      'vault-export-archive', 'vault-open-archive', 'vault-import-archive',
+      'vault-git-status', 'vault-git-set-enabled', 'vault-git-log', 'vault-git-note-log', 'vault-git-diff-note',
+      'vault-git-note-blame', 'vault-git-revert-note', 'vault-git-revert-commit',
+      'sync-get-settings', 'sync-set-settings', 'sync-test', 'sync-now', 'sync-clear-conflicts',
+      'db-get-note-conflicts', 'db-resolve-note-conflict'
     ];
     if (validChannels.includes(channel)) {
       return ipcRenderer.invoke(channel, ...args);
@@ -50,7 +167,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
 
   // Remove listeners
-  removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel)
+  removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel),
+
+  // Path of a file picked in a file input (File.path no longer exists)
+  getPathForFile: (file) => webUtils.getPathForFile(file)
 });
 
 // Expose a limited set of Node.js APIs for file operations if needed
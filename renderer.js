@@ -26,6 +26,7 @@
 // Core application data
 let categories = [];        // Array of note categories with metadata
 let notes = [];            // Array of all notes in the application
+let trashedNotes = [];     // Notes moved to the trash (soft deleted)
 let editingCategory = null; // Currently selected category for editing
 
 // UI state variables are declared later in the file to avoid conflicts
@@ -74,28 +75,12 @@ async function initApp() {
         logger.info('Initializing MindKeep application');
         performanceMonitor.start('app-initialization');
 
-        // Load categories from database
-        logger.debug('Loading categories from database');
-        categories = await window.electronAPI.getCategories();
-        logger.info(`Loaded ${categories.length} categories`);
-
-        // Load notes from database
+        // Load categories and notes from database and build the search index;
+        // later changes arrive as change events (see applyDataChanges)
         logger.debug('Loading notes from database');
-        notes = await window.electronAPI.getNotes();
-        logger.info(`Loaded ${notes.length} notes`);
-
-        // Build search index for better performance
-        logger.debug('Building search index');
-        searchIndex.clear();
-        notes.forEach(note => {
-            const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
-            searchIndex.addDocument(note.id, searchContent, {
-                title: note.title,
-                category: note.category,
-                updatedAt: note.updatedAt
-            });
-        });
-        logger.info('Search index built successfully');
+        await loadNotesSnapshot();
+        logger.info(`Loaded ${categories.length} categories and ${notes.length} notes`);
+        trashedNotes = await window.electronAPI.getTrash();
 
         updateCategorySelector();
         updateNotesList();
@@ -105,6 +90,8 @@ async function initApp() {
 
         performanceMonitor.end('app-initialization');
         logger.info('Application initialized successfully');
+
+        await reportDataLoadIssues();
     } catch (error) {
         logger.error('Initialization error', error);
         updateCategorySelector();
@@ -115,10 +102,31 @@ async function initApp() {
     }
 }
 
+/**
+ * Tells the user about note files the main process had to quarantine at startup
+ * (truncated or corrupt JSON) and about edits recovered from the write-ahead journal
+ */
+async function reportDataLoadIssues() {
+    const report = await window.electronAPI.getLoadReport();
+
+    if (report.journalReplayed > 0) {
+        logger.info(`Recovered ${report.journalReplayed} unsaved edit(s) from the journal`);
+    }
+
+    if (report.quarantined.length === 0) return;
+
+    logger.warn('Data files quarantined at startup', report.quarantined);
+    await showEnhancedAlert(
+        'Damaged Files Found',
+        `${report.quarantined.length} damaged file(s) could not be loaded and were moved to:\n${report.quarantineDir}\n\n` +
+        report.quarantined.map(item => `• ${item.file} (${item.reason})`).join('\n'),
+        'warning'
+    );
+}
+
+// `notes` is kept current by change events; this only refreshes the managers built from it
 async function loadNotes() {
     try {
-        notes = await window.electronAPI.getNotes();
-
         // Initialize managers after notes are loaded
         if (typeof initializeTagManager === 'function') {
             initializeTagManager();
@@ -132,101 +140,63 @@ async function loadNotes() {
 }
 
 // UI State Management
-let currentCategory = 'all';        // Currently selected category filter ('all' or category name)
+let currentCategory = 'all';        // Currently selected category filter ('all' or category id)
 let bulkMode = false;               // Whether bulk selection mode is active
 let selectedNotes = new Set();      // Set of selected note IDs in bulk mode
+let viewingTrash = false;           // Whether the notes list shows the trash instead of a category
 
-let expandedCategories = new Set();
-
-// Helper function to calculate total note count for a category (including all subcategories)
-function getTotalNoteCount(categoryName) {
-    // Get direct notes in this category
-    let totalCount = notes.filter(note => note.category === categoryName).length;
-
-    // Get all subcategories recursively
-    const getSubcategories = (parentName) => {
-        const subcategories = categories.filter(cat => cat.parent === parentName);
-        subcategories.forEach(subCat => {
-            const subCatNotes = notes.filter(note => note.category === subCat.name).length;
-            totalCount += subCatNotes;
-            getSubcategories(subCat.name); // Recursive call for nested subcategories
-        });
-    };
-
-    getSubcategories(categoryName);
+let expandedCategories = new Set();  // Ids of expanded categories in the sidebar tree
 
-    // Debug logging for development
-    if (logger && logger.debug) {
-        logger.debug(`Total note count for "${categoryName}": ${totalCount}`);
-    }
+const DEFAULT_CATEGORY_ID = 'general';  // The built-in General category
 
-    return totalCount;
+function getCategoryById(categoryId) {
+    return categories.find(cat => cat.id === categoryId);
 }
 
-// Enhanced search function with advanced filtering
-function performEnhancedSearch(searchTerm, notesToFilter) {
-    // Handle special search syntax
-    if (searchTerm.startsWith('#')) {
-        // Tag search: #tagname
-        const tagSearch = searchTerm.substring(1).toLowerCase();
-        return notesToFilter.filter(note =>
-            note.tags && note.tags.some(tag => tag.toLowerCase().includes(tagSearch))
-        );
-    }
-
-    if (searchTerm.startsWith('category:')) {
-        // Category search: category:work
-        const categorySearch = searchTerm.substring(9).toLowerCase();
-        return notesToFilter.filter(note =>
-            note.category && note.category.toLowerCase().includes(categorySearch)
-        );
-    }
+// Category fields for a note moved to categoryId (note.category keeps the name for display)
+function getCategoryFields(categoryId) {
+    const category = getCategoryById(categoryId) || getCategoryById(DEFAULT_CATEGORY_ID);
+    return category ? { categoryId: category.id, category: category.name } : { categoryId: null, category: 'General' };
+}
 
-    if (searchTerm.startsWith('date:')) {
-        // Date search: date:2024 or date:2024-01
-        const dateSearch = searchTerm.substring(5);
-        return notesToFilter.filter(note => {
-            const noteDate = new Date(note.updatedAt).toISOString().substring(0, 10);
-            return noteDate.includes(dateSearch);
+// A category id followed by the ids of all its subcategories
+function getCategoryWithDescendants(categoryId) {
+    const ids = [categoryId];
+    const getChildren = (parentId) => {
+        categories.filter(cat => cat.parentId === parentId).forEach(subCat => {
+            ids.push(subCat.id);
+            getChildren(subCat.id); // Recursive call for nested subcategories
         });
-    }
+    };
+    getChildren(categoryId);
+    return ids;
+}
 
-    if (searchTerm.includes(' AND ')) {
-        // AND search: term1 AND term2
-        const terms = searchTerm.split(' AND ').map(t => t.trim().toLowerCase());
-        return notesToFilter.filter(note => {
-            const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`.toLowerCase();
-            return terms.every(term => searchContent.includes(term));
-        });
-    }
+// Helper function to calculate total note count for a category (including all subcategories)
+function getTotalNoteCount(categoryId) {
+    const categoryIds = new Set(getCategoryWithDescendants(categoryId));
+    const totalCount = notes.filter(note => categoryIds.has(note.categoryId)).length;
 
-    if (searchTerm.includes(' OR ')) {
-        // OR search: term1 OR term2
-        const terms = searchTerm.split(' OR ').map(t => t.trim().toLowerCase());
-        return notesToFilter.filter(note => {
-            const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`.toLowerCase();
-            return terms.some(term => searchContent.includes(term));
-        });
+    // Debug logging for development
+    if (logger && logger.debug) {
+        logger.debug(`Total note count for "${categoryId}": ${totalCount}`);
     }
 
-    // Default: use search index for better performance
-    const searchResults = searchIndex.search(searchTerm);
-    const searchResultIds = new Set(searchResults);
-    return notesToFilter.filter(note => searchResultIds.has(note.id));
+    return totalCount;
 }
 
 function updateCategorySelector() {
     const tree = document.getElementById('categoriesTree');
     const noteCategory = document.getElementById('noteCategory');
 
-    const buildCategoryOptions = (cats, parentName = null, level = 0) => {
-        const children = cats.filter(cat => cat.parent === parentName);
+    const buildCategoryOptions = (cats, parentId = null, level = 0) => {
+        const children = cats.filter(cat => cat.parentId === parentId);
         let options = '';
 
         children.forEach(cat => {
             const indent = '\u00A0\u00A0\u00A0\u00A0'.repeat(level);
-            options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-            options += buildCategoryOptions(cats, cat.name, level + 1);
+            options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+            options += buildCategoryOptions(cats, cat.id, level + 1);
         });
 
         return options;
@@ -236,22 +206,22 @@ function updateCategorySelector() {
     const allNotesCount = notes.length;
     
     let treeHtml = `
-        <div class="category-item root-category ${currentCategory === 'all' ? 'active' : ''}" onclick="selectCategory('all')">
+        <div class="category-item root-category ${currentCategory === 'all' && !viewingTrash ? 'active' : ''}" onclick="selectCategory('all')">
             <span class="category-icon">📁</span>
             <span class="category-name">All Notes</span>
             <span class="note-count">${allNotesCount}</span>
         </div>
     `;
     
-    categories.filter(cat => !cat.parent).forEach(cat => {
-        const noteCount = getTotalNoteCount(cat.name);
-        const children = categories.filter(c => c.parent === cat.name);
+    categories.filter(cat => !cat.parentId).forEach(cat => {
+        const noteCount = getTotalNoteCount(cat.id);
+        const children = categories.filter(c => c.parentId === cat.id);
         const hasChildren = children.length > 0;
-        const isExpanded = expandedCategories.has(cat.name);
+        const isExpanded = expandedCategories.has(cat.id);
 
         treeHtml += `
-            <div class="category-item ${currentCategory === cat.name ? 'active' : ''}"
-                    data-category-name="${cat.name}"
+            <div class="category-item ${currentCategory === cat.id ? 'active' : ''}"
+                    data-category-id="${cat.id}"
                     ondragover="handleCategoryReorderDragOver(event)"
                     ondragleave="handleCategoryDragLeave(event)"
                     ondrop="handleCategoryReorderDrop(event)">
@@ -260,28 +230,28 @@ function updateCategorySelector() {
                         ondragstart="handleCategoryDragStart(event)"
                         ondragend="handleCategoryDragEnd(event)"
                         title="Drag to reorder">⋮</span>
-                ${hasChildren ? `<span class="expand-arrow ${isExpanded ? 'expanded' : ''}" onclick="toggleCategory('${cat.name}'); event.stopPropagation();">▶</span>` : '<span class="expand-spacer"></span>'}
-                <span class="category-icon" style="color: ${cat.color}" onclick="selectCategory('${cat.name}')">📁</span>
-                <span class="category-name" onclick="selectCategory('${cat.name}')" oncontextmenu="window.showCategoryContextMenu(event, '${cat.name}'); return false;">${cat.name}</span>
-                <span class="note-count" onclick="selectCategory('${cat.name}')">${noteCount}</span>
+                ${hasChildren ? `<span class="expand-arrow ${isExpanded ? 'expanded' : ''}" onclick="toggleCategory('${cat.id}'); event.stopPropagation();">▶</span>` : '<span class="expand-spacer"></span>'}
+                <span class="category-icon" style="color: ${cat.color}" onclick="selectCategory('${cat.id}')">📁</span>
+                <span class="category-name" onclick="selectCategory('${cat.id}')" oncontextmenu="window.showCategoryContextMenu(event, '${cat.id}'); return false;">${cat.name}</span>
+                <span class="note-count" onclick="selectCategory('${cat.id}')">${noteCount}</span>
             </div>
         `;
         
         if (hasChildren && isExpanded) {
-            const buildSubTree = (parentName, level) => {
-                const subChildren = categories.filter(c => c.parent === parentName);
+            const buildSubTree = (parentId, level) => {
+                const subChildren = categories.filter(c => c.parentId === parentId);
                 let subHtml = '';
                 subChildren.forEach(subCat => {
-                    const subNoteCount = getTotalNoteCount(subCat.name);
-                    const subSubChildren = categories.filter(c => c.parent === subCat.name);
+                    const subNoteCount = getTotalNoteCount(subCat.id);
+                    const subSubChildren = categories.filter(c => c.parentId === subCat.id);
                     const subHasChildren = subSubChildren.length > 0;
-                    const subIsExpanded = expandedCategories.has(subCat.name);
+                    const subIsExpanded = expandedCategories.has(subCat.id);
                     const marginLeft = level * 1.5;
                     
                     subHtml += `
-                        <div class="category-item ${currentCategory === subCat.name ? 'active' : ''}" 
+                        <div class="category-item ${currentCategory === subCat.id ? 'active' : ''}" 
                                 style="margin-left: ${marginLeft}rem;"
-                                data-category-name="${subCat.name}"
+                                data-category-id="${subCat.id}"
                                 ondragover="handleCategoryReorderDragOver(event)" 
                                 ondragleave="handleCategoryDragLeave(event)" 
                                 ondrop="handleCategoryReorderDrop(event)">
@@ -290,109 +260,170 @@ function updateCategorySelector() {
                                     ondragstart="handleCategoryDragStart(event)"
                                     ondragend="handleCategoryDragEnd(event)"
                                     title="Drag to reorder">⋮</span>
-                            ${subHasChildren ? `<span class="expand-arrow ${subIsExpanded ? 'expanded' : ''}" onclick="toggleCategory('${subCat.name}'); event.stopPropagation();">▶</span>` : '<span class="expand-spacer"></span>'}
-                            <span class="category-icon" style="color: ${subCat.color}" onclick="selectCategory('${subCat.name}')">📁</span>
-                            <span class="category-name" onclick="selectCategory('${subCat.name}')" oncontextmenu="window.showCategoryContextMenu(event, '${subCat.name}'); return false;">${subCat.name}</span>
-                            <span class="note-count" onclick="selectCategory('${subCat.name}')">${subNoteCount}</span>
+                            ${subHasChildren ? `<span class="expand-arrow ${subIsExpanded ? 'expanded' : ''}" onclick="toggleCategory('${subCat.id}'); event.stopPropagation();">▶</span>` : '<span class="expand-spacer"></span>'}
+                            <span class="category-icon" style="color: ${subCat.color}" onclick="selectCategory('${subCat.id}')">📁</span>
+                            <span class="category-name" onclick="selectCategory('${subCat.id}')" oncontextmenu="window.showCategoryContextMenu(event, '${subCat.id}'); return false;">${subCat.name}</span>
+                            <span class="note-count" onclick="selectCategory('${subCat.id}')">${subNoteCount}</span>
                         </div>
                     `;
                     
                     if (subHasChildren && subIsExpanded) {
-                        subHtml += buildSubTree(subCat.name, level + 1);
+                        subHtml += buildSubTree(subCat.id, level + 1);
                     }
                 });
                 return subHtml;
             };
             
-            treeHtml += buildSubTree(cat.name, 1);
+            treeHtml += buildSubTree(cat.id, 1);
         }
     });
     
+    treeHtml += `
+        <div class="category-item root-category trash-category ${viewingTrash ? 'active' : ''}" onclick="showTrash()">
+            <span class="category-icon">🗑️</span>
+            <span class="category-name">Trash</span>
+            <span class="note-count">${trashedNotes.length}</span>
+        </div>
+    `;
+    
     tree.innerHTML = treeHtml;
     
     const noteOptions = '<option value="">Select Category</option>' + buildCategoryOptions(categories);
     noteCategory.innerHTML = noteOptions;
 }
 
-function toggleCategory(categoryName) {
-    if (expandedCategories.has(categoryName)) {
-        expandedCategories.delete(categoryName);
+function toggleCategory(categoryId) {
+    if (expandedCategories.has(categoryId)) {
+        expandedCategories.delete(categoryId);
     } else {
-        expandedCategories.add(categoryName);
+        expandedCategories.add(categoryId);
     }
     updateCategorySelector();
 }
 
-function selectCategory(categoryName) {
-    currentCategory = categoryName;
+function selectCategory(categoryId) {
+    currentCategory = categoryId;
+    viewingTrash = false;
     updateCategorySelector();
     updateNotesList();
 }
 
 
 
-function updateNotesList() {
+// The notes list shows db-query-notes pages of a few fields, not the loaded notes
+const NOTES_PAGE_SIZE = 100;
+const NOTES_LIST_FIELDS = ['title', 'summary', 'category', 'categoryId', 'tags', 'updatedAt', 'isPinned', 'locked'];
+let notesListRun = 0;               // Pages of an older list query are dropped
+let notesListQuery = null;          // The shown list's query, for its next pages
+let notesListShown = 0;
+
+// Pinned notes first, then the order of the sort selector
+function getNotesListSort() {
+    const [column, direction] = document.getElementById('sortSelector').value.split(' ');
+    const field = { updated_at: 'updatedAt', created_at: 'createdAt', title: 'title' }[column] || 'updatedAt';
+    return [{ field: 'pinned', direction: 'desc' }, { field, direction: (direction || 'desc').toLowerCase() }];
+}
+
+async function updateNotesList() {
+    notesListStale = false;
+    const run = ++notesListRun;
     const notesList = document.getElementById('notesList');
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+    const searchTerm = document.getElementById('searchInput').value;
 
     logger.debug('Updating notes list', { searchTerm, currentCategory });
 
-    // Filter notes by selected category (including subcategories)
-    let filteredNotes;
-    if (currentCategory === 'all') {
-        filteredNotes = notes;
-    } else {
-        // Get all subcategories recursively
-        const getAllSubcategories = (categoryName) => {
-            const subcategories = [categoryName];
-            const getChildren = (parentName) => {
-                categories.filter(cat => cat.parent === parentName).forEach(subCat => {
-                    subcategories.push(subCat.name);
-                    getChildren(subCat.name);
-                });
-            };
-            getChildren(categoryName);
-            return subcategories;
-        };
-        
-        const categoryAndSubcategories = getAllSubcategories(currentCategory);
-        filteredNotes = notes.filter(note => categoryAndSubcategories.includes(note.category));
+    if (viewingTrash) {
+        renderTrashList(searchTerm.toLowerCase());
+        return;
     }
 
-    // Filter by search term using enhanced search logic
-    if (searchTerm) {
-        filteredNotes = performEnhancedSearch(searchTerm, filteredNotes);
+    const query = {
+        categoryIds: currentCategory === 'all' ? undefined : [currentCategory],
+        search: searchTerm.trim() || undefined,
+        sort: getNotesListSort(),
+        fields: NOTES_LIST_FIELDS
+    };
+    // A redraw of the same list keeps the pages already shown
+    const sameList = notesListQuery && JSON.stringify({ ...notesListQuery, limit: undefined }) === JSON.stringify(query);
+    query.limit = sameList ? Math.max(NOTES_PAGE_SIZE, notesListShown) : NOTES_PAGE_SIZE;
+
+    const result = await window.electronAPI.queryNotes(query);
+    if (run !== notesListRun) return;
+    notesListQuery = query;
+    notesListShown = 0;
+
+    if (!result.success) {
+        logger.error('Loading the notes list failed', result.error);
+        notesList.innerHTML = '<div class="no-notes-message">The notes could not be loaded</div>';
+        return;
     }
-    
-    if (filteredNotes.length === 0) {
+    if (result.notes.length === 0) {
         notesList.innerHTML = '<div class="no-notes-message">No notes found</div>';
         return;
     }
-    
-    notesList.innerHTML = filteredNotes.map(note => {
-        const category = categories.find(cat => cat.name === note.category) || { color: '#4a9eff' };
-        const isSelected = selectedNotes.has(note.id);
-        const checkboxHtml = bulkMode ? `<input type="checkbox" ${isSelected ? 'checked' : ''} onchange="toggleNoteSelection('${note.id}')" onclick="event.stopPropagation()">` : '';
-        const pinIcon = note.isPinned ? '📌' : '';
-        
-        return `
-            <div class="note-item ${isSelected ? 'selected' : ''} ${note.isPinned ? 'pinned' : ''}"
-                    style="border-left: 4px solid ${category.color};"
-                    data-note-id="${note.id}"
-                    onclick="${bulkMode ? `toggleNoteSelection('${note.id}')` : `viewNote('${note.id}')`}"
-                    oncontextmenu="showNoteContextMenu(event, '${note.id}'); return false;">
-                ${checkboxHtml}
-                <div class="note-content-wrapper">
-                    <div class="note-title">
-                        ${pinIcon}
-                        <span>${highlightSearchTerm(note.title)}</span>
-                    </div>
-                    <div class="note-date">${new Date(note.updatedAt).toLocaleDateString()}</div>
+
+    notesListShown = result.notes.length;
+    notesList.innerHTML = result.notes.map(renderNotesListItem).join('') + renderMoreNotesButton(result);
+}
+
+// The next page of the notes list, added below the notes shown
+async function loadMoreNotes(button) {
+    const run = notesListRun;
+    button.disabled = true;
+    const result = await window.electronAPI.queryNotes({ ...notesListQuery, limit: NOTES_PAGE_SIZE, cursor: button.dataset.cursor });
+    if (run !== notesListRun) return;
+
+    if (!result.success) {
+        button.disabled = false;
+        showAlert('❌ Error', 'Failed to load more notes: ' + result.error);
+        return;
+    }
+    notesListShown += result.notes.length;
+    button.insertAdjacentHTML('beforebegin', result.notes.map(renderNotesListItem).join(''));
+    button.outerHTML = renderMoreNotesButton(result);
+}
+
+function renderMoreNotesButton(result) {
+    if (!result.nextCursor) return '';
+    return `<button class="load-more-notes-btn" data-cursor="${result.nextCursor}" onclick="loadMoreNotes(this)">
+        Show more (${result.total - notesListShown} left)
+    </button>`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderNotesListItem(note) {
+    const category = getCategoryById(note.categoryId) || { color: '#4a9eff' };
+    const isSelected = selectedNotes.has(note.id);
+    const checkboxHtml = bulkMode ? `<input type="checkbox" ${isSelected ? 'checked' : ''} onchange="toggleNoteSelection('${note.id}')" onclick="event.stopPropagation()">` : '';
+    const pinIcon = note.isPinned ? '📌' : '';
+    const lockIcon = note.locked ? '🔒' : '';
+    const details = [
+        new Date(note.updatedAt).toLocaleDateString(),
+        currentCategory === 'all' && note.category ? `📁 ${escapeHtml(note.category)}` : '',
+        (note.tags || []).map(tag => `#${escapeHtml(tag)}`).join(' ')
+    ].filter(Boolean).join(' • ');
+
+    return `
+        <div class="note-item ${isSelected ? 'selected' : ''} ${note.isPinned ? 'pinned' : ''}"
+                style="border-left: 4px solid ${category.color};"
+                data-note-id="${note.id}"
+                onclick="${bulkMode ? `toggleNoteSelection('${note.id}')` : `viewNote('${note.id}')`}"
+                oncontextmenu="showNoteContextMenu(event, '${note.id}'); return false;">
+            ${checkboxHtml}
+            <div class="note-content-wrapper">
+                <div class="note-title">
+                    ${pinIcon}${lockIcon}
+                    <span>${highlightSearchTerm(note.title)}</span>
                 </div>
-                ${!bulkMode ? `<button class="pin-btn" onclick="togglePin('${note.id}'); event.stopPropagation();" title="${note.isPinned ? 'Unpin' : 'Pin'} note">${note.isPinned ? '📌' : '📍'}</button>` : ''}
+                ${note.summary ? `<div class="note-summary">${escapeHtml(note.summary)}</div>` : ''}
+                <div class="note-date">${details}</div>
             </div>
-        `;
-    }).join('');
+            ${!bulkMode ? `<button class="pin-btn" onclick="togglePin('${note.id}'); event.stopPropagation();" title="${note.isPinned ? 'Unpin' : 'Pin'} note">${note.isPinned ? '📌' : '📍'}</button>` : ''}
+        </div>
+    `;
 }
 
 // Process note links @NoteName
@@ -485,28 +516,30 @@ function bulkDelete() {
         `<div class="delete-warning">
             <div class="warning-icon">🗑️</div>
             <div class="warning-text">
-                <strong>Delete ${selectedNotes.size} selected note${selectedNotes.size > 1 ? 's' : ''}?</strong>
-                <p>This action cannot be undone.</p>
+                <strong>Move ${selectedNotes.size} selected note${selectedNotes.size > 1 ? 's' : ''} to the Trash?</strong>
+                <p>They can be restored from the Trash until it is emptied.</p>
             </div>
         </div>`,
-        () => {
-        selectedNotes.forEach(noteId => {
+        async () => {
             try {
-                const filePath = path.join(notesDir, noteId + '.json');
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
+                const count = selectedNotes.size;
+                for (const noteId of selectedNotes) {
+                    await window.electronAPI.deleteNote(noteId);
                 }
-                notes = notes.filter(note => note.id !== noteId);
+
+                trashedNotes = await window.electronAPI.getTrash();
+
+                selectedNotes.clear();
+                updateSelectionCounter();
+                updateCategorySelector();
+                updateNotesList();
+                showAlert('✅ Success', `${count} note${count > 1 ? 's' : ''} moved to the Trash!`);
             } catch (error) {
-                console.error('Error deleting note:', error);
+                logger.error('Error in bulk delete', error);
+                showAlert('❌ Error', 'Error deleting notes: ' + error.message);
             }
-        });
-        
-            selectedNotes.clear();
-            updateNotesList();
-            showAlert('✅ Success', 'Selected notes deleted!');
         },
-        'Delete Notes',
+        'Move to Trash',
         '🗑️'
     );
 }
@@ -518,14 +551,14 @@ function bulkMove() {
     }
     
     document.getElementById('selectedCount').textContent = selectedNotes.size;
-    const buildHierarchicalOptions = (parentName = null, level = 0) => {
-        const children = categories.filter(cat => cat.parent === parentName);
+    const buildHierarchicalOptions = (parentId = null, level = 0) => {
+        const children = categories.filter(cat => cat.parentId === parentId);
         let options = '';
         
         children.forEach(cat => {
             const indent = '\u00A0\u00A0\u00A0'.repeat(level);
-            options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-            options += buildHierarchicalOptions(cat.name, level + 1);
+            options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+            options += buildHierarchicalOptions(cat.id, level + 1);
         });
         
         return options;
@@ -537,13 +570,14 @@ function bulkMove() {
 }
 
 async function confirmBulkMove() {
-    const newCategory = document.getElementById('bulkMoveToCategory').value;
-    if (!newCategory) {
+    const newCategoryId = document.getElementById('bulkMoveToCategory').value;
+    if (!newCategoryId) {
         showAlert('⚠️ Warning', 'Please select a category.');
         return;
     }
 
-    logger.info('Bulk moving notes to category', { count: selectedNotes.size, newCategory });
+    const newCategory = getCategoryFields(newCategoryId).category;
+    logger.info('Bulk moving notes to category', { count: selectedNotes.size, newCategoryId });
     performanceMonitor.start('bulk-move-notes');
 
     try {
@@ -552,38 +586,27 @@ async function confirmBulkMove() {
         selectedNotes.forEach(noteId => {
             const note = notes.find(n => n.id === noteId);
             if (note) {
-                note.category = newCategory;
+                Object.assign(note, getCategoryFields(newCategoryId));
                 note.updatedAt = new Date().toISOString();
 
                 // Add to batch for saving
                 movePromises.push(window.electronAPI.saveNote(note));
-
-                // Update search index
-                const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
-                searchIndex.addDocument(note.id, searchContent, {
-                    title: note.title,
-                    category: note.category,
-                    updatedAt: note.updatedAt
-                });
             }
         });
 
         // Save all notes in parallel
         await Promise.all(movePromises);
 
-        // Refresh notes from database
-        notes = await window.electronAPI.getNotes();
-
         selectedNotes.clear();
         updateNotesList();
         updateCategorySelector();
         closeBulkMoveModal();
 
         performanceMonitor.end('bulk-move-notes');
-        logger.info('Bulk move completed successfully', { count: movePromises.length, newCategory });
+        logger.info('Bulk move completed successfully', { count: movePromises.length, newCategoryId });
         showAlert('✅ Success', `${movePromises.length} notes moved to "${newCategory}" successfully!`);
     } catch (error) {
-        logger.error('Error in bulk move', { newCategory, error });
+        logger.error('Error in bulk move', { newCategoryId, error });
         showAlert('❌ Error', 'Error moving notes: ' + error.message);
     }
 }
@@ -645,17 +668,18 @@ async function deleteDuplicate(noteId) {
             <div class="warning-icon">🗑️</div>
             <div class="warning-text">
                 <strong>Delete "${note ? note.title : 'Unknown'}"?</strong>
-                <p>This duplicate note will be permanently deleted.</p>
+                <p>This duplicate note will be moved to the Trash.</p>
                 <p style="color: #888; font-size: 0.9rem; margin-top: 0.5rem;">The original note will remain untouched.</p>
             </div>
         </div>`,
         async () => {
             try {
                 await window.electronAPI.deleteNote(noteId);
-                notes = await window.electronAPI.getNotes();
+                trashedNotes = await window.electronAPI.getTrash();
+                updateCategorySelector();
                 updateNotesList();
                 findDuplicates(); // Refresh duplicates list
-                showAlert('✅ Success', 'Duplicate note deleted!');
+                showAlert('✅ Success', 'Duplicate note moved to the Trash!');
             } catch (error) {
                 showAlert('❌ Error', 'Error deleting note: ' + error.message);
             }
@@ -673,14 +697,14 @@ function closeDuplicatesModal() {
 function moveNoteToCategory() {
     if (!currentNote) return;
     
-    const buildHierarchicalOptions = (parentName = null, level = 0) => {
-        const children = categories.filter(cat => cat.parent === parentName && cat.name !== currentNote.category);
+    const buildHierarchicalOptions = (parentId = null, level = 0) => {
+        const children = categories.filter(cat => cat.parentId === parentId && cat.id !== currentNote.categoryId);
         let options = '';
         
         children.forEach(cat => {
             const indent = '\u00A0\u00A0\u00A0'.repeat(level);
-            options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-            options += buildHierarchicalOptions(cat.name, level + 1);
+            options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+            options += buildHierarchicalOptions(cat.id, level + 1);
         });
         
         return options;
@@ -692,15 +716,16 @@ function moveNoteToCategory() {
 }
 
 async function confirmMoveNote() {
-    const newCategory = document.getElementById('moveToCategory').value;
-    if (!newCategory) {
+    const newCategoryId = document.getElementById('moveToCategory').value;
+    if (!newCategoryId) {
         showAlert('⚠️ Warning', 'Please select a category.');
         return;
     }
 
-    logger.info('Moving note to category', { noteId: currentNote.id, newCategory });
+    logger.info('Moving note to category', { noteId: currentNote.id, newCategoryId });
 
-    currentNote.category = newCategory;
+    Object.assign(currentNote, getCategoryFields(newCategoryId));
+    const newCategory = currentNote.category;
     currentNote.updatedAt = new Date().toISOString();
 
     try {
@@ -709,27 +734,16 @@ async function confirmMoveNote() {
         // Use the secure API to save the note
         await window.electronAPI.saveNote(currentNote);
 
-        // Refresh notes from database
-        notes = await window.electronAPI.getNotes();
-
-        // Update search index
-        const searchContent = `${currentNote.title} ${currentNote.content} ${currentNote.description || ''} ${(currentNote.tags || []).join(' ')}`;
-        searchIndex.addDocument(currentNote.id, searchContent, {
-            title: currentNote.title,
-            category: currentNote.category,
-            updatedAt: currentNote.updatedAt
-        });
-
         updateNotesList();
         updateCategorySelector();
         viewNote(currentNote.id); // Refresh viewer
         closeMoveNoteModal();
 
         performanceMonitor.end('move-note');
-        logger.info('Note moved successfully', { noteId: currentNote.id, newCategory });
+        logger.info('Note moved successfully', { noteId: currentNote.id, newCategoryId });
         showAlert('✅ Success', `Note moved to "${newCategory}" successfully!`);
     } catch (error) {
-        logger.error('Error moving note', { noteId: currentNote.id, newCategory, error });
+        logger.error('Error moving note', { noteId: currentNote.id, newCategoryId, error });
         showAlert('❌ Error', 'Error moving note: ' + error.message);
     }
 }
@@ -741,42 +755,97 @@ function closeMoveNoteModal() {
 // Current Note State
 let currentNote = null;             // Currently selected/editing note object
 let isFromQuickCapture = false;     // Flag to track if we're editing from quick capture
+let unlockedNote = null;            // { id, password, content, description } of the locked note on screen
 
 function viewNote(noteId) {
+    // A locked note seals again as soon as another note is opened
+    if (unlockedNote && unlockedNote.id !== noteId) {
+        unlockedNote = null;
+    }
+
     currentNote = notes.find(note => note.id === noteId);
     if (currentNote) {
+        const sealed = currentNote.lock && !unlockedNote;
+        const description = unlockedNote ? unlockedNote.description : currentNote.description;
+
         document.getElementById('welcomeScreen').style.display = 'none';
         document.getElementById('editor').style.display = 'none';
         document.getElementById('viewer').style.display = 'flex';
         
         document.getElementById('viewerTitle').textContent = currentNote.title;
         document.getElementById('viewerMeta').innerHTML = `
+            ${currentNote.lock ? '<span>🔒 Locked</span> • ' : ''}
             <span>Category: ${currentNote.category}</span> • 
             <span>Created: ${new Date(currentNote.createdAt).toLocaleString()}</span> • 
             <span>Updated: ${new Date(currentNote.updatedAt).toLocaleString()}</span>
             ${currentNote.tags && currentNote.tags.length > 0 ? `<br><span style="color: #ffc107;">🏷️ ${currentNote.tags.map(tag => '#' + tag).join(' ')}</span>` : ''}
-            ${currentNote.description ? `<br><span style="color: #4a9eff; font-style: italic;">📝 ${currentNote.description}</span>` : ''}
+            ${description ? `<br><span style="color: #4a9eff; font-style: italic;">📝 ${description}</span>` : ''}
         `;
         
-        // Process note references and set content
-        const processedContent = processNoteReferences(currentNote.content || '');
-        document.getElementById('viewerContent').innerHTML = processedContent || '<em>No content</em>';
+        if (sealed) {
+            document.getElementById('viewerContent').innerHTML = `
+                <form class="locked-note-prompt" onsubmit="unlockCurrentNote(event)">
+                    <div class="locked-note-icon">🔒</div>
+                    <p>This note is locked. Enter its password to view it.</p>
+                    <input type="password" id="noteUnlockPassword" class="modal-input" placeholder="Password">
+                    <p id="noteUnlockError" class="vault-unlock-error"></p>
+                    <button type="submit" class="modal-btn save">Unlock</button>
+                </form>
+            `;
+            document.getElementById('noteUnlockPassword').focus();
+        } else {
+            // Process note references and set content
+            const content = unlockedNote ? unlockedNote.content : currentNote.content;
+            const processedContent = processNoteReferences(content || '');
+            document.getElementById('viewerContent').innerHTML = processedContent || '<em>No content</em>';
+        }
         
         // Store original content for search functionality
         originalContent = document.getElementById('viewerContent').innerHTML;
     }
 }
 
+async function unlockCurrentNote(event) {
+    event.preventDefault();
+    const input = document.getElementById('noteUnlockPassword');
+
+    try {
+        const result = await window.electronAPI.unlockNote(currentNote.id, input.value);
+        if (!result.success) {
+            document.getElementById('noteUnlockError').textContent = result.error;
+            input.value = '';
+            input.focus();
+            return;
+        }
+
+        unlockedNote = {
+            id: currentNote.id,
+            password: input.value,
+            content: result.content,
+            description: result.description
+        };
+        viewNote(currentNote.id);
+    } catch (error) {
+        logger.error('Failed to unlock note', error);
+        document.getElementById('noteUnlockError').textContent = error.message;
+    }
+}
+
 function editNote() {
+    // Locked notes can only be edited once unlocked in the viewer
+    if (currentNote && currentNote.lock && !unlockedNote) {
+        return;
+    }
+
     if (currentNote) {
         document.getElementById('viewer').style.display = 'none';
         document.getElementById('editor').style.display = 'flex';
         
         document.getElementById('noteTitle').value = currentNote.title;
-        document.getElementById('noteContent').innerHTML = currentNote.content || '';
-        document.getElementById('noteCategory').value = currentNote.category;
+        document.getElementById('noteContent').innerHTML = (unlockedNote ? unlockedNote.content : currentNote.content) || '';
+        document.getElementById('noteCategory').value = currentNote.categoryId;
         document.getElementById('noteTags').value = currentNote.tags && currentNote.tags.length > 0 ? currentNote.tags.map(tag => '#' + tag).join(' ') : '';
-        document.getElementById('noteDescription').value = currentNote.description;
+        document.getElementById('noteDescription').value = unlockedNote ? unlockedNote.description : currentNote.description;
         
         // Focus the content editor
         setTimeout(() => {
@@ -794,7 +863,7 @@ async function deleteNote() {
             <div class="warning-icon">🗑️</div>
             <div class="warning-text">
                 <strong>Delete "${currentNote.title}"?</strong>
-                <p>This note will be permanently deleted and cannot be recovered.</p>
+                <p>This note will be moved to the Trash. You can restore it from there.</p>
                 <div style="margin-top: 1rem; padding: 0.5rem; background: #333; border-radius: 4px;">
                     <div style="font-size: 0.85rem; color: #bbb;">Category: ${currentNote.category}</div>
                     <div style="font-size: 0.85rem; color: #bbb;">Created: ${new Date(currentNote.createdAt).toLocaleDateString()}</div>
@@ -804,9 +873,10 @@ async function deleteNote() {
         async () => {
             try {
                 await window.electronAPI.deleteNote(currentNote.id);
-                notes = await window.electronAPI.getNotes();
+                trashedNotes = await window.electronAPI.getTrash();
 
                 // Update UI
+                updateCategorySelector();
                 updateNotesList();
 
                 // Go back to welcome screen
@@ -814,129 +884,417 @@ async function deleteNote() {
                 document.getElementById('welcomeScreen').style.display = 'flex';
 
                 currentNote = null;
-                showAlert('🗑️ Deleted', 'Note deleted successfully!');
+                showAlert('🗑️ Deleted', 'Note moved to the Trash.');
             } catch (error) {
                 showAlert('❌ Error', 'Error deleting note: ' + error.message);
             }
         },
-        'Delete Note',
+        'Move to Trash',
         '🗑️'
     );
 }
 
-// Modal functions
-function showAlert(title, message, callback) {
-    document.getElementById('alertTitle').textContent = title;
-    document.getElementById('alertMessage').textContent = message;
-    document.getElementById('alertModal').style.display = 'flex';
-    
-    // Store callback for when OK is clicked
-    window.alertCallback = callback;
-}
+// Trash view
+async function showTrash() {
+    viewingTrash = true;
+    if (bulkMode) {
+        toggleBulkMode();
+    }
 
-function closeAlert() {
-    document.getElementById('alertModal').style.display = 'none';
-    
-    // Execute callback if provided
-    if (window.alertCallback) {
-        window.alertCallback();
-        window.alertCallback = null;
+    try {
+        trashedNotes = await window.electronAPI.getTrash();
+    } catch (error) {
+        logger.error('Error loading trash', error);
     }
-}
 
-// Enhanced confirmation modal
-function showConfirm(title, message, onConfirm, confirmText = 'Confirm', icon = '⚠️') {
-    document.getElementById('confirmTitle').innerHTML = `${icon} ${title}`;
-    document.getElementById('confirmMessage').innerHTML = message;
-    document.getElementById('confirmYesBtn').textContent = confirmText;
-    document.getElementById('confirmYesBtn').onclick = () => {
-        closeConfirmModal();
-        onConfirm();
-    };
-    document.getElementById('confirmModal').style.display = 'flex';
+    updateCategorySelector();
+    updateNotesList();
 }
 
-function closeConfirmModal() {
-    document.getElementById('confirmModal').style.display = 'none';
-}
+async function renderTrashList(searchTerm = '') {
+    const notesList = document.getElementById('notesList');
+    const retentionDays = await window.electronAPI.getTrashRetention();
+
+    const filteredTrash = searchTerm
+        ? trashedNotes.filter(note => note.title.toLowerCase().includes(searchTerm))
+        : trashedNotes;
+
+    const retentionOptions = [7, 30, 90, 0].map(days =>
+        `<option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days ? `Purge after ${days} days` : 'Never purge'}</option>`
+    ).join('');
+
+    let html = `
+        <div class="trash-toolbar">
+            <select class="sort-selector" onchange="changeTrashRetention(this.value)" title="Automatically purge trashed notes">
+                ${retentionOptions}
+            </select>
+            <button class="trash-empty-btn" onclick="emptyTrash()" ${trashedNotes.length === 0 ? 'disabled' : ''}>Empty Trash</button>
+        </div>
+    `;
 
-function createNewCategory() {
-    editingCategory = null;
-    document.getElementById('categoryNameInput').value = '';
-    document.getElementById('categoryColorInput').value = '#4a9eff';
-    
-    const buildHierarchicalOptions = (parentName = null, level = 0) => {
-        const children = categories.filter(cat => cat.parent === parentName);
-        let options = '';
-        
-        children.forEach(cat => {
-            const indent = '\u00A0\u00A0\u00A0'.repeat(level);
-            options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-            options += buildHierarchicalOptions(cat.name, level + 1);
-        });
-        
-        return options;
-    };
-    
-    let parentOptions = '<option value="">No parent (root category)</option>';
-    parentOptions += buildHierarchicalOptions();
-    document.getElementById('parentCategoryInput').innerHTML = parentOptions;
-    
-    document.getElementById('categoryModal').style.display = 'flex';
-    document.getElementById('categoryNameInput').focus();
-}
+    if (filteredTrash.length === 0) {
+        notesList.innerHTML = html + '<div class="no-notes-message">Trash is empty</div>';
+        return;
+    }
 
-function closeCategoryModal() {
-    document.getElementById('categoryModal').style.display = 'none';
-    document.getElementById('categoryNameInput').value = '';
-    document.getElementById('categoryColorInput').value = '#4a9eff';
-    document.getElementById('parentCategoryInput').value = '';
+    html += filteredTrash.map(note => {
+        const category = getCategoryById(note.categoryId) || { color: '#4a9eff' };
+        return `
+            <div class="note-item trashed" style="border-left: 4px solid ${category.color};" data-note-id="${note.id}">
+                <div class="note-content-wrapper">
+                    <div class="note-title"><span>${highlightSearchTerm(note.title)}</span></div>
+                    <div class="note-date">📁 ${note.category} • Deleted ${new Date(note.deletedAt).toLocaleDateString()}</div>
+                </div>
+                <div class="trash-item-actions">
+                    <button class="pin-btn" onclick="restoreTrashedNote('${note.id}'); event.stopPropagation();" title="Restore note">↩️</button>
+                    <button class="pin-btn" onclick="purgeTrashedNote('${note.id}'); event.stopPropagation();" title="Delete forever">✖️</button>
+                </div>
+            </div>
+        `;
+    }).join('');
 
-    // Reset editing state
-    editingCategory = null;
-    document.getElementById('categoryModalTitle').textContent = '📁 Add Category';
-    document.getElementById('categorySaveBtn').textContent = 'Create';
+    notesList.innerHTML = html;
 }
 
-async function saveCategoryModal() {
-    const categoryName = document.getElementById('categoryNameInput').value.trim();
-    const parentCategory = document.getElementById('parentCategoryInput').value || null;
-    const color = document.getElementById('categoryColorInput').value;
+async function restoreTrashedNote(noteId) {
+    try {
+        await window.electronAPI.restoreNote(noteId);
+        trashedNotes = await window.electronAPI.getTrash();
 
-    logger.debug('Saving category', { categoryName, parentCategory, color, editingCategory });
+        const note = notes.find(n => n.id === noteId);
 
-    if (!categoryName) {
-        logger.warn('Attempted to save category without name');
-        showAlert('⚠️ Warning', 'Please enter a category name.');
-        return;
+        updateCategorySelector();
+        updateNotesList();
+        logger.info('Note restored from trash', { noteId });
+        showAlert('✅ Restored', `"${note ? note.title : 'Note'}" restored to ${note ? note.category : 'its category'}.`);
+    } catch (error) {
+        logger.error('Error restoring note from trash', { noteId, error });
+        showAlert('❌ Error', 'Error restoring note: ' + error.message);
     }
+}
 
-    try {
-        performanceMonitor.start('save-category');
-
-        if (editingCategory) {
-            // Editing existing category
-            const existingCategory = categories.find(cat =>
-                cat.name.toLowerCase() === categoryName.toLowerCase() &&
-                cat.name !== editingCategory
-            );
-
-            if (existingCategory) {
-                logger.warn('Attempted to rename category to existing name', { categoryName, editingCategory });
-                showAlert('⚠️ Warning', `A category named "${categoryName}" already exists. Please choose a different name.`);
-                return;
+function purgeTrashedNote(noteId) {
+    const note = trashedNotes.find(n => n.id === noteId);
+    showConfirm(
+        'Delete Forever',
+        `<div class="delete-warning">
+            <div class="warning-icon">🗑️</div>
+            <div class="warning-text">
+                <strong>Permanently delete "${note ? note.title : 'Unknown'}"?</strong>
+                <p>The note and its history will be removed and cannot be recovered.</p>
+            </div>
+        </div>`,
+        async () => {
+            try {
+                await window.electronAPI.purgeNote(noteId);
+                trashedNotes = await window.electronAPI.getTrash();
+                updateCategorySelector();
+                updateNotesList();
+            } catch (error) {
+                showAlert('❌ Error', 'Error deleting note: ' + error.message);
             }
+        },
+        'Delete Forever',
+        '🗑️'
+    );
+}
 
-            // Update the category
-            await window.electronAPI.updateCategory(editingCategory, categoryName, color, parentCategory);
-            logger.info(`Category "${editingCategory}" updated to "${categoryName}"`);
-            showAlert('✅ Success', `Category updated successfully!`);
-
-        } else {
-            // Creating new category
-            const existingCategory = categories.find(cat =>
-                cat.name.toLowerCase() === categoryName.toLowerCase()
-            );
+function emptyTrash() {
+    if (trashedNotes.length === 0) return;
+
+    showConfirm(
+        'Empty Trash',
+        `<div class="delete-warning">
+            <div class="warning-icon">🗑️</div>
+            <div class="warning-text">
+                <strong>Permanently delete ${trashedNotes.length} note${trashedNotes.length > 1 ? 's' : ''}?</strong>
+                <p>This action cannot be undone.</p>
+            </div>
+        </div>`,
+        async () => {
+            try {
+                const count = await window.electronAPI.emptyTrash();
+                trashedNotes = await window.electronAPI.getTrash();
+                updateCategorySelector();
+                updateNotesList();
+                logger.info('Trash emptied', { count });
+                showAlert('🗑️ Trash Emptied', `${count} note${count !== 1 ? 's' : ''} permanently deleted.`);
+            } catch (error) {
+                showAlert('❌ Error', 'Error emptying trash: ' + error.message);
+            }
+        },
+        'Empty Trash',
+        '🗑️'
+    );
+}
+
+async function changeTrashRetention(days) {
+    try {
+        await window.electronAPI.setTrashRetention(parseInt(days, 10));
+        trashedNotes = await window.electronAPI.getTrash();
+        updateCategorySelector();
+        updateNotesList();
+    } catch (error) {
+        showAlert('❌ Error', 'Error updating trash settings: ' + error.message);
+    }
+}
+
+// Note history
+let historyRevisions = [];          // Revisions of the note shown in the history modal
+
+async function showNoteHistory() {
+    if (!currentNote) return;
+
+    try {
+        historyRevisions = await window.electronAPI.getNoteHistory(currentNote.id);
+        renderNoteHistoryList();
+
+        const revisionOptions = historyRevisions.map(revision =>
+            `<option value="${revision.revisionId}">${new Date(revision.timestamp).toLocaleString()}</option>`
+        ).join('');
+        const fromSelect = document.getElementById('historyCompareFrom');
+        const toSelect = document.getElementById('historyCompareTo');
+        fromSelect.innerHTML = revisionOptions;
+        toSelect.innerHTML = '<option value="current">Current version</option>' + revisionOptions;
+
+        // Compare the previous revision with the current note by default
+        if (historyRevisions.length > 1) {
+            fromSelect.value = historyRevisions[1].revisionId;
+        }
+        toSelect.value = 'current';
+
+        document.getElementById('noteHistoryModal').style.display = 'flex';
+        await updateHistoryDiff();
+    } catch (error) {
+        logger.error('Error loading note history', { noteId: currentNote.id, error });
+        showAlert('❌ Error', 'Error loading note history: ' + error.message);
+    }
+}
+
+function renderNoteHistoryList() {
+    const historyList = document.getElementById('noteHistoryList');
+
+    if (historyRevisions.length === 0) {
+        historyList.innerHTML = '<div class="no-notes-message">No revisions recorded yet</div>';
+        return;
+    }
+
+    historyList.innerHTML = historyRevisions.map((revision, index) => `
+        <div class="note-history-item" data-revision-id="${revision.revisionId}" onclick="compareHistoryRevision('${revision.revisionId}')">
+            <div class="note-history-item-date">${new Date(revision.timestamp).toLocaleString()}${index === 0 ? ' (latest)' : ''}</div>
+            <div class="note-history-item-details">
+                ${exportManager.escapeHtml(revision.title)}<br>
+                📁 ${exportManager.escapeHtml(revision.category || 'General')} • ${revision.size} chars
+            </div>
+            ${index > 0 ? `<button class="backup-slot-btn restore" onclick="restoreNoteRevision('${revision.revisionId}'); event.stopPropagation();">Restore</button>` : ''}
+        </div>
+    `).join('');
+}
+
+async function compareHistoryRevision(revisionId) {
+    document.getElementById('historyCompareFrom').value = revisionId;
+    document.getElementById('historyCompareTo').value = 'current';
+    await updateHistoryDiff();
+}
+
+async function updateHistoryDiff() {
+    const fromRevisionId = document.getElementById('historyCompareFrom').value;
+    const toRevisionId = document.getElementById('historyCompareTo').value;
+    const diffContainer = document.getElementById('noteHistoryDiff');
+
+    document.querySelectorAll('.note-history-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.revisionId === fromRevisionId);
+    });
+
+    if (!fromRevisionId || !currentNote) {
+        diffContainer.innerHTML = '<em>Select two revisions to compare</em>';
+        return;
+    }
+
+    const result = await window.electronAPI.diffNoteRevisions(currentNote.id, fromRevisionId, toRevisionId);
+    if (!result.success) {
+        diffContainer.innerHTML = `<em>${exportManager.escapeHtml(result.error)}</em>`;
+        return;
+    }
+
+    if (result.changes.length === 0) {
+        diffContainer.innerHTML = '<em>No differences</em>';
+        return;
+    }
+
+    diffContainer.innerHTML = renderDiffChanges(result.changes);
+}
+
+// HTML for the field changes of diffNotes (note history, restore previews)
+function renderDiffChanges(changes) {
+    return changes.map(change => `
+        <div class="diff-field-label">${change.field}</div>
+        <div>${change.parts.map(part => {
+            const text = exportManager.escapeHtml(part.text);
+            if (part.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+            if (part.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+            return text;
+        }).join('')}</div>
+    `).join('');
+}
+
+async function restoreNoteRevision(revisionId) {
+    const revision = historyRevisions.find(r => r.revisionId === revisionId);
+    if (!currentNote || !revision) return;
+
+    const confirmed = await showEnhancedConfirm({
+        icon: '🕘',
+        title: 'Restore Revision',
+        message: `Restore "${currentNote.title}" to the version from ${new Date(revision.timestamp).toLocaleString()}?`,
+        details: '<p>The current version stays in the history, so this can be undone.</p>',
+        confirmText: 'Restore',
+        cancelText: 'Cancel'
+    });
+
+    if (!confirmed) return;
+
+    try {
+        const result = await window.electronAPI.restoreNoteRevision(currentNote.id, revisionId);
+        if (!result.success) {
+            showAlert('❌ Error', 'Error restoring revision: ' + result.error);
+            return;
+        }
+
+        const note = result.note;
+
+        closeNoteHistoryModal();
+        updateNotesList();
+        updateCategorySelector();
+        viewNote(note.id);
+
+        logger.info('Note revision restored', { noteId: note.id, revisionId });
+        showAlert('✅ Success', 'Revision restored successfully!');
+    } catch (error) {
+        logger.error('Error restoring revision', { noteId: currentNote.id, revisionId, error });
+        showAlert('❌ Error', 'Error restoring revision: ' + error.message);
+    }
+}
+
+function closeNoteHistoryModal() {
+    document.getElementById('noteHistoryModal').style.display = 'none';
+    historyRevisions = [];
+}
+
+// Modal functions
+function showAlert(title, message, callback) {
+    document.getElementById('alertTitle').textContent = title;
+    document.getElementById('alertMessage').textContent = message;
+    document.getElementById('alertModal').style.display = 'flex';
+    
+    // Store callback for when OK is clicked
+    window.alertCallback = callback;
+}
+
+function closeAlert() {
+    document.getElementById('alertModal').style.display = 'none';
+    
+    // Execute callback if provided
+    if (window.alertCallback) {
+        window.alertCallback();
+        window.alertCallback = null;
+    }
+}
+
+// Enhanced confirmation modal
+function showConfirm(title, message, onConfirm, confirmText = 'Confirm', icon = '⚠️') {
+    document.getElementById('confirmTitle').innerHTML = `${icon} ${title}`;
+    document.getElementById('confirmMessage').innerHTML = message;
+    document.getElementById('confirmYesBtn').textContent = confirmText;
+    document.getElementById('confirmYesBtn').onclick = () => {
+        closeConfirmModal();
+        onConfirm();
+    };
+    document.getElementById('confirmModal').style.display = 'flex';
+}
+
+function closeConfirmModal() {
+    document.getElementById('confirmModal').style.display = 'none';
+}
+
+function createNewCategory() {
+    editingCategory = null;
+    document.getElementById('categoryNameInput').value = '';
+    document.getElementById('categoryColorInput').value = '#4a9eff';
+    
+    const buildHierarchicalOptions = (parentId = null, level = 0) => {
+        const children = categories.filter(cat => cat.parentId === parentId);
+        let options = '';
+        
+        children.forEach(cat => {
+            const indent = '\u00A0\u00A0\u00A0'.repeat(level);
+            options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+            options += buildHierarchicalOptions(cat.id, level + 1);
+        });
+        
+        return options;
+    };
+    
+    let parentOptions = '<option value="">No parent (root category)</option>';
+    parentOptions += buildHierarchicalOptions();
+    document.getElementById('parentCategoryInput').innerHTML = parentOptions;
+    
+    document.getElementById('categoryModal').style.display = 'flex';
+    document.getElementById('categoryNameInput').focus();
+}
+
+function closeCategoryModal() {
+    document.getElementById('categoryModal').style.display = 'none';
+    document.getElementById('categoryNameInput').value = '';
+    document.getElementById('categoryColorInput').value = '#4a9eff';
+    document.getElementById('parentCategoryInput').value = '';
+
+    // Reset editing state
+    editingCategory = null;
+    document.getElementById('categoryModalTitle').textContent = '📁 Add Category';
+    document.getElementById('categorySaveBtn').textContent = 'Create';
+}
+
+async function saveCategoryModal() {
+    const categoryName = document.getElementById('categoryNameInput').value.trim();
+    const parentCategory = document.getElementById('parentCategoryInput').value || null;
+    const color = document.getElementById('categoryColorInput').value;
+
+    logger.debug('Saving category', { categoryName, parentCategory, color, editingCategory });
+
+    if (!categoryName) {
+        logger.warn('Attempted to save category without name');
+        showAlert('⚠️ Warning', 'Please enter a category name.');
+        return;
+    }
+
+    try {
+        performanceMonitor.start('save-category');
+
+        if (editingCategory) {
+            // Editing existing category: names only have to be unique among siblings
+            const existingCategory = categories.find(cat =>
+                cat.name.toLowerCase() === categoryName.toLowerCase() &&
+                cat.parentId === parentCategory &&
+                cat.id !== editingCategory
+            );
+
+            if (existingCategory) {
+                logger.warn('Attempted to rename category to existing name', { categoryName, editingCategory });
+                showAlert('⚠️ Warning', `A category named "${categoryName}" already exists. Please choose a different name.`);
+                return;
+            }
+
+            // Update the category
+            await window.electronAPI.updateCategory(editingCategory, categoryName, color, parentCategory);
+            logger.info(`Category ${editingCategory} updated to "${categoryName}"`);
+            showAlert('✅ Success', `Category updated successfully!`);
+
+        } else {
+            // Creating new category
+            const existingCategory = categories.find(cat =>
+                cat.name.toLowerCase() === categoryName.toLowerCase() &&
+                cat.parentId === parentCategory
+            );
 
             if (existingCategory) {
                 logger.warn('Attempted to create duplicate category', { categoryName });
@@ -950,9 +1308,7 @@ async function saveCategoryModal() {
             showAlert('✅ Success', `Category "${categoryName}" created!`);
         }
 
-        // Refresh data and UI
-        categories = await window.electronAPI.getCategories();
-        notes = await window.electronAPI.getNotes(); // Refresh notes in case category names changed
+        // Refresh UI (categories and note category names are already updated)
         updateCategorySelector();
         updateNotesList();
         closeCategoryModal();
@@ -974,14 +1330,17 @@ function closeManageCategoriesModal() {
     document.getElementById('manageCategoriesModal').style.display = 'none';
 }
 
-function deleteCategory(categoryName, fromContextMenu = false) {
+function deleteCategory(categoryId, fromContextMenu = false) {
     if (!fromContextMenu) {
         closeManageCategoriesModal();
     }
     
-    const noteCount = notes.filter(note => note.category === categoryName).length;
-    const childCategories = categories.filter(cat => cat.parent === categoryName);
-    const affectedNotes = notes.filter(note => note.category === categoryName);
+    const category = getCategoryById(categoryId);
+    if (!category) return;
+    const categoryName = category.name;
+    const noteCount = notes.filter(note => note.categoryId === categoryId).length;
+    const childCategories = categories.filter(cat => cat.parentId === categoryId);
+    const affectedNotes = notes.filter(note => note.categoryId === categoryId);
     
     let messageHtml = `
         <div class="delete-warning">
@@ -1039,15 +1398,16 @@ function deleteCategory(categoryName, fromContextMenu = false) {
     messageHtml += '</div>';
     
     document.getElementById('deleteCategoryMessage').innerHTML = messageHtml;
-    document.getElementById('confirmDeleteBtn').onclick = () => confirmDeleteCategory(categoryName, fromContextMenu);
+    document.getElementById('confirmDeleteBtn').onclick = () => confirmDeleteCategory(categoryId, fromContextMenu);
     document.getElementById('deleteCategoryModal').style.display = 'flex';
 }
 
-async function confirmDeleteCategory(categoryName, fromContextMenu = false) {
+async function confirmDeleteCategory(categoryId, fromContextMenu = false) {
     try {
-        await window.electronAPI.deleteCategory(categoryName);
-        categories = await window.electronAPI.getCategories();
-        notes = await window.electronAPI.getNotes();
+        await window.electronAPI.deleteCategory(categoryId);
+        if (currentCategory === categoryId) {
+            currentCategory = 'all';
+        }
         updateCategorySelector();
         updateNotesList();
         renderCategoriesList();
@@ -1072,15 +1432,15 @@ function renderCategoriesList() {
     const categoriesList = document.getElementById('categoriesList');
 
     categoriesList.innerHTML = categories.map(cat => {
-        const noteCount = getTotalNoteCount(cat.name);
+        const noteCount = getTotalNoteCount(cat.id);
         return `
             <div class="category-item" style="border-left-color: ${cat.color};">
                 <div class="category-info">
                     <span>${cat.name}</span>
                     <span style="color: #888;">(${cat.color}) - ${noteCount} notes</span>
                 </div>
-                ${cat.name !== 'General' ?
-                    `<button class="category-delete" onclick="deleteCategory('${cat.name}')">
+                ${cat.id !== DEFAULT_CATEGORY_ID ?
+                    `<button class="category-delete" onclick="deleteCategory('${cat.id}')">
                         <span>🗑️</span>
                         <span>Delete</span>
                     </button>` :
@@ -1451,7 +1811,7 @@ function createFromTemplate(templateType) {
     document.getElementById('noteContent').innerHTML = template.content.replace(/{date}/g, today);
 
     // Set category to current category if one is selected, otherwise use General
-    const defaultCategory = (currentCategory && currentCategory !== 'all') ? currentCategory : 'General';
+    const defaultCategory = (currentCategory && currentCategory !== 'all') ? currentCategory : DEFAULT_CATEGORY_ID;
     document.getElementById('noteCategory').value = defaultCategory;
 
     document.getElementById('noteTags').value = template.tags.join(', ');
@@ -1586,7 +1946,7 @@ async function saveCurrentNote() {
     // Remove @ symbols before saving but don't create links yet
     content = content.replace(/@([^@\n]+?)(?=\s|$|[.,!?;:])/g, '$1');
     
-    const category = document.getElementById('noteCategory').value || 'General';
+    const categoryFields = getCategoryFields(document.getElementById('noteCategory').value || DEFAULT_CATEGORY_ID);
     let tagsInput = document.getElementById('noteTags').value.trim();
     let tags = [];
     if (tagsInput) {
@@ -1618,7 +1978,7 @@ async function saveCurrentNote() {
             ...currentNote,
             title: title,
             content: content,
-            category: category,
+            ...categoryFields,
             tags: tags,
             description: description,
             updatedAt: new Date().toISOString()
@@ -1629,7 +1989,7 @@ async function saveCurrentNote() {
             id: Date.now().toString(),
             title: title,
             content: content,
-            category: category,
+            ...categoryFields,
             tags: tags,
             description: description,
             createdAt: new Date().toISOString(),
@@ -1638,8 +1998,18 @@ async function saveCurrentNote() {
     }
     
     try {
-        await window.electronAPI.saveNote(note);
-        notes = await window.electronAPI.getNotes();
+        if (note.lock && unlockedNote) {
+            // Edits to a locked note are sealed again with the same password
+            const result = await window.electronAPI.lockNote(note, unlockedNote.password);
+            if (!result.success) {
+                showAlert('❌ Error', 'Error saving note: ' + result.error);
+                return;
+            }
+            unlockedNote = { ...unlockedNote, content, description };
+            note = result.note;
+        } else {
+            await window.electronAPI.saveNote(note);
+        }
 
         currentNote = note;
         updateNotesList();
@@ -1833,7 +2203,7 @@ function populateSearchCategories() {
     
     categories.forEach(category => {
         const option = document.createElement('option');
-        option.value = category.name;
+        option.value = category.id;
         option.textContent = category.name;
         categoryFilter.appendChild(option);
     });
@@ -1883,9 +2253,12 @@ function handleDatePresetChange() {
     performAdvancedSearchQuery();
 }
 
-function performAdvancedSearchQuery() {
+let advancedSearchRun = 0;          // Results of an older, slower search are dropped
+
+async function performAdvancedSearchQuery() {
     const startTime = performance.now();
     const query = document.getElementById('advancedSearchInput').value.trim();
+    const run = ++advancedSearchRun;
     
     if (!query) {
         displaySearchResults([], 0);
@@ -1907,7 +2280,15 @@ function performAdvancedSearchQuery() {
     };
     
     // Perform search
-    const results = executeAdvancedSearch(query, filters);
+    let results;
+    try {
+        results = await executeAdvancedSearch(query, filters);
+    } catch (error) {
+        logger.error('Advanced search failed', error);
+        showAlert('❌ Error', 'Search failed: ' + error.message);
+        return;
+    }
+    if (run !== advancedSearchRun) return;
     const searchTime = performance.now() - startTime;
     
     // Display results
@@ -1917,46 +2298,24 @@ function performAdvancedSearchQuery() {
     document.getElementById('saveCurrentSearch').disabled = !query;
 }
 
-function executeAdvancedSearch(query, filters) {
-    let filteredNotes = [...notes];
-    
-    // Apply content filters first
-    if (filters.pinnedOnly) {
-        filteredNotes = filteredNotes.filter(note => note.isPinned);
-    }
-    
-    if (filters.hasTasks) {
-        filteredNotes = filteredNotes.filter(note => 
-            note.content && (note.content.includes('☐') || note.content.includes('☑'))
-        );
-    }
-    
-    if (filters.hasLinks) {
-        filteredNotes = filteredNotes.filter(note => 
-            note.content && note.content.includes('@')
-        );
-    }
-    
-    if (filters.categories.length > 0) {
-        filteredNotes = filteredNotes.filter(note => 
-            filters.categories.includes(note.category)
-        );
-    }
-    
-    // Apply date filters
-    if (filters.dateFrom) {
-        const fromDate = new Date(filters.dateFrom);
-        filteredNotes = filteredNotes.filter(note => 
-            new Date(note.updatedAt) >= fromDate
-        );
-    }
-    
-    if (filters.dateTo) {
-        const toDate = new Date(filters.dateTo + 'T23:59:59');
-        filteredNotes = filteredNotes.filter(note => 
-            new Date(note.updatedAt) <= toDate
-        );
+async function executeAdvancedSearch(query, filters) {
+    // The main process applies the content, category and date filters (categories include
+    // their subcategories); only the ids come back, the text search runs on the loaded notes
+    const result = await window.electronAPI.queryNotes({
+        pinned: filters.pinnedOnly || undefined,
+        hasTasks: filters.hasTasks || undefined,
+        hasLinks: filters.hasLinks || undefined,
+        categoryIds: filters.categories,
+        updatedFrom: filters.dateFrom || undefined,
+        updatedTo: filters.dateTo || undefined,
+        fields: ['id']
+    });
+    if (!result.success) {
+        throw new Error(result.error);
     }
+
+    const matchingIds = new Set(result.notes.map(note => note.id));
+    const filteredNotes = notes.filter(note => matchingIds.has(note.id));
     
     // Parse and apply text search
     return parseAndSearchQuery(query, filteredNotes, filters);
@@ -2094,7 +2453,7 @@ function displaySearchResults(results, searchTime) {
     }
     
     resultsList.innerHTML = results.map(note => {
-        const category = categories.find(cat => cat.name === note.category) || { color: '#4a9eff' };
+        const category = getCategoryById(note.categoryId) || { color: '#4a9eff' };
         const snippet = generateSnippet(note, document.getElementById('advancedSearchInput').value);
         
         return `
@@ -2167,7 +2526,10 @@ function highlightSearchTerms(text, query) {
 }
 
 // Initialize when page loads
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
+    // An encrypted vault stays on the lock screen until unlocked; unlocking reloads the page
+    if (await showLockScreenIfLocked()) return;
+
     initApp();
     initSearchListeners();
     setupNoteLinking();
@@ -2204,40 +2566,408 @@ if (window.electronAPI.onShortcutAdvancedSearch) {
     });
 }
 
-// Add search functionality with debouncing
-document.getElementById('searchInput').addEventListener('input', () => {
-    debouncer.debounce('search', () => {
-        performanceMonitor.start('search-operation');
-        updateNotesList();
-        performanceMonitor.end('search-operation');
-    }, 300);
+// The main process locked the vault (menu, idle timeout or system sleep): drop everything loaded
+window.electronAPI.onVaultLocked(() => {
+    location.reload();
 });
 
-// Initialize text editors
-let noteEditor;
-let templateEditor;
-
-// Function to initialize editors
-function initializeEditors() {
-    const noteContent = document.getElementById('noteContent');
-    const templateContent = document.getElementById('templateEditorContent');
+window.electronAPI.onShortcutVaultSettings(() => {
+    showVaultSettings();
+});
 
-    if (noteContent && !noteEditor) {
-        noteEditor = new TextEditor(noteContent);
+window.electronAPI.onShortcutVaultManager(() => {
+    if (vaultLocked) {
+        toggleLockScreenVaults();
+    } else {
+        showVaultManager();
     }
-    if (templateContent && !templateEditor) {
-        templateEditor = new TextEditor(templateContent);
+});
+
+window.electronAPI.onShortcutVaultDoctor(() => {
+    if (!vaultLocked) {
+        showVaultDoctor();
     }
-}
+});
 
-// Initialize editors when DOM is ready and also call it when needed
-document.addEventListener('DOMContentLoaded', initializeEditors);
+window.electronAPI.onShortcutVaultGit(() => {
+    if (!vaultLocked) {
+        showVaultGit(currentNote ? 'note' : 'log');
+    }
+});
 
-// Rich text formatting functions using modern TextEditor
-function formatText(command) {
-    initializeEditors(); // Ensure editors are initialized
-    if (noteEditor) {
-        noteEditor.formatText(command);
+window.electronAPI.onShortcutSync(() => {
+    if (!vaultLocked) {
+        showSync();
+    }
+});
+
+window.electronAPI.onSyncStatus((_, status) => applySyncStatus(status));
+
+// ============================================================================
+// VAULT LOCK SCREEN
+// ============================================================================
+
+let vaultLocked = false;
+
+async function showLockScreenIfLocked() {
+    try {
+        const status = await window.electronAPI.getVaultStatus();
+        vaultLocked = status.locked;
+    } catch (error) {
+        logger.error('Failed to read vault status', error);
+        return false;
+    }
+
+    if (vaultLocked) {
+        document.getElementById('vaultLockScreen').style.display = 'flex';
+        document.getElementById('vaultPassphraseInput').focus();
+        showLockScreenVaultName();
+    }
+    return vaultLocked;
+}
+
+async function showLockScreenVaultName() {
+    try {
+        const { vaults } = await window.electronAPI.listVaults();
+        const current = vaults.find(entry => entry.isCurrent);
+        if (current) {
+            document.getElementById('lockScreenVaultName').textContent = current.name;
+        }
+    } catch (error) {
+        logger.error('Failed to read vault list', error);
+    }
+}
+
+// A locked vault can be left for another one without entering its passphrase
+async function toggleLockScreenVaults() {
+    const list = document.getElementById('lockScreenVaultList');
+    if (list.style.display !== 'none') {
+        list.style.display = 'none';
+        return;
+    }
+
+    await renderVaultList(list, error => {
+        document.getElementById('vaultUnlockError').textContent = error;
+    });
+    list.style.display = 'block';
+}
+
+async function unlockVault(event) {
+    event.preventDefault();
+    const input = document.getElementById('vaultPassphraseInput');
+    const button = document.getElementById('vaultUnlockButton');
+    const errorText = document.getElementById('vaultUnlockError');
+
+    button.disabled = true;
+    button.textContent = 'Unlocking...';
+    errorText.textContent = '';
+
+    try {
+        const result = await window.electronAPI.unlockVault(input.value);
+        if (result.success) {
+            logger.info('Vault unlocked');
+            location.reload();
+            return;
+        }
+        errorText.textContent = result.error;
+    } catch (error) {
+        logger.error('Failed to unlock vault', error);
+        errorText.textContent = error.message;
+    }
+
+    input.value = '';
+    input.focus();
+    button.disabled = false;
+    button.textContent = 'Unlock';
+}
+
+// ============================================================================
+// DATA CHANGE EVENTS (pushed by the main process)
+// ============================================================================
+
+// Every note and category change, made in this window, another window or on disk, arrives
+// here before the call that made it returns, so call sites do not reload the notes themselves.
+let notesRevision = 0;              // Revision of the last change batch applied to `notes`
+let resyncingNotes = false;         // Full reload after a missed or oversized batch
+let dataRefreshFrame = null;
+let notesListStale = false;         // Cleared by updateNotesList()
+let viewedNoteChanged = false;
+
+window.electronAPI.onDataChanged((_, batch) => applyDataChanges(batch));
+
+// Same order as changeSorting() gets from the store: pinned first, then the chosen sort
+function compareNotes(a, b) {
+    if (a.isPinned && !b.isPinned) return -1;
+    if (!a.isPinned && b.isPinned) return 1;
+
+    const sortBy = document.getElementById('sortSelector').value;
+    const order = sortBy.includes('title')
+        ? (a.title || '').localeCompare(b.title || '')
+        : new Date(sortBy.includes('created') ? a.createdAt : a.updatedAt) - new Date(sortBy.includes('created') ? b.createdAt : b.updatedAt);
+    if (order !== 0) return sortBy.includes('DESC') ? -order : order;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function applyDataChanges(batch) {
+    if (batch.revision <= notesRevision || resyncingNotes) return;
+    if (batch.reset || batch.revision !== notesRevision + 1) {
+        resyncNotes();
+        return;
+    }
+    notesRevision = batch.revision;
+
+    for (const change of batch.changes) {
+        if (change.type === 'categories-changed') {
+            applyCategoryChange(change.categories);
+            continue;
+        }
+
+        const id = change.type === 'note-deleted' ? change.id : change.note.id;
+        notes = notes.filter(note => note.id !== id);
+        if (change.type !== 'note-deleted') {
+            notes.push(change.note);
+        }
+        if (currentNote && currentNote.id === id) {
+            viewedNoteChanged = true;
+        }
+    }
+
+    notes.sort(compareNotes);
+    scheduleDataRefresh();
+}
+
+// Notes carry their category's name, which a rename changes
+function applyCategoryChange(newCategories) {
+    categories = newCategories;
+    const names = new Map(categories.map(cat => [cat.id, cat.name]));
+
+    notes = notes.map(note => {
+        const name = names.get(note.categoryId);
+        if (name === undefined || name === note.category) return note;
+
+        const renamed = { ...note, category: name };
+        if (currentNote && currentNote.id === note.id) {
+            viewedNoteChanged = true;
+        }
+        return renamed;
+    });
+}
+
+async function resyncNotes() {
+    resyncingNotes = true;
+    try {
+        await loadNotesSnapshot();
+        viewedNoteChanged = Boolean(currentNote);
+    } catch (error) {
+        logger.error('Reloading notes failed', error);
+    } finally {
+        resyncingNotes = false;
+    }
+    scheduleDataRefresh();
+}
+
+// Load categories and notes; change batches continue from here
+async function loadNotesSnapshot() {
+    categories = await window.electronAPI.getCategories();
+    const snapshot = await window.electronAPI.getNotesSnapshot();
+    notes = snapshot.notes;
+    notesRevision = snapshot.revision;
+}
+
+// Redraw once per frame however many batches arrived; call sites that redraw themselves
+// right after their change are usually first, and the frame then has nothing left to do
+function scheduleDataRefresh() {
+    notesListStale = true;
+    if (dataRefreshFrame) return;
+    dataRefreshFrame = requestAnimationFrame(() => {
+        dataRefreshFrame = null;
+        if (notesListStale) {
+            updateCategorySelector();
+            updateNotesList();
+        }
+
+        if (!viewedNoteChanged || !currentNote) return;
+        viewedNoteChanged = false;
+
+        // Unsaved edits stay in the editor; saving them replaces the other version
+        if (document.getElementById('editor').style.display === 'flex') return;
+        const latest = notes.find(note => note.id === currentNote.id);
+        if (latest === currentNote) return;
+        if (latest) {
+            viewNote(latest.id);
+        } else {
+            currentNote = null;
+            showWelcomeScreen();
+        }
+    });
+}
+
+// ============================================================================
+// NOTES CHANGED OUTSIDE THE APP (synced data folders)
+// ============================================================================
+
+window.electronAPI.onNotesChangedExternally(async (_, change) => {
+    logger.info('Notes changed outside the app', change);
+    await reloadNotesAfterExternalChange([...change.changed, ...change.removed, ...change.conflicts]);
+
+    if (change.conflicts.length > 0) {
+        await showNoteConflicts();
+    }
+});
+
+// The changed notes themselves have already arrived as change events; this covers the trash
+// and warns about a note that changed while it was open in the editor
+async function reloadNotesAfterExternalChange(changedIds) {
+    trashedNotes = await window.electronAPI.getTrash();
+    updateNotesList();
+
+    if (!currentNote || !changedIds.includes(currentNote.id)) return;
+
+    if (document.getElementById('editor').style.display === 'flex') {
+        // Unsaved edits stay in the editor; saving them replaces the other version
+        await showEnhancedAlert('Note Changed',
+            'This note was changed outside MindKeep while you were editing it. Saving replaces that version.',
+            'warning');
+    } else if (notes.some(note => note.id === currentNote.id)) {
+        viewNote(currentNote.id);
+    } else {
+        currentNote = null;
+        showWelcomeScreen();
+    }
+}
+
+// Notes changed both here and on disk before either change was saved
+async function showNoteConflicts() {
+    const conflicts = await window.electronAPI.getNoteConflicts();
+    if (conflicts.length === 0) {
+        closeNoteConflicts();
+        return;
+    }
+
+    const list = document.getElementById('noteConflictList');
+    list.innerHTML = conflicts.map(conflict => `
+        <div class="note-conflict">
+            <div class="note-conflict-versions">
+                ${renderConflictVersion('In MindKeep', conflict.local)}
+                ${renderConflictVersion('On disk', conflict.external)}
+            </div>
+            <div class="modal-buttons">
+                <button class="modal-btn save" data-choice="local">Keep MindKeep Version</button>
+                <button class="modal-btn cancel" data-choice="external">${conflict.external ? 'Keep Disk Version' : 'Delete Note'}</button>
+                <button class="modal-btn cancel" data-choice="both">Keep Both</button>
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.note-conflict').forEach((item, index) => {
+        item.querySelectorAll('[data-choice]').forEach(button => {
+            button.addEventListener('click', () => chooseConflictVersion(conflicts[index].id, button.dataset.choice));
+        });
+    });
+    showMainModal('noteConflictModal');
+}
+
+function renderConflictVersion(label, note) {
+    if (!note) {
+        return `<div class="note-conflict-version"><h4>${label}</h4><em>Deleted</em></div>`;
+    }
+
+    const text = note.lock
+        ? '🔒 Locked note'
+        : new DOMParser().parseFromString(note.content || '', 'text/html').body.textContent;
+    return `
+        <div class="note-conflict-version">
+            <h4>${label}</h4>
+            <strong>${exportManager.escapeHtml(note.title || 'Untitled')}</strong>
+            <div class="note-conflict-meta">Updated ${new Date(note.updatedAt).toLocaleString()}</div>
+            <div class="note-conflict-preview">${exportManager.escapeHtml(text.slice(0, 400))}</div>
+        </div>
+    `;
+}
+
+async function chooseConflictVersion(id, choice) {
+    const result = await window.electronAPI.resolveNoteConflict(id, choice);
+    if (!result.success) {
+        await showEnhancedAlert('Conflict', result.error, 'error');
+    }
+
+    await reloadNotesAfterExternalChange([id]);
+    await showNoteConflicts();
+}
+
+function closeNoteConflicts() {
+    closeMainModal('noteConflictModal');
+}
+
+// Add search functionality with debouncing
+document.getElementById('searchInput').addEventListener('input', () => {
+    debouncer.debounce('search', () => {
+        performanceMonitor.start('search-operation');
+        updateNotesList();
+        performanceMonitor.end('search-operation');
+    }, 300);
+});
+
+// Initialize text editors
+let noteEditor;
+let templateEditor;
+
+// Function to initialize editors
+function initializeEditors() {
+    const noteContent = document.getElementById('noteContent');
+    const templateContent = document.getElementById('templateEditorContent');
+
+    if (noteContent && !noteEditor) {
+        noteEditor = new TextEditor(noteContent);
+        noteEditor.handleFiles(insertAttachments);
+    }
+    if (templateContent && !templateEditor) {
+        templateEditor = new TextEditor(templateContent);
+    }
+}
+
+// Initialize editors when DOM is ready and also call it when needed
+document.addEventListener('DOMContentLoaded', initializeEditors);
+
+// Pasted or dropped files are stored by the main process; the note only keeps a reference
+async function insertAttachments(files, range) {
+    for (const file of files) {
+        try {
+            const data = new Uint8Array(await file.arrayBuffer());
+            const result = await window.electronAPI.saveAttachment(data, file.name, file.type);
+            if (!result.success) {
+                showAlert('❌ Error', `Could not attach "${file.name}": ${result.error}`);
+                continue;
+            }
+
+            noteEditor.restoreSelection(range);
+            noteEditor.insertAttachment(result);
+            range = noteEditor.getSelection();
+            logger.info('Attachment added', { id: result.id, size: result.size });
+        } catch (error) {
+            logger.error('Failed to attach file', error);
+            showAlert('❌ Error', `Could not attach "${file.name}": ${error.message}`);
+        }
+    }
+}
+
+// Attachment links offer to save the file instead of navigating the window away
+document.addEventListener('click', async (event) => {
+    const link = event.target.closest('#viewerContent a[data-attachment-id]');
+    if (!link) return;
+
+    event.preventDefault();
+    const result = await window.electronAPI.saveAttachmentAs(link.dataset.attachmentId, link.dataset.attachmentName);
+    if (!result.success && result.error !== 'Save cancelled') {
+        showAlert('❌ Error', 'Could not save attachment: ' + result.error);
+    }
+});
+
+// Rich text formatting functions using modern TextEditor
+function formatText(command) {
+    initializeEditors(); // Ensure editors are initialized
+    if (noteEditor) {
+        noteEditor.formatText(command);
     }
 }
 
@@ -2302,9 +3032,8 @@ function highlightSearchTerm(text) {
 }
 
 // Sorting function
-async function changeSorting() {
-    const sortBy = document.getElementById('sortSelector').value;
-    notes = await window.electronAPI.getNotesSorted(sortBy);
+function changeSorting() {
+    notes.sort(compareNotes);
     updateNotesList();
 }
 
@@ -2312,7 +3041,6 @@ async function changeSorting() {
 async function togglePin(noteId) {
     try {
         await window.electronAPI.togglePinNote(noteId);
-        notes = await window.electronAPI.getNotes();
         updateNotesList();
     } catch (error) {
         showAlert('❌ Error', 'Error toggling pin: ' + error.message);
@@ -2561,14 +3289,14 @@ function toggleAdvancedSearch() {
     if (modal.style.display === 'none' || !modal.style.display) {
         // Show advanced search
         // Populate category dropdown
-        const buildCategoryOptions = (cats, parentName = null, level = 0) => {
-            const children = cats.filter(cat => cat.parent === parentName);
+        const buildCategoryOptions = (cats, parentId = null, level = 0) => {
+            const children = cats.filter(cat => cat.parentId === parentId);
             let options = '';
 
             children.forEach(cat => {
                 const indent = '\u00A0\u00A0\u00A0\u00A0'.repeat(level);
-                options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-                options += buildCategoryOptions(cats, cat.name, level + 1);
+                options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+                options += buildCategoryOptions(cats, cat.id, level + 1);
             });
 
             return options;
@@ -2622,11 +3350,11 @@ function performAdvancedSearch() {
     const searchPinnedOnly = document.getElementById('searchPinnedOnly').checked;
     const searchTerm = document.getElementById('searchInput').value.toLowerCase();
 
-    let filteredNotes = currentCategory === 'all' ? notes : notes.filter(note => note.category === currentCategory);
+    let filteredNotes = currentCategory === 'all' ? notes : notes.filter(note => note.categoryId === currentCategory);
 
     // Apply advanced filters
     if (searchCategory) {
-        filteredNotes = filteredNotes.filter(note => note.category === searchCategory);
+        filteredNotes = filteredNotes.filter(note => note.categoryId === searchCategory);
     }
 
     if (searchDateFrom) {
@@ -2679,10 +3407,11 @@ function displayFilteredNotes(filteredNotes) {
     }
 
     notesList.innerHTML = filteredNotes.map(note => {
-        const category = categories.find(cat => cat.name === note.category) || { color: '#4a9eff' };
+        const category = getCategoryById(note.categoryId) || { color: '#4a9eff' };
         const isSelected = selectedNotes.has(note.id);
         const checkboxHtml = bulkMode ? `<input type="checkbox" ${isSelected ? 'checked' : ''} onchange="toggleNoteSelection('${note.id}')" onclick="event.stopPropagation()">` : '';
         const pinIcon = note.isPinned ? '📌' : '';
+        const lockIcon = note.lock ? '🔒' : '';
 
         return `
             <div class="note-item ${isSelected ? 'selected' : ''} ${note.isPinned ? 'pinned' : ''}"
@@ -2693,7 +3422,7 @@ function displayFilteredNotes(filteredNotes) {
                 ${checkboxHtml}
                 <div class="note-content-wrapper">
                     <div class="note-title">
-                        ${pinIcon}
+                        ${pinIcon}${lockIcon}
                         <span>${highlightSearchTerm(note.title)}</span>
                     </div>
                     <div class="note-date">${new Date(note.updatedAt).toLocaleDateString()}</div>
@@ -2710,14 +3439,14 @@ function showQuickCapture() {
     const categorySelect = document.getElementById('quickCaptureCategory');
 
     // Populate category dropdown
-    const buildCategoryOptions = (cats, parentName = null, level = 0) => {
-        const children = cats.filter(cat => cat.parent === parentName);
+    const buildCategoryOptions = (cats, parentId = null, level = 0) => {
+        const children = cats.filter(cat => cat.parentId === parentId);
         let options = '';
 
         children.forEach(cat => {
             const indent = '\u00A0\u00A0\u00A0\u00A0'.repeat(level);
-            options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-            options += buildCategoryOptions(cats, cat.name, level + 1);
+            options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+            options += buildCategoryOptions(cats, cat.id, level + 1);
         });
 
         return options;
@@ -3738,7 +4467,7 @@ function updateTask() {
         task.updatedAt = new Date().toISOString();
 
         // Save and refresh
-        dedicatedTaskManager.saveTaskData();
+        dedicatedTaskManager.saveTask(task);
         dedicatedTaskManager.refreshTasksView();
         dedicatedTaskManager.refreshTaskListsView();
     }
@@ -3859,7 +4588,7 @@ function updateTaskList(listId) {
             list.icon = icon;
             list.color = color;
 
-            dedicatedTaskManager.saveTaskData();
+            dedicatedTaskManager.saveTaskList(list);
             dedicatedTaskManager.refreshTaskListsView();
         }
     }
@@ -3911,10 +4640,11 @@ class DedicatedTaskManager {
         this.initializeTaskSystem();
     }
 
-    initializeTaskSystem() {
+    async initializeTaskSystem() {
         try {
-            this.loadTaskData();
-            this.setupDefaultList();
+            await this.loadTaskData();
+            this.refreshTaskListsView();
+            this.refreshTasksView();
         } catch (error) {
             console.warn('DedicatedTaskManager initialization error:', error);
         }
@@ -3934,33 +4664,48 @@ class DedicatedTaskManager {
 
     async loadTaskData() {
         try {
-            // Load tasks from localStorage for now (could be database later)
-            const savedTasks = localStorage.getItem('mindkeep_tasks');
-            const savedLists = localStorage.getItem('mindkeep_task_lists');
-
-            if (savedTasks) {
-                const tasksArray = JSON.parse(savedTasks);
-                tasksArray.forEach(task => this.tasks.set(task.id, task));
-            }
-
-            if (savedLists) {
-                const listsArray = JSON.parse(savedLists);
-                listsArray.forEach(list => this.taskLists.set(list.id, list));
-            }
+            await this.migrateLocalStorageTasks()
+                .catch(error => console.warn('Error moving tasks out of localStorage:', error));
+
+            const { tasks, lists } = await window.electronAPI.getTasks();
+            this.tasks.clear();
+            this.taskLists.clear();
+            tasks.forEach(task => this.tasks.set(task.id, task));
+            lists.forEach(list => this.taskLists.set(list.id, list));
         } catch (error) {
             console.warn('Error loading task data:', error);
         }
+        this.setupDefaultList();
+    }
+
+    // Tasks used to live in localStorage; hand them to the database once, then drop the local copy
+    async migrateLocalStorageTasks() {
+        const savedTasks = localStorage.getItem('mindkeep_tasks');
+        const savedLists = localStorage.getItem('mindkeep_task_lists');
+        if (!savedTasks && !savedLists) return;
+
+        const tasks = savedTasks ? JSON.parse(savedTasks) : [];
+        const lists = savedLists ? JSON.parse(savedLists) : [];
+        const imported = await window.electronAPI.importTasks(tasks, lists);
+
+        localStorage.removeItem('mindkeep_tasks');
+        localStorage.removeItem('mindkeep_task_lists');
+        logger.info('Moved tasks from localStorage into the database', { imported });
     }
 
-    async saveTaskData() {
+    async saveTask(task) {
         try {
-            const tasksArray = Array.from(this.tasks.values());
-            const listsArray = Array.from(this.taskLists.values());
+            await window.electronAPI.saveTask(task);
+        } catch (error) {
+            console.warn('Error saving task:', error);
+        }
+    }
 
-            localStorage.setItem('mindkeep_tasks', JSON.stringify(tasksArray));
-            localStorage.setItem('mindkeep_task_lists', JSON.stringify(listsArray));
+    async saveTaskList(list) {
+        try {
+            await window.electronAPI.saveTaskList(list);
         } catch (error) {
-            console.warn('Error saving task data:', error);
+            console.warn('Error saving task list:', error);
         }
     }
 
@@ -3979,7 +4724,7 @@ class DedicatedTaskManager {
         };
 
         this.tasks.set(task.id, task);
-        this.saveTaskData();
+        this.saveTask(task);
         this.refreshTasksView();
         return task;
     }
@@ -3994,7 +4739,7 @@ class DedicatedTaskManager {
         };
 
         this.taskLists.set(list.id, list);
-        this.saveTaskData();
+        this.saveTaskList(list);
         this.refreshTaskListsView();
         this.updateTaskListDropdown(); // Update dropdown immediately
         return list;
@@ -4014,7 +4759,7 @@ class DedicatedTaskManager {
                 task.completedAt = null;
             }
 
-            this.saveTaskData();
+            this.saveTask(task);
             this.refreshTasksView();
         }
     }
@@ -4022,7 +4767,7 @@ class DedicatedTaskManager {
     deleteTask(taskId) {
         if (this.tasks.has(taskId)) {
             this.tasks.delete(taskId);
-            this.saveTaskData();
+            window.electronAPI.deleteTask(taskId).catch(error => console.warn('Error deleting task:', error));
             this.refreshTasksView();
         }
     }
@@ -4043,7 +4788,7 @@ class DedicatedTaskManager {
             this.currentListId = 'default';
         }
 
-        this.saveTaskData();
+        window.electronAPI.deleteTaskList(listId).catch(error => console.warn('Error deleting task list:', error));
         this.refreshTaskListsView();
         this.refreshTasksView();
     }
@@ -4263,6 +5008,7 @@ let dedicatedTaskManager;
 document.addEventListener('DOMContentLoaded', () => {
     // Wait a bit for notes to load, then initialize managers
     setTimeout(() => {
+        if (vaultLocked) return;
         initializeTagManager();
         initializeTaskManager();
         initializeDedicatedTaskManager();
@@ -4632,7 +5378,7 @@ function showAbout() {
 async function saveQuickCapture() {
     const title = document.getElementById('quickCaptureTitle').value.trim() || 'Quick Note';
     const content = document.getElementById('quickCaptureContent').value.trim();
-    const category = document.getElementById('quickCaptureCategory').value || 'General';
+    const categoryId = document.getElementById('quickCaptureCategory').value || DEFAULT_CATEGORY_ID;
 
     if (!content) {
         // Hide quick capture modal temporarily
@@ -4644,7 +5390,7 @@ async function saveQuickCapture() {
             'Do you want to save this note without any content?',
             async () => {
                 // User confirmed - save empty note
-                await performQuickCaptureSave(title, content, category);
+                await performQuickCaptureSave(title, content, categoryId);
             },
             () => {
                 // User cancelled - show quick capture modal again
@@ -4656,10 +5402,10 @@ async function saveQuickCapture() {
     }
 
     // Extract this logic to a separate function for reuse
-    await performQuickCaptureSave(title, content, category);
+    await performQuickCaptureSave(title, content, categoryId);
 }
 
-async function performQuickCaptureSave(title, content, category) {
+async function performQuickCaptureSave(title, content, categoryId) {
     // Get tags from quick capture if available
     const tagsInput = document.getElementById('quickCaptureTags');
     let tags = [];
@@ -4686,7 +5432,7 @@ async function performQuickCaptureSave(title, content, category) {
         id: Date.now().toString(),
         title: title,
         content: content,
-        category: category,
+        ...getCategoryFields(categoryId),
         tags: tags,
         description: '',
         createdAt: new Date().toISOString(),
@@ -4695,15 +5441,6 @@ async function performQuickCaptureSave(title, content, category) {
 
     try {
         await window.electronAPI.saveNote(note);
-        notes = await window.electronAPI.getNotes();
-
-        // Update search index
-        const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
-        searchIndex.addDocument(note.id, searchContent, {
-            title: note.title,
-            category: note.category,
-            updatedAt: note.updatedAt
-        });
 
         updateNotesList();
         updateCategorySelector();
@@ -4725,7 +5462,7 @@ async function performQuickCaptureSave(title, content, category) {
 async function saveAndEditQuickCapture() {
     const title = document.getElementById('quickCaptureTitle').value.trim() || 'Quick Note';
     const content = document.getElementById('quickCaptureContent').value.trim();
-    const category = document.getElementById('quickCaptureCategory').value || 'General';
+    const categoryId = document.getElementById('quickCaptureCategory').value || DEFAULT_CATEGORY_ID;
 
     if (!content) {
         // Hide quick capture modal temporarily
@@ -4737,7 +5474,7 @@ async function saveAndEditQuickCapture() {
             'Do you want to save this empty note and edit it?',
             async () => {
                 // User confirmed - save empty note and edit
-                await performSaveAndEditQuickCapture(title, content, category);
+                await performSaveAndEditQuickCapture(title, content, categoryId);
             },
             () => {
                 // User cancelled - show quick capture modal again
@@ -4749,10 +5486,10 @@ async function saveAndEditQuickCapture() {
     }
 
     // Extract this logic to a separate function for reuse
-    await performSaveAndEditQuickCapture(title, content, category);
+    await performSaveAndEditQuickCapture(title, content, categoryId);
 }
 
-async function performSaveAndEditQuickCapture(title, content, category) {
+async function performSaveAndEditQuickCapture(title, content, categoryId) {
     // Get tags from quick capture if available
     const tagsInput = document.getElementById('quickCaptureTags');
     let tags = [];
@@ -4779,7 +5516,7 @@ async function performSaveAndEditQuickCapture(title, content, category) {
         id: Date.now().toString(),
         title: title,
         content: content,
-        category: category,
+        ...getCategoryFields(categoryId),
         tags: tags,
         description: '',
         createdAt: new Date().toISOString(),
@@ -4788,15 +5525,6 @@ async function performSaveAndEditQuickCapture(title, content, category) {
 
     try {
         await window.electronAPI.saveNote(note);
-        notes = await window.electronAPI.getNotes();
-
-        // Update search index
-        const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
-        searchIndex.addDocument(note.id, searchContent, {
-            title: note.title,
-            category: note.category,
-            updatedAt: note.updatedAt
-        });
 
         updateNotesList();
         updateCategorySelector();
@@ -4830,22 +5558,21 @@ function handleCategoryDragLeave(event) {
     event.currentTarget.classList.remove('drag-over');
 }
 
-async function handleCategoryDrop(event, categoryName) {
+async function handleCategoryDrop(event, categoryId) {
     event.preventDefault();
     event.currentTarget.classList.remove('drag-over');
     
-    if (draggedNoteId && categoryName) {
+    if (draggedNoteId && categoryId) {
         const note = notes.find(n => n.id === draggedNoteId);
-        if (note && note.category !== categoryName) {
-            note.category = categoryName;
+        if (note && note.categoryId !== categoryId) {
+            Object.assign(note, getCategoryFields(categoryId));
             note.updatedAt = new Date().toISOString();
             
             try {
                 await window.electronAPI.saveNote(note);
-                notes = await window.electronAPI.getNotes();
                 updateNotesList();
                 updateCategorySelector();
-                showAlert('✅ Success', `Note moved to ${categoryName}`);
+                showAlert('✅ Success', `Note moved to ${note.category}`);
             } catch (error) {
                 showAlert('❌ Error', 'Error moving note: ' + error.message);
             }
@@ -5013,7 +5740,7 @@ function updateSuggestionSelection() {
     `;
     
     const suggestionsHtml = currentSuggestions.map((note, index) => {
-        const category = categories.find(cat => cat.name === note.category) || { color: '#4a9eff' };
+        const category = getCategoryById(note.categoryId) || { color: '#4a9eff' };
         const isSelected = index === selectedSuggestionIndex;
         const preview = note.content ? note.content.replace(/<[^>]*>/g, '').substring(0, 80) + '...' : 'No content';
         const updatedDate = new Date(note.updatedAt).toLocaleDateString();
@@ -5203,15 +5930,15 @@ function setupNoteLinkClicks() {
 }
 
 // Category context menu functions
-let contextCategoryName = null;
+let contextCategoryId = null;
 
-function showCategoryContextMenu(event, categoryName) {
+function showCategoryContextMenu(event, categoryId) {
     event.preventDefault();
     event.stopPropagation();
     
-    if (categoryName === 'General') return;
+    if (categoryId === DEFAULT_CATEGORY_ID) return;
     
-    contextCategoryName = categoryName;
+    contextCategoryId = categoryId;
     const categoryContextMenu = document.getElementById('categoryContextMenu');
     
     if (categoryContextMenu) {
@@ -5248,33 +5975,33 @@ function showCategoryContextMenu(event, categoryName) {
 
 function hideCategoryContextMenu() {
     document.getElementById('categoryContextMenu').style.display = 'none';
-    contextCategoryName = null;
+    contextCategoryId = null;
 }
 
 function contextEditCategory() {
-    if (contextCategoryName) {
-        const category = categories.find(cat => cat.name === contextCategoryName);
+    if (contextCategoryId) {
+        const category = getCategoryById(contextCategoryId);
         if (category) {
-            editingCategory = contextCategoryName;
+            editingCategory = contextCategoryId;
             document.getElementById('categoryModalTitle').textContent = '✏️ Edit Category';
             document.getElementById('categorySaveBtn').textContent = 'Update';
             document.getElementById('categoryNameInput').value = category.name;
             document.getElementById('categoryColorInput').value = category.color;
             
-            const buildHierarchicalOptions = (parentName = null, level = 0) => {
-                const children = categories.filter(cat => cat.parent === parentName && cat.name !== contextCategoryName);
+            const buildHierarchicalOptions = (parentId = null, level = 0) => {
+                const children = categories.filter(cat => cat.parentId === parentId && cat.id !== contextCategoryId);
                 let options = '';
                 children.forEach(cat => {
                     const indent = '\u00A0\u00A0\u00A0'.repeat(level);
-                    options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-                    options += buildHierarchicalOptions(cat.name, level + 1);
+                    options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+                    options += buildHierarchicalOptions(cat.id, level + 1);
                 });
                 return options;
             };
             
             const parentSelect = document.getElementById('parentCategoryInput');
             parentSelect.innerHTML = '<option value="">No parent (root category)</option>' + buildHierarchicalOptions();
-            parentSelect.value = category.parent || '';
+            parentSelect.value = category.parentId || '';
             
             document.getElementById('categoryModal').style.display = 'flex';
             document.getElementById('categoryNameInput').focus();
@@ -5284,27 +6011,27 @@ function contextEditCategory() {
 }
 
 function contextCreateSubcategory() {
-    if (contextCategoryName) {
+    if (contextCategoryId) {
         editingCategory = null;
         document.getElementById('categoryModalTitle').textContent = '📁 Add Subcategory';
         document.getElementById('categorySaveBtn').textContent = 'Create';
         document.getElementById('categoryNameInput').value = '';
         document.getElementById('categoryColorInput').value = '#4a9eff';
         
-        const buildHierarchicalOptions = (parentName = null, level = 0) => {
-            const children = categories.filter(cat => cat.parent === parentName);
+        const buildHierarchicalOptions = (parentId = null, level = 0) => {
+            const children = categories.filter(cat => cat.parentId === parentId);
             let options = '';
             children.forEach(cat => {
                 const indent = '\u00A0\u00A0\u00A0'.repeat(level);
-                options += `<option value="${cat.name}">${indent}${cat.name}</option>`;
-                options += buildHierarchicalOptions(cat.name, level + 1);
+                options += `<option value="${cat.id}">${indent}${cat.name}</option>`;
+                options += buildHierarchicalOptions(cat.id, level + 1);
             });
             return options;
         };
         
         const parentSelect = document.getElementById('parentCategoryInput');
         parentSelect.innerHTML = '<option value="">No parent (root category)</option>' + buildHierarchicalOptions();
-        parentSelect.value = contextCategoryName;
+        parentSelect.value = contextCategoryId;
         
         document.getElementById('categoryModal').style.display = 'flex';
         document.getElementById('categoryNameInput').focus();
@@ -5313,8 +6040,8 @@ function contextCreateSubcategory() {
 }
 
 function contextDeleteCategory() {
-    if (contextCategoryName) {
-        deleteCategory(contextCategoryName, true); // true = from context menu
+    if (contextCategoryId) {
+        deleteCategory(contextCategoryId, true); // true = from context menu
     }
     hideCategoryContextMenu();
 }
@@ -5389,6 +6116,14 @@ function contextPinNote() {
     hideNoteContextMenu();
 }
 
+function contextLockNote() {
+    const note = notes.find(n => n.id === contextNoteId);
+    if (note) {
+        showNoteLockModal(note);
+    }
+    hideNoteContextMenu();
+}
+
 function contextDeleteNote() {
     if (contextNoteId) {
         currentNote = notes.find(n => n.id === contextNoteId);
@@ -5397,12 +6132,83 @@ function contextDeleteNote() {
     hideNoteContextMenu();
 }
 
+// Lock a note with its own password, or remove the lock again
+let noteLockTargetId = null;
+
+function showNoteLockModal(note) {
+    const locking = !note.lock;
+    noteLockTargetId = note.id;
+
+    document.getElementById('noteLockTitle').textContent = locking ? '🔒 Lock Note' : '🔓 Remove Lock';
+    document.getElementById('noteLockInfo').textContent = locking
+        ? `"${note.title}" will only open with this password, and its content is left out of search. The password cannot be recovered.`
+        : `Enter the password of "${note.title}" to store it unencrypted again.`;
+    document.getElementById('noteLockConfirm').style.display = locking ? 'block' : 'none';
+    document.getElementById('noteLockSubmit').textContent = locking ? 'Lock' : 'Remove Lock';
+    document.getElementById('noteLockPassword').value = '';
+    document.getElementById('noteLockConfirm').value = '';
+
+    showMainModal('noteLockModal');
+    document.getElementById('noteLockPassword').focus();
+}
+
+function closeNoteLockModal() {
+    closeMainModal('noteLockModal');
+    noteLockTargetId = null;
+}
+
+async function submitNoteLock(options = {}) {
+    const note = notes.find(n => n.id === noteLockTargetId);
+    if (!note) {
+        closeNoteLockModal();
+        return;
+    }
+
+    const password = document.getElementById('noteLockPassword').value;
+    if (!note.lock && password !== document.getElementById('noteLockConfirm').value) {
+        showAlert('⚠️ Warning', 'The passwords do not match.');
+        return;
+    }
+
+    try {
+        const result = note.lock
+            ? await window.electronAPI.removeNoteLock(note.id, password)
+            : await window.electronAPI.lockNote(note, password, options);
+        if (!result.success && result.gitHistory) {
+            showConfirm(
+                'Remove From Git History',
+                `<p>Earlier versions of this note are in the vault's git history in plain text, and locking it would not hide them.</p>
+                <p>Rewrite the history without them? Every commit since the note was added gets a new hash, and its earlier versions are gone for good.</p>`,
+                () => submitNoteLock({ removeGitHistory: true }),
+                'Rewrite and Lock'
+            );
+            return;
+        }
+        if (!result.success) {
+            showAlert('❌ Error', result.error);
+            return;
+        }
+
+        closeNoteLockModal();
+        unlockedNote = null;
+        updateNotesList();
+
+        if (currentNote && currentNote.id === note.id && document.getElementById('viewer').style.display !== 'none') {
+            viewNote(note.id);
+        }
+        logger.info(note.lock ? 'Note lock removed' : 'Note locked', { noteId: note.id });
+    } catch (error) {
+        logger.error('Failed to change note lock', error);
+        showAlert('❌ Error', 'Failed to change note lock: ' + error.message);
+    }
+}
+
 // Category drag and drop reordering
-let draggedCategoryName = null;
+let draggedCategoryId = null;
 
 function handleCategoryDragStart(event) {
     const categoryItem = event.target.closest('.category-item');
-    draggedCategoryName = categoryItem.dataset.categoryName;
+    draggedCategoryId = categoryItem.dataset.categoryId;
     categoryItem.classList.add('dragging');
     event.dataTransfer.effectAllowed = 'move';
 }
@@ -5410,7 +6216,7 @@ function handleCategoryDragStart(event) {
 function handleCategoryDragEnd(event) {
     const categoryItem = event.target.closest('.category-item');
     categoryItem.classList.remove('dragging');
-    draggedCategoryName = null;
+    draggedCategoryId = null;
     // Remove all drag-over indicators
     document.querySelectorAll('.category-item').forEach(item => {
         item.classList.remove('drag-over-reorder');
@@ -5418,12 +6224,12 @@ function handleCategoryDragEnd(event) {
 }
 
 function handleCategoryReorderDragOver(event) {
-    if (!draggedCategoryName) return;
+    if (!draggedCategoryId) return;
     event.preventDefault();
     event.dataTransfer.dropEffect = 'move';
     
-    const targetCategoryName = event.currentTarget.dataset.categoryName;
-    if (targetCategoryName && targetCategoryName !== draggedCategoryName) {
+    const targetCategoryId = event.currentTarget.dataset.categoryId;
+    if (targetCategoryId && targetCategoryId !== draggedCategoryId) {
         event.currentTarget.classList.add('drag-over-reorder');
     }
 }
@@ -5432,12 +6238,12 @@ async function handleCategoryReorderDrop(event) {
     event.preventDefault();
     event.currentTarget.classList.remove('drag-over-reorder');
     
-    const targetCategoryName = event.currentTarget.dataset.categoryName;
+    const targetCategoryId = event.currentTarget.dataset.categoryId;
     
-    if (draggedCategoryName && targetCategoryName && draggedCategoryName !== targetCategoryName) {
+    if (draggedCategoryId && targetCategoryId && draggedCategoryId !== targetCategoryId) {
         // Find the categories in the array
-        const draggedIndex = categories.findIndex(cat => cat.name === draggedCategoryName);
-        const targetIndex = categories.findIndex(cat => cat.name === targetCategoryName);
+        const draggedIndex = categories.findIndex(cat => cat.id === draggedCategoryId);
+        const targetIndex = categories.findIndex(cat => cat.id === targetCategoryId);
         
         if (draggedIndex !== -1 && targetIndex !== -1) {
             // Swap the categories in the array
@@ -5447,6 +6253,16 @@ async function handleCategoryReorderDrop(event) {
             
             // Update the display
             updateCategorySelector();
+            
+            // Save the new order so it survives a restart
+            try {
+                await window.electronAPI.reorderCategories(categories.map(cat => cat.id));
+            } catch (error) {
+                logger.error('Error saving category order', { error });
+                showAlert('❌ Error', 'Error saving category order: ' + error.message);
+                categories = await window.electronAPI.getCategories();
+                updateCategorySelector();
+            }
         }
     }
 }
@@ -5586,24 +6402,14 @@ async function refreshApp() {
     logger.info('Refreshing application');
 
     try {
-        // Reload data from database
-        categories = await window.electronAPI.getCategories();
-        notes = await window.electronAPI.getNotes();
-
-        // Rebuild search index
-        searchIndex.clear();
-        notes.forEach(note => {
-            const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
-            searchIndex.addDocument(note.id, searchContent, {
-                title: note.title,
-                category: note.category,
-                updatedAt: note.updatedAt
-            });
-        });
+        // Reload data from database and rebuild the search index
+        await loadNotesSnapshot();
+        trashedNotes = await window.electronAPI.getTrash();
 
         // Reset UI state
         currentNote = null;
         currentCategory = 'all';
+        viewingTrash = false;
 
         // Clear any bulk selection
         if (bulkMode) {
@@ -5704,293 +6510,1608 @@ function showEnhancedAlert(title, message, type = 'info') {
         info: 'ℹ️'
     };
 
-    return showEnhancedConfirm({
-        icon: icons[type] || icons.info,
-        title: title,
-        message: message,
-        confirmText: 'OK',
-        cancelText: null
-    }).then(() => {
-        // Alert only has OK button, so we don't need to handle the result
+    return showEnhancedConfirm({
+        icon: icons[type] || icons.info,
+        title: title,
+        message: message,
+        confirmText: 'OK',
+        cancelText: null
+    }).then(() => {
+        // Alert only has OK button, so we don't need to handle the result
+    });
+}
+
+// Track main modals
+function showMainModal(modalId) {
+    currentMainModal = modalId;
+    document.getElementById(modalId).style.display = 'flex';
+}
+
+function closeMainModal(modalId) {
+    document.getElementById(modalId).style.display = 'none';
+    if (currentMainModal === modalId) {
+        currentMainModal = null;
+    }
+}
+
+// Backup System Functions
+function showBackupModal() {
+    showMainModal('backupModal');
+    loadBackupSlots();
+    showBackupTab('manage');
+}
+
+function closeBackupModal() {
+    closeMainModal('backupModal');
+}
+
+function showBackupTab(tabName) {
+    // Update tab buttons
+    document.querySelectorAll('.backup-tab').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    document.querySelector(`[onclick="showBackupTab('${tabName}')"]`).classList.add('active');
+
+    // Show/hide tab content
+    document.getElementById('backupTabManage').style.display = tabName === 'manage' ? 'block' : 'none';
+    document.getElementById('backupTabImport').style.display = tabName === 'import' ? 'block' : 'none';
+    document.getElementById('backupTabSchedule').style.display = tabName === 'schedule' ? 'block' : 'none';
+    document.getElementById('backupTabDestinations').style.display = tabName === 'destinations' ? 'block' : 'none';
+
+    if (tabName === 'import') {
+        loadExportBackupOptions();
+    } else if (tabName === 'schedule') {
+        loadBackupSchedule();
+    } else if (tabName === 'destinations') {
+        loadBackupDestinations();
+    }
+}
+
+// Display name for a backup: its own name, or what created it
+function getBackupLabel(backup) {
+    if (backup.name) return backup.name;
+    if (backup.type === 'auto') {
+        const triggers = { hourly: 'hourly', daily: 'daily', quit: 'on quit', changes: 'after changes' };
+        return `Automatic backup (${triggers[backup.trigger] || backup.trigger})`;
+    }
+    if (backup.type === 'snapshot') return 'Safety snapshot';
+    return 'Manual backup';
+}
+
+async function loadBackupSlots() {
+    try {
+        const backups = await window.electronAPI.invoke('backup-list');
+        const slotsContainer = document.getElementById('backupSlots');
+
+        if (backups.length === 0) {
+            slotsContainer.innerHTML = '<div class="backup-empty">No backups yet. Create one below or set up automatic backups in the Schedule tab.</div>';
+            return;
+        }
+
+        slotsContainer.innerHTML = backups.map(backup => {
+            const label = exportManager.escapeHtml(getBackupLabel(backup));
+
+            if (backup.error) {
+                return `
+                    <div class="backup-slot empty">
+                        <div class="backup-slot-info">
+                            <div class="backup-slot-title">${label}</div>
+                            <div class="backup-slot-details">⚠️ ${backup.error} • ${formatFileSize(backup.size)}</div>
+                        </div>
+                        <div class="backup-slot-actions">
+                            <button class="backup-slot-btn delete" onclick="deleteBackup('${backup.id}')">Delete</button>
+                        </div>
+                    </div>
+                `;
+            }
+
+            const date = new Date(backup.timestamp);
+            const formattedDate = date.toLocaleDateString();
+            const formattedTime = date.toLocaleTimeString();
+
+            return `
+                <div class="backup-slot">
+                    <div class="backup-slot-info">
+                        <div class="backup-slot-title">${label}<span class="backup-type-badge">${backup.type}</span></div>
+                        <div class="backup-slot-details">
+                            📅 ${formattedDate} at ${formattedTime} • 💾 ${formatFileSize(backup.size)}<br>
+                            📝 ${backup.notesCount} notes, 📁 ${backup.categoriesCount} categories${backup.taskCount ? `, ✅ ${backup.taskCount} tasks` : ''}${backup.mealCount ? `, 🍽️ ${backup.mealCount} meals` : ''}${backup.trashCount ? `, 🗑️ ${backup.trashCount} in trash` : ''}
+                        </div>
+                    </div>
+                    <div class="backup-slot-actions">
+                        <button class="backup-slot-btn restore" onclick="restoreBackup('${backup.id}')">Restore</button>
+                        <button class="backup-slot-btn" onclick="verifyBackup('${backup.id}')">Verify</button>
+                        <button class="backup-slot-btn" onclick="exportBackup('${backup.id}')">Export</button>
+                        <button class="backup-slot-btn delete" onclick="deleteBackup('${backup.id}')">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+    } catch (error) {
+        logger.error('Failed to load backups', error);
+        showAlert('❌ Error', 'Failed to load backups: ' + error.message);
+    }
+}
+
+async function createBackup() {
+    const nameInput = document.getElementById('backupNameInput');
+    const name = nameInput.value.trim();
+
+    try {
+        logger.info('Creating backup', { name });
+
+        const result = await window.electronAPI.invoke('backup-create', name);
+
+        if (result.success) {
+            nameInput.value = '';
+            const notCopied = result.mirrors.filter(mirror => mirror.result !== 'copied');
+            const warnings = notCopied.map(mirror => `\n⚠️ Not copied to ${mirror.path}: ${mirror.message}`).join('');
+            await showEnhancedAlert('Backup Created', `Backup ${result.name ? `"${result.name}" ` : ''}created successfully!\n${result.notesCount} notes backed up.${warnings}`, notCopied.length > 0 ? 'warning' : 'success');
+            loadBackupSlots(); // Refresh the backup list
+        } else {
+            await showEnhancedAlert('Backup Failed', 'Backup failed: ' + result.error, 'error');
+        }
+
+    } catch (error) {
+        logger.error('Backup creation failed', error);
+        await showEnhancedAlert('Backup Failed', 'Backup failed: ' + error.message, 'error');
+    }
+}
+
+// Restoring starts with a preview of what would change; everything or only chosen notes and
+// categories can then be restored
+let restorePreview = null;
+
+async function restoreBackup(id) {
+    try {
+        const preview = await window.electronAPI.invoke('backup-preview-restore', id);
+        if (!preview.success) {
+            await showEnhancedAlert('Restore Failed', 'Cannot read this backup: ' + preview.error, 'error');
+            return;
+        }
+
+        restorePreview = preview;
+        renderRestorePreview();
+        closeBackupModal();
+        showMainModal('restorePreviewModal');
+    } catch (error) {
+        logger.error('Restore preview failed', error);
+        await showEnhancedAlert('Restore Failed', 'Restore failed: ' + error.message, 'error');
+    }
+}
+
+const RESTORE_STATUS_LABELS = { added: 'Restored', removed: 'Removed', changed: 'Changed' };
+
+function renderRestorePreview() {
+    const { summary, notes, categories } = restorePreview;
+    const date = new Date(restorePreview.backupTimestamp).toLocaleString();
+
+    document.getElementById('restorePreviewSummary').textContent =
+        `Restoring everything from the backup of ${date} would bring back ${summary.notesAdded} notes, ` +
+        `change ${summary.notesChanged} and remove ${summary.notesRemoved} (${summary.notesUnchanged} are the same). ` +
+        'Tick notes or categories to restore only those; nothing else is touched.';
+
+    const checkbox = (kind, entry) => entry.status === 'removed'
+        ? ''
+        : `<input type="checkbox" data-restore-${kind}="${exportManager.escapeHtml(entry.id)}">`;
+
+    document.getElementById('restorePreviewCategories').innerHTML = categories.length === 0 ? '' : `
+        <h4>Categories</h4>
+        ${categories.map(cat => `
+            <label class="restore-preview-item">
+                ${checkbox('category', cat)}
+                <span class="restore-status ${cat.status}">${RESTORE_STATUS_LABELS[cat.status]}</span>
+                <span class="restore-preview-title">${exportManager.escapeHtml(cat.parent ? `${cat.parent} / ${cat.name}` : cat.name)}</span>
+                <span class="restore-preview-meta">${cat.status === 'changed'
+                    ? `now "${exportManager.escapeHtml(cat.current.name)}"${cat.current.parent ? ` in ${exportManager.escapeHtml(cat.current.parent)}` : ''}`
+                    : (cat.status === 'removed' ? 'not in the backup' : '')}${cat.notesCount ? ` • ${cat.notesCount} notes` : ''}</span>
+            </label>
+        `).join('')}
+    `;
+
+    document.getElementById('restorePreviewNotes').innerHTML = notes.length === 0
+        ? '<em>The notes in this backup are the same as the current ones.</em>'
+        : `<h4>Notes</h4>${notes.map(note => `
+            <details class="restore-preview-note">
+                <summary class="restore-preview-item">
+                    ${checkbox('note', note)}
+                    <span class="restore-status ${note.status}">${RESTORE_STATUS_LABELS[note.status]}</span>
+                    <span class="restore-preview-title">${exportManager.escapeHtml(note.title)}</span>
+                    <span class="restore-preview-meta">${exportManager.escapeHtml(note.category)}${note.locked ? ' • 🔒' : ''}</span>
+                </summary>
+                <div class="restore-preview-diff">${renderRestoreNoteDetails(note)}</div>
+            </details>
+        `).join('')}`;
+
+    document.querySelectorAll('#restorePreviewModal input[type="checkbox"]').forEach(input => {
+        input.addEventListener('change', updateRestoreSelection);
+    });
+    updateRestoreSelection();
+}
+
+function renderRestoreNoteDetails(note) {
+    if (note.status === 'changed') {
+        return note.changes.length > 0
+            ? renderDiffChanges(note.changes)
+            : '<em>The locked contents differ; they cannot be compared without the note password.</em>';
+    }
+    const heading = note.status === 'added' ? 'Only in the backup' : 'Not in the backup; a full restore removes it';
+    return `<div class="diff-field-label">${heading}</div><div>${exportManager.escapeHtml(note.preview) || '<em>No text</em>'}</div>`;
+}
+
+function getRestoreSelection() {
+    const ids = kind => Array.from(document.querySelectorAll(`#restorePreviewModal input[data-restore-${kind}]:checked`))
+        .map(input => input.getAttribute(`data-restore-${kind}`));
+    return { noteIds: ids('note'), categoryIds: ids('category') };
+}
+
+function updateRestoreSelection() {
+    const { noteIds, categoryIds } = getRestoreSelection();
+    const button = document.getElementById('restoreSelectedButton');
+    button.disabled = noteIds.length + categoryIds.length === 0;
+    button.textContent = button.disabled ? 'Restore Selected' : `Restore Selected (${noteIds.length + categoryIds.length})`;
+}
+
+async function restoreSelectedFromBackup() {
+    const selection = getRestoreSelection();
+
+    try {
+        logger.info('Restoring part of a backup', { id: restorePreview.backupId, ...selection });
+        const result = await window.electronAPI.invoke('backup-restore-selected', restorePreview.backupId, selection);
+        if (!result.success) {
+            await showEnhancedAlert('Restore Failed', 'Restore failed: ' + result.error, 'error');
+            return;
+        }
+
+        // Restored notes and categories arrive as change events
+        closeRestorePreview();
+        updateNotesList();
+        updateCategorySelector();
+        await showEnhancedAlert('Restore Complete',
+            `${result.notesRestored} notes and ${result.categoriesRestored} categories restored. ` +
+            'A safety snapshot of the previous state is in the backup list.', 'success');
+    } catch (error) {
+        logger.error('Selective restore failed', error);
+        await showEnhancedAlert('Restore Failed', 'Restore failed: ' + error.message, 'error');
+    }
+}
+
+async function restoreWholeBackup() {
+    const id = restorePreview.backupId;
+    const { summary } = restorePreview;
+    const confirmed = await showEnhancedConfirm({
+        icon: '🔄',
+        title: 'Restore Backup',
+        message: 'Replace all current data with this backup?',
+        details: `
+            <h4>⚠️ Warning:</h4>
+            <ul>
+                <li>All notes, categories, tasks and meal plans are replaced by the backup's</li>
+                <li>${summary.notesRemoved} notes not in the backup are removed and ${summary.notesChanged} go back to the backup's version</li>
+                <li>A safety snapshot of your current data is saved first, so you can go back</li>
+            </ul>
+        `,
+        confirmText: 'Restore Everything',
+        cancelText: 'Cancel',
+        type: 'danger'
+    });
+
+    if (!confirmed) return;
+
+    try {
+        logger.info('Restoring backup', { id });
+
+        const result = await window.electronAPI.invoke('backup-restore', id);
+
+        if (result.success) {
+            closeRestorePreview();
+            const tasksRestored = result.tasksRestored ? `, ${result.tasksRestored} tasks` : '';
+            await showEnhancedAlert('Restore Complete', `Backup restored successfully!\n${result.notesRestored} notes${tasksRestored} and ${result.categoriesRestored} categories restored.`, 'success');
+
+            await refreshAfterRestore();
+
+        } else {
+            await showEnhancedAlert('Restore Failed', 'Restore failed: ' + result.error, 'error');
+        }
+
+    } catch (error) {
+        logger.error('Backup restore failed', error);
+        await showEnhancedAlert('Restore Failed', 'Restore failed: ' + error.message, 'error');
+    }
+}
+
+// Refresh the entire app after all data was replaced (restored notes and categories arrive as change events)
+async function refreshAfterRestore() {
+    trashedNotes = await window.electronAPI.getTrash();
+    if (dedicatedTaskManager) {
+        await dedicatedTaskManager.loadTaskData();
+        dedicatedTaskManager.refreshTaskListsView();
+        dedicatedTaskManager.refreshTasksView();
+    }
+    if (mealPlanner) {
+        await mealPlanner.loadMealData();
+        mealPlanner.refreshMealPlannerView();
+    }
+    updateNotesList();
+    updateCategorySelector();
+}
+
+// back: return to the backup list
+function closeRestorePreview(back = false) {
+    closeMainModal('restorePreviewModal');
+    restorePreview = null;
+    if (back) {
+        showBackupModal();
+    }
+}
+
+// Checks the backup against the checksums in its manifest, so damage shows up before a restore
+async function verifyBackup(id) {
+    try {
+        const result = await window.electronAPI.invoke('backup-verify', id);
+
+        if (!result.success) {
+            await showEnhancedAlert('Verify Failed', 'Cannot check this backup: ' + result.error, 'error');
+        } else if (!result.valid) {
+            const shown = result.problems.slice(0, 10);
+            const more = result.problems.length - shown.length;
+            await showEnhancedConfirm({
+                icon: '❌',
+                title: 'Backup Damaged',
+                message: result.error,
+                details: `
+                    <h4>⚠️ Do not restore from this backup.</h4>
+                    ${shown.length > 0 ? `<ul>
+                        ${shown.map(problem => `<li>${exportManager.escapeHtml(problem)}</li>`).join('')}
+                        ${more > 0 ? `<li>…and ${more} more</li>` : ''}
+                    </ul>` : ''}
+                `,
+                confirmText: 'OK',
+                cancelText: null
+            });
+        } else if (result.format === 'legacy') {
+            await showEnhancedAlert('Backup Readable', 'This backup was made by an older version without checksums. It can be read, but damage to individual notes cannot be detected.', 'warning');
+        } else {
+            await showEnhancedAlert('Backup OK', `All ${result.checkedRecords} records match the backup's checksums.`, 'success');
+        }
+
+    } catch (error) {
+        logger.error('Backup verify failed', error);
+        await showEnhancedAlert('Verify Failed', 'Verify failed: ' + error.message, 'error');
+    }
+}
+
+async function exportBackup(id) {
+    try {
+        logger.info('Exporting backup', { id });
+
+        const result = await window.electronAPI.invoke('backup-export', id);
+
+        if (result.success) {
+            await showEnhancedAlert('Export Complete', `Backup exported successfully to:\n${result.exportPath}`, 'success');
+        } else {
+            await showEnhancedAlert('Export Failed', 'Export failed: ' + result.error, 'error');
+        }
+
+    } catch (error) {
+        logger.error('Backup export failed', error);
+        await showEnhancedAlert('Export Failed', 'Export failed: ' + error.message, 'error');
+    }
+}
+
+async function deleteBackup(id) {
+    const confirmed = await showEnhancedConfirm({
+        icon: '🗑️',
+        title: 'Delete Backup',
+        message: 'Are you sure you want to delete this backup?',
+        details: `
+            <h4>⚠️ Warning:</h4>
+            <ul>
+                <li>This backup will be permanently deleted</li>
+                <li>You will not be able to restore from it</li>
+                <li>This action cannot be undone</li>
+            </ul>
+        `,
+        confirmText: 'Delete Backup',
+        cancelText: 'Cancel',
+        type: 'danger'
+    });
+
+    if (!confirmed) return;
+
+    try {
+        logger.info('Deleting backup', { id });
+
+        const result = await window.electronAPI.invoke('backup-delete', id);
+
+        if (result.success) {
+            await showEnhancedAlert('Backup Deleted', 'Backup deleted successfully.', 'success');
+            loadBackupSlots(); // Refresh the backup list
+        } else {
+            await showEnhancedAlert('Delete Failed', 'Delete failed: ' + result.error, 'error');
+        }
+
+    } catch (error) {
+        logger.error('Backup delete failed', error);
+        await showEnhancedAlert('Delete Failed', 'Delete failed: ' + error.message, 'error');
+    }
+}
+
+async function loadExportBackupOptions() {
+    try {
+        const backups = await window.electronAPI.invoke('backup-list');
+        const select = document.getElementById('exportBackupSlot');
+
+        select.innerHTML = '<option value="">Select backup to export</option>';
+
+        backups.forEach(backup => {
+            if (!backup.error) {
+                const date = new Date(backup.timestamp);
+                const formattedDate = date.toLocaleDateString();
+                const formattedTime = date.toLocaleTimeString();
+
+                select.innerHTML += `
+                    <option value="${backup.id}">
+                        ${exportManager.escapeHtml(getBackupLabel(backup))} - ${formattedDate} ${formattedTime} (${backup.notesCount} notes)
+                    </option>
+                `;
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to load export options', error);
+    }
+}
+
+async function importBackupFile() {
+    const fileInput = document.getElementById('importFileInput');
+    const file = fileInput.files[0];
+
+    if (!file) {
+        showAlert('⚠️ Warning', 'Please select a backup file to import.');
+        return;
+    }
+
+    try {
+        logger.info('Importing backup file', { filename: file.name });
+
+        const result = await window.electronAPI.invoke('backup-import', window.electronAPI.getPathForFile(file));
+
+        if (result.success) {
+            const upgraded = result.migratedFrom ? '\nThe backup was upgraded from an older data format.' : '';
+            showAlert('✅ Success', `Backup imported successfully as "${result.name}"!\n${result.notesCount} notes and ${result.categoriesCount} categories imported.${upgraded}`);
+            loadBackupSlots(); // Refresh the backup list
+            fileInput.value = ''; // Clear the file input
+        } else {
+            showAlert('❌ Error', 'Import failed: ' + result.error);
+        }
+
+    } catch (error) {
+        logger.error('Backup import failed', error);
+        showAlert('❌ Error', 'Import failed: ' + error.message);
+    }
+}
+
+// Merging a backup file into the current notes: preview the conflicts, choose how each is resolved, merge
+let mergeBackupPath = null;
+
+const MERGE_RESOLUTION_LABELS = { newest: 'Newest wins', mine: 'Keep mine', theirs: 'Keep theirs', both: 'Keep both' };
+
+async function previewBackupMerge() {
+    const file = document.getElementById('importFileInput').files[0];
+    if (!file) {
+        showAlert('⚠️ Warning', 'Please select a backup file to merge.');
+        return;
+    }
+
+    try {
+        const filePath = window.electronAPI.getPathForFile(file);
+        const preview = await window.electronAPI.invoke('backup-preview-merge', filePath);
+        if (!preview.success) {
+            showAlert('❌ Error', 'Cannot merge this file: ' + preview.error);
+            return;
+        }
+
+        mergeBackupPath = filePath;
+        renderMergePreview(preview, file.name);
+        closeBackupModal();
+        showMainModal('mergeBackupModal');
+    } catch (error) {
+        logger.error('Merge preview failed', error);
+        showAlert('❌ Error', 'Merge failed: ' + error.message);
+    }
+}
+
+function renderMergePreview(preview, fileName) {
+    const { summary } = preview;
+    document.getElementById('mergeBackupSummary').textContent =
+        `${fileName}: ${summary.new} new notes, ${summary.conflicts} changed both here and in the file, ` +
+        `${summary.unchanged} already here and ${summary.duplicates} copies of notes you have under another id (skipped).` +
+        (preview.categoriesAdded.length > 0 ? ` New categories: ${preview.categoriesAdded.join(', ')}.` : '') +
+        ' A safety snapshot of your current data is saved before merging.';
+
+    const options = ['<option value="">As chosen above</option>', ...Object.entries(MERGE_RESOLUTION_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)].join('');
+
+    document.getElementById('mergeBackupList').innerHTML = preview.conflicts.length === 0 ? '' : `
+        <h4>Changed in both</h4>
+        ${preview.conflicts.map(conflict => `
+            <details class="restore-preview-note">
+                <summary class="restore-preview-item">
+                    <span class="restore-preview-title">${exportManager.escapeHtml(conflict.title)}</span>
+                    <span class="restore-preview-meta">mine ${new Date(conflict.mine.updatedAt).toLocaleString()} •
+                        theirs ${new Date(conflict.theirs.updatedAt).toLocaleString()}</span>
+                    <select data-merge-note="${exportManager.escapeHtml(conflict.id)}">${options}</select>
+                </summary>
+                <div class="restore-preview-diff">${conflict.changes.length > 0
+                    ? renderDiffChanges(conflict.changes)
+                    : '<em>The locked contents differ; they cannot be compared without the note password.</em>'}</div>
+            </details>
+        `).join('')}
+    `;
+
+    document.getElementById('mergeBackupOptions').style.display = preview.conflicts.length > 0 ? '' : 'none';
+    document.getElementById('mergeBackupButton').style.display = '';
+    document.getElementById('mergeBackupButton').disabled = false;
+    document.getElementById('mergeBackupCloseButton').textContent = 'Back';
+}
+
+async function runBackupMerge() {
+    const resolutions = {};
+    document.querySelectorAll('#mergeBackupList select[data-merge-note]').forEach(select => {
+        if (select.value) {
+            resolutions[select.dataset.mergeNote] = select.value;
+        }
+    });
+    const strategy = document.getElementById('mergeBackupStrategy').value;
+    const button = document.getElementById('mergeBackupButton');
+    button.disabled = true;
+
+    try {
+        logger.info('Merging backup file', { strategy, resolutions });
+        const report = await window.electronAPI.invoke('backup-merge', mergeBackupPath, { strategy, resolutions });
+        if (!report.success) {
+            button.disabled = false;
+            await showEnhancedAlert('Merge Failed', 'Merge failed: ' + report.error, 'error');
+            return;
+        }
+
+        // Merged notes and categories arrive as change events
+        document.getElementById('importFileInput').value = '';
+        updateNotesList();
+        updateCategorySelector();
+        renderMergeReport(report);
+    } catch (error) {
+        logger.error('Backup merge failed', error);
+        button.disabled = false;
+        await showEnhancedAlert('Merge Failed', 'Merge failed: ' + error.message, 'error');
+    }
+}
+
+function renderMergeReport(report) {
+    const keptLabels = { mine: 'kept mine', theirs: 'took theirs', both: 'kept both' };
+    const lines = [
+        `${report.added} new notes added`,
+        `${report.replaced} notes replaced by the file's version, ${report.kept} kept as they were, ${report.copied} added as copies`,
+        `${report.unchanged} notes were already the same and ${report.duplicates} duplicates were skipped`,
+        report.categoriesAdded.length > 0 ? `Categories added: ${report.categoriesAdded.join(', ')}` : 'No categories added',
+        report.attachmentsImported > 0 ? `${report.attachmentsImported} attachments imported` : ''
+    ].filter(Boolean);
+
+    document.getElementById('mergeBackupSummary').textContent =
+        `Merge complete. The notes as they were before are in the safety snapshot ${report.snapshot}.`;
+    document.getElementById('mergeBackupList').innerHTML = `
+        <ul class="merge-backup-report">${lines.map(line => `<li>${exportManager.escapeHtml(line)}</li>`).join('')}</ul>
+        ${report.conflicts.length === 0 ? '' : `
+            <h4>Changed in both</h4>
+            <ul class="merge-backup-report">${report.conflicts.map(conflict =>
+                `<li>${exportManager.escapeHtml(conflict.title)}: ${keptLabels[conflict.kept]}</li>`).join('')}</ul>
+        `}
+    `;
+    document.getElementById('mergeBackupOptions').style.display = 'none';
+    document.getElementById('mergeBackupButton').style.display = 'none';
+    document.getElementById('mergeBackupCloseButton').textContent = 'Close';
+}
+
+// back: return to the backup dialog (not after a merge)
+function closeBackupMerge(back = false) {
+    const merged = document.getElementById('mergeBackupButton').style.display === 'none';
+    closeMainModal('mergeBackupModal');
+    mergeBackupPath = null;
+    if (back && !merged) {
+        showBackupModal();
+    }
+}
+
+async function exportBackupFile() {
+    const select = document.getElementById('exportBackupSlot');
+    const id = select.value;
+
+    if (!id) {
+        await showEnhancedAlert('Select Backup', 'Please select a backup to export.', 'warning');
+        return;
+    }
+
+    await exportBackup(id);
+}
+
+// Automatic backup schedule and retention
+async function loadBackupSchedule() {
+    try {
+        const { schedule, retention } = await window.electronAPI.invoke('backup-get-schedule');
+
+        document.getElementById('backupInterval').value = schedule.interval;
+        document.getElementById('backupOnQuit').checked = schedule.onQuit;
+        document.getElementById('backupAfterChanges').value = schedule.afterChanges;
+        document.getElementById('backupKeepHourly').value = retention.hourly;
+        document.getElementById('backupKeepDaily').value = retention.daily;
+        document.getElementById('backupKeepWeekly').value = retention.weekly;
+        document.getElementById('backupKeepMonthly').value = retention.monthly;
+    } catch (error) {
+        logger.error('Failed to load backup schedule', error);
+        showAlert('❌ Error', 'Failed to load backup schedule: ' + error.message);
+    }
+}
+
+async function saveBackupSchedule() {
+    const schedule = {
+        interval: document.getElementById('backupInterval').value,
+        onQuit: document.getElementById('backupOnQuit').checked,
+        afterChanges: parseInt(document.getElementById('backupAfterChanges').value, 10) || 0
+    };
+    const retention = {
+        hourly: parseInt(document.getElementById('backupKeepHourly').value, 10) || 0,
+        daily: parseInt(document.getElementById('backupKeepDaily').value, 10) || 0,
+        weekly: parseInt(document.getElementById('backupKeepWeekly').value, 10) || 0,
+        monthly: parseInt(document.getElementById('backupKeepMonthly').value, 10) || 0
+    };
+
+    try {
+        const result = await window.electronAPI.invoke('backup-set-schedule', schedule, retention);
+        if (result.success) {
+            logger.info('Backup schedule saved', { schedule, retention });
+            await showEnhancedAlert('Schedule Saved', 'Automatic backup settings saved.', 'success');
+        } else {
+            await showEnhancedAlert('Save Failed', 'Saving the schedule failed: ' + result.error, 'error');
+        }
+    } catch (error) {
+        logger.error('Failed to save backup schedule', error);
+        await showEnhancedAlert('Save Failed', 'Saving the schedule failed: ' + error.message, 'error');
+    }
+}
+
+// Vault archives: the whole vault as one zip file. Custom themes and templates live here in the
+// renderer, so they are sent along with the export and applied after an import
+async function exportVaultArchive() {
+    try {
+        const result = await window.electronAPI.exportVaultArchive({
+            themes: { current: themeManager.currentTheme, custom: themeManager.getCustomThemes() },
+            templates
+        });
+        if (result.canceled) return;
+
+        if (result.success) {
+            logger.info('Vault archive exported', result.counts);
+            await showEnhancedAlert('Archive Exported', `Vault archive saved to:\n${result.path}\n${result.counts.notes} notes, ${result.counts.categories} categories, ${result.counts.tasks} tasks and ${result.counts.attachments} attachments.`, 'success');
+        } else {
+            await showEnhancedAlert('Export Failed', 'Exporting the vault archive failed: ' + result.error, 'error');
+        }
+    } catch (error) {
+        logger.error('Vault archive export failed', error);
+        await showEnhancedAlert('Export Failed', 'Exporting the vault archive failed: ' + error.message, 'error');
+    }
+}
+
+async function importVaultArchive() {
+    try {
+        const archive = await window.electronAPI.openVaultArchive();
+        if (archive.canceled) return;
+        if (!archive.success) {
+            await showEnhancedAlert('Import Failed', 'Cannot read this archive: ' + archive.error, 'error');
+            return;
+        }
+
+        const { counts, createdAt } = archive.manifest;
+        const confirmed = await showEnhancedConfirm({
+            icon: '📦',
+            title: 'Import Vault Archive',
+            message: `Replace all data in this vault with the archive from ${new Date(createdAt).toLocaleString()}?`,
+            details: `
+                <h4>The archive contains:</h4>
+                <ul>
+                    <li>${counts.notes} notes in ${counts.categories} categories, ${counts.trash} in the trash</li>
+                    <li>${counts.tasks} tasks, ${counts.meals} meals and ${counts.attachments} attachments</li>
+                    <li>${counts.themes} custom themes, ${counts.templates} templates and the vault settings</li>
+                </ul>
+                <h4>⚠️ Warning:</h4>
+                <ul>
+                    <li>All current notes, categories, tasks and meal plans are replaced</li>
+                    <li>A safety snapshot of your current data is saved first, so you can go back</li>
+                </ul>
+            `,
+            confirmText: 'Import Archive',
+            cancelText: 'Cancel',
+            type: 'danger'
+        });
+        if (!confirmed) return;
+
+        logger.info('Importing vault archive', { path: archive.path });
+        const result = await window.electronAPI.importVaultArchive();
+        if (!result.success) {
+            await showEnhancedAlert('Import Failed', 'Importing the vault archive failed: ' + result.error, 'error');
+            return;
+        }
+
+        for (const [name, theme] of Object.entries(result.themes.custom || {})) {
+            themeManager.addCustomTheme(name, theme.colors, theme.icon);
+        }
+        if (result.themes.current && themeManager.themes[result.themes.current]) {
+            themeManager.applyTheme(result.themes.current);
+        }
+        themeManager.updateThemeSelector();
+        templates = { ...templates, ...result.templates };
+
+        closeBackupModal();
+        await showEnhancedAlert('Archive Imported', `Vault rebuilt from the archive!\n${result.notesRestored} notes and ${result.categoriesRestored} categories imported.`, 'success');
+        await refreshAfterRestore();
+    } catch (error) {
+        logger.error('Vault archive import failed', error);
+        await showEnhancedAlert('Import Failed', 'Importing the vault archive failed: ' + error.message, 'error');
+    }
+}
+
+// Extra backup destinations; edited here and saved with saveBackupDestinations
+let backupDestinations = [];
+
+const MIRROR_RESULT_LABELS = { copied: '✅ Copied', skipped: '⚠️ Skipped', failed: '❌ Failed' };
+
+async function loadBackupDestinations() {
+    try {
+        backupDestinations = await window.electronAPI.invoke('backup-get-destinations');
+        renderBackupDestinations();
+    } catch (error) {
+        logger.error('Failed to load backup destinations', error);
+        showAlert('❌ Error', 'Failed to load backup destinations: ' + error.message);
+    }
+}
+
+function renderBackupDestinations() {
+    const list = document.getElementById('backupDestinationList');
+    if (backupDestinations.length === 0) {
+        list.innerHTML = '<div class="backup-empty">No destinations yet. Backups are only kept in the vault folder.</div>';
+        return;
+    }
+
+    const periods = [['hourly', 'Hours'], ['daily', 'Days'], ['weekly', 'Weeks'], ['monthly', 'Months']];
+    list.innerHTML = backupDestinations.map((destination, index) => {
+        const { lastRun } = destination;
+        const status = lastRun
+            ? `${MIRROR_RESULT_LABELS[lastRun.result]} ${new Date(lastRun.timestamp).toLocaleString()}${lastRun.message ? `: ${exportManager.escapeHtml(lastRun.message)}` : ''}`
+            : 'No backup copied yet';
+        return `
+            <div class="backup-destination ${lastRun && lastRun.result !== 'copied' ? 'has-problem' : ''}">
+                <div class="backup-destination-header">
+                    <div class="backup-slot-title">${exportManager.escapeHtml(destination.path)}</div>
+                    <button class="backup-slot-btn delete" onclick="removeBackupDestination(${index})">Remove</button>
+                </div>
+                <div class="backup-slot-details">Last run: ${status}</div>
+                <p>Keep the newest automatic backup of each of the last:</p>
+                <div class="backup-retention-grid">
+                    ${periods.map(([period, label]) => `
+                        <label>${label} <input type="number" min="0" step="1" data-destination="${index}" data-period="${period}" value="${destination.retention ? destination.retention[period] : ''}"></label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Copy the retention inputs into backupDestinations before the list changes
+function readBackupDestinationInputs() {
+    document.querySelectorAll('#backupDestinationList input[data-destination]').forEach(input => {
+        const destination = backupDestinations[input.dataset.destination];
+        destination.retention = { ...destination.retention, [input.dataset.period]: parseInt(input.value, 10) || 0 };
+    });
+}
+
+async function addBackupDestination() {
+    const folder = await window.electronAPI.invoke('backup-choose-destination');
+    if (!folder) return;
+
+    readBackupDestinationInputs();
+    backupDestinations.push({ path: folder });
+    await storeBackupDestinations();
+}
+
+async function removeBackupDestination(index) {
+    const confirmed = await showEnhancedConfirm({
+        icon: '🗑️',
+        title: 'Remove Destination',
+        message: `Stop copying backups to ${backupDestinations[index].path}?`,
+        details: '<p>Backups already copied there are left in place.</p>',
+        confirmText: 'Remove',
+        cancelText: 'Cancel',
+        type: 'danger'
+    });
+    if (!confirmed) return;
+
+    readBackupDestinationInputs();
+    backupDestinations.splice(index, 1);
+    await storeBackupDestinations();
+}
+
+function saveBackupDestinations() {
+    readBackupDestinationInputs();
+    return storeBackupDestinations();
+}
+
+async function storeBackupDestinations() {
+    try {
+        const result = await window.electronAPI.invoke('backup-set-destinations', backupDestinations);
+        if (result.success) {
+            logger.info('Backup destinations saved', { count: result.destinations.length });
+            backupDestinations = result.destinations;
+            renderBackupDestinations();
+        } else {
+            await showEnhancedAlert('Save Failed', 'Saving the destinations failed: ' + result.error, 'error');
+            await loadBackupDestinations();
+        }
+    } catch (error) {
+        logger.error('Failed to save backup destinations', error);
+        await showEnhancedAlert('Save Failed', 'Saving the destinations failed: ' + error.message, 'error');
+    }
+}
+
+// Storage backend settings
+const STORAGE_BACKEND_NAMES = {
+    json: 'JSON files',
+    sqlite: 'SQLite database',
+    markdown: 'Markdown files in category folders'
+};
+
+async function showStorageSettings() {
+    try {
+        const storage = await window.electronAPI.getStorageSettings();
+        document.getElementById('storageBackendSelect').value = storage.backend;
+        document.getElementById('storageBackendInfo').textContent =
+            `Currently using: ${STORAGE_BACKEND_NAMES[storage.active] || STORAGE_BACKEND_NAMES.json}. ` +
+            'Your notes are copied to the new format automatically; MindKeep restarts to apply the change.';
+        showMainModal('storageSettingsModal');
+    } catch (error) {
+        logger.error('Failed to load storage settings', error);
+        showAlert('❌ Error', 'Failed to load storage settings: ' + error.message);
+    }
+}
+
+function closeStorageSettingsModal() {
+    closeMainModal('storageSettingsModal');
+}
+
+async function saveStorageSettings() {
+    const backend = document.getElementById('storageBackendSelect').value;
+
+    try {
+        const result = await window.electronAPI.setStorageBackend(backend);
+        if (!result.success) {
+            showAlert('❌ Error', 'Failed to change storage: ' + result.error);
+            return;
+        }
+
+        closeStorageSettingsModal();
+        if (result.restartRequired) {
+            logger.info('Storage backend changed, restarting', { backend });
+            await window.electronAPI.relaunchApp();
+        }
+    } catch (error) {
+        logger.error('Failed to change storage backend', error);
+        showAlert('❌ Error', 'Failed to change storage: ' + error.message);
+    }
+}
+
+// Vault encryption settings
+let vaultSettingsEncrypted = false;
+
+async function showVaultSettings() {
+    try {
+        const status = await window.electronAPI.getVaultStatus();
+        const statusText = document.getElementById('vaultSettingsStatus');
+
+        if (status.encrypted) {
+            statusText.textContent = 'Your notes, tasks, meal plans and backups are encrypted with your passphrase.';
+        } else if (status.backend !== 'json') {
+            statusText.textContent = 'Encryption needs the JSON files storage backend. Switch to it in Storage Settings first.';
+        } else {
+            statusText.textContent = 'Encrypt your notes, tasks, meal plans and backups with a passphrase. ' +
+                'MindKeep will ask for it at startup and after being idle.';
+        }
+
+        document.getElementById('vaultEnableSection').style.display = status.encrypted ? 'none' : 'block';
+        document.getElementById('vaultDisableSection').style.display = status.encrypted ? 'block' : 'none';
+        document.getElementById('vaultEncryptionButton').textContent = status.encrypted ? 'Remove Encryption' : 'Encrypt Vault';
+        document.getElementById('vaultEncryptionButton').disabled = !status.encrypted && status.backend !== 'json';
+        document.getElementById('vaultLockNowButton').style.display = status.encrypted ? 'inline-block' : 'none';
+        document.getElementById('vaultIdleMinutesInput').value = status.idleMinutes;
+        ['vaultNewPassphrase', 'vaultConfirmPassphrase', 'vaultCurrentPassphrase'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+
+        vaultSettingsEncrypted = status.encrypted;
+        showMainModal('vaultSettingsModal');
+    } catch (error) {
+        logger.error('Failed to load vault settings', error);
+        showAlert('❌ Error', 'Failed to load vault settings: ' + error.message);
+    }
+}
+
+function closeVaultSettingsModal() {
+    closeMainModal('vaultSettingsModal');
+}
+
+async function toggleVaultEncryption() {
+    const button = document.getElementById('vaultEncryptionButton');
+    let result;
+
+    if (vaultSettingsEncrypted) {
+        const passphrase = document.getElementById('vaultCurrentPassphrase').value;
+        button.disabled = true;
+        button.textContent = 'Decrypting...';
+        result = await window.electronAPI.disableVaultEncryption(passphrase);
+    } else {
+        const passphrase = document.getElementById('vaultNewPassphrase').value;
+        if (passphrase !== document.getElementById('vaultConfirmPassphrase').value) {
+            await showEnhancedAlert('Passphrases Differ', 'The two passphrases do not match.', 'error');
+            return;
+        }
+        button.disabled = true;
+        button.textContent = 'Encrypting...';
+        result = await window.electronAPI.enableVaultEncryption(passphrase);
+    }
+
+    button.disabled = false;
+    if (!result.success) {
+        button.textContent = vaultSettingsEncrypted ? 'Remove Encryption' : 'Encrypt Vault';
+        await showEnhancedAlert('Encryption', result.error, 'error');
+        return;
+    }
+
+    logger.info(vaultSettingsEncrypted ? 'Vault encryption removed' : 'Vault encrypted');
+    closeVaultSettingsModal();
+    await showEnhancedAlert('Encryption',
+        vaultSettingsEncrypted ? 'Encryption removed. Your data is stored as plain files again.'
+            : 'Your vault is now encrypted. Keep your passphrase safe: it cannot be recovered.',
+        'success');
+}
+
+async function saveVaultIdleMinutes() {
+    const minutes = parseInt(document.getElementById('vaultIdleMinutesInput').value, 10) || 0;
+    const result = await window.electronAPI.setVaultIdleMinutes(minutes);
+    document.getElementById('vaultIdleMinutesInput').value = result.idleMinutes;
+    await showEnhancedAlert('Auto-Lock',
+        result.idleMinutes > 0 ? `The vault locks after ${result.idleMinutes} idle minutes.` : 'Idle auto-lock is off.',
+        'success');
+}
+
+async function lockVaultNow() {
+    closeVaultSettingsModal();
+    await window.electronAPI.lockVault();
+}
+
+// Vaults: separate data folders, switched without restarting
+async function showVaultManager() {
+    try {
+        await renderVaultList(document.getElementById('vaultList'), error => {
+            showEnhancedAlert('Vaults', error, 'error');
+        });
+        showMainModal('vaultManagerModal');
+    } catch (error) {
+        logger.error('Failed to load vault list', error);
+        showAlert('❌ Error', 'Failed to load vaults: ' + error.message);
+    }
+}
+
+function closeVaultManager() {
+    closeMainModal('vaultManagerModal');
+}
+
+// Fill container with the known vaults; onError shows why a vault could not be opened
+async function renderVaultList(container, onError) {
+    const { vaults } = await window.electronAPI.listVaults();
+
+    container.innerHTML = vaults.map(entry => `
+        <div class="vault-list-item ${entry.isCurrent ? 'current' : ''}">
+            <div class="vault-list-info">
+                <div class="vault-list-name">${exportManager.escapeHtml(entry.name)}${entry.isCurrent ? ' (open)' : ''}</div>
+                <div class="vault-list-path">${exportManager.escapeHtml(entry.path)}${entry.available ? '' : ' (missing)'}</div>
+            </div>
+            ${entry.isCurrent ? '' : `<button type="button" class="modal-btn save" data-vault-action="open" ${entry.available ? '' : 'disabled'}>Open</button>`}
+            ${entry.isCurrent || entry.isDefault ? '' : '<button type="button" class="modal-btn cancel" data-vault-action="forget">Remove</button>'}
+        </div>
+    `).join('');
+
+    // Paths may contain quotes, so handlers are bound here instead of inline
+    container.querySelectorAll('.vault-list-item').forEach((item, index) => {
+        const entry = vaults[index];
+        item.querySelectorAll('[data-vault-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (button.dataset.vaultAction === 'open') {
+                    await switchToVault(entry.path, false, onError);
+                } else {
+                    await window.electronAPI.forgetVault(entry.path);
+                    await renderVaultList(container, onError);
+                }
+            });
+        });
     });
 }
 
-// Track main modals
-function showMainModal(modalId) {
-    currentMainModal = modalId;
-    document.getElementById(modalId).style.display = 'flex';
+async function chooseAndOpenVault(mode) {
+    const folder = await window.electronAPI.chooseVaultFolder(mode);
+    if (folder) {
+        await switchToVault(folder, mode === 'create', error => {
+            showEnhancedAlert('Vaults', error, 'error');
+        });
+    }
 }
 
-function closeMainModal(modalId) {
-    document.getElementById(modalId).style.display = 'none';
-    if (currentMainModal === modalId) {
-        currentMainModal = null;
+// Everything loaded in the window belongs to the old vault, so reload once the switch is done
+async function switchToVault(folder, create, onError) {
+    try {
+        const result = create
+            ? await window.electronAPI.createVault(folder)
+            : await window.electronAPI.openVault(folder);
+        if (!result.success) {
+            onError(result.error);
+            return;
+        }
+        logger.info(`Switched to vault ${folder}`);
+        location.reload();
+    } catch (error) {
+        logger.error('Failed to switch vault', error);
+        onError(error.message);
     }
 }
 
-// Backup System Functions
-function showBackupModal() {
-    showMainModal('backupModal');
-    loadBackupSlots();
-    showBackupTab('manage');
-}
+// Vault doctor: integrity check of notes, categories, tasks and backups
+const VAULT_PROBLEM_ICONS = { error: '❌', warning: '⚠️', info: 'ℹ️' };
 
-function closeBackupModal() {
-    closeMainModal('backupModal');
+async function showVaultDoctor() {
+    try {
+        renderVaultCheck(await window.electronAPI.checkVault());
+        showMainModal('vaultDoctorModal');
+    } catch (error) {
+        logger.error('Vault check failed', error);
+        showAlert('❌ Error', 'Failed to check the vault: ' + error.message);
+    }
 }
 
-function showBackupTab(tabName) {
-    // Update tab buttons
-    document.querySelectorAll('.backup-tab').forEach(tab => {
-        tab.classList.remove('active');
-    });
-    document.querySelector(`[onclick="showBackupTab('${tabName}')"]`).classList.add('active');
+function renderVaultCheck(check) {
+    const { scanned, summary } = check;
+    document.getElementById('vaultDoctorSummary').textContent =
+        `Checked ${scanned.notes} notes, ${scanned.trash} trashed notes, ${scanned.categories} categories, ` +
+        `${scanned.tasks} tasks and ${scanned.backups} backups: ` +
+        (check.problems.length === 0 ? 'no problems found.'
+            : `${summary.error} errors, ${summary.warning} warnings, ${summary.info} notices (${summary.fixable} can be fixed automatically).`);
 
-    // Show/hide tab content
-    document.getElementById('backupTabManage').style.display = tabName === 'manage' ? 'block' : 'none';
-    document.getElementById('backupTabImport').style.display = tabName === 'import' ? 'block' : 'none';
+    document.getElementById('vaultDoctorList').innerHTML = check.problems.map(problem => `
+        <div class="vault-doctor-problem ${problem.severity}">
+            <span class="vault-doctor-icon">${VAULT_PROBLEM_ICONS[problem.severity]}</span>
+            <span class="vault-doctor-message">${exportManager.escapeHtml(problem.message)}</span>
+            ${problem.fixable ? '<span class="vault-doctor-fixable">Fixable</span>' : ''}
+        </div>
+    `).join('');
 
-    if (tabName === 'import') {
-        loadExportBackupOptions();
-    }
+    document.getElementById('vaultDoctorRepairButton').disabled = summary.fixable === 0;
 }
 
-async function loadBackupSlots() {
-    try {
-        const slots = await window.electronAPI.invoke('backup-get-slots');
-        const slotsContainer = document.getElementById('backupSlots');
+async function runVaultRepair() {
+    const button = document.getElementById('vaultDoctorRepairButton');
+    button.disabled = true;
+    button.textContent = 'Fixing...';
 
-        slotsContainer.innerHTML = slots.map(slot => {
-            if (slot.exists && !slot.error) {
-                const date = new Date(slot.timestamp);
-                const formattedDate = date.toLocaleDateString();
-                const formattedTime = date.toLocaleTimeString();
+    try {
+        const result = await window.electronAPI.repairVault();
+        logger.info('Vault repaired', result);
 
-                return `
-                    <div class="backup-slot">
-                        <div class="backup-slot-info">
-                            <div class="backup-slot-title">Backup Slot ${slot.slot}</div>
-                            <div class="backup-slot-details">
-                                📅 ${formattedDate} at ${formattedTime}<br>
-                                📝 ${slot.notesCount} notes, 📁 ${slot.categoriesCount} categories
-                            </div>
-                        </div>
-                        <div class="backup-slot-actions">
-                            <button class="backup-slot-btn restore" onclick="restoreBackup(${slot.slot})">Restore</button>
-                            <button class="backup-slot-btn" onclick="exportBackup(${slot.slot})">Export</button>
-                            <button class="backup-slot-btn delete" onclick="deleteBackup(${slot.slot})">Delete</button>
-                        </div>
-                    </div>
-                `;
-            } else {
-                return `
-                    <div class="backup-slot empty">
-                        <div class="backup-slot-info">
-                            <div class="backup-slot-title">Backup Slot ${slot.slot}</div>
-                            <div class="backup-slot-details">Empty slot - available for new backup</div>
-                        </div>
-                        <div class="backup-slot-actions">
-                            <button class="backup-slot-btn" onclick="createBackupInSlot(${slot.slot})">Create Backup</button>
-                        </div>
-                    </div>
-                `;
-            }
-        }).join('');
+        // Notes and categories arrive as change events; tasks and the trash are loaded again
+        trashedNotes = await window.electronAPI.getTrash();
+        if (dedicatedTaskManager) {
+            await dedicatedTaskManager.loadTaskData();
+            dedicatedTaskManager.refreshTaskListsView();
+            dedicatedTaskManager.refreshTasksView();
+        }
+        updateNotesList();
 
+        renderVaultCheck(await window.electronAPI.checkVault());
+        if (result.success) {
+            await showEnhancedAlert('Vault Repaired',
+                `${result.fixed} problems fixed.` + (result.snapshot ? ` A backup of the vault before the repair was saved (${result.snapshot}).` : ''),
+                'success');
+        } else {
+            await showEnhancedAlert('Vault Repair', result.error +
+                (result.failed ? '\n' + result.failed.map(failure => failure.error).join('\n') : ''), 'error');
+        }
     } catch (error) {
-        logger.error('Failed to load backup slots', error);
-        showAlert('❌ Error', 'Failed to load backup slots: ' + error.message);
+        logger.error('Vault repair failed', error);
+        await showEnhancedAlert('Vault Repair', 'Repair failed: ' + error.message, 'error');
+    } finally {
+        button.textContent = 'Fix Problems';
     }
 }
 
-async function createBackup(slot = null) {
+function closeVaultDoctor() {
+    closeMainModal('vaultDoctorModal');
+}
+
+// Vault history: git log of the vault folder, history and blame of a note, revert
+let vaultGitTab = 'log';
+let vaultGitCommits = [];           // Commits listed in the vault history modal
+
+async function showVaultGit(tab = 'log') {
     try {
-        logger.info('Creating backup', { slot });
+        const status = await window.electronAPI.getGitStatus();
+        renderVaultGitStatus(status);
+        showMainModal('vaultGitModal');
+        if (status.enabled) {
+            await showVaultGitTab(tab === 'note' && currentNote ? 'note' : 'log');
+        }
+    } catch (error) {
+        logger.error('Failed to load vault history', error);
+        showAlert('❌ Error', 'Failed to load the vault history: ' + error.message);
+    }
+}
 
-        const result = await window.electronAPI.invoke('backup-create', slot);
+function renderVaultGitStatus(status) {
+    let text;
+    if (status.enabled) {
+        text = 'Every change to your notes is committed to a git repository in the vault folder. ' +
+            'Nothing leaves this computer.';
+    } else if (status.unsupportedReason) {
+        text = status.unsupportedReason + '.';
+    } else {
+        text = 'Keep the history of your notes in a git repository in the vault folder (' + status.folder + '). ' +
+            'MindKeep commits every change for you' + (status.repository ? '; the existing repository is kept.' : '.') +
+            ' Git must be installed.';
+    }
+    document.getElementById('vaultGitStatus').textContent = text;
+    document.getElementById('vaultGitContent').style.display = status.enabled ? 'block' : 'none';
+
+    const button = document.getElementById('vaultGitToggleButton');
+    button.textContent = status.enabled ? 'Turn Off' : 'Turn On';
+    button.disabled = !status.enabled && Boolean(status.unsupportedReason);
+}
+
+async function toggleGitVersioning() {
+    const enabled = document.getElementById('vaultGitContent').style.display !== 'none';
+    if (enabled) {
+        const confirmed = await showEnhancedConfirm({
+            icon: '🌿',
+            title: 'Turn Off Git Versioning',
+            message: 'Stop committing changes to git?',
+            details: '<p>The repository and its history stay in the vault folder.</p>',
+            confirmText: 'Turn Off',
+            cancelText: 'Cancel'
+        });
+        if (!confirmed) return;
+    }
 
-        if (result.success) {
-            await showEnhancedAlert('Backup Created', `Backup successfully created in slot ${result.slot}!\n${result.notesCount} notes backed up.`, 'success');
-            loadBackupSlots(); // Refresh the slots display
+    const button = document.getElementById('vaultGitToggleButton');
+    button.disabled = true;
+    try {
+        const result = await window.electronAPI.setGitVersioning(!enabled);
+        if (!result.success) {
+            showAlert('❌ Error', result.error);
         } else {
-            await showEnhancedAlert('Backup Failed', 'Backup failed: ' + result.error, 'error');
+            logger.info(`Git versioning turned ${enabled ? 'off' : 'on'}`);
         }
-
+        await showVaultGit(vaultGitTab);
     } catch (error) {
-        logger.error('Backup creation failed', error);
-        await showEnhancedAlert('Backup Failed', 'Backup failed: ' + error.message, 'error');
+        logger.error('Failed to change git versioning', error);
+        showAlert('❌ Error', 'Failed to change git versioning: ' + error.message);
+        button.disabled = false;
     }
 }
 
-async function createBackupInSlot(slot) {
-    await createBackup(slot);
+async function showVaultGitTab(tab) {
+    vaultGitTab = tab;
+    document.querySelectorAll('.vault-git-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('vaultGitCompare').style.display = tab === 'note' ? 'flex' : 'none';
+    document.getElementById('vaultGitDetail').innerHTML = '';
+
+    if (tab === 'note') {
+        await loadNoteGitHistory();
+    } else {
+        await loadVaultGitLog();
+    }
 }
 
-async function restoreBackup(slot) {
-    const confirmed = await showEnhancedConfirm({
-        icon: '🔄',
-        title: 'Restore Backup',
-        message: `Are you sure you want to restore from backup slot ${slot}?`,
-        details: `
-            <h4>⚠️ Warning:</h4>
-            <ul>
-                <li>This will replace ALL current notes and categories</li>
-                <li>Your current data will be lost unless backed up</li>
-                <li>This action cannot be undone</li>
-            </ul>
-        `,
-        confirmText: 'Restore Backup',
-        cancelText: 'Cancel',
-        type: 'danger'
+function renderGitCommitItem(commit, actions) {
+    return `
+        <div class="note-history-item" data-hash="${commit.hash}" onclick="${actions.onclick}">
+            <div class="note-history-item-date">${new Date(commit.date).toLocaleString()}</div>
+            <div class="note-history-item-details">
+                ${exportManager.escapeHtml(commit.subject)}<br>
+                ${exportManager.escapeHtml(commit.author)} • <code>${commit.shortHash}</code>
+            </div>
+            ${actions.button || ''}
+        </div>
+    `;
+}
+
+function setActiveGitCommit(hash) {
+    document.querySelectorAll('#vaultGitList .note-history-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.hash === hash);
     });
+}
 
-    if (!confirmed) return;
+async function loadVaultGitLog() {
+    const list = document.getElementById('vaultGitList');
+    const result = await window.electronAPI.getGitLog();
+    if (!result.success) {
+        list.innerHTML = `<div class="no-notes-message">${exportManager.escapeHtml(result.error)}</div>`;
+        return;
+    }
 
-    try {
-        logger.info('Restoring backup', { slot });
+    vaultGitCommits = result.commits;
+    if (vaultGitCommits.length === 0) {
+        list.innerHTML = '<div class="no-notes-message">Nothing has been committed yet</div>';
+        return;
+    }
+    list.innerHTML = vaultGitCommits.map(commit => renderGitCommitItem(commit, {
+        onclick: `showVaultGitCommit('${commit.hash}')`,
+        button: `<button class="backup-slot-btn restore" onclick="revertVaultGitCommit('${commit.hash}'); event.stopPropagation();">Revert</button>`
+    })).join('');
+    showVaultGitCommit(vaultGitCommits[0].hash);
+}
+
+function showVaultGitCommit(hash) {
+    const commit = vaultGitCommits.find(entry => entry.hash === hash);
+    if (!commit) return;
+    setActiveGitCommit(hash);
+    document.getElementById('vaultGitDetail').innerHTML = `
+        <div class="diff-field-label">${commit.shortHash} by ${exportManager.escapeHtml(commit.author)}</div>
+        <div>${exportManager.escapeHtml(commit.subject)}</div>
+        <div class="diff-field-label">Files</div>
+        <div>${commit.files.map(file => exportManager.escapeHtml(file)).join('\n')}</div>
+    `;
+}
 
-        const result = await window.electronAPI.invoke('backup-restore', slot);
+async function revertVaultGitCommit(hash) {
+    const commit = vaultGitCommits.find(entry => entry.hash === hash);
+    if (!commit) return;
 
-        if (result.success) {
-            await showEnhancedAlert('Restore Complete', `Backup restored successfully!\n${result.notesRestored} notes and ${result.categoriesRestored} categories restored.`, 'success');
+    const confirmed = await showEnhancedConfirm({
+        icon: '🌿',
+        title: 'Revert Commit',
+        message: `Undo "${commit.subject}" (${commit.shortHash})?`,
+        details: '<p>Notes it added move to the trash; notes it changed or deleted get their version from before it back, ' +
+            'replacing later edits. The revert is committed too, so it can be undone the same way.</p>',
+        confirmText: 'Revert',
+        cancelText: 'Cancel'
+    });
+    if (!confirmed) return;
 
-            // Refresh the entire app
-            notes = await window.electronAPI.getNotes();
-            categories = await window.electronAPI.getCategories();
-            updateNotesList();
-            updateCategorySelector();
-            closeBackupModal();
+    try {
+        const result = await window.electronAPI.revertGitCommit(hash);
+        if (!result.success) {
+            showAlert('❌ Error', 'Error reverting the commit: ' + result.error);
+            return;
+        }
 
-        } else {
-            await showEnhancedAlert('Restore Failed', 'Restore failed: ' + result.error, 'error');
+        // Notes arrive as change events; the trash is loaded again
+        trashedNotes = await window.electronAPI.getTrash();
+        updateNotesList();
+        updateCategorySelector();
+        if (currentNote) {
+            viewNote(currentNote.id);
         }
+        await loadVaultGitLog();
 
+        logger.info('Git commit reverted', { hash, reverted: result.reverted });
+        showAlert('✅ Success', `${result.reverted} note(s) reverted.` +
+            (result.skipped.length > 0 ? ` Other files were left as they are: ${result.skipped.join(', ')}` : ''));
     } catch (error) {
-        logger.error('Backup restore failed', error);
-        await showEnhancedAlert('Restore Failed', 'Restore failed: ' + error.message, 'error');
+        logger.error('Error reverting git commit', { hash, error });
+        showAlert('❌ Error', 'Error reverting the commit: ' + error.message);
     }
 }
 
-async function exportBackup(slot) {
-    try {
-        logger.info('Exporting backup', { slot });
+async function loadNoteGitHistory() {
+    const list = document.getElementById('vaultGitList');
+    const detail = document.getElementById('vaultGitDetail');
+    if (!currentNote) {
+        vaultGitCommits = [];
+        list.innerHTML = '<div class="no-notes-message">Open a note to see its history</div>';
+        document.getElementById('vaultGitCompare').style.display = 'none';
+        return;
+    }
 
-        const result = await window.electronAPI.invoke('backup-export', slot);
+    const result = await window.electronAPI.getNoteGitLog(currentNote.id);
+    if (!result.success) {
+        list.innerHTML = `<div class="no-notes-message">${exportManager.escapeHtml(result.error)}</div>`;
+        return;
+    }
 
-        if (result.success) {
-            await showEnhancedAlert('Export Complete', `Backup exported successfully to:\n${result.exportPath}`, 'success');
-        } else {
-            await showEnhancedAlert('Export Failed', 'Export failed: ' + result.error, 'error');
-        }
+    vaultGitCommits = result.commits;
+    if (vaultGitCommits.length === 0) {
+        list.innerHTML = '<div class="no-notes-message">This note has not been committed yet</div>';
+        detail.innerHTML = '';
+        return;
+    }
+    list.innerHTML = vaultGitCommits.map((commit, index) => renderGitCommitItem(commit, {
+        onclick: `compareNoteGitVersion('${commit.hash}')`,
+        button: index > 0
+            ? `<button class="backup-slot-btn restore" onclick="restoreNoteGitVersion('${commit.hash}'); event.stopPropagation();">Restore</button>`
+            : ''
+    })).join('');
+
+    const options = vaultGitCommits.map(commit =>
+        `<option value="${commit.hash}">${commit.shortHash} • ${new Date(commit.date).toLocaleString()}</option>`
+    ).join('');
+    document.getElementById('vaultGitCompareFrom').innerHTML = options;
+    document.getElementById('vaultGitCompareTo').innerHTML = '<option value="current">Current version</option>' + options;
+
+    // Compare the commit before the latest with the current note by default
+    await compareNoteGitVersion(vaultGitCommits[Math.min(1, vaultGitCommits.length - 1)].hash);
+}
+
+async function compareNoteGitVersion(hash) {
+    document.getElementById('vaultGitCompareFrom').value = hash;
+    document.getElementById('vaultGitCompareTo').value = 'current';
+    await updateNoteGitDiff();
+}
+
+async function updateNoteGitDiff() {
+    const fromHash = document.getElementById('vaultGitCompareFrom').value;
+    const toHash = document.getElementById('vaultGitCompareTo').value;
+    const detail = document.getElementById('vaultGitDetail');
+    setActiveGitCommit(fromHash);
+    if (!fromHash || !currentNote) return;
+
+    const result = await window.electronAPI.diffNoteGitVersions(currentNote.id, fromHash, toHash);
+    if (!result.success) {
+        detail.innerHTML = `<em>${exportManager.escapeHtml(result.error)}</em>`;
+    } else if (result.changes.length === 0) {
+        detail.innerHTML = '<em>No differences</em>';
+    } else {
+        detail.innerHTML = renderDiffChanges(result.changes);
+    }
+}
 
-    } catch (error) {
-        logger.error('Backup export failed', error);
-        await showEnhancedAlert('Export Failed', 'Export failed: ' + error.message, 'error');
+// Each run of lines with the commit that last changed it
+async function showNoteGitBlame() {
+    if (!currentNote) return;
+    const detail = document.getElementById('vaultGitDetail');
+    setActiveGitCommit(null);
+
+    const result = await window.electronAPI.getNoteGitBlame(currentNote.id);
+    if (!result.success) {
+        detail.innerHTML = `<em>${exportManager.escapeHtml(result.error)}</em>`;
+        return;
     }
+    detail.innerHTML = result.blocks.map(block => `
+        <div class="vault-git-blame-block">
+            <div class="diff-field-label">${block.shortHash
+                ? `${block.shortHash} • ${exportManager.escapeHtml(block.author)} • ${new Date(block.date).toLocaleString()} • ${exportManager.escapeHtml(block.subject)}`
+                : exportManager.escapeHtml(block.subject)}</div>
+            <div class="vault-git-blame-lines">${exportManager.escapeHtml(block.lines.join('\n'))}</div>
+        </div>
+    `).join('');
 }
 
-async function deleteBackup(slot) {
+async function restoreNoteGitVersion(hash) {
+    const commit = vaultGitCommits.find(entry => entry.hash === hash);
+    if (!currentNote || !commit) return;
+
     const confirmed = await showEnhancedConfirm({
-        icon: '🗑️',
-        title: 'Delete Backup',
-        message: `Are you sure you want to delete backup slot ${slot}?`,
-        details: `
-            <h4>⚠️ Warning:</h4>
-            <ul>
-                <li>This backup will be permanently deleted</li>
-                <li>You will not be able to restore from this slot</li>
-                <li>This action cannot be undone</li>
-            </ul>
-        `,
-        confirmText: 'Delete Backup',
-        cancelText: 'Cancel',
-        type: 'danger'
+        icon: '🌿',
+        title: 'Restore Version',
+        message: `Restore "${currentNote.title}" to the version of ${commit.shortHash} (${new Date(commit.date).toLocaleString()})?`,
+        details: '<p>The restore is committed, so the current version stays in the git history.</p>',
+        confirmText: 'Restore',
+        cancelText: 'Cancel'
     });
-
     if (!confirmed) return;
 
     try {
-        logger.info('Deleting backup', { slot });
-
-        const result = await window.electronAPI.invoke('backup-delete', slot);
-
-        if (result.success) {
-            await showEnhancedAlert('Backup Deleted', `Backup slot ${slot} deleted successfully.`, 'success');
-            loadBackupSlots(); // Refresh the slots display
-        } else {
-            await showEnhancedAlert('Delete Failed', 'Delete failed: ' + result.error, 'error');
+        const result = await window.electronAPI.revertNoteToCommit(currentNote.id, hash);
+        if (!result.success) {
+            showAlert('❌ Error', 'Error restoring the version: ' + result.error);
+            return;
         }
 
+        updateNotesList();
+        updateCategorySelector();
+        viewNote(result.note.id);
+        await loadNoteGitHistory();
+
+        logger.info('Note restored from git', { noteId: result.note.id, hash });
+        showAlert('✅ Success', 'Version restored successfully!');
     } catch (error) {
-        logger.error('Backup delete failed', error);
-        await showEnhancedAlert('Delete Failed', 'Delete failed: ' + error.message, 'error');
+        logger.error('Error restoring note from git', { noteId: currentNote.id, hash, error });
+        showAlert('❌ Error', 'Error restoring the version: ' + error.message);
     }
 }
 
-async function loadExportBackupOptions() {
-    try {
-        const slots = await window.electronAPI.invoke('backup-get-slots');
-        const select = document.getElementById('exportBackupSlot');
-
-        select.innerHTML = '<option value="">Select backup slot to export</option>';
-
-        slots.forEach(slot => {
-            if (slot.exists && !slot.error) {
-                const date = new Date(slot.timestamp);
-                const formattedDate = date.toLocaleDateString();
-                const formattedTime = date.toLocaleTimeString();
+function closeVaultGit() {
+    closeMainModal('vaultGitModal');
+    vaultGitCommits = [];
+}
 
-                select.innerHTML += `
-                    <option value="${slot.slot}">
-                        Slot ${slot.slot} - ${formattedDate} ${formattedTime} (${slot.notesCount} notes)
-                    </option>
-                `;
-            }
-        });
+// WebDAV sync: settings, what is waiting to go out and the notes that conflicted
+let lastPulledSync = null;          // lastSync of the last sync whose pulled changes were loaded
 
+async function showSync() {
+    try {
+        const info = await window.electronAPI.getSyncSettings();
+        document.getElementById('syncEnabled').checked = info.settings.enabled;
+        document.getElementById('syncEnabled').disabled = Boolean(info.unsupportedReason);
+        document.getElementById('syncUrl').value = info.settings.url;
+        document.getElementById('syncUsername').value = info.settings.username;
+        document.getElementById('syncPassword').value = '';
+        document.getElementById('syncPassword').placeholder = info.hasPassword ? 'Saved (type to change)' : '';
+        document.getElementById('syncInterval').value = info.settings.intervalMinutes;
+        renderSyncStatus(info.status, info.unsupportedReason);
+        showMainModal('syncModal');
     } catch (error) {
-        logger.error('Failed to load export options', error);
+        logger.error('Failed to load sync settings', error);
+        showAlert('❌ Error', 'Failed to load the sync settings: ' + error.message);
     }
 }
 
-async function importBackupFile() {
-    const fileInput = document.getElementById('importFileInput');
-    const file = fileInput.files[0];
+// The settings as typed; the password is only sent when one was typed, so the saved one is kept
+function readSyncForm() {
+    const values = {
+        enabled: document.getElementById('syncEnabled').checked,
+        url: document.getElementById('syncUrl').value.trim(),
+        username: document.getElementById('syncUsername').value.trim(),
+        intervalMinutes: parseInt(document.getElementById('syncInterval').value, 10) || 5
+    };
+    const password = document.getElementById('syncPassword').value;
+    if (password) {
+        values.password = password;
+    }
+    return values;
+}
+
+function renderSyncStatus(status, unsupportedReason = null) {
+    let text;
+    if (unsupportedReason) {
+        text = unsupportedReason + '.';
+    } else if (!status) {
+        text = 'Sync is off for this vault.';
+    } else if (status.state === 'syncing') {
+        text = 'Syncing...';
+    } else if (status.state === 'offline') {
+        text = 'The server cannot be reached; changes are sent when it is back.';
+    } else if (status.state === 'error') {
+        text = 'The last sync failed: ' + status.lastError;
+    } else {
+        text = status.lastSync ? 'Last synced ' + new Date(status.lastSync).toLocaleString() + '.' : 'Not synced yet.';
+        if (status.lastResult) {
+            text += ` ${status.lastResult.pulled} received, ${status.lastResult.pushed} sent.`;
+        }
+    }
+    document.getElementById('syncStatusText').textContent = text;
+    document.getElementById('syncNowButton').disabled = !status || status.state === 'syncing';
 
-    if (!file) {
-        showAlert('⚠️ Warning', 'Please select a backup file to import.');
+    const pendingList = document.getElementById('syncPendingList');
+    if (!status || status.pending === 0) {
+        pendingList.innerHTML = '<div class="no-notes-message">Nothing waiting</div>';
+    } else {
+        const actions = { add: 'New', edit: 'Changed', delete: 'Deleted' };
+        pendingList.innerHTML = status.pendingChanges.map(change => `
+            <div>${actions[change.action] || change.action}: ${exportManager.escapeHtml(change.title)}</div>
+        `).join('') + (status.pending > status.pendingChanges.length
+            ? `<div>and ${status.pending - status.pendingChanges.length} more</div>` : '');
+    }
+
+    const conflicts = status ? status.conflicts : [];
+    document.getElementById('syncConflictSection').style.display = conflicts.length > 0 ? 'block' : 'none';
+    document.getElementById('syncConflictList').innerHTML = conflicts.map(conflict => `
+        <div class="note-history-item" onclick="openSyncConflict('${conflict.copyId}')">
+            <div class="note-history-item-date">${new Date(conflict.detectedAt).toLocaleString()}</div>
+            <div class="note-history-item-details">
+                ${exportManager.escapeHtml(conflict.title)}<br>
+                Changed on both: ${conflict.fields.map(field => exportManager.escapeHtml(field)).join(', ')}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Notes and categories pulled by a sync arrive as change events; tasks and the trash are reloaded here
+async function applySyncStatus(status) {
+    if (document.getElementById('syncModal').style.display !== 'none') {
+        renderSyncStatus(status);
+    }
+    if (status.state !== 'idle' || !status.lastResult || status.lastResult.pulled === 0 || status.lastSync === lastPulledSync) {
         return;
     }
-
+    lastPulledSync = status.lastSync;
     try {
-        logger.info('Importing backup file', { filename: file.name });
+        trashedNotes = await window.electronAPI.getTrash();
+        if (dedicatedTaskManager) {
+            await dedicatedTaskManager.loadTaskData();
+            dedicatedTaskManager.refreshTaskListsView();
+            dedicatedTaskManager.refreshTasksView();
+        }
+    } catch (error) {
+        logger.error('Failed to reload synced data', error);
+    }
+}
 
-        const result = await window.electronAPI.invoke('backup-import', file.path);
+async function saveSyncSettings() {
+    try {
+        const result = await window.electronAPI.setSyncSettings(readSyncForm());
+        if (result.success) {
+            logger.info('Sync settings saved');
+            document.getElementById('syncPassword').value = '';
+            await showSync();
+        } else {
+            await showEnhancedAlert('Save Failed', 'Saving the sync settings failed: ' + result.error, 'error');
+        }
+    } catch (error) {
+        logger.error('Failed to save sync settings', error);
+        await showEnhancedAlert('Save Failed', 'Saving the sync settings failed: ' + error.message, 'error');
+    }
+}
 
+async function testSyncConnection() {
+    try {
+        const result = await window.electronAPI.testSyncConnection(readSyncForm());
         if (result.success) {
-            showAlert('✅ Success', `Backup imported successfully to slot ${result.slot}!\n${result.notesCount} notes and ${result.categoriesCount} categories imported.`);
-            loadBackupSlots(); // Refresh the slots display
-            fileInput.value = ''; // Clear the file input
+            await showEnhancedAlert('Connection Works', result.exists
+                ? 'MindKeep can reach the folder on the server.'
+                : 'MindKeep can reach the server; the folder is created with the first sync.', 'success');
         } else {
-            showAlert('❌ Error', 'Import failed: ' + result.error);
+            await showEnhancedAlert('Connection Failed', result.error, 'error');
         }
+    } catch (error) {
+        logger.error('Sync connection test failed', error);
+        await showEnhancedAlert('Connection Failed', error.message, 'error');
+    }
+}
 
+async function syncNow() {
+    document.getElementById('syncNowButton').disabled = true;
+    try {
+        const result = await window.electronAPI.syncNow();
+        if (result.status) {
+            renderSyncStatus(result.status);
+        } else if (!result.success) {
+            showAlert('❌ Error', result.error);
+        }
     } catch (error) {
-        logger.error('Backup import failed', error);
-        showAlert('❌ Error', 'Import failed: ' + error.message);
+        logger.error('Sync failed', error);
+        showAlert('❌ Error', 'Sync failed: ' + error.message);
+        document.getElementById('syncNowButton').disabled = false;
     }
 }
 
-async function exportBackupFile() {
-    const select = document.getElementById('exportBackupSlot');
-    const slot = select.value;
+async function clearSyncConflicts() {
+    try {
+        const result = await window.electronAPI.clearSyncConflicts();
+        if (result.success) {
+            renderSyncStatus(result.status);
+        }
+    } catch (error) {
+        logger.error('Failed to clear sync conflicts', error);
+    }
+}
 
-    if (!slot) {
-        await showEnhancedAlert('Select Backup', 'Please select a backup slot to export.', 'warning');
+function openSyncConflict(copyId) {
+    if (!notes.some(note => note.id === copyId)) {
+        showAlert('Not Found', 'The conflicted copy was deleted.');
         return;
     }
+    closeSync();
+    viewNote(copyId);
+}
 
-    await exportBackup(parseInt(slot));
+function closeSync() {
+    closeMainModal('syncModal');
 }
 
 // Load categories for import dropdown
@@ -6001,7 +8122,7 @@ async function loadImportCategories() {
 
         select.innerHTML = '';
         categories.forEach(category => {
-            select.innerHTML += `<option value="${category.name}">${category.name}</option>`;
+            select.innerHTML += `<option value="${category.id}">${category.name}</option>`;
         });
 
     } catch (error) {
@@ -6088,7 +8209,7 @@ function populateImportCategories() {
 
     categories.forEach(category => {
         const option = document.createElement('option');
-        option.value = category.name;
+        option.value = category.id;
         option.textContent = category.name;
         select.appendChild(option);
     });
@@ -6571,7 +8692,10 @@ async function importSingleFile(file) {
                     id: Date.now().toString() + '_' + Math.random().toString(36).substring(2, 11),
                     title: noteData.title,
                     content: cleanContent,
-                    category: importSettings.category || noteData.category || 'General',
+                    // Names from imported files are matched to a category when the note is saved
+                    ...(importSettings.category
+                        ? getCategoryFields(importSettings.category)
+                        : { category: noteData.category || 'General' }),
                     tags: allTags,
                     description: noteData.description || '',
                     createdAt: noteData.createdAt || new Date().toISOString(),
@@ -6583,15 +8707,6 @@ async function importSingleFile(file) {
 
                 // Save to database
                 await window.electronAPI.saveNote(note);
-                notes.push(note);
-
-                // Add to search index
-                const searchContent = `${note.title} ${note.content} ${note.description || ''} ${(note.tags || []).join(' ')}`;
-                searchIndex.addDocument(note.id, searchContent, {
-                    title: note.title,
-                    category: note.category,
-                    updatedAt: note.updatedAt
-                });
 
                 importedCount++;
                 logger.info('Successfully imported note', { title: note.title, id: note.id });
@@ -6642,8 +8757,8 @@ async function exportNotes() {
                     notesToExport = notes;
                     filename = 'all_notes';
                 } else {
-                    notesToExport = notes.filter(note => note.category === currentCategory);
-                    filename = `${currentCategory}_notes`.replace(/[^a-zA-Z0-9]/g, '_');
+                    notesToExport = notes.filter(note => note.categoryId === currentCategory);
+                    filename = `${getCategoryFields(currentCategory).category}_notes`.replace(/[^a-zA-Z0-9]/g, '_');
                 }
                 break;
 
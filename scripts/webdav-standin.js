@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// A small WebDAV server serving one local folder, standing in for a real server when trying out
+// or testing vault sync on one machine:
+//
+//   npm run webdav-standin -- <folder> [--port 8088] [--user name:password]
+//
+// then use http://localhost:8088/ (or a folder below it) as the sync address in MindKeep. Several
+// vaults pointed at the same address behave like several machines sharing one vault.
+//
+// Supports what the sync engine uses: PROPFIND (depth 0 and 1), GET, PUT, DELETE and MKCOL, with
+// ETags and If-Match / If-None-Match preconditions, and optional basic authentication. Not meant
+// to be exposed to a network.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Content hashes: the same contents always have the same ETag
+function etagOf(filePath) {
+    return `"${crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex')}"`;
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function propResponse(href, filePath, stats) {
+    const isFolder = stats.isDirectory();
+    return '<d:response>' +
+        `<d:href>${escapeXml(href)}</d:href>` +
+        '<d:propstat><d:prop>' +
+        `<d:resourcetype>${isFolder ? '<d:collection/>' : ''}</d:resourcetype>` +
+        (isFolder ? '' : `<d:getetag>${etagOf(filePath)}</d:getetag><d:getcontentlength>${stats.size}</d:getcontentlength>`) +
+        `<d:getlastmodified>${stats.mtime.toUTCString()}</d:getlastmodified>` +
+        '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>' +
+        '</d:response>';
+}
+
+// options: { root, username, password }; returns an http.Server (not listening yet)
+function createStandInServer({ root, username = '', password = '' }) {
+    const rootDir = path.resolve(root);
+    const auth = username ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` : null;
+
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                handle(req, res, Buffer.concat(chunks));
+            } catch (error) {
+                res.writeHead(500).end(error.message);
+            }
+        });
+    });
+
+    function handle(req, res, body) {
+        if (auth && req.headers.authorization !== auth) {
+            res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="MindKeep stand-in"' }).end();
+            return;
+        }
+
+        const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const filePath = path.join(rootDir, ...urlPath.split('/').filter(Boolean));
+        if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+            res.writeHead(403).end();
+            return;
+        }
+        const stats = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+        const currentEtag = stats && stats.isFile() ? etagOf(filePath) : null;
+
+        // Preconditions of PUT and DELETE
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if ((ifMatch && ifMatch !== '*' && ifMatch !== currentEtag) || (ifMatch === '*' && !stats) ||
+            (ifNoneMatch === '*' && stats)) {
+            res.writeHead(412).end();
+            return;
+        }
+
+        switch (req.method) {
+            case 'OPTIONS':
+                res.writeHead(200, { DAV: '1', Allow: 'OPTIONS, PROPFIND, GET, PUT, DELETE, MKCOL' }).end();
+                return;
+
+            case 'PROPFIND': {
+                if (!stats) {
+                    res.writeHead(404).end();
+                    return;
+                }
+                const href = urlPath.split('/').map(part => encodeURIComponent(part)).join('/');
+                const responses = [propResponse(stats.isDirectory() && !href.endsWith('/') ? `${href}/` : href, filePath, stats)];
+                if (stats.isDirectory() && req.headers.depth !== '0') {
+                    for (const name of fs.readdirSync(filePath)) {
+                        const childPath = path.join(filePath, name);
+                        const childStats = fs.statSync(childPath);
+                        const childHref = `${href.replace(/\/$/, '')}/${encodeURIComponent(name)}${childStats.isDirectory() ? '/' : ''}`;
+                        responses.push(propResponse(childHref, childPath, childStats));
+                    }
+                }
+                res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' })
+                    .end(`<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">${responses.join('')}</d:multistatus>`);
+                return;
+            }
+
+            case 'GET':
+                if (!stats || !stats.isFile()) {
+                    res.writeHead(404).end();
+                    return;
+                }
+                res.writeHead(200, { ETag: currentEtag, 'Content-Length': stats.size }).end(fs.readFileSync(filePath));
+                return;
+
+            case 'PUT': {
+                if (!fs.existsSync(path.dirname(filePath))) {
+                    res.writeHead(409).end();
+                    return;
+                }
+                if (stats && stats.isDirectory()) {
+                    res.writeHead(405).end();
+                    return;
+                }
+                fs.writeFileSync(filePath, body);
+                res.writeHead(stats ? 204 : 201, { ETag: etagOf(filePath) }).end();
+                return;
+            }
+
+            case 'DELETE':
+                if (!stats) {
+                    res.writeHead(404).end();
+                    return;
+                }
+                fs.rmSync(filePath, { recursive: true, force: true });
+                res.writeHead(204).end();
+                return;
+
+            case 'MKCOL':
+                if (stats) {
+                    res.writeHead(405).end();
+                } else if (!fs.existsSync(path.dirname(filePath))) {
+                    res.writeHead(409).end();
+                } else {
+                    fs.mkdirSync(filePath);
+                    res.writeHead(201).end();
+                }
+                return;
+
+            default:
+                res.writeHead(405).end();
+        }
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? null : args.splice(index, 2)[1];
+    };
+    const port = parseInt(option('--port'), 10) || 8088;
+    const user = option('--user') || '';
+    const username = user.includes(':') ? user.slice(0, user.indexOf(':')) : user;
+    const password = user.includes(':') ? user.slice(user.indexOf(':') + 1) : '';
+    const root = args[0];
+    if (!root) {
+        console.error('Usage: webdav-standin.js <folder> [--port 8088] [--user name:password]');
+        process.exit(1);
+    }
+
+    fs.mkdirSync(root, { recursive: true });
+    createStandInServer({ root, username, password }).listen(port, '127.0.0.1', () => {
+        console.log(`WebDAV stand-in serving ${path.resolve(root)} at http://localhost:${port}/`);
+    });
+}
+
+module.exports = { createStandInServer };
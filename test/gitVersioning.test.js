@@ -0,0 +1,111 @@
+// Git versioning against a real repository in a temporary folder. The JSON store needs Electron,
+// so the notes are kept by a small store writing the same note files.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GitVersioning = require('../modules/gitVersioning');
+const { lockNote } = require('../modules/noteLock');
+
+const hasGit = (() => {
+    try {
+        execFileSync('git', ['--version'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+function createStore(dataDir) {
+    const notes = new Map();
+    const notesDir = path.join(dataDir, 'notes');
+    fs.mkdirSync(notesDir, { recursive: true });
+    return {
+        backend: 'json',
+        dataDir,
+        notesDir,
+        getNotes: () => Array.from(notes.values()),
+        getNote: id => notes.get(id) || null,
+        getCategories: () => [],
+        getNoteFile: id => path.join(notesDir, `${id}.json`),
+        parseNoteText: text => JSON.parse(text),
+        forceWrite: async () => {},
+        async saveNote(note) {
+            notes.set(note.id, note);
+            fs.writeFileSync(path.join(notesDir, `${note.id}.json`), JSON.stringify(note, null, 2));
+        }
+    };
+}
+
+async function withVault(run) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mindkeep-git-'));
+    try {
+        await run(createStore(dataDir), dataDir);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+// Every object in the repository, also unreachable ones, that contains text
+function findInObjects(dataDir, text) {
+    const git = (...args) => execFileSync('git', args, { cwd: dataDir, encoding: 'utf8' });
+    return git('cat-file', '--batch-all-objects', '--batch-check').split('\n').filter(Boolean)
+        .map(line => line.split(' ')[0])
+        .filter(hash => git('cat-file', '-p', hash).includes(text));
+}
+
+const bankNote = { id: 'n1', title: 'Bank', content: '<p>PIN 4711</p>', description: '', tags: [] };
+
+test('locking a committed note is refused while versioning is on', { skip: !hasGit }, () => withVault(async store => {
+    const git = new GitVersioning(store);
+    await store.saveNote(bankNote);
+    await git.enable();
+    await store.saveNote({ id: 'n2', title: 'New', content: '<p>not committed yet</p>', tags: [] });
+
+    assert.strictEqual(await GitVersioning.findNoteHistory(store, 'n1', git), git);
+    assert.strictEqual(await GitVersioning.findNoteHistory(store, 'n2', git), null);
+}));
+
+test('locking a committed note is refused after versioning was turned off', { skip: !hasGit }, () => withVault(async store => {
+    const git = new GitVersioning(store);
+    await store.saveNote(bankNote);
+    await git.enable();
+    git.stop();
+
+    // Turning versioning off drops the instance but keeps the repository
+    const found = await GitVersioning.findNoteHistory(store, 'n1');
+    assert.ok(found);
+    assert.strictEqual(found.dir, store.dataDir);
+}));
+
+test('a vault without a repository never refuses locking', () => withVault(async store => {
+    await store.saveNote(bankNote);
+    assert.strictEqual(GitVersioning.open(store), null);
+    assert.strictEqual(await GitVersioning.findNoteHistory(store, 'n1'), null);
+}));
+
+test('removing a note from the history leaves no plain text behind', { skip: !hasGit }, () => withVault(async (store, dataDir) => {
+    const git = new GitVersioning(store);
+    await store.saveNote({ id: 'n2', title: 'Groceries', content: '<p>milk</p>', tags: [] });
+    await git.enable();
+    await store.saveNote(bankNote);
+    await git.commitAll('Add note: Bank');
+    await store.saveNote({ ...bankNote, content: '<p>PIN 4711, TAN 0815</p>' });
+    await store.saveNote({ id: 'n2', title: 'Groceries', content: '<p>milk, eggs</p>', tags: [] });
+    await git.commitAll('Edit notes');
+    assert.ok(findInObjects(dataDir, '4711').length > 0);
+
+    await store.saveNote(await lockNote(bankNote, 'secret password'));
+    assert.strictEqual(await git.removeNoteHistory('n1'), 2);
+    await git.commitAll('Lock note: Bank');
+
+    assert.deepStrictEqual(findInObjects(dataDir, '4711'), []);
+    // The other note keeps its history; the locked note starts over with its locked version
+    assert.strictEqual((await git.getNoteLog('n2')).length, 2);
+    const [locked, ...older] = await git.getNoteLog('n1');
+    assert.deepStrictEqual(older, []);
+    assert.ok((await git.readNoteAt(locked.hash, locked.path)).lock);
+}));
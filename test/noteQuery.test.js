@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { queryNotes } = require('../modules/noteQuery');
+
+const notes = [
+    { id: 'a', title: 'Shopping list', content: '<p>milk and eggs</p>', tags: ['Home'], category: 'Work', categoryId: 'work', updatedAt: '2024-05-02T10:00:00.000Z' },
+    { id: 'b', title: 'Bank', content: '', lock: { data: 'sealed' }, tags: ['money'], category: 'General', categoryId: 'general', updatedAt: '2025-01-01T00:00:00.000Z', isPinned: true },
+    { id: 'c', title: 'Trip', content: '<p>pack eggs &amp; tent</p>', tags: [], category: 'General', categoryId: 'general', updatedAt: '2025-03-01T00:00:00.000Z' }
+];
+
+const search = text => queryNotes(notes, [], { search: text, fields: ['id'] }).notes.map(note => note.id);
+
+test('search takes the syntax of the search box', () => {
+    assert.deepStrictEqual(search('eggs'), ['c', 'a']);
+    assert.deepStrictEqual(search('shoping'), ['a']);
+    assert.deepStrictEqual(search('#home'), ['a']);
+    assert.deepStrictEqual(search('category:work'), ['a']);
+    assert.deepStrictEqual(search('date:2024-05'), ['a']);
+    assert.deepStrictEqual(search('milk AND eggs'), ['a']);
+    assert.deepStrictEqual(search('bank OR tent'), ['b', 'c']);
+    assert.deepStrictEqual(search('   '), ['b', 'c', 'a']);
+});
+
+test('search only sees the title and tags of a locked note', () => {
+    assert.deepStrictEqual(search('sealed'), []);
+    assert.deepStrictEqual(search('money'), ['b']);
+});
+
+test('list pages carry the list fields and continue with the cursor', () => {
+    const query = { limit: 2, fields: ['title', 'summary', 'locked'] };
+    const first = queryNotes(notes, [], query);
+    assert.strictEqual(first.total, 3);
+    assert.deepStrictEqual(first.notes, [
+        { id: 'b', title: 'Bank', summary: '', locked: true },
+        { id: 'c', title: 'Trip', summary: 'pack eggs & tent', locked: false }
+    ]);
+
+    const second = queryNotes(notes, [], { ...query, cursor: first.nextCursor });
+    assert.deepStrictEqual(second.notes.map(note => note.id), ['a']);
+    assert.strictEqual(second.nextCursor, null);
+});
@@ -0,0 +1,249 @@
+// Two machines syncing through the WebDAV stand-in server. The JSON store needs Electron, so each
+// machine keeps its notes in a small in-memory store; attachments use the real store.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncEngine = require('../modules/syncEngine');
+const { WebDavClient } = require('../modules/webdav');
+const { AttachmentStore, collectReferences } = require('../modules/attachments');
+const { lockNote, unlockNote } = require('../modules/noteLock');
+const { createStandInServer } = require('../scripts/webdav-standin');
+
+function createStore(dataDir) {
+    const notes = new Map();
+    const trash = new Map();
+    let categories = [{ id: 'general', name: 'General' }];
+    let tasks = { tasks: [], taskLists: [] };
+    return {
+        dataDir,
+        getNotes: () => Array.from(notes.values()),
+        getNote: id => notes.get(id) || null,
+        getTrash: () => Array.from(trash.values()),
+        getCategories: () => categories,
+        getTasks: () => tasks.tasks,
+        getTaskLists: () => tasks.taskLists,
+        replaceCategories: value => { categories = value; },
+        replaceTasks: (value, taskLists) => { tasks = { tasks: value, taskLists }; },
+        forceWrite: async () => {},
+        async saveNote(note) {
+            notes.set(note.id, note);
+            trash.delete(note.id);
+        },
+        async saveNotes(list) {
+            list.forEach(note => this.saveNote(note));
+            return list.length;
+        },
+        deleteNote(id) {
+            if (!notes.has(id)) return;
+            trash.set(id, notes.get(id));
+            notes.delete(id);
+        }
+    };
+}
+
+function note(id, title, content, extra = {}) {
+    return { id, title, content, description: '', categoryId: 'general', tags: [], updatedAt: new Date().toISOString(), ...extra };
+}
+
+async function edit(machine, id, changes) {
+    await machine.database.saveNote({ ...machine.database.getNote(id), ...changes, updatedAt: new Date().toISOString() });
+}
+
+// A running stand-in server and a machine() factory for clients of one vault folder on it
+async function withServer(run) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mindkeep-sync-'));
+    const server = createStandInServer({ root: path.join(tempDir, 'server'), username: 'user', password: 'secret' });
+    fs.mkdirSync(path.join(tempDir, 'server'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/vault/`;
+
+    const machine = name => {
+        const dataDir = path.join(tempDir, name);
+        fs.mkdirSync(dataDir);
+        const database = createStore(dataDir);
+        const attachmentStore = new AttachmentStore(dataDir);
+        const client = new WebDavClient({ url, username: 'user', password: 'secret' });
+        const engine = new SyncEngine({ database, attachmentStore, client, url, deviceName: name });
+        return { database, attachmentStore, client, engine };
+    };
+
+    try {
+        await run(machine, path.join(tempDir, 'server', 'vault'));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+async function sync(machine) {
+    const status = await machine.engine.sync();
+    assert.strictEqual(status.state, 'idle', status.lastError);
+    return status;
+}
+
+test('edits of different fields on two machines are merged', () => withServer(async machine => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    await a.database.saveNote(note('n1', 'Shopping', '<p>milk</p>'));
+    await sync(a);
+    await sync(b);
+    assert.strictEqual(b.database.getNote('n1').content, '<p>milk</p>');
+
+    await edit(a, 'n1', { title: 'Groceries' });
+    await edit(b, 'n1', { content: '<p>milk, eggs</p>', tags: ['home'] });
+    await sync(a);
+    await sync(b);
+    await sync(a);
+
+    for (const side of [a, b]) {
+        const merged = side.database.getNote('n1');
+        assert.strictEqual(merged.title, 'Groceries');
+        assert.strictEqual(merged.content, '<p>milk, eggs</p>');
+        assert.deepStrictEqual(merged.tags, ['home']);
+        assert.strictEqual(side.engine.getStatus().pending, 0);
+    }
+}));
+
+test('the same field changed on both machines keeps the local version as a copy', () => withServer(async machine => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    await a.database.saveNote(note('n1', 'Plan', '<p>draft</p>'));
+    await sync(a);
+    await sync(b);
+
+    await edit(a, 'n1', { content: '<p>from alpha</p>' });
+    await edit(b, 'n1', { content: '<p>from beta</p>' });
+    await sync(a);
+    const status = await sync(b);
+
+    assert.strictEqual(status.conflicts.length, 1);
+    assert.deepStrictEqual(status.conflicts[0].fields, ['content']);
+    assert.strictEqual(b.database.getNote('n1').content, '<p>from alpha</p>');
+    const copy = b.database.getNote(status.conflicts[0].copyId);
+    assert.strictEqual(copy.content, '<p>from beta</p>');
+    assert.match(copy.title, /conflicted copy from beta/);
+
+    await sync(a);
+    assert.strictEqual(a.database.getNote(copy.id).content, '<p>from beta</p>');
+}));
+
+test('a note deleted on one machine is deleted on the other', () => withServer(async (machine, serverDir) => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    await a.database.saveNote(note('n1', 'Old', '<p>old</p>'));
+    await a.database.saveNote(note('n2', 'Kept', '<p>kept</p>'));
+    await sync(a);
+    await sync(b);
+
+    b.database.deleteNote('n1');
+    assert.deepStrictEqual(b.engine.getStatus().pendingChanges.map(change => change.action), ['delete']);
+    await sync(b);
+    assert.ok(!fs.existsSync(path.join(serverDir, 'notes', 'n1.json')));
+
+    await sync(a);
+    assert.strictEqual(a.database.getNote('n1'), null);
+    assert.deepStrictEqual(a.database.getTrash().map(trashed => trashed.id), ['n1']);
+    assert.strictEqual(a.database.getNote('n2').content, '<p>kept</p>');
+}));
+
+test('a note changed on the server between listing and writing is merged again', () => withServer(async machine => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    await a.database.saveNote(note('n1', 'Race', '<p>start</p>'));
+    await sync(a);
+    await sync(b);
+
+    await edit(a, 'n1', { title: 'Race (alpha)' });
+    await edit(b, 'n1', { content: '<p>beta was first</p>' });
+
+    // Beta writes the note after alpha listed the server, so alpha's write no longer matches the ETag
+    const put = a.client.put.bind(a.client);
+    let raced = false;
+    a.client.put = async (remotePath, ...rest) => {
+        if (remotePath === 'notes/n1.json' && !raced) {
+            raced = true;
+            await sync(b);
+        }
+        return put(remotePath, ...rest);
+    };
+    const status = await sync(a);
+
+    assert.ok(raced);
+    assert.strictEqual(status.conflicts.length, 0);
+    assert.strictEqual(a.database.getNote('n1').title, 'Race (alpha)');
+    assert.strictEqual(a.database.getNote('n1').content, '<p>beta was first</p>');
+    assert.strictEqual(status.pending, 0);
+
+    await sync(b);
+    assert.strictEqual(b.database.getNote('n1').title, 'Race (alpha)');
+}));
+
+test('a note locked on one machine never takes plain text edited on the other', () => withServer(async (machine, serverDir) => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    await a.database.saveNote(note('n1', 'Bank', '<p>PIN 4711</p>'));
+    await sync(a);
+    await sync(b);
+
+    await a.database.saveNote(await lockNote(a.database.getNote('n1'), 'secret'));
+    await edit(b, 'n1', { content: '<p>PIN 4711, TAN list</p>' });
+    await sync(a);
+    const status = await sync(b);
+
+    const locked = b.database.getNote('n1');
+    assert.ok(locked.lock);
+    assert.strictEqual(locked.content, '');
+    assert.deepStrictEqual(await unlockNote(locked, 'secret'), { content: '<p>PIN 4711</p>', description: '' });
+    assert.strictEqual(status.conflicts.length, 1);
+    assert.strictEqual(b.database.getNote(status.conflicts[0].copyId).content, '<p>PIN 4711, TAN list</p>');
+
+    await sync(a);
+    const onServer = fs.readFileSync(path.join(serverDir, 'notes', 'n1.json'), 'utf8');
+    assert.ok(!onServer.includes('4711'));
+    assert.strictEqual(a.database.getNote('n1').content, '');
+}));
+
+test('an attachment removed as unused on one machine is removed on the other', () => withServer(async (machine, serverDir) => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    const saved = await a.attachmentStore.save(Buffer.from('scan'), { name: 'scan.png', type: 'image/png' });
+    await a.database.saveNote(note('n1', 'Receipt', `<p><img src="${saved.url}"></p>`));
+    await sync(a);
+    await sync(b);
+    assert.deepStrictEqual(b.attachmentStore.list(), [saved.id]);
+
+    // Alpha drops the image and its garbage collection removes the file a day later
+    await edit(a, 'n1', { content: '<p>no image</p>' });
+    fs.utimesSync(a.attachmentStore.getPath(saved.id), new Date(0), new Date(0));
+    assert.strictEqual(a.attachmentStore.collectGarbage(collectReferences(a.database.getNotes())), 1);
+    await sync(a);
+    assert.deepStrictEqual(a.attachmentStore.list(), []);
+    assert.ok(!fs.existsSync(path.join(serverDir, 'attachments', saved.id)));
+
+    await sync(b);
+    assert.deepStrictEqual(b.attachmentStore.list(), []);
+    assert.strictEqual(b.engine.getStatus().pending, 0);
+}));
+
+test('an attachment removed on one machine comes back while a note on the other still uses it', () => withServer(async machine => {
+    const a = machine('alpha');
+    const b = machine('beta');
+    const saved = await a.attachmentStore.save(Buffer.from('scan'), { name: 'scan.png', type: 'image/png' });
+    await a.database.saveNote(note('n1', 'Receipt', `<p><img src="${saved.url}"></p>`));
+    await sync(a);
+    await sync(b);
+
+    await edit(a, 'n1', { content: '<p>no image</p>' });
+    a.attachmentStore.remove(saved.id);
+    await b.database.saveNote(note('n2', 'Copy', `<p><img src="${saved.url}"></p>`));
+    await sync(a);
+    await sync(b);
+    await sync(a);
+
+    assert.deepStrictEqual(b.attachmentStore.list(), [saved.id]);
+    assert.deepStrictEqual(a.attachmentStore.list(), [saved.id]);
+    assert.strictEqual(a.attachmentStore.read(saved.id).toString('utf8'), 'scan');
+}));
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createZip, readZip } = require('../modules/zip');
+
+// Offset of the first entry's uncompressed size in the central directory
+function centralSizeOffset(archive) {
+    return archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24;
+}
+
+test('reads back what it writes', () => {
+    const archive = createZip([
+        { name: 'a.txt', data: 'hello '.repeat(100) },
+        { name: 'b.bin', data: Buffer.from([1, 2, 3]) }
+    ]);
+    const entries = readZip(archive);
+    assert.strictEqual(entries.get('a.txt').toString('utf8'), 'hello '.repeat(100));
+    assert.deepStrictEqual([...entries.get('b.bin')], [1, 2, 3]);
+});
+
+test('refuses entries that unpack beyond the limits', () => {
+    const archive = createZip([{ name: 'big.txt', data: Buffer.alloc(64 * 1024) }]);
+    assert.throws(() => readZip(archive, { maxEntrySize: 1024 }), /too large/);
+    assert.throws(() => readZip(archive, { maxTotalSize: 1024 }), /too large/);
+});
+
+test('stops unpacking at the size the directory gives', () => {
+    const archive = createZip([{ name: 'bomb.txt', data: Buffer.alloc(1024 * 1024) }]);
+    assert.ok(archive.length < 4096);
+    // A crafted directory claiming a small size does not get the megabyte unpacked
+    archive.writeUInt32LE(100, centralSizeOffset(archive));
+    assert.throws(() => readZip(archive), /cannot be unpacked/);
+});
+
+test('refuses more entries than the directory can count', () => {
+    const entries = Array.from({ length: 0xffff }, (_, i) => ({ name: `notes/${i}.json`, data: '' }));
+    assert.strictEqual(readZip(createZip(entries)).size, 0xffff);
+    entries.push({ name: 'one-too-many.json', data: '' });
+    assert.throws(() => createZip(entries), /at most 65535 files/);
+});
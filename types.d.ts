@@ -1,16 +1,293 @@
 // Type definitions for the preload script API
+interface Category {
+  id: string;
+  name: string;
+  color: string;
+  parentId: string | null;
+}
+
+interface VaultEntry {
+  path: string;
+  name: string;
+  openedAt: string | null;
+  isDefault: boolean;
+  isCurrent: boolean;
+  available: boolean;
+}
+
+// A note changed both in the app and on disk; external is null when it was deleted on disk
+interface NoteConflict {
+  id: string;
+  local: any;
+  external: any | null;
+  detectedAt: string;
+}
+
+// Changes pushed by the main process after every data change; revisions count up by one per batch.
+// reset means the batch was too large to send and the notes should be loaded again
+type DataChange =
+  | { type: 'note-created' | 'note-updated'; note: any }
+  | { type: 'note-deleted'; id: string }
+  | { type: 'categories-changed'; categories: Category[] };
+
+interface DataChangeBatch {
+  revision: number;
+  changes?: DataChange[];
+  reset?: boolean;
+}
+
+// Filters left out do not apply. Dates are ISO strings; a bare date as a *To bound includes that day
+interface NoteQuery {
+  categoryIds?: string[];     // Each includes its subcategories
+  tags?: string[];            // Notes having all of these tags
+  pinned?: boolean;
+  hasTasks?: boolean;
+  hasLinks?: boolean;
+  createdFrom?: string;
+  createdTo?: string;
+  updatedFrom?: string;
+  updatedTo?: string;
+  search?: string;            // As typed in the search box: '#tag', 'category:work', 'date:2024', 'a AND b', 'a OR b' or words
+  sort?: { field: 'pinned' | 'title' | 'createdAt' | 'updatedAt'; direction?: 'asc' | 'desc' }[];
+  limit?: number;
+  cursor?: string | null;     // nextCursor of the previous page
+  fields?: string[];          // e.g. ['title', 'summary', 'locked', 'updatedAt']; 'id' is always returned
+}
+
+interface NoteQueryResult {
+  success: boolean;
+  error?: string;
+  notes?: any[];
+  total?: number;             // Matches on all pages
+  nextCursor?: string | null; // null on the last page
+}
+
+// A problem found by the vault doctor; id stays the same between checks while the problem remains
+interface VaultProblem {
+  id: string;
+  type: string;               // e.g. 'missing-note-category', 'duplicate-note-id', 'broken-note-link'
+  severity: 'error' | 'warning' | 'info';
+  message: string;
+  fixable: boolean;
+  noteId?: string;
+  categoryId?: string;
+  taskId?: string;
+  backupId?: string;
+}
+
+interface VaultCheckResult {
+  checkedAt: string;
+  scanned: { notes: number; trash: number; categories: number; tasks: number; backups: number };
+  problems: VaultProblem[];   // Errors first
+  summary: { error: number; warning: number; info: number; fixable: number };
+}
+
+interface VaultRepairResult {
+  success: boolean;
+  error?: string;
+  fixed?: number;
+  failed?: { id: string; error: string }[];
+  snapshot?: string | null;   // Id of the backup taken before repairing
+}
+
+interface VaultArchiveManifest {
+  format: 'mindkeep-vault-archive';
+  version: number;
+  schemaVersion: number;
+  appVersion: string;
+  createdAt: string;
+  counts: { notes: number; categories: number; trash: number; tasks: number; meals: number;
+    attachments: number; themes: number; templates: number };
+}
+
+// Custom themes by name, and the theme in use when the archive was made
+interface VaultArchiveThemes {
+  current?: string;
+  custom?: { [name: string]: { name: string; icon: string; colors: { [property: string]: string } } };
+}
+
+interface VaultArchiveImportResult {
+  success: boolean;
+  error?: string;
+  notesRestored?: number;
+  categoriesRestored?: number;
+  tasksRestored?: number;
+  mealsRestored?: number;
+  attachmentsRestored?: number;
+  snapshot?: string;          // Id of the backup taken before importing
+  settingsApplied?: string[];
+  themes?: VaultArchiveThemes;
+  templates?: { [key: string]: any };
+}
+
+// A commit of the vault's git repository. files: paths changed (vault log only);
+// path: the note's file in that commit (note log only)
+interface GitCommit {
+  hash: string;
+  shortHash: string;
+  author: string;
+  date: string;
+  subject: string;
+  files?: string[];
+  path?: string;
+}
+
+// Consecutive lines of a note's file last changed by the same commit
+interface GitBlameBlock {
+  hash: string;
+  shortHash: string;          // Empty for lines not committed yet
+  author: string;
+  date: string;
+  subject: string;
+  lines: string[];
+}
+
+interface GitStatus {
+  enabled: boolean;
+  unsupportedReason: string | null;   // Why this vault cannot be versioned
+  repository: boolean;        // The vault folder has a .git folder
+  folder: string;
+}
+
+interface SyncSettings {
+  enabled: boolean;
+  url: string;                // The vault's folder on the WebDAV server
+  username: string;
+  intervalMinutes: number;
+}
+
+interface SyncConflict {
+  id: string;                 // The note that changed on both sides
+  copyId: string;             // The note keeping this machine's version
+  title: string;
+  fields: string[];
+  detectedAt: string;
+}
+
+interface SyncStatus {
+  state: 'idle' | 'syncing' | 'offline' | 'error';   // offline: changes stay queued until the server is back
+  lastError: string | null;
+  lastResult: { pulled: number; pushed: number; conflicts: number; startedAt: string } | null;
+  lastSync: string | null;
+  pending: number;            // Local changes not on the server yet
+  pendingChanges: { type: 'note' | 'categories' | 'tasks' | 'attachment'; id?: string; action: string; title: string }[];
+  conflicts: SyncConflict[];
+}
+
 interface ElectronAPI {
   // Database operations
-  getCategories: () => Promise<any[]>;
-  addCategory: (name: string, color: string, parent: string | null) => Promise<number>;
-  deleteCategory: (name: string) => Promise<number>;
+  // Category arguments take a category id; a category name is still accepted
+  getCategories: () => Promise<Category[]>;
+  addCategory: (name: string, color: string, parent: string | null) => Promise<Category>;
+  updateCategory: (idOrName: string, newName: string, color: string, parent: string | null) => Promise<Category>;
+  deleteCategory: (idOrName: string) => Promise<boolean>;
+  reorderCategories: (ids: string[]) => Promise<boolean>;
   
   getNotes: () => Promise<any[]>;
+  getNotesSnapshot: () => Promise<{ revision: number; notes: any[] }>;
+  onDataChanged: (callback: (event: any, batch: DataChangeBatch) => void) => void;
   saveNote: (note: any) => Promise<number>;
   deleteNote: (id: string) => Promise<number>;
   getNotesSorted: (sortBy: string) => Promise<any[]>;
+  queryNotes: (query: NoteQuery) => Promise<NoteQueryResult>;
   togglePinNote: (id: string) => Promise<number>;
   
+  // Trash
+  getTrash: () => Promise<any[]>;
+  restoreNote: (id: string) => Promise<boolean>;
+  purgeNote: (id: string) => Promise<boolean>;
+  emptyTrash: () => Promise<number>;
+  getTrashRetention: () => Promise<number>;
+  setTrashRetention: (days: number) => Promise<boolean>;
+  
+  // Note revision history
+  getNoteHistory: (id: string) => Promise<any[]>;
+  diffNoteRevisions: (id: string, fromRevisionId: string, toRevisionId: string) => Promise<any>;
+  restoreNoteRevision: (id: string, revisionId: string) => Promise<any>;
+  
+  // Locked notes
+  // gitHistory: refused because earlier versions are in the vault's git history; removeGitHistory rewrites it
+  lockNote: (note: any, password: string, options?: { removeGitHistory?: boolean }) => Promise<{ success: boolean; note?: any; gitHistory?: boolean; error?: string }>;
+  unlockNote: (id: string, password: string) => Promise<{ success: boolean; content?: string; description?: string; error?: string }>;
+  removeNoteLock: (id: string, password: string) => Promise<{ success: boolean; note?: any; error?: string }>;
+  
+  // Notes changed outside the app (JSON and Markdown files backends)
+  getNoteConflicts: () => Promise<NoteConflict[]>;
+  resolveNoteConflict: (id: string, choice: 'local' | 'external' | 'both') => Promise<{ success: boolean; error?: string }>;
+  onNotesChangedExternally: (callback: (event: any, change: { changed: string[]; removed: string[]; conflicts: string[] }) => void) => void;
+  
+  // Tasks
+  getTasks: () => Promise<{ tasks: any[]; lists: any[] }>;
+  saveTask: (task: any) => Promise<boolean>;
+  deleteTask: (id: string) => Promise<boolean>;
+  saveTaskList: (list: any) => Promise<boolean>;
+  deleteTaskList: (id: string) => Promise<boolean>;
+  importTasks: (tasks: any[], lists: any[]) => Promise<number>;
+  
+  // Meal planner
+  getMeals: () => Promise<any[]>;
+  saveMeals: (meals: any[]) => Promise<boolean>;
+  getMealPlans: () => Promise<{ date: string; meals: any }[]>;
+  saveMealPlans: (plans: { date: string; meals: any }[]) => Promise<boolean>;
+  
+  // Attachments
+  saveAttachment: (data: Uint8Array, name: string, type: string) => Promise<{ success: boolean; id?: string; url?: string; name?: string; type?: string; size?: number; error?: string }>;
+  saveAttachmentAs: (id: string, name?: string) => Promise<{ success: boolean; filePath?: string; error?: string }>;
+  
+  // Data integrity
+  getLoadReport: () => Promise<any>;
+  
+  // Settings
+  getStorageSettings: () => Promise<{ backend: string; active: string }>;
+  setStorageBackend: (backend: 'json' | 'sqlite' | 'markdown') => Promise<any>;
+  relaunchApp: () => Promise<void>;
+  
+  // Vault encryption
+  getVaultStatus: () => Promise<{ encrypted: boolean; locked: boolean; idleMinutes: number; backend: string }>;
+  unlockVault: (passphrase: string) => Promise<{ success: boolean; error?: string }>;
+  lockVault: () => Promise<{ success: boolean }>;
+  enableVaultEncryption: (passphrase: string) => Promise<{ success: boolean; error?: string }>;
+  disableVaultEncryption: (passphrase: string) => Promise<{ success: boolean; error?: string }>;
+  setVaultIdleMinutes: (minutes: number) => Promise<{ success: boolean; idleMinutes: number }>;
+  onVaultLocked: (callback: () => void) => void;
+  
+  // Vaults (separate data folders)
+  listVaults: () => Promise<{ current: string; vaults: VaultEntry[] }>;
+  chooseVaultFolder: (mode: 'open' | 'create') => Promise<string | null>;
+  openVault: (folder: string) => Promise<{ success: boolean; error?: string }>;
+  createVault: (folder: string) => Promise<{ success: boolean; error?: string }>;
+  forgetVault: (folder: string) => Promise<{ success: boolean; error?: string }>;
+  
+  // Vault doctor
+  checkVault: () => Promise<VaultCheckResult>;
+  repairVault: (problemIds?: string[]) => Promise<VaultRepairResult>;
+  
+  // Vault archives; canceled is set when the file dialog was closed
+  exportVaultArchive: (extras: { themes: VaultArchiveThemes; templates: { [key: string]: any } }) =>
+    Promise<{ success: boolean; canceled?: boolean; error?: string; path?: string; counts?: VaultArchiveManifest['counts'] }>;
+  openVaultArchive: () => Promise<{ success: boolean; canceled?: boolean; error?: string; path?: string; manifest?: VaultArchiveManifest }>;
+  importVaultArchive: () => Promise<VaultArchiveImportResult>; // Imports the archive last picked with openVaultArchive
+  
+  // Git versioning; every call but getGitStatus fails while it is off
+  getGitStatus: () => Promise<GitStatus>;
+  setGitVersioning: (enabled: boolean) => Promise<{ success: boolean; error?: string; initialCommit?: string | null }>;
+  getGitLog: (limit?: number) => Promise<{ success: boolean; error?: string; commits?: GitCommit[] }>;
+  getNoteGitLog: (id: string) => Promise<{ success: boolean; error?: string; commits?: GitCommit[] }>;
+  diffNoteGitVersions: (id: string, fromHash: string, toHash: string) => Promise<{ success: boolean; error?: string; changes?: any[] }>;
+  getNoteGitBlame: (id: string) => Promise<{ success: boolean; error?: string; path?: string; blocks?: GitBlameBlock[] }>;
+  revertNoteToCommit: (id: string, hash: string) => Promise<{ success: boolean; error?: string; note?: any; commit?: string | null }>;
+  revertGitCommit: (hash: string) =>
+    Promise<{ success: boolean; error?: string; reverted?: number; skipped?: string[]; commit?: string | null }>;
+  
+  // WebDAV sync; the password is write-only (left out of values, the saved one is kept)
+  getSyncSettings: () => Promise<{ settings: SyncSettings; hasPassword: boolean; unsupportedReason: string | null; status: SyncStatus | null }>;
+  setSyncSettings: (values: SyncSettings & { password?: string }) => Promise<{ success: boolean; error?: string; status?: SyncStatus | null }>;
+  testSyncConnection: (values: SyncSettings & { password?: string }) =>
+    Promise<{ success: boolean; error?: string; offline?: boolean; exists?: boolean }>;
+  syncNow: () => Promise<{ success: boolean; error?: string | null; status?: SyncStatus }>;
+  clearSyncConflicts: () => Promise<{ success: boolean; error?: string; status?: SyncStatus }>;
+  onSyncStatus: (callback: (event: any, status: SyncStatus) => void) => void;
+  
   // Update functionality
   checkForUpdates: () => Promise<any>;
   installUpdate: () => Promise<void>;
@@ -28,9 +305,17 @@ interface ElectronAPI {
   // Keyboard shortcuts
   onShortcutNewNote: (callback: () => void) => void;
   onShortcutFocusSearch: (callback: () => void) => void;
+  onShortcutVaultSettings: (callback: () => void) => void;
+  onShortcutVaultManager: (callback: () => void) => void;
+  onShortcutVaultDoctor: (callback: () => void) => void;
+  onShortcutVaultGit: (callback: () => void) => void;
+  onShortcutSync: (callback: () => void) => void;
   
   // Remove listeners
   removeAllListeners: (channel: string) => void;
+
+  // Path of a file picked in a file input; empty for files that are not on disk
+  getPathForFile: (file: File) => string;
 }
 
 interface NodeAPI {